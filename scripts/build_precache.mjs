@@ -0,0 +1,84 @@
+/**
+ * Regenerate `sw-precache.json`, the file list and versions `sw.js` precaches for offline use:
+ * the app shell (`index.html`, `src/**`, `images/**`) and every `data/**` JSON file.
+ * `dataVersion` hashes the data contents, so publishing new data is what triggers the
+ * "new parking data available" prompt. `appVersion` hashes the code and is also stamped into
+ * `sw.js` as **`APP_VERSION`**, so new code changes the worker's bytes and browsers install it.
+ *
+ *   node scripts/build_precache.mjs          # write sw-precache.json
+ *   node scripts/build_precache.mjs --check  # exit 1 when sw-precache.json is stale
+ */
+
+import { createHash } from "node:crypto";
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, join, relative, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const OUT = join(ROOT, "sw-precache.json");
+const SERVICE_WORKER = join(ROOT, "sw.js");
+const APP_VERSION_LINE = /^const APP_VERSION = "[^"]*";$/m;
+
+/** Files under `dir` (repo-relative, `/`-separated, sorted); dot-directories like `data/parking/.lime` are skipped. */
+async function listFiles(dir, keep) {
+  const out = [];
+  for (const entry of await readdir(join(ROOT, dir), { withFileTypes: true })) {
+    if (entry.name.startsWith(".")) continue;
+    const rel = `${dir}/${entry.name}`;
+    if (entry.isDirectory()) out.push(...(await listFiles(rel, keep)));
+    else if (keep(entry.name)) out.push(rel);
+  }
+  return out.sort();
+}
+
+async function hashFiles(files) {
+  const hash = createHash("sha256");
+  for (const file of files) {
+    hash.update(file);
+    hash.update(await readFile(join(ROOT, file)));
+  }
+  return hash.digest("hex").slice(0, 12);
+}
+
+const app = [
+  "index.html",
+  ...(await listFiles("src", (name) => /\.(mjs|js|css)$/.test(name))),
+  ...(await listFiles("images", (name) => !name.endsWith(".svg"))),
+];
+const data = await listFiles("data", (name) => name.endsWith(".json"));
+
+const precache = {
+  appVersion: await hashFiles(app),
+  dataVersion: await hashFiles(data),
+  app,
+  data,
+};
+const text = `${JSON.stringify(precache, null, 2)}\n`;
+
+const worker = await readFile(SERVICE_WORKER, "utf8");
+if (!APP_VERSION_LINE.test(worker))
+  throw new Error('sw.js has no `const APP_VERSION = "…";` line to stamp');
+const workerText = worker.replace(
+  APP_VERSION_LINE,
+  `const APP_VERSION = "${precache.appVersion}";`,
+);
+
+if (process.argv.includes("--check")) {
+  const current = await readFile(OUT, "utf8").catch(() => "");
+  for (const [file, stale] of [
+    [OUT, current !== text],
+    [SERVICE_WORKER, worker !== workerText],
+  ]) {
+    if (!stale) continue;
+    console.log(
+      `${relative(ROOT, file).split(sep).join("/")} is stale — run make precache`,
+    );
+    process.exitCode = 1;
+  }
+} else {
+  await writeFile(OUT, text);
+  if (worker !== workerText) await writeFile(SERVICE_WORKER, workerText);
+  console.log(
+    `${app.length} app files (${precache.appVersion}), ${data.length} data files (${precache.dataVersion})`,
+  );
+}
@@ -16,6 +16,7 @@ import sys
 import urllib.error
 import urllib.parse
 import urllib.request
+from datetime import datetime, timezone
 from pathlib import Path
 
 # Grand Rapids metro-ish bbox: south, west, north, east (WGS84)
@@ -144,6 +145,7 @@ def element_to_item(el: dict) -> dict | None:
         name = "Bike Rack"
 
     item: dict = {
+        "id": f"osm:{el.get('type') or '?'}/{int(el.get('id') or 0)}",
         "name": str(name).strip(),
         "location": {
             "latitude": round(lat, 6),
@@ -234,6 +236,7 @@ def main() -> int:
         "name": "Bike Racks",
         "modes": ["bike"],
         "note": note,
+        "generatedAt": datetime.now(timezone.utc).date().isoformat(),
         "items": items,
     }
 
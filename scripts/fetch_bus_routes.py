@@ -2,9 +2,9 @@
 
 """
 Download The Rapid's official GTFS static feed and extract downtown Grand Rapids
-bus routes: polylines from shapes.txt and stop locations from stops.txt. Stops in
-the JSON are limited to within STOP_MAX_MILES_FROM_CITY_CENTER (1.5 mi) of
-downtown center; route shapes are not clipped.
+bus routes: polylines from shapes.txt and stop locations from stops.txt. DASH
+stops in the JSON are limited to within STOP_MAX_MILES_FROM_CITY_CENTER (1.5 mi)
+of downtown center; route shapes are not clipped.
 
 Routes are split into:
   * dash_routes — DASH (Downtown Area Shuttle), identified by "DASH" in route names.
@@ -17,6 +17,18 @@ the feed lists an **Acrisure Amphitheater** stop: ``dash_pattern`` on each shape
 service patterns use that stop). The visit page uses these when a destination
 sets ``useDashEventRoute`` in ``data/destinations.json``.
 
+Each exported DASH stop also carries ``departures``: scheduled departure times from
+stop_times.txt as minutes after midnight of the service day (past 1440 for trips
+after midnight), keyed by ``weekday`` / ``saturday`` / ``sunday`` from calendar.txt.
+The visit page turns these into the wait for the chosen arrival, the last shuttle
+back, and upcoming departures in stop popups. Holiday exceptions
+(calendar_dates.txt) are not applied.
+
+Rapid routes list every stop they serve, not only downtown ones, so the visit page
+can plan a bus trip from anywhere on the network; maps still show only the stops
+near downtown. Each Rapid shape carries ``stop_ids``: the stops of its longest trip
+in travel order, which gives the direction a rider can go from one stop to another.
+
 Dataset (full agency feed; we filter geographically and by mode):
   http://connect.ridetherapid.org/InfoPoint/gtfs-zip.ashx
 
@@ -102,6 +114,43 @@ def is_bus_route(row: dict[str, str]) -> bool:
         return False
 
 
+SERVICE_DAY_COLUMNS = {
+    "weekday": ("monday", "tuesday", "wednesday", "thursday", "friday"),
+    "saturday": ("saturday",),
+    "sunday": ("sunday",),
+}
+
+
+def service_day_kinds(z: zipfile.ZipFile) -> dict[str, set[str]]:
+    """service_id -> {'weekday', 'saturday', 'sunday'} from calendar.txt (empty without it)."""
+    if "calendar.txt" not in z.namelist():
+        return {}
+    out: dict[str, set[str]] = {}
+    for row in iter_dict_rows_from_zip(z, "calendar.txt"):
+        sid = (row.get("service_id") or "").strip()
+        if not sid:
+            continue
+        kinds = {
+            kind
+            for kind, cols in SERVICE_DAY_COLUMNS.items()
+            if any((row.get(c) or "").strip() == "1" for c in cols)
+        }
+        if kinds:
+            out[sid] = kinds
+    return out
+
+
+def gtfs_time_minutes(raw: str) -> int | None:
+    """``HH:MM:SS`` (hours may pass 24) -> whole minutes after service-day midnight."""
+    parts = (raw or "").strip().split(":")
+    if len(parts) < 2:
+        return None
+    try:
+        return int(parts[0]) * 60 + int(parts[1])
+    except ValueError:
+        return None
+
+
 def amphitheater_sentinel_stop_ids(
     stop_ids: set[str], stops_by_id: dict[str, dict[str, str]]
 ) -> set[str]:
@@ -158,6 +207,9 @@ def build_route_outputs(
     *,
     shape_dash_patterns: dict[tuple[str, str], str] | None = None,
     stop_dash_patterns: dict[tuple[str, str], list[str]] | None = None,
+    stop_departures: dict[tuple[str, str], dict[str, set[int]]] | None = None,
+    shape_stop_sequences: dict[tuple[str, str], list[str]] | None = None,
+    stop_max_miles: float | None = STOP_MAX_MILES_FROM_CITY_CENTER,
 ) -> list[dict]:
     out: list[dict] = []
     for r in sorted(route_rows, key=lambda x: (x.get("route_sort_order") or "", x["route_id"])):
@@ -173,6 +225,10 @@ def build_route_outputs(
                     pat = shape_dash_patterns.get((rid, shape_id))
                     if pat:
                         entry["dash_pattern"] = pat
+                if shape_stop_sequences:
+                    seq = shape_stop_sequences.get((rid, shape_id))
+                    if seq:
+                        entry["stop_ids"] = seq
                 shapes_out.append(entry)
 
         stops_out = []
@@ -186,8 +242,9 @@ def build_route_outputs(
             except (KeyError, ValueError):
                 continue
             if (
-                haversine_miles(GR_CENTER_LAT, GR_CENTER_LON, lat, lon)
-                > STOP_MAX_MILES_FROM_CITY_CENTER
+                stop_max_miles is not None
+                and haversine_miles(GR_CENTER_LAT, GR_CENTER_LON, lat, lon)
+                > stop_max_miles
             ):
                 continue
             stop_entry: dict = {
@@ -200,6 +257,14 @@ def build_route_outputs(
                 pats = stop_dash_patterns.get((rid, stop_id))
                 if pats:
                     stop_entry["dash_patterns"] = pats
+            if stop_departures:
+                by_kind = stop_departures.get((rid, stop_id))
+                if by_kind:
+                    stop_entry["departures"] = {
+                        kind: sorted(by_kind[kind])
+                        for kind in SERVICE_DAY_COLUMNS
+                        if by_kind.get(kind)
+                    }
             stops_out.append(stop_entry)
 
         out.append(
@@ -270,6 +335,7 @@ def main() -> int:
     trips = [t for t in iter_dict_rows_from_zip(z, "trips.txt") if t.get("route_id") in bus_route_ids]
     trip_to_route: dict[str, str] = {}
     trip_id_to_shape: dict[str, str] = {}
+    trip_id_to_service: dict[str, str] = {}
     shapes_seen_per_route: dict[str, list[str]] = defaultdict(list)
     shape_order: dict[str, set[str]] = defaultdict(set)
 
@@ -279,6 +345,7 @@ def main() -> int:
         if tid:
             trip_to_route[tid] = rid
             trip_id_to_shape[tid] = (t.get("shape_id") or "").strip()
+            trip_id_to_service[tid] = (t.get("service_id") or "").strip()
         shp = (t.get("shape_id") or "").strip()
         if shp and shp not in shape_order[rid]:
             shapes_seen_per_route[rid].append(shp)
@@ -372,6 +439,55 @@ def main() -> int:
         stops_by_id,
     )
 
+    service_kinds = service_day_kinds(z)
+    dash_departures: dict[tuple[str, str], dict[str, set[int]]] = defaultdict(
+        lambda: defaultdict(set)
+    )
+    if service_kinds:
+        for row in iter_dict_rows_from_zip(z, "stop_times.txt"):
+            tid = (row.get("trip_id") or "").strip()
+            rid = trip_to_route.get(tid)
+            if rid not in dash_route_ids:
+                continue
+            kinds = service_kinds.get(trip_id_to_service.get(tid, ""))
+            minutes = gtfs_time_minutes(row.get("departure_time") or "")
+            sid = (row.get("stop_id") or "").strip()
+            if not kinds or minutes is None or not sid:
+                continue
+            for kind in kinds:
+                dash_departures[(rid, sid)][kind].add(minutes)
+
+    # Rapid shapes: stops of the longest trip on each (route, shape), in stop_sequence order.
+    rapid_route_ids = {r["route_id"] for r in rapid_rows}
+    stops_per_trip: dict[str, int] = defaultdict(int)
+    for row in iter_dict_rows_from_zip(z, "stop_times.txt"):
+        tid = (row.get("trip_id") or "").strip()
+        if trip_to_route.get(tid) in rapid_route_ids:
+            stops_per_trip[tid] += 1
+    longest_trip: dict[tuple[str, str], str] = {}
+    for tid, n in stops_per_trip.items():
+        key = (trip_to_route[tid], trip_id_to_shape.get(tid, ""))
+        if not key[1]:
+            continue
+        best = longest_trip.get(key)
+        if best is None or n > stops_per_trip[best]:
+            longest_trip[key] = tid
+    trip_to_shape_key = {tid: key for key, tid in longest_trip.items()}
+    rapid_sequences: dict[tuple[str, str], list[tuple[int, str]]] = defaultdict(list)
+    for row in iter_dict_rows_from_zip(z, "stop_times.txt"):
+        key = trip_to_shape_key.get((row.get("trip_id") or "").strip())
+        sid = (row.get("stop_id") or "").strip()
+        if key is None or not sid:
+            continue
+        try:
+            seq = int(row["stop_sequence"])
+        except (KeyError, ValueError):
+            continue
+        rapid_sequences[key].append((seq, sid))
+    rapid_shape_stops = {
+        key: [sid for _, sid in sorted(rows)] for key, rows in rapid_sequences.items()
+    }
+
     shapes_out_map = dict(shapes_seen_per_route)
     dash_out = build_route_outputs(
         dash_rows,
@@ -381,6 +497,7 @@ def main() -> int:
         stop_ids_by_route,
         shape_dash_patterns=dash_shape_pat,
         stop_dash_patterns=dash_stop_pat,
+        stop_departures=dash_departures,
     )
     rapid_out = build_route_outputs(
         rapid_rows,
@@ -388,9 +505,12 @@ def main() -> int:
         shape_points,
         stops_by_id,
         stop_ids_by_route,
+        shape_stop_sequences=rapid_shape_stops,
+        stop_max_miles=None,
     )
 
     payload = {
+        "generatedAt": datetime.now(timezone.utc).date().isoformat(),
         "meta": {
             "gtfs_static_url": args.url,
             "publisher": "The Rapid (Interurban Transit Partnership)",
@@ -407,13 +527,22 @@ def main() -> int:
             ),
             "stop_max_miles_from_city_center": STOP_MAX_MILES_FROM_CITY_CENTER,
             "stop_filter_note": (
-                f"Stops listed per route are within {STOP_MAX_MILES_FROM_CITY_CENTER:g} mi "
-                "of downtown center (polylines are not clipped)."
+                f"Stops listed per DASH route are within {STOP_MAX_MILES_FROM_CITY_CENTER:g} mi "
+                "of downtown center; Rapid routes list every stop (polylines are not clipped)."
+            ),
+            "rapid_stop_sequence_note": (
+                "Rapid shapes list stop_ids: the stops of the shape's longest trip in "
+                "stop_sequence order."
             ),
             "dash_event_pattern_note": (
                 "DASH routes may include dash_pattern on shapes and dash_patterns on stops "
                 "when GTFS lists an Acrisure Amphitheater stop (event detour vs regular loop)."
             ),
+            "dash_departures_note": (
+                "DASH stops list departures: scheduled minutes after service-day midnight "
+                "(over 1440 = after midnight) by weekday / saturday / sunday service from "
+                "calendar.txt; calendar_dates.txt holiday exceptions are not applied."
+            ),
         },
         "dash_routes": dash_out,
         "rapid_routes": rapid_out,
@@ -23,6 +23,7 @@ import sys
 import urllib.error
 import urllib.parse
 import urllib.request
+from datetime import datetime, timezone
 from pathlib import Path
 
 # Web AppBuilder app item (Visitor Parking)
@@ -177,7 +178,7 @@ def build_availability(attrs: dict) -> str | None:
     return "; ".join(parts)
 
 
-def feature_to_item(f: dict) -> dict | None:
+def feature_to_item(f: dict, layer: str) -> dict | None:
     geom = f.get("geometry") or {}
     rings = geom.get("rings")
     if not rings:
@@ -188,11 +189,14 @@ def feature_to_item(f: dict) -> dict | None:
     lat, lon = centroid
     attrs = f.get("attributes") or {}
     name = attrs.get("NAME")
-    item: dict = {
-        "location": {
-            "latitude": round(lat, 6),
-            "longitude": round(lon, 6),
-        }
+    item: dict = {}
+    oid = attrs.get("OBJECTID")
+    if oid is not None:
+        # OBJECTIDs are per layer; the layer keeps facility and neighborhood ids apart.
+        item["id"] = f"arcgis:{layer}/{oid}"
+    item["location"] = {
+        "latitude": round(lat, 6),
+        "longitude": round(lon, 6),
     }
     if name:
         item["name"] = str(name).strip()
@@ -261,7 +265,7 @@ def main() -> int:
 
     for f in fac_features:
         attrs = f.get("attributes") or {}
-        item = feature_to_item(f)
+        item = feature_to_item(f, "facilities")
         if not item:
             continue
         if is_garage(attrs):
@@ -271,7 +275,7 @@ def main() -> int:
 
     lots_from_neigh: list[dict] = []
     for f in neigh_features:
-        item = feature_to_item(f)
+        item = feature_to_item(f, "neighborhood")
         if item:
             lots_from_neigh.append(item)
 
@@ -293,16 +297,19 @@ def main() -> int:
         "matching bicycle rack coverage."
     )
 
+    generated_at = datetime.now(timezone.utc).date().isoformat()
     garages_doc = {
         "name": "Public Parking Garages",
         "modes": ["drive"],
         "note": note_base,
+        "generatedAt": generated_at,
         "items": garages,
     }
     lots_doc = {
         "name": "Public Parking Lots",
         "modes": ["drive"],
         "note": note_lots,
+        "generatedAt": generated_at,
         "items": lots,
     }
 
@@ -19,6 +19,7 @@ distance-filtered (optional --all-cities).
 from __future__ import annotations
 
 import argparse
+import html
 import json
 import math
 import re
@@ -27,6 +28,7 @@ import time
 import urllib.error
 import urllib.parse
 import urllib.request
+from datetime import datetime, timezone
 from pathlib import Path
 
 ELLIS_BASE = "https://www.ellisparking.com"
@@ -90,8 +92,8 @@ def fetch_location_detail(lot_id: str) -> dict | None:
     return first if isinstance(first, dict) else None
 
 
-def strip_html(html: str) -> str:
-    t = re.sub(r"(?is)<[^>]+>", " ", html)
+def strip_html(markup: str) -> str:
+    t = html.unescape(re.sub(r"(?is)<[^>]+>", " ", markup))
     return re.sub(r"\s+", " ", t).strip()
 
 
@@ -192,6 +194,10 @@ def lot_to_item(
         },
         "owner": ELLIS_OWNER,
     }
+    lot_id = lot.get("_id")
+    if isinstance(lot_id, str) and lot_id:
+        # Stable across Ellis re-filing a lot as garage vs lot, unlike category + coordinates.
+        item = {"id": f"ellis:{lot_id}", **item}
     if name:
         item["name"] = str(name).strip()
     addr = build_address(loc)
@@ -326,6 +332,7 @@ def main() -> int:
     note_l = note_g
 
     OUT_GARAGES.parent.mkdir(parents=True, exist_ok=True)
+    generated_at = datetime.now(timezone.utc).date().isoformat()
 
     OUT_GARAGES.write_text(
         json.dumps(
@@ -333,6 +340,7 @@ def main() -> int:
                 "name": f"{ELLIS_OWNER} garages",
                 "modes": ["drive"],
                 "note": note_g,
+                "generatedAt": generated_at,
                 "items": garages,
             },
             indent=2,
@@ -346,6 +354,7 @@ def main() -> int:
                 "name": f"{ELLIS_OWNER} lots",
                 "modes": ["drive"],
                 "note": note_l,
+                "generatedAt": generated_at,
                 "items": lots,
             },
             indent=2,
@@ -1,8 +1,8 @@
 #!/usr/bin/env python
 
 """
-Regenerate data/parking/private/garages-osm.json and data/parking/private/lots-osm.json
-from OpenStreetMap via the Overpass API.
+Regenerate data/parking/private/garages-osm.json, data/parking/private/lots-osm.json, and
+data/parking/public/park-and-ride-osm.json from OpenStreetMap via the Overpass API.
 
 Queries all amenity=parking (nodes, ways, relations) in a Grand Rapids metro
 bounding box, then keeps only features within MAX_MILES_FROM_CENTER of downtown
@@ -25,6 +25,15 @@ OSM pins within the same radius of any Ellis (garages-ellis.json / lots-ellis.js
 are also skipped so Ellis names/pricing replace near-duplicate private OSM features
 (e.g. surface lot vs Ellis-listed ramp at the same address).
 
+Skipped features are written under "deduplicated" so the app can show what each one
+duplicated (#/data/parking → Show deduplicated).
+
+Features beyond the downtown radius are not dropped when they are park-and-ride lots:
+tagged park_ride=* (anything but "no"), or open to the public (no private / customers-only
+access) within PARK_AND_RIDE_MAX_STOP_MILES of a Rapid stop in data/bus/routes.json (run
+fetch_bus_routes.py first; without it only tagged lots are kept). They go to the
+park-and-ride file, which #/visit offers as drive → park → Rapid → walk trips.
+
 Data © OpenStreetMap contributors, ODbL — https://www.openstreetmap.org/copyright
 """
 
@@ -37,6 +46,7 @@ import sys
 import urllib.error
 import urllib.parse
 import urllib.request
+from datetime import datetime, timezone
 from pathlib import Path
 
 DEFAULT_BBOX = (42.85, -85.88, 43.12, -85.45)
@@ -53,6 +63,13 @@ PUBLIC_GARAGES_JSON = REPO_ROOT / "data/parking/public/garages-arcgis.json"
 PUBLIC_LOTS_JSON = REPO_ROOT / "data/parking/public/lots-arcgis.json"
 ELLIS_GARAGES_JSON = REPO_ROOT / "data/parking/private/garages-ellis.json"
 ELLIS_LOTS_JSON = REPO_ROOT / "data/parking/private/lots-ellis.json"
+OUT_PARK_AND_RIDE = REPO_ROOT / "data/parking/public/park-and-ride-osm.json"
+BUS_ROUTES_JSON = REPO_ROOT / "data/bus/routes.json"
+
+# Outer lots this close to a Rapid stop count as park-and-ride (a ~5 minute walk).
+PARK_AND_RIDE_MAX_STOP_MILES = 0.25
+# access=* values that keep an untagged outer lot out of park-and-ride.
+_CLOSED_ACCESS = {"no", "private", "customers", "permit", "delivery", "destination"}
 
 # ~96 m; match src/shared/data-loader.mjs OFFICIAL_VS_OSM_DEDUP_MILES
 OFFICIAL_VS_OSM_DEDUP_MILES = 0.06
@@ -169,6 +186,57 @@ def load_ellis_latlngs() -> list[tuple[float, float]]:
     return out
 
 
+def load_rapid_stop_latlngs() -> list[tuple[float, float]]:
+    """Rapid (fixed-route) stops from fetch_bus_routes.py output; empty when not fetched."""
+    if not BUS_ROUTES_JSON.is_file():
+        return []
+    try:
+        doc = json.loads(BUS_ROUTES_JSON.read_text(encoding="utf-8"))
+    except (OSError, json.JSONDecodeError):
+        return []
+    out: list[tuple[float, float]] = []
+    for route in doc.get("rapid_routes") or []:
+        for stop in route.get("stops") or []:
+            lat, lon = stop.get("latitude"), stop.get("longitude")
+            try:
+                out.append((float(lat), float(lon)))
+            except (TypeError, ValueError):
+                continue
+    return out
+
+
+def stop_grid(stops: list[tuple[float, float]]) -> dict[tuple[int, int], list[tuple[float, float]]]:
+    """Stops bucketed by 0.01° cell (~0.7 mi), so each lot checks only its neighbours."""
+    grid: dict[tuple[int, int], list[tuple[float, float]]] = {}
+    for lat, lon in stops:
+        grid.setdefault((math.floor(lat * 100), math.floor(lon * 100)), []).append((lat, lon))
+    return grid
+
+
+def near_rapid_stop(
+    lat: float, lon: float, grid: dict[tuple[int, int], list[tuple[float, float]]]
+) -> bool:
+    cy, cx = math.floor(lat * 100), math.floor(lon * 100)
+    for dy in (-1, 0, 1):
+        for dx in (-1, 0, 1):
+            for slat, slon in grid.get((cy + dy, cx + dx), ()):
+                if haversine_miles(lat, lon, slat, slon) <= PARK_AND_RIDE_MAX_STOP_MILES:
+                    return True
+    return False
+
+
+def is_park_and_ride(
+    tags: dict, item: dict, grid: dict[tuple[int, int], list[tuple[float, float]]]
+) -> bool:
+    """Tagged park_ride=*, or an outer lot open to the public next to a Rapid stop."""
+    if (tags.get("park_ride") or "no").strip().casefold() != "no":
+        return True
+    if (tags.get("access") or "").strip().casefold() in _CLOSED_ACCESS:
+        return False
+    loc = item["location"]
+    return near_rapid_stop(loc["latitude"], loc["longitude"], grid)
+
+
 def item_near_reference_points(
     item: dict, reference_pts: list[tuple[float, float]]
 ) -> bool:
@@ -303,6 +371,7 @@ def element_to_item(el: dict) -> dict | None:
     name = build_name(tags)
 
     item: dict = {
+        "id": f"osm:{el.get('type') or '?'}/{int(el.get('id') or 0)}",
         "name": name,
         "location": {
             "latitude": round(lat, 6),
@@ -376,33 +445,34 @@ def main() -> int:
 
     official_garages_pts, official_lots_pts = load_official_arcgis_latlngs_by_kind()
     ellis_pts = load_ellis_latlngs()
+    rapid_stops = stop_grid(load_rapid_stop_latlngs())
 
     garages_raw: list[dict] = []
     lots_raw: list[dict] = []
+    garages_skipped: list[dict] = []
+    lots_skipped: list[dict] = []
+    park_and_ride_raw: list[dict] = []
     for el in data.get("elements") or []:
         tags = el.get("tags") or {}
         item = element_to_item(el)
-        if not item or not item_within_gr_center(item):
+        if not item:
             continue
-        if parking_osm_bucket(tags) == "garage":
-            if official_garages_pts and item_near_official_parking(
-                item, official_garages_pts
-            ):
-                continue
-            if ellis_pts and item_near_reference_points(item, ellis_pts):
-                continue
-            garages_raw.append(item)
-        else:
-            if official_lots_pts and item_near_official_parking(
-                item, official_lots_pts
-            ):
-                continue
-            if ellis_pts and item_near_reference_points(item, ellis_pts):
-                continue
-            lots_raw.append(item)
+        if not item_within_gr_center(item):
+            if is_park_and_ride(tags, item, rapid_stops):
+                park_and_ride_raw.append(item)
+            continue
+        is_garage = parking_osm_bucket(tags) == "garage"
+        official_pts = official_garages_pts if is_garage else official_lots_pts
+        if (
+            official_pts and item_near_official_parking(item, official_pts)
+        ) or (ellis_pts and item_near_reference_points(item, ellis_pts)):
+            (garages_skipped if is_garage else lots_skipped).append(item)
+            continue
+        (garages_raw if is_garage else lots_raw).append(item)
 
     garages = sort_items(dedupe_items(garages_raw))
     lots = sort_items(dedupe_items(lots_raw))
+    park_and_ride = sort_items(dedupe_items(park_and_ride_raw))
 
     note_common = (
         "Generated by scripts/fetch_car_parking_osm.py from OpenStreetMap "
@@ -410,7 +480,8 @@ def main() -> int:
         "Excludes operator=Grand Rapids Parking Services (covered by fetch_car_parking_arcgis.py). "
         "Excludes features within ~0.06 mi of a same-kind City (ArcGIS) centroid "
         "(OSM garages vs public garages; OSM lots vs public lots). "
-        "Excludes features within ~0.06 mi of any Ellis (garages/lots) centroid. "
+        "Excludes features within ~0.06 mi of any Ellis (garages/lots) centroid; "
+        "excluded features are listed under deduplicated (#/data/parking, Show deduplicated). "
         "Tags are crowdsourced and often incomplete (access, fee, capacity). "
         f"Points are limited to within {MAX_MILES_FROM_CENTER:g} mi of downtown Grand Rapids "
         f"({GR_CENTER_LAT:.5f}, {GR_CENTER_LON:.5f}). "
@@ -425,24 +496,50 @@ def main() -> int:
         "and any feature without a clear garage tag (including missing parking=*)."
     )
 
+    generated_at = datetime.now(timezone.utc).date().isoformat()
     garages_doc = {
         "name": "Private Parking Garages",
         "modes": ["drive"],
         "note": note_garages,
+        "generatedAt": generated_at,
         "items": garages,
+        "deduplicated": sort_items(dedupe_items(garages_skipped)),
+    }
+    park_and_ride_doc = {
+        "name": "Park & Ride Lots",
+        "modes": ["transit"],
+        "note": (
+            "Generated by scripts/fetch_car_parking_osm.py from OpenStreetMap "
+            "(amenity=parking) via Overpass API: features beyond "
+            f"{MAX_MILES_FROM_CENTER:g} mi of downtown tagged park_ride=*, and outer lots "
+            f"open to the public within {PARK_AND_RIDE_MAX_STOP_MILES:g} mi of a Rapid stop "
+            "in data/bus/routes.json"
+            + ("" if rapid_stops else " (not fetched this run: tagged lots only)")
+            + ". Data © OpenStreetMap contributors, ODbL — "
+            "https://www.openstreetmap.org/copyright"
+        ),
+        "generatedAt": generated_at,
+        "items": park_and_ride,
     }
     lots_doc = {
         "name": "Private Parking Lots",
         "modes": ["drive"],
         "note": note_lots,
+        "generatedAt": generated_at,
         "items": lots,
+        "deduplicated": sort_items(dedupe_items(lots_skipped)),
     }
 
     OUT_GARAGES.write_text(json.dumps(garages_doc, indent=2) + "\n", encoding="utf-8")
     OUT_LOTS.write_text(json.dumps(lots_doc, indent=2) + "\n", encoding="utf-8")
+    OUT_PARK_AND_RIDE.write_text(
+        json.dumps(park_and_ride_doc, indent=2) + "\n", encoding="utf-8"
+    )
     print(
         f"Wrote {len(garages)} garages -> {OUT_GARAGES.relative_to(REPO_ROOT)}, "
-        f"{len(lots)} lots -> {OUT_LOTS.relative_to(REPO_ROOT)}"
+        f"{len(lots)} lots -> {OUT_LOTS.relative_to(REPO_ROOT)}, "
+        f"{len(park_and_ride)} park-and-ride lots -> "
+        f"{OUT_PARK_AND_RIDE.relative_to(REPO_ROOT)}"
     )
     return 0
 
@@ -35,7 +35,7 @@ import sys
 import urllib.error
 import urllib.request
 from collections import defaultdict
-from datetime import datetime
+from datetime import datetime, timezone
 from pathlib import Path
 from zoneinfo import ZoneInfo
 
@@ -268,6 +268,7 @@ def write_merged_output(grid_deg: float, min_vehicles: int) -> tuple[int, int, i
         "name": "Micromobility Lots",
         "modes": ["micromobility"],
         "note": build_note(grid_deg, min_vehicles, n_buckets),
+        "generatedAt": datetime.now(timezone.utc).date().isoformat(),
         "items": items,
     }
     OUT_PATH.write_text(json.dumps(doc, indent=2) + "\n", encoding="utf-8")
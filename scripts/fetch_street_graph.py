@@ -0,0 +1,402 @@
+#!/usr/bin/env python3
+
+"""
+Build the offline street graphs the visit page routes walk legs and the drive from
+the user's location on, from OpenStreetMap via the Overpass API.
+
+Queries every highway=* way within --radius-miles of downtown Grand Rapids, keeps
+the ones the mode can use (see MODES), and splits them at intersections and dead
+ends. Nodes that only bend a way are folded into the edge's shape to keep the file
+compact. Only the largest connected piece is kept (stray private drives and mapping
+gaps would otherwise snap routes onto islands).
+
+The app only loads a graph data/manifest.json publishes under streetGraphs, so after
+writing the file this script registers it there ("walk": "walk/graph.json"). Commit
+both to ship the graph; without it the planner draws straight-line legs.
+
+Output (read by src/shared/street-graph.mjs):
+  * nodes — [lat, lng] per intersection or dead end (6 decimals)
+  * edges — [from, to, miles, shape?]: node indexes, the way's length, and the
+    [lat, lng] points between them (omitted when straight)
+  * directed — false for walking (every edge works both ways); true for driving,
+    where two-way streets are listed once each way and one-way streets only the
+    way traffic runs
+
+Modes:
+  * walk — sidewalks, paths, steps, and streets pedestrians may use; motorways and
+    trunk roads only where foot=yes. Writes data/walk/graph.json
+  * drive — roads open to cars, from freeways and ramps down to service drives
+    (parking aisles included, so routes reach lot entrances); oneway=* and
+    roundabouts respected. Writes data/drive/graph.json
+
+Usage:
+  python3 scripts/fetch_street_graph.py
+  python3 scripts/fetch_street_graph.py --mode drive
+  python3 scripts/fetch_street_graph.py --radius-miles 2
+  python3 scripts/fetch_street_graph.py --dry-run
+
+Data © OpenStreetMap contributors, ODbL — https://www.openstreetmap.org/copyright
+"""
+
+from __future__ import annotations
+
+import argparse
+import json
+import math
+import sys
+import urllib.error
+import urllib.parse
+import urllib.request
+from collections import defaultdict
+from datetime import datetime, timezone
+from pathlib import Path
+
+# Downtown Grand Rapids — same center as scripts/fetch_bike_parking.py
+GR_CENTER_LAT = 42.96333
+GR_CENTER_LON = -85.66806
+DEFAULT_RADIUS_MILES = 1.75
+
+OVERPASS_URL = "https://overpass-api.de/api/interpreter"
+REPO_ROOT = Path(__file__).resolve().parent.parent
+
+USER_AGENT = "multimodality-fetch-street-graph/1.0 (+https://github.com/citizenlabs/multimodality)"
+
+METERS_PER_MILE = 1609.344
+
+WALK_HIGHWAYS = {
+    "footway",
+    "pedestrian",
+    "path",
+    "steps",
+    "living_street",
+    "residential",
+    "service",
+    "unclassified",
+    "tertiary",
+    "tertiary_link",
+    "secondary",
+    "secondary_link",
+    "primary",
+    "primary_link",
+    "cycleway",
+    "corridor",
+    "track",
+    "road",
+}
+# Limited-access roads: only where tagged foot=yes.
+WALK_FOOT_YES_ONLY = {"motorway", "motorway_link", "trunk", "trunk_link"}
+
+
+def walk_way_usable(tags: dict) -> bool:
+    highway = (tags.get("highway") or "").strip()
+    foot = (tags.get("foot") or "").strip().casefold()
+    access = (tags.get("access") or "").strip().casefold()
+    if foot == "no" or (access in ("no", "private") and foot not in ("yes", "designated")):
+        return False
+    if (tags.get("area") or "").strip().casefold() == "yes" and highway != "pedestrian":
+        return False
+    if highway in WALK_FOOT_YES_ONLY:
+        return foot in ("yes", "designated")
+    return highway in WALK_HIGHWAYS
+
+
+DRIVE_HIGHWAYS = {
+    "motorway",
+    "motorway_link",
+    "trunk",
+    "trunk_link",
+    "primary",
+    "primary_link",
+    "secondary",
+    "secondary_link",
+    "tertiary",
+    "tertiary_link",
+    "unclassified",
+    "residential",
+    "living_street",
+    "service",
+    "road",
+}
+# Implied one-way unless tagged otherwise (https://wiki.openstreetmap.org/wiki/Key:oneway).
+DRIVE_ONEWAY_BY_DEFAULT = {"motorway", "motorway_link", "trunk_link"}
+
+
+def drive_way_usable(tags: dict) -> bool:
+    highway = (tags.get("highway") or "").strip()
+    if highway not in DRIVE_HIGHWAYS:
+        return False
+    access = (tags.get("access") or "").strip().casefold()
+    vehicle = (
+        tags.get("motor_vehicle") or tags.get("motorcar") or tags.get("vehicle") or ""
+    ).strip().casefold()
+    if vehicle == "no":
+        return False
+    if access in ("no", "private") and vehicle not in ("yes", "destination", "permissive"):
+        return False
+    if (tags.get("area") or "").strip().casefold() == "yes":
+        return False
+    return True
+
+
+def drive_way_direction(tags: dict) -> str:
+    """'both', 'forward' (OSM node order), or 'backward'."""
+    oneway = (tags.get("oneway") or "").strip().casefold()
+    if oneway in ("yes", "true", "1"):
+        return "forward"
+    if oneway in ("-1", "reverse"):
+        return "backward"
+    if oneway == "no":
+        return "both"
+    if (tags.get("junction") or "").strip().casefold() in ("roundabout", "circular"):
+        return "forward"
+    if (tags.get("highway") or "").strip() in DRIVE_ONEWAY_BY_DEFAULT:
+        return "forward"
+    return "both"
+
+
+MODES = {
+    "walk": {
+        "out": REPO_ROOT / "data/walk/graph.json",
+        "name": "Walking network",
+        "usable": walk_way_usable,
+        "direction": lambda tags: "both",
+        "directed": False,
+        "note": (
+            "Sidewalks, paths, steps, and streets pedestrians may use "
+            "(motorway/trunk only with foot=yes; foot=no and access=no/private excluded)."
+        ),
+    },
+    "drive": {
+        "out": REPO_ROOT / "data/drive/graph.json",
+        "name": "Road network",
+        "usable": drive_way_usable,
+        "direction": drive_way_direction,
+        "directed": True,
+        "note": (
+            "Roads open to cars, motorways through service drives "
+            "(access=no/private and motor_vehicle=no excluded); edges follow oneway=* and roundabouts."
+        ),
+    },
+}
+
+
+def haversine_miles(lat1: float, lon1: float, lat2: float, lon2: float) -> float:
+    to_rad = math.pi / 180.0
+    r = 3959.0
+    d_lat = (lat2 - lat1) * to_rad
+    d_lon = (lon2 - lon1) * to_rad
+    a = math.sin(d_lat / 2) ** 2 + math.cos(lat1 * to_rad) * math.cos(
+        lat2 * to_rad
+    ) * math.sin(d_lon / 2) ** 2
+    return r * 2 * math.atan2(math.sqrt(a), math.sqrt(max(0.0, 1 - a)))
+
+
+def overpass_query(radius_miles: float) -> str:
+    meters = round(radius_miles * METERS_PER_MILE)
+    return f"""[out:json][timeout:180];
+way["highway"](around:{meters},{GR_CENTER_LAT},{GR_CENTER_LON});
+(._;>;);
+out body;
+"""
+
+
+def http_post_overpass(query: str) -> dict:
+    body = urllib.parse.urlencode({"data": query}).encode("utf-8")
+    req = urllib.request.Request(
+        OVERPASS_URL,
+        data=body,
+        method="POST",
+        headers={
+            "User-Agent": USER_AGENT,
+            "Content-Type": "application/x-www-form-urlencoded; charset=utf-8",
+        },
+    )
+    with urllib.request.urlopen(req, timeout=240) as resp:
+        return json.loads(resp.read().decode("utf-8"))
+
+
+def way_segments(
+    ways: list[tuple[list[int], str]], coords: dict[int, tuple[float, float]]
+) -> list[tuple[int, int, list[int], str]]:
+    """Split ways at shared nodes and ends: (from OSM node, to OSM node, OSM nodes between, direction)."""
+    uses: dict[int, int] = defaultdict(int)
+    for refs, _ in ways:
+        for i, ref in enumerate(refs):
+            # Ends count twice so they always split.
+            uses[ref] += 2 if i in (0, len(refs) - 1) else 1
+    segments: list[tuple[int, int, list[int], str]] = []
+    for refs, direction in ways:
+        refs = [r for r in refs if r in coords]
+        if len(refs) < 2:
+            continue
+        start = 0
+        for i in range(1, len(refs)):
+            if i == len(refs) - 1 or uses[refs[i]] > 1:
+                if refs[start] != refs[i]:
+                    segments.append(
+                        (refs[start], refs[i], refs[start + 1 : i], direction)
+                    )
+                start = i
+    return segments
+
+
+def largest_component(segments: list[tuple[int, int, list[int], str]]) -> set[int]:
+    """OSM node ids of the largest connected piece (direction ignored)."""
+    neighbours: dict[int, set[int]] = defaultdict(set)
+    for a, b, _, _ in segments:
+        neighbours[a].add(b)
+        neighbours[b].add(a)
+    best: set[int] = set()
+    seen: set[int] = set()
+    for root in neighbours:
+        if root in seen:
+            continue
+        piece = {root}
+        stack = [root]
+        while stack:
+            n = stack.pop()
+            for m in neighbours[n]:
+                if m not in piece:
+                    piece.add(m)
+                    stack.append(m)
+        seen |= piece
+        if len(piece) > len(best):
+            best = piece
+    return best
+
+
+def build_graph(data: dict, mode: dict) -> dict:
+    coords: dict[int, tuple[float, float]] = {}
+    ways: list[tuple[list[int], str]] = []
+    for el in data.get("elements") or []:
+        if el.get("type") == "node" and "lat" in el and "lon" in el:
+            coords[el["id"]] = (float(el["lat"]), float(el["lon"]))
+    for el in data.get("elements") or []:
+        tags = el.get("tags") or {}
+        if el.get("type") != "way" or not mode["usable"](tags):
+            continue
+        refs = el.get("nodes") or []
+        if len(refs) >= 2:
+            ways.append((refs, mode["direction"](tags)))
+
+    segments = way_segments(ways, coords)
+    keep = largest_component(segments)
+    index: dict[int, int] = {}
+    nodes: list[list[float]] = []
+    edges: list[list] = []
+    seen_edges: set[tuple[int, int, tuple[int, ...]]] = set()
+
+    def node_index(ref: int) -> int:
+        if ref not in index:
+            index[ref] = len(nodes)
+            lat, lon = coords[ref]
+            nodes.append([round(lat, 6), round(lon, 6)])
+        return index[ref]
+
+    def add_edge(a: int, b: int, between: list[int]) -> None:
+        key = (a, b, tuple(between))
+        if key in seen_edges:
+            return
+        seen_edges.add(key)
+        path = [coords[a], *(coords[r] for r in between), coords[b]]
+        miles = sum(
+            haversine_miles(p[0], p[1], q[0], q[1]) for p, q in zip(path, path[1:])
+        )
+        edge: list = [node_index(a), node_index(b), round(miles, 4)]
+        if between:
+            edge.append([[round(lat, 6), round(lon, 6)] for lat, lon in path[1:-1]])
+        edges.append(edge)
+
+    for a, b, between, direction in segments:
+        if a not in keep:
+            continue
+        if not mode["directed"]:
+            if (b, a, tuple(reversed(between))) not in seen_edges:
+                add_edge(a, b, between)
+            continue
+        if direction in ("both", "forward"):
+            add_edge(a, b, between)
+        if direction in ("both", "backward"):
+            add_edge(b, a, list(reversed(between)))
+    return {"nodes": nodes, "edges": edges}
+
+
+def publish_graph(mode_name: str, out: Path) -> None:
+    """Register the graph under streetGraphs in data/manifest.json so the app loads it."""
+    data_dir = REPO_ROOT / "data"
+    manifest_path = data_dir / "manifest.json"
+    manifest = json.loads(manifest_path.read_text(encoding="utf-8"))
+    graphs = manifest.setdefault("streetGraphs", {})
+    graphs[mode_name] = out.relative_to(data_dir).as_posix()
+    manifest_path.write_text(json.dumps(manifest, indent=2) + "\n", encoding="utf-8")
+    print(f"Published {mode_name} graph in {manifest_path.relative_to(REPO_ROOT)}")
+
+
+def main() -> int:
+    parser = argparse.ArgumentParser(
+        description="Build the downtown Grand Rapids street graph from OpenStreetMap.",
+    )
+    parser.add_argument(
+        "--mode",
+        choices=sorted(MODES),
+        default="walk",
+        help="Which network to build (default: walk)",
+    )
+    parser.add_argument(
+        "--radius-miles",
+        type=float,
+        default=DEFAULT_RADIUS_MILES,
+        help=f"Radius from downtown center (default: {DEFAULT_RADIUS_MILES})",
+    )
+    parser.add_argument(
+        "--dry-run",
+        action="store_true",
+        help="Build only; print counts and skip writing JSON",
+    )
+    args = parser.parse_args()
+    mode = MODES[args.mode]
+
+    try:
+        data = http_post_overpass(overpass_query(args.radius_miles))
+    except (urllib.error.URLError, json.JSONDecodeError, TimeoutError) as e:
+        print(f"Overpass request failed: {e}", file=sys.stderr)
+        return 1
+
+    if data.get("remark"):
+        print(f"Overpass remark: {data['remark']}", file=sys.stderr)
+
+    graph = build_graph(data, mode)
+    if not graph["edges"]:
+        print("No usable ways in the Overpass response.", file=sys.stderr)
+        return 1
+
+    out: Path = mode["out"]
+    if args.dry_run:
+        print(f"{args.mode}: {len(graph['nodes'])} nodes, {len(graph['edges'])} edges (dry run)")
+        return 0
+
+    doc = {
+        "name": mode["name"],
+        "note": (
+            "Generated by scripts/fetch_street_graph.py from OpenStreetMap highway=* ways via "
+            f"Overpass API, within {args.radius_miles:g} mi of downtown Grand Rapids "
+            f"({GR_CENTER_LAT:.5f}, {GR_CENTER_LON:.5f}). {mode['note']} "
+            "Data © OpenStreetMap contributors, ODbL — https://www.openstreetmap.org/copyright"
+        ),
+        "generatedAt": datetime.now(timezone.utc).date().isoformat(),
+        "directed": mode["directed"],
+        "nodes": graph["nodes"],
+        "edges": graph["edges"],
+    }
+    out.parent.mkdir(parents=True, exist_ok=True)
+    out.write_text(json.dumps(doc, separators=(",", ":")) + "\n", encoding="utf-8")
+    print(
+        f"Wrote {len(graph['nodes'])} nodes, {len(graph['edges'])} edges -> "
+        f"{out.relative_to(REPO_ROOT)}"
+    )
+    publish_graph(args.mode, out)
+    return 0
+
+
+if __name__ == "__main__":
+    raise SystemExit(main())
@@ -0,0 +1,23 @@
+/**
+ * Filesystem `DataFileReader` for Node scripts — the counterpart of `createFetchDataReader()` in
+ * `src/shared/data-loader.mjs`, so `assembleAppData()` and the validator read the same files the
+ * page fetches.
+ */
+
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+
+/**
+ * @param {string} root — repository root; files are read relative to it (`data/config.json`)
+ * @returns {import("../../src/shared/data-loader.mjs").DataFileReader}
+ */
+export function createFileDataReader(root) {
+  return async (file) => {
+    try {
+      const text = await readFile(join(root, file), "utf8");
+      return { file, data: JSON.parse(text), loadError: null };
+    } catch (error) {
+      return { file, data: null, loadError: String(error?.message || error) };
+    }
+  };
+}
@@ -0,0 +1,301 @@
+/**
+ * Plan parking for a venue from the command line with the same code as `#/visit`: installs the city
+ * profiles and manifest and loads one city through `assembleAppData()`, as `loadData()` does, then
+ * prints what OSM dedupe and overrides kept per dataset, a price summary per map category, the pins
+ * that pass the **`walk`** / **`pay`** filters, and the **best** / **farthest** / **expensive**
+ * suggestions.
+ *
+ *   node scripts/plan_parking.mjs --venue van-andel-arena
+ *   node scripts/plan_parking.mjs --venue acrisure-amphitheater --walk 0.3 --pay 20
+ *   node scripts/plan_parking.mjs --venue devos-performance-hall --park public-garage,private-lot --json
+ *   node scripts/plan_parking.mjs --venue van-andel-arena --arrive 2026-10-24T18:30 --leave 2026-10-24T22:30
+ *   node scripts/plan_parking.mjs --venue devos-performance-hall --arrive 2026-10-25T13:30 --stay 3
+ *   node scripts/plan_parking.mjs --venue van-andel-arena --people 4
+ *   node scripts/plan_parking.mjs --venue van-andel-arena --event sports
+ *
+ * `--pay any` (or **50**+) lifts the price cap; `--city` picks a `data/cities.json` slug.
+ * `--arrive` / `--leave` are local times in the city's time zone (`--stay <hours>` instead of `--leave`);
+ * with `--arrive`, lots closed for the visit are left out of the suggestions and prices use the tiers
+ * that apply then (weekend meters free, no evening rate for a matinee). `--stay` alone (default 3) sets
+ * how many hours hourly rates are charged for; each pick shows the expected charge. `--people` (default
+ * `config.defaults.people`) splits that charge across the party. `--event` (a `config.eventTypes` key)
+ * picks per-venue event rates where a garage lists them. Private pins with no listed rate show a
+ * price estimated from priced neighbours.
+ */
+
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import {
+  CITY_PROFILES_FILE,
+  cityDataPath,
+  cityTimeZone,
+  setActiveCityProfile,
+  setCityProfiles,
+} from "../src/shared/city-profile.mjs";
+import {
+  assembleAppData,
+  formatRouteDistanceMiles,
+} from "../src/shared/data-loader.mjs";
+import { zonedDateTime } from "../src/shared/opening-hours.mjs";
+import { parseVisitStayHours } from "../src/shared/visit-time.mjs";
+import {
+  defaultPartySize,
+  formatPartyCost,
+  PARTY_MAX_PEOPLE,
+  parsePartySize,
+  splitPartyCost,
+} from "../src/shared/party-cost.mjs";
+import {
+  parkingDatasetsWithFiles,
+  setParkingDatasetManifest,
+  visitFilterCategoryIds,
+  visitMarkerCategoryIds,
+} from "../src/shared/parking-datasets.mjs";
+import {
+  chooseTopParkingSpotIds,
+  createParkingPlan,
+  PARKING_MAX_EVENING_SLIDER_CEILING,
+  parkingMarkerDisplayedPriceCeiling,
+  parkingMarkerEstimatedTotalWalkMiles,
+  parkingSpotCandidates,
+} from "../src/visit/parking-recommendation.mjs";
+import { createFileDataReader } from "./lib/file-data-reader.mjs";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+
+const { values: args } = parseArgs({
+  options: {
+    city: { type: "string" },
+    venue: { type: "string", default: "" },
+    walk: { type: "string", default: "0.8" },
+    pay: { type: "string", default: "40" },
+    park: { type: "string" },
+    arrive: { type: "string" },
+    leave: { type: "string" },
+    stay: { type: "string" },
+    people: { type: "string" },
+    event: { type: "string" },
+    json: { type: "boolean", default: false },
+  },
+});
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+const walkCapMiles = Number(args.walk);
+if (!Number.isFinite(walkCapMiles) || walkCapMiles < 0) {
+  fail(`--walk must be miles >= 0 (got ${args.walk})`);
+}
+const payRaw = args.pay.trim().toLowerCase();
+const pay =
+  payRaw === "any" ? PARKING_MAX_EVENING_SLIDER_CEILING : Number(payRaw);
+if (!Number.isFinite(pay) || pay < 0) {
+  fail(`--pay must be dollars >= 0 or "any" (got ${args.pay})`);
+}
+const budgetCap = pay >= PARKING_MAX_EVENING_SLIDER_CEILING ? null : pay;
+
+const readDataFile = createFileDataReader(ROOT);
+const cities = await readDataFile(CITY_PROFILES_FILE);
+if (cities.loadError) fail(`${CITY_PROFILES_FILE}: ${cities.loadError}`);
+setCityProfiles(cities.data);
+setActiveCityProfile(args.city);
+const manifest = await readDataFile(cityDataPath("manifest.json"));
+if (manifest.loadError) fail(`${manifest.file}: ${manifest.loadError}`);
+setParkingDatasetManifest(manifest.data);
+const appData = await assembleAppData(readDataFile, { cities, manifest });
+
+/** `--arrive` / `--leave` (`YYYY-MM-DDTHH:MM`, city time) → Date; null when omitted. */
+function visitTime(flag) {
+  const raw = args[flag];
+  if (raw == null) return null;
+  const at = zonedDateTime(raw, cityTimeZone());
+  if (!at) fail(`--${flag} must be YYYY-MM-DDTHH:MM (got ${raw})`);
+  return at;
+}
+const arriveAt = visitTime("arrive");
+let leaveAt = visitTime("leave");
+if (leaveAt && !arriveAt) fail("--leave needs --arrive");
+if (leaveAt && leaveAt <= arriveAt) fail("--leave must be after --arrive");
+const stayHours = args.stay == null ? null : parseVisitStayHours(args.stay);
+if (args.stay != null) {
+  if (stayHours == null)
+    fail(`--stay must be hours from 0.5 to 24 (got ${args.stay})`);
+  if (leaveAt) fail("--stay and --leave cannot both be set");
+  if (arriveAt) leaveAt = new Date(arriveAt.getTime() + stayHours * 3600000);
+}
+const people =
+  args.people == null ? defaultPartySize(appData) : parsePartySize(args.people);
+if (people == null) {
+  fail(
+    `--people must be a whole number from 1 to ${PARTY_MAX_PEOPLE} (got ${args.people})`,
+  );
+}
+const eventType = args.event?.trim() || null;
+if (eventType && !Object.hasOwn(appData.eventTypes ?? {}, eventType)) {
+  fail(
+    `Unknown --event ${eventType}; one of: ${Object.keys(appData.eventTypes ?? {}).join(", ")}`,
+  );
+}
+
+const venue = args.venue.trim();
+if (venue && !appData.destinations.some((d) => d.slug === venue)) {
+  fail(
+    `Unknown --venue ${venue}; one of: ${appData.destinations.map((d) => d.slug).join(", ")}`,
+  );
+}
+const filterIds = args.park
+  ? args.park.split(",").map((s) => s.trim())
+  : visitFilterCategoryIds();
+const unknownFilter = filterIds.find(
+  (id) => !visitFilterCategoryIds().includes(id),
+);
+if (unknownFilter) {
+  fail(
+    `Unknown --park ${unknownFilter}; one of: ${visitFilterCategoryIds().join(", ")}`,
+  );
+}
+
+/** Items per dataset file vs what `assembleAppData` kept after downtown, dedupe, and overrides. */
+async function datasetCounts() {
+  const out = [];
+  for (const { key, file } of parkingDatasetsWithFiles()) {
+    const raw = await readDataFile(cityDataPath(`parking/${file}`));
+    out.push({
+      key,
+      inFile: raw.data?.items?.length ?? 0,
+      kept: appData.parking[key]?.length ?? 0,
+      deduplicated: appData.dedupeDropped.filter((d) => d.key === key).length,
+    });
+  }
+  return out;
+}
+
+/** Every pin near DASH per marker category (no walk or price filter) with its evening price range. */
+function pricingSummary() {
+  const all = parkingSpotCandidates(
+    createParkingPlan(appData, { budgetCap: null }),
+  );
+  return visitMarkerCategoryIds()
+    .map((categoryKey) => {
+      const rows = all.filter((m) => m.categoryKey === categoryKey);
+      const dollars = rows
+        .map((m) => m.eveningSortDollars)
+        .filter((d) => Number.isFinite(d) && d >= 0);
+      return {
+        categoryKey,
+        pins: rows.length,
+        priced: dollars.length,
+        minDollars: dollars.length ? Math.min(...dollars) : null,
+        maxDollars: dollars.length ? Math.max(...dollars) : null,
+      };
+    })
+    .filter((s) => s.pins > 0);
+}
+
+const plan = createParkingPlan(appData, {
+  destinationSlug: venue,
+  walkCapMiles,
+  budgetCap,
+  arriveAt,
+  leaveAt,
+  stayHours: stayHours ?? undefined,
+  eventType,
+});
+const candidates = parkingSpotCandidates(plan, filterIds);
+const byId = new Map(candidates.map((m) => [m.spotId, m]));
+const picks = chooseTopParkingSpotIds(plan, candidates).map(
+  ({ spotId, role }) => {
+    const m = byId.get(spotId);
+    return {
+      role,
+      spotId,
+      name: m.name,
+      category: m.categoryName,
+      price: m.price,
+      costEstimate: m.costEstimate || null,
+      priceEstimate: m.priceEstimateText || null,
+      partyCost:
+        m.costEstimateDollars == null
+          ? null
+          : formatPartyCost(
+              splitPartyCost(m.costEstimateDollars, people, "shared"),
+              people,
+            ),
+      displayedDollars: parkingMarkerDisplayedPriceCeiling(m),
+      totalSpaces: m.totalSpaces,
+      walkMiles: parkingMarkerEstimatedTotalWalkMiles(plan, m),
+      priceFreshness: m.priceFreshness?.text ?? null,
+    };
+  },
+);
+
+const report = {
+  city: appData.city.slug,
+  venue: venue || null,
+  walkCapMiles,
+  budgetCap,
+  arriveAt: args.arrive ?? null,
+  leaveAt: args.leave ?? null,
+  stayHours: plan.stayHours,
+  people,
+  eventType,
+  datasets: await datasetCounts(),
+  pricing: pricingSummary(),
+  eligiblePins: candidates.length,
+  recommendations: picks,
+  dataErrors: appData.dataHealth.errors.length,
+};
+
+if (args.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  const dollars = (n) => (n == null ? "?" : `$${n}`);
+  const venueName =
+    appData.destinations.find((d) => d.slug === venue)?.name ?? "no venue";
+  console.log(
+    `${appData.city.name} — ${venueName} (walk ${walkCapMiles} mi, pay ${budgetCap == null ? "any" : dollars(budgetCap)}${people > 1 ? `, ${people} people` : ""})`,
+  );
+  if (report.arriveAt) {
+    const until = report.leaveAt
+      ? ` until ${report.leaveAt}`
+      : ` for ${report.stayHours} h`;
+    console.log(`Parked from ${report.arriveAt}${until} (${cityTimeZone()})`);
+  }
+  console.log("\nDatasets (in file → kept after dedupe and overrides)");
+  for (const d of report.datasets) {
+    const deduped = d.deduplicated ? ` (${d.deduplicated} deduplicated)` : "";
+    console.log(`  ${d.key.padEnd(16)} ${d.inFile} → ${d.kept}${deduped}`);
+  }
+  console.log("\nPricing (pins near DASH, evening ceiling)");
+  for (const s of report.pricing) {
+    const range =
+      s.priced === 0
+        ? "no known prices"
+        : `${dollars(s.minDollars)}–${dollars(s.maxDollars)}`;
+    console.log(
+      `  ${s.categoryKey.padEnd(16)} ${s.pins} pins, ${s.priced} priced, ${range}`,
+    );
+  }
+  console.log(`\n${report.eligiblePins} pins pass the walk and pay filters`);
+  for (const p of picks) {
+    const walk =
+      p.walkMiles == null
+        ? ""
+        : ` · ${formatRouteDistanceMiles(p.walkMiles)} mi walk`;
+    console.log(
+      `  ${p.role.padEnd(10)} ${p.name} (${p.category}) — ${p.price}${walk}`,
+    );
+    if (p.costEstimate) {
+      const split = people > 1 && p.partyCost ? ` (${p.partyCost})` : "";
+      console.log(`${" ".repeat(13)}expect ${p.costEstimate}${split}`);
+    }
+    if (p.priceEstimate) console.log(`${" ".repeat(13)}${p.priceEstimate}`);
+  }
+  if (report.dataErrors) {
+    console.log(`\n${report.dataErrors} data errors — run make validate`);
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Validate every JSON file `loadData()` reads (same checks as the `#/data/health` tab), once per
+ * city in `data/cities.json`. Exits non-zero when any file has schema errors; warnings are printed
+ * but do not fail.
+ *
+ *   node scripts/validate_data.mjs
+ */
+
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  CITY_PROFILES_FILE,
+  cityDataPath,
+  getCityProfiles,
+  setActiveCityProfile,
+  setCityProfiles,
+} from "../src/shared/city-profile.mjs";
+import {
+  parkingDatasetsWithFiles,
+  setParkingDatasetManifest,
+} from "../src/shared/parking-datasets.mjs";
+import { readPublishedStreetGraph } from "../src/shared/data-loader.mjs";
+import {
+  formatDataHealthReportLines,
+  validateDataFiles,
+} from "../src/shared/data-validator.mjs";
+import { createFileDataReader } from "./lib/file-data-reader.mjs";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const readDataFile = createFileDataReader(ROOT);
+
+const cities = await readDataFile(CITY_PROFILES_FILE);
+setCityProfiles(cities.data);
+const profiles = getCityProfiles();
+let errorCount = cities.loadError ? 1 : 0;
+if (cities.loadError) {
+  console.log(
+    `error ${CITY_PROFILES_FILE}: could not load: ${cities.loadError}`,
+  );
+}
+
+for (const city of profiles) {
+  setActiveCityProfile(city.slug);
+  const manifest = await readDataFile(cityDataPath("manifest.json"));
+  setParkingDatasetManifest(manifest.data);
+  const datasetFiles = parkingDatasetsWithFiles();
+
+  const [
+    config,
+    destinations,
+    overrides,
+    aliases,
+    busRoutes,
+    walkGraph,
+    driveGraph,
+    ...parkingFiles
+  ] = await Promise.all([
+    readDataFile(cityDataPath("config.json")),
+    readDataFile(cityDataPath("destinations.json")),
+    readDataFile(cityDataPath("overrides.json")),
+    readDataFile(cityDataPath("parking-aliases.json")),
+    readDataFile(cityDataPath("bus/routes.json")),
+    readPublishedStreetGraph(readDataFile, manifest.data, "walk"),
+    readPublishedStreetGraph(readDataFile, manifest.data, "drive"),
+    ...datasetFiles.map(({ file }) =>
+      readDataFile(cityDataPath(`parking/${file}`)),
+    ),
+  ]);
+
+  const report = validateDataFiles({
+    cities,
+    manifest,
+    config,
+    destinations,
+    overrides,
+    aliases,
+    parking: datasetFiles.map(({ key }, i) => ({
+      ...parkingFiles[i],
+      key,
+    })),
+    busRoutes,
+    walkGraph,
+    driveGraph,
+  });
+
+  if (profiles.length > 1) console.log(`# ${city.name} (${city.dataDir})`);
+  for (const line of formatDataHealthReportLines(report)) console.log(line);
+  errorCount += report.errors.length;
+}
+
+process.exitCode = errorCount ? 1 : 0;
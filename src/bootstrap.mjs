@@ -8,16 +8,31 @@ import {
   isDestinationHiddenFromPublicMaps,
   haversineMiles,
   roundCoord5,
-  MODES_PAGE_EMPTY_MAP_CENTER,
   PARKING_PRICE_NOT_LISTED_LABEL,
   getParkingDataViewOverrideSourceFields,
 } from "./shared/data-loader.mjs";
+import {
+  cityMapCenter,
+  defaultCityProfile,
+  getActiveCityProfile,
+  parseCityVisitPath,
+} from "./shared/city-profile.mjs";
+import { registerOfflineSupport } from "./offline.mjs";
 import {
   compareParkingDataViewPointsForPaintOrder,
   hexToRgba,
   parkingDatasetSwatchHtml,
   styleForParkingDatasetKey,
 } from "./shared/parking-map-marker-styles.mjs";
+import {
+  dataViewCanonicalParkingDatasetKey,
+  dataViewParkingSourceKeysForPrimary,
+  dataViewPrimaryParkingDatasets,
+  getParkingDatasets,
+  isDriveParkingDataset,
+  parkingDatasetByKey,
+} from "./shared/parking-datasets.mjs";
+import { getDataViewOsmAvailabilityRows } from "./shared/osm-availability.mjs";
 import {
   getDataViewParkingPricingRows,
   parkingSpotHasKnownCost,
@@ -25,67 +40,27 @@ import {
 import {
   hideParkingView,
   isParkingRoute,
-  parseTotalSpacesFromAvailability,
   prepareParkingShellVisibility,
   renderParkingView,
 } from "./visit/visit.mjs";
-
-// Convert time from HMM or HHMM (12-hour) to HH:MM (24-hour) from URL
-// All times are PM since the dropdown only has 5pm-10pm
-function timeFromUrl(urlTime) {
-  // Handle formats like "830" (8:30 PM = 20:30) or "500" (5:00 PM = 17:00) or "1000" (10:00 PM = 22:00)
-  if (urlTime.length === 3) {
-    // Format: HMM (e.g., "830" = 8:30 PM = 20:30)
-    const hour12 = parseInt(urlTime[0], 10);
-    const minutes = urlTime.slice(1);
-    // All times are PM (5pm-10pm range)
-    const hour24 = hour12 + 12;
-    return hour24.toString().padStart(2, "0") + ":" + minutes;
-  } else if (urlTime.length === 4) {
-    // Format: HHMM (e.g., "1000" = 10:00 PM = 22:00)
-    // Handle both 12-hour format (10-12) and 24-hour format (17-22) for backwards compatibility
-    const hourPart = parseInt(urlTime.slice(0, 2), 10);
-    const minutes = urlTime.slice(2);
-    let hour24;
-    if (hourPart >= 17 && hourPart <= 22) {
-      // Already in 24-hour format (for backwards compatibility)
-      hour24 = hourPart;
-    } else if (hourPart >= 10 && hourPart <= 12) {
-      // 10pm-12pm in 12-hour format
-      hour24 = hourPart === 12 ? 12 : hourPart + 12;
-    } else {
-      // 5-9 in 12-hour format (should use 3-digit format, but handle 2-digit here too)
-      hour24 = hourPart + 12;
-    }
-    return hour24.toString().padStart(2, "0") + ":" + minutes;
-  }
-  return urlTime; // Fallback if already in HH:MM format
-}
+import { parseTotalSpacesFromAvailability } from "./visit/parking-recommendation.mjs";
+import { timeFromUrl } from "./shared/visit-time.mjs";
 
 // Same symbols/labels as the visit page mode buttons (index.html)
 const MODE_DISPLAY_LABELS = {
   drive: "🚗 Drive",
   rideshare: "🚕 Uber/Lyft",
-  transit: "🚌 The Rapid",
-  shuttle: "🚐 DASH",
   micromobility: "🛴 Lime",
   bike: "🚲 Bike",
 };
 
-/** Short explainer for #/modes (how the visit page uses each mode). */
-const MODE_PAGE_DESCRIPTIONS = {
-  drive:
-    "You take your own car and park in a garage, surface lot, or at a meter. The visit page maps garages and lots near DASH stops and shows event-oriented pricing when venues publish it.",
-  rideshare:
-    "Uber or Lyft picks you up and drops you off near the venue. Enable this when you are open to paying for a direct ride—fares often run higher on event nights due to surge pricing.",
-  transit:
-    "The Rapid (bus) gets you to a stop near the destination; you walk the last part. On the visit page, links can open Google Maps to search for transit stops near the venue.",
-  micromobility:
-    "Shared Lime scooters and bikes for short trips downtown. Unlock with the Lime app. The map shows Lime parking areas from our data—use them to end a ride legally near where you are going.",
-  shuttle:
-    "The free DASH shuttle loops through downtown and connects many garages and streets to stops near venues. You usually walk from the nearest stop to the door.",
-  bike: "You ride your own bicycle and park at a public rack. Pins are bike parking locations from OpenStreetMap near downtown Grand Rapids.",
-};
+/** Mode button label; transit and shuttle carry the active city's agency and shuttle names. */
+function modeDisplayLabel(mode) {
+  const city = getActiveCityProfile();
+  if (mode === "transit" && city) return `🚌 ${city.transit.agency}`;
+  if (mode === "shuttle" && city) return `🚐 ${city.shuttle.name}`;
+  return MODE_DISPLAY_LABELS[mode] || mode;
+}
 
 /** Order of modes on #/modes (DASH before The Rapid). */
 const MODES_PAGE_ORDER = [
@@ -99,10 +74,12 @@ const MODES_PAGE_ORDER = [
 
 const MODES_PAGE_EMPTY_MAP_ZOOM = 13;
 
-/** Downtown Grand Rapids — matches scripts/fetch_bus_routes.py for #/data/routes stops. */
-const DATA_ROUTES_CITY_CENTER_LAT = 42.96333;
-const DATA_ROUTES_CITY_CENTER_LON = -85.66806;
-const DATA_ROUTES_STOP_MAX_MILES_FROM_CENTER = 1.5;
+/** Bus stops within the active city's **`transitStopRadiusMiles`** of its center (matches `scripts/fetch_bus_routes.py`). */
+function isBusStopNearCityCenter(lat, lng) {
+  const city = getActiveCityProfile();
+  const [cLat, cLon] = cityMapCenter();
+  return haversineMiles(cLat, cLon, lat, lng) <= city.transitStopRadiusMiles;
+}
 
 let validModes = null;
 
@@ -245,19 +222,37 @@ function rewriteDeferredDestinationHashIfNeeded() {
   if (window.location.hash !== next) window.location.hash = next;
 }
 
-const MODES_PAGE_PARKING_KEYS = [
-  "garages",
-  "lots",
-  "osmGarages",
-  "osmLots",
-  "airGarageGarages",
-  "airGarageLots",
-  "ellisGarages",
-  "ellisLots",
-  "meters",
-  "racks",
-  "micromobility",
-];
+/**
+ * City a `#/visit/<city>/<venue>` hash asks for; "" for the default city's `#/visit/<venue>`
+ * links. Before profiles load, a lone segment is passed through and `loadData()` falls back to the
+ * default city when it names a venue.
+ */
+function visitRouteCitySlug() {
+  const raw = window.location.hash.slice(1);
+  const qIdx = raw.indexOf("?");
+  const pathPart = qIdx >= 0 ? raw.slice(0, qIdx) : raw;
+  if (!appData) return pathPart.replace(/^\/visit\/?/, "").split("/")[0];
+  return parseCityVisitPath(pathPart).citySlug;
+}
+
+/** Reload data when a `#/visit` hash switches cities; other routes keep the active city. */
+async function loadCityForVisitRouteIfChanged() {
+  const want = visitRouteCitySlug() || defaultCityProfile()?.slug;
+  if (!appData || !want || appData.city?.slug === want) return;
+  await loadData(want);
+  validModes = appData?.validModes ?? null;
+  window.appData = appData;
+  syncCityNameText();
+}
+
+/** Static copy in `index.html` that names the city (`data-city-name`). */
+function syncCityNameText() {
+  const name = getActiveCityProfile()?.name;
+  if (!name) return;
+  for (const el of document.querySelectorAll("[data-city-name]")) {
+    el.textContent = name;
+  }
+}
 
 let modesPageMaps = {};
 
@@ -316,9 +311,9 @@ function parkingItemsToModesPagePoints(items, defaultLabel) {
 function getParkingCategoryKeysForPlannerMode(mode) {
   const parking = appData?.parking;
   if (!parking?.modes) return [];
-  return MODES_PAGE_PARKING_KEYS.filter((key) =>
-    (parking.modes[key] || []).includes(mode),
-  );
+  return getParkingDatasets()
+    .map((d) => d.key)
+    .filter((key) => (parking.modes[key] || []).includes(mode));
 }
 
 function destinationsToModesPagePoints() {
@@ -365,7 +360,7 @@ function getModesPageMapPoints(mode) {
 }
 
 /**
- * Stops + polylines for modes-page maps (shuttle = DASH, transit = The Rapid).
+ * Stops + polylines for modes-page maps (shuttle = DASH, transit = The Rapid in Grand Rapids).
  * Rapid/transit maps are stops-only (no route polylines); DASH shows lines + stops.
  * @returns {{ points: Array<{lat:number,lng:number,label:string,address:string}>, polylines: Array<{latLngs:number[][], color:string, weight?:number}> }}
  */
@@ -376,14 +371,15 @@ function getModesPageTransitMapData(mode) {
   const dashList = Array.isArray(bus?.dash_routes) ? bus.dash_routes : [];
   const rapidList = Array.isArray(bus?.rapid_routes) ? bus.rapid_routes : [];
   const legacyList = Array.isArray(bus?.routes) ? bus.routes : [];
+  const city = getActiveCityProfile();
   let routes;
   let defaultLineColor;
   if (mode === "shuttle") {
     routes = dashList.length > 0 ? dashList : legacyList;
-    defaultLineColor = "#933145";
+    defaultLineColor = city.shuttle.color;
   } else {
     routes = rapidList;
-    defaultLineColor = "#2563eb";
+    defaultLineColor = city.transit.color;
   }
   const colorForRoute = (hex, fallbackHex) => {
     if (typeof hex === "string" && hex.trim() !== "") {
@@ -395,7 +391,8 @@ function getModesPageTransitMapData(mode) {
   };
   const points = [];
   const polylines = [];
-  const groupLabel = mode === "shuttle" ? "DASH" : "The Rapid";
+  const groupLabel =
+    mode === "shuttle" ? city.shuttle.name : city.transit.agency;
   for (const r of routes) {
     const lineLabel = [r.route_short_name, r.route_long_name]
       .filter((x) => typeof x === "string" && x.trim() !== "")
@@ -421,15 +418,7 @@ function getModesPageTransitMapData(mode) {
     for (const s of r.stops || []) {
       if (typeof s.latitude !== "number" || typeof s.longitude !== "number")
         continue;
-      if (
-        haversineMiles(
-          DATA_ROUTES_CITY_CENTER_LAT,
-          DATA_ROUTES_CITY_CENTER_LON,
-          s.latitude,
-          s.longitude,
-        ) > DATA_ROUTES_STOP_MAX_MILES_FROM_CENTER
-      )
-        continue;
+      if (!isBusStopNearCityCenter(s.latitude, s.longitude)) continue;
       points.push({
         lat: s.latitude,
         lng: s.longitude,
@@ -480,9 +469,9 @@ function renderModesPageMap(containerId, points, options) {
       '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
   }).addTo(map);
   if (showEmptyViewport) {
-    map.setView(MODES_PAGE_EMPTY_MAP_CENTER, MODES_PAGE_EMPTY_MAP_ZOOM);
+    map.setView(cityMapCenter(), MODES_PAGE_EMPTY_MAP_ZOOM);
     map._modesLastSetView = {
-      center: MODES_PAGE_EMPTY_MAP_CENTER,
+      center: cityMapCenter(),
       zoom: MODES_PAGE_EMPTY_MAP_ZOOM,
     };
     delete map._modesLastFitLatLngs;
@@ -560,18 +549,18 @@ function renderModesPageMap(containerId, points, options) {
       map._modesLastFitOptions = fitOpts;
       delete map._modesLastSetView;
     } else {
-      map.setView(MODES_PAGE_EMPTY_MAP_CENTER, MODES_PAGE_EMPTY_MAP_ZOOM);
+      map.setView(cityMapCenter(), MODES_PAGE_EMPTY_MAP_ZOOM);
       map._modesLastSetView = {
-        center: MODES_PAGE_EMPTY_MAP_CENTER,
+        center: cityMapCenter(),
         zoom: MODES_PAGE_EMPTY_MAP_ZOOM,
       };
       delete map._modesLastFitLatLngs;
       delete map._modesLastFitOptions;
     }
   } else {
-    map.setView(MODES_PAGE_EMPTY_MAP_CENTER, MODES_PAGE_EMPTY_MAP_ZOOM);
+    map.setView(cityMapCenter(), MODES_PAGE_EMPTY_MAP_ZOOM);
     map._modesLastSetView = {
-      center: MODES_PAGE_EMPTY_MAP_CENTER,
+      center: cityMapCenter(),
       zoom: MODES_PAGE_EMPTY_MAP_ZOOM,
     };
     delete map._modesLastFitLatLngs;
@@ -626,9 +615,9 @@ function renderModesPageInto(sectionsEl, options) {
   const modes = modesPageOrderedList();
   const parts = [];
   for (const mode of modes) {
-    const title = MODE_DISPLAY_LABELS[mode] || mode;
+    const title = modeDisplayLabel(mode);
     const body =
-      MODE_PAGE_DESCRIPTIONS[mode] ||
+      getActiveCityProfile()?.modeDescriptions[mode] ||
       "This option is available on the visit page when you select it in your travel modes.";
     const headingId = `${headingIdPrefix}${mode}-heading`;
     const mapId = `${mapIdPrefix}${mode}`;
@@ -643,7 +632,7 @@ function renderModesPageInto(sectionsEl, options) {
       mode === "transit" || mode === "shuttle"
         ? hasTransitMapData
           ? ""
-          : `<p class="text-xs text-slate-500 mt-2">Stop and route data are not loaded yet; map shows downtown Grand Rapids.</p>`
+          : `<p class="text-xs text-slate-500 mt-2">Stop and route data are not loaded yet; map shows downtown ${escapeHtml(getActiveCityProfile()?.name || "")}.</p>`
         : "";
     const mapBlock = `<div id="${mapId}" class="modes-page-map rounded-lg border border-slate-200 overflow-hidden z-0" role="img" aria-label="Map for ${escapeHtml(title)}"></div>${emptyDataNote}`;
     parts.push(
@@ -815,12 +804,20 @@ function dataDestinationsHiddenOnlyIconSvg() {
   );
 }
 
-const DATA_VIEW_TAB_IDS = ["destinations", "parking", "routes"];
+const DATA_VIEW_TAB_IDS = [
+  "destinations",
+  "parking",
+  "routes",
+  "overrides",
+  "health",
+];
 
 const DATA_VIEW_TAB_LABELS = {
   destinations: "Destinations",
   parking: "Parking",
   routes: "Routes",
+  overrides: "Overrides",
+  health: "Health",
 };
 
 const DATA_VIEW_DEFAULT_TAB = "destinations";
@@ -843,6 +840,127 @@ function renderDataViewTabs(activeTab) {
   }).join("");
 }
 
+/** `#/data/health` — per-file counts, then every error and warning from `validateDataFiles()`. */
+function dataHealthReportHtml(report) {
+  if (!report) {
+    return '<p class="text-sm text-slate-600">No health report (data did not load).</p>';
+  }
+  const errorCount = report.errors.length;
+  const warningCount = report.warnings.length;
+  const summary =
+    errorCount === 0 && warningCount === 0
+      ? "All data files match their schemas."
+      : `${errorCount} error${errorCount === 1 ? "" : "s"}, ${warningCount} warning${warningCount === 1 ? "" : "s"}`;
+  const fileRows = report.files
+    .map((f) => {
+      const status =
+        f.errorCount > 0
+          ? "data-health-status--error"
+          : f.warningCount > 0
+            ? "data-health-status--warning"
+            : "data-health-status--ok";
+      return `<tr class="${status}"><td class="py-1 pr-4 font-mono">${escapeHtml(f.file)}</td><td class="py-1 pr-4 text-right">${f.errorCount}</td><td class="py-1 text-right">${f.warningCount}</td></tr>`;
+    })
+    .join("");
+  const issueItems = [
+    ...report.errors.map((issue) => ["error", issue]),
+    ...report.warnings.map((issue) => ["warning", issue]),
+  ]
+    .map(
+      ([severity, { file, path, message }]) =>
+        `<li class="data-health-issue data-health-issue--${severity}"><span class="font-medium">${severity === "error" ? "Error" : "Warning"}</span> <span class="font-mono">${escapeHtml(file)}${path ? ` ${escapeHtml(path)}` : ""}</span>: ${escapeHtml(message)}</li>`,
+    )
+    .join("");
+  return (
+    `<p id="dataHealthSummary" class="text-sm font-medium mb-3">${escapeHtml(summary)}</p>` +
+    `<table class="data-health-files text-sm mb-4"><thead><tr class="text-left text-slate-500"><th class="pr-4 font-medium">File</th><th class="pr-4 font-medium text-right">Errors</th><th class="font-medium text-right">Warnings</th></tr></thead><tbody>${fileRows}</tbody></table>` +
+    (issueItems
+      ? `<ul class="data-health-issues space-y-1 text-sm">${issueItems}</ul>`
+      : "")
+  );
+}
+
+/** `#/data/overrides` — audit status (`appData.overrideAudit`) → label, dot color, and list order. */
+const DATA_OVERRIDE_STATUSES = {
+  orphan: { label: "Orphan", color: "#b91c1c", order: 0 },
+  invalid: { label: "Invalid", color: "#64748b", order: 1 },
+  multiple: { label: "Several pins", color: "#b45309", order: 2 },
+  standalone: { label: "Standalone", color: "#2563eb", order: 3 },
+  matched: { label: "Matched", color: "#15803d", order: 4 },
+};
+
+/** One line under an override row: what it hit, or what to change. */
+function dataOverrideAuditDetail(entry) {
+  if (entry.status === "matched") {
+    return `Applies to "${entry.pin.name}" (${entry.pin.key})`;
+  }
+  if (entry.status === "multiple") {
+    return `${entry.candidates} pins within ${entry.toleranceMiles} mi — applies to "${entry.pin.name}" (${entry.pin.key}); lower matchToleranceMiles`;
+  }
+  if (entry.status === "standalone") {
+    return `No ${entry.key} pin here — shown as its own pin`;
+  }
+  if (entry.status === "orphan") return entry.fix.message;
+  return entry.key
+    ? "Missing latitude/longitude"
+    : `Unknown category ${JSON.stringify(entry.category)}`;
+}
+
+/** `#/data/overrides` — every `data/overrides.json` entry by match status, orphans first with a fix to copy. */
+function dataOverrideAuditHtml(audit) {
+  if (!Array.isArray(audit) || audit.length === 0) {
+    return '<p id="dataOverridesSummary" class="text-sm text-slate-600">No entries in data/overrides.json.</p>';
+  }
+  const counts = Object.keys(DATA_OVERRIDE_STATUSES)
+    .map((status) => [status, audit.filter((e) => e.status === status).length])
+    .filter(([, n]) => n > 0)
+    .map(
+      ([status, n]) =>
+        `${n} ${DATA_OVERRIDE_STATUSES[status].label.toLowerCase()}`,
+    );
+  const summary = `${audit.length} override${audit.length === 1 ? "" : "s"}: ${counts.join(", ")}`;
+  const rows = [...audit]
+    .sort(
+      (a, b) =>
+        DATA_OVERRIDE_STATUSES[a.status].order -
+          DATA_OVERRIDE_STATUSES[b.status].order || a.index - b.index,
+    )
+    .map((entry) => {
+      const status = DATA_OVERRIDE_STATUSES[entry.status];
+      const name = entry.name || entry.pin?.name || "Unnamed";
+      const nameHtml =
+        entry.latitude != null
+          ? `<button type="button" class="data-override-locate font-medium underline" data-override-index="${entry.index}">${escapeHtml(name)}</button>`
+          : `<span class="font-medium">${escapeHtml(name)}</span>`;
+      const fixHtml = entry.fix
+        ? `<pre class="data-override-fix">${escapeHtml(JSON.stringify(entry.fix.override, null, 2))}</pre>` +
+          `<button type="button" class="data-view-toggle-btn data-override-copy-fix" data-override-index="${entry.index}">Copy fix</button>`
+        : "";
+      return (
+        `<li class="data-override-row data-override-row--${entry.status}">` +
+        `<span class="data-override-status" style="color:${status.color}">${escapeHtml(status.label)}</span> ` +
+        `<span class="font-mono text-slate-500">[${entry.index}]</span> ${nameHtml} ` +
+        `<span class="font-mono text-slate-500">${escapeHtml(String(entry.category ?? ""))}</span>` +
+        `<div class="text-slate-600">${escapeHtml(dataOverrideAuditDetail(entry))}</div>${fixHtml}</li>`
+      );
+    })
+    .join("");
+  return (
+    `<p id="dataOverridesSummary" class="text-sm font-medium mb-3">${escapeHtml(summary)}</p>` +
+    `<ul class="data-override-list space-y-2 text-sm">${rows}</ul>`
+  );
+}
+
+function openDataMapOverridePopup(index) {
+  if (!dataMap || !dataMapMarkersLayer) return;
+  document.getElementById("dataViewMap")?.scrollIntoView({ block: "nearest" });
+  dataMapMarkersLayer.eachLayer((layer) => {
+    if (layer._dataOverrideIndex !== index) return;
+    layer.openPopup();
+    dataMap.panTo(layer.getLatLng());
+  });
+}
+
 function dataViewToggleButtonHtml(className, mode, label) {
   return `<button type="button" class="data-view-toggle-btn ${className}" data-mode="${escapeHtml(mode)}" aria-pressed="false" title="${escapeHtml(label)}">${label}</button>`;
 }
@@ -868,7 +986,10 @@ function updateDataViewMap(points, options) {
   }
   container.classList.remove("hidden");
   if (typeof L === "undefined") return;
-  if (pointList.length > 0 && pointList.every((p) => p.parkingItem != null)) {
+  if (
+    pointList.length > 0 &&
+    pointList.every((p) => p.parkingItem != null || p.dedupeDrop != null)
+  ) {
     pointList = [...pointList].sort(compareParkingDataViewPointsForPaintOrder);
   }
   let centerLat;
@@ -912,6 +1033,7 @@ function updateDataViewMap(points, options) {
       color,
       weight: typeof pl.weight === "number" ? pl.weight : 5,
       opacity: 0.88,
+      dashArray: typeof pl.dashArray === "string" ? pl.dashArray : null,
     }).addTo(dataMapPolylinesLayer);
   });
   const tableStyle =
@@ -928,6 +1050,8 @@ function updateDataViewMap(points, options) {
       (p.destinationName != null && p.slug == null);
     const isDestination = p.isDestination === true;
     const isParking = p.parkingItem != null;
+    const overrideAudit = p.overrideAudit ?? null;
+    const dedupeDrop = p.dedupeDrop ?? null;
     const parkingDotStyle =
       isParking && p.parkingDatasetKey
         ? styleForParkingDatasetKey(p.parkingDatasetKey)
@@ -946,8 +1070,25 @@ function updateDataViewMap(points, options) {
         iconSize: [12, 12],
         iconAnchor: [6, 6],
       });
+    } else if (dedupeDrop) {
+      const dropStyle = styleForParkingDatasetKey(dedupeDrop.key);
+      markerOptions.icon = L.divIcon({
+        className: "data-view-parking-dot-marker data-view-dedupe-dot-marker",
+        html: `<span style="display:block;width:12px;height:12px;border-radius:50%;background:${hexToRgba(dropStyle.fillColor, 0.25)};border:2px dashed ${dropStyle.color};box-sizing:border-box"></span>`,
+        iconSize: [12, 12],
+        iconAnchor: [6, 6],
+      });
+    } else if (overrideAudit) {
+      const color = DATA_OVERRIDE_STATUSES[overrideAudit.status].color;
+      markerOptions.icon = L.divIcon({
+        className: "data-view-parking-dot-marker",
+        html: `<span style="display:block;width:14px;height:14px;border-radius:50%;background:${hexToRgba(color, 0.7)};border:2px solid ${color};box-sizing:border-box"></span>`,
+        iconSize: [14, 14],
+        iconAnchor: [7, 7],
+      });
     }
     const marker = L.marker([p.lat, p.lng], markerOptions);
+    if (overrideAudit) marker._dataOverrideIndex = overrideAudit.index;
     if (p.parkingDatasetKey) marker._parkingDatasetKey = p.parkingDatasetKey;
     if (isParking && p.parkingDatasetKey) {
       marker._dataParkingPinId =
@@ -1037,9 +1178,16 @@ function updateDataViewMap(points, options) {
           `<tr><th style="${thStyle}">Owner</th><td style="${tdStyle}">${ownerTd}</td></tr>`,
         );
       }
+      for (const r of getDataViewOsmAvailabilityRows(p.parkingItem)) {
+        rows.push(
+          `<tr><th style="${thStyle}">${escapeHtml(r.label)}</th><td style="${tdStyle}">${escapeHtml(r.value)}</td></tr>`,
+        );
+      }
       const pricingRows = getDataViewParkingPricingRows(
         p.parkingItem?.pricing,
         p.parkingDatasetKey,
+        p.parkingItem,
+        appData,
       );
       for (const pr of pricingRows) {
         const valueTd =
@@ -1050,9 +1198,10 @@ function updateDataViewMap(points, options) {
           `<tr><th style="${thStyle}">${escapeHtml(pr.label)}</th><td style="${tdStyle}">${valueTd}</td></tr>`,
         );
       }
-      const totalSpaces = parseTotalSpacesFromAvailability(
-        p.parkingItem?.availability,
-      );
+      const totalSpaces =
+        typeof p.parkingItem?.capacity === "number"
+          ? p.parkingItem.capacity
+          : parseTotalSpacesFromAvailability(p.parkingItem?.availability);
       const sizeText =
         typeof totalSpaces === "number" && Number.isFinite(totalSpaces)
           ? `${totalSpaces} total spaces`
@@ -1302,6 +1451,36 @@ function updateDataViewMap(points, options) {
         }
       });
       marker.bindPopup(div);
+    } else if (dedupeDrop) {
+      const { item, survivor } = dedupeDrop;
+      const categoryNames = appData?.parking?.categoryNames || {};
+      const removed = survivor
+        ? `Duplicate of "${survivor.name}" (${categoryNames[survivor.key] || survivor.key}), ${Math.round(dedupeDrop.miles * 5280)} ft away`
+        : "Skipped by the fetch script; no City or Ellis pin within 0.06 mi now";
+      const rows = [
+        ["Name", item.name || "Unnamed"],
+        ["Dataset", categoryNames[dedupeDrop.key] || dedupeDrop.key],
+        ["Address", typeof item.address === "string" ? item.address : ""],
+        ["Removed", removed],
+      ]
+        .filter(([, value]) => value)
+        .map(
+          ([label, value]) =>
+            `<tr><th style="${thStyle}">${label}</th><td style="${tdStyle}">${escapeHtml(value)}</td></tr>`,
+        );
+      popupContent = `<table style="${tableStyle}">${rows.join("")}</table>`;
+    } else if (overrideAudit) {
+      const rows = [
+        ["Override", `[${overrideAudit.index}]`],
+        ["Name", overrideAudit.name || "Unnamed"],
+        ["Category", String(overrideAudit.category ?? "")],
+        ["Status", DATA_OVERRIDE_STATUSES[overrideAudit.status].label],
+        ["Detail", dataOverrideAuditDetail(overrideAudit)],
+      ].map(
+        ([label, value]) =>
+          `<tr><th style="${thStyle}">${label}</th><td style="${tdStyle}">${escapeHtml(value)}</td></tr>`,
+      );
+      popupContent = `<table style="${tableStyle}">${rows.join("")}</table>`;
     } else if (p.label) {
       const labelRows = [
         `<tr><th style="${thStyle}">Name</th><td style="${tdStyle}">${escapeHtml(p.label)}</td></tr>`,
@@ -1413,8 +1592,14 @@ function renderDataView() {
 
   const activeTab = dataViewTabFromPath(path);
   const hideDetail =
-    path === "destinations" || path === "routes" || path === "parking";
+    path === "destinations" ||
+    path === "routes" ||
+    path === "parking" ||
+    path === "overrides" ||
+    path === "health";
   dataViewDetail.classList.toggle("hidden", hideDetail);
+  document.getElementById("dataViewHealth")?.classList.add("hidden");
+  document.getElementById("dataViewOverrides")?.classList.add("hidden");
   document.getElementById("dataViewParkingModes")?.classList.add("hidden");
   document.getElementById("dataViewDestinationsBar")?.classList.add("hidden");
   document.getElementById("dataViewRoutesModes")?.classList.add("hidden");
@@ -1425,6 +1610,54 @@ function renderDataView() {
     renderDataViewTabs(activeTab);
   }
 
+  if (path === "health") {
+    const healthEl = document.getElementById("dataViewHealth");
+    if (healthEl) {
+      healthEl.innerHTML = dataHealthReportHtml(appData.dataHealth);
+      healthEl.classList.remove("hidden");
+    }
+    return;
+  }
+
+  if (path === "overrides") {
+    const audit = Array.isArray(appData.overrideAudit)
+      ? appData.overrideAudit
+      : [];
+    const overridesEl = document.getElementById("dataViewOverrides");
+    if (overridesEl) {
+      overridesEl.innerHTML = dataOverrideAuditHtml(audit);
+      overridesEl.classList.remove("hidden");
+      overridesEl.querySelectorAll(".data-override-locate").forEach((btn) => {
+        btn.addEventListener("click", () =>
+          openDataMapOverridePopup(Number(btn.dataset.overrideIndex)),
+        );
+      });
+      overridesEl.querySelectorAll(".data-override-copy-fix").forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const entry = audit.find(
+            (e) => e.index === Number(btn.dataset.overrideIndex),
+          );
+          if (!entry?.fix) return;
+          navigator.clipboard
+            ?.writeText(JSON.stringify(entry.fix.override, null, 2))
+            .then(() => {
+              btn.textContent = "Copied!";
+              setTimeout(() => {
+                btn.textContent = "Copy fix";
+              }, 1500);
+            });
+        });
+      });
+    }
+    updateDataViewMap(
+      audit
+        .filter((e) => e.latitude != null && e.longitude != null)
+        .map((e) => ({ lat: e.latitude, lng: e.longitude, overrideAudit: e })),
+      { fitBoundsFromMarkersOnly: true },
+    );
+    return;
+  }
+
   if (path === "destinations") {
     const destinations = Array.isArray(appData.destinations)
       ? appData.destinations
@@ -1555,7 +1788,7 @@ function renderDataView() {
         dataViewToggleButtonHtml(
           "data-routes-mode-btn",
           mode,
-          MODE_DISPLAY_LABELS[mode] || mode,
+          modeDisplayLabel(mode),
         ),
       ).join("");
       dataViewRoutesModes.innerHTML = `
@@ -1645,15 +1878,7 @@ function renderDataView() {
             typeof s.latitude === "number" &&
             typeof s.longitude === "number"
           ) {
-            if (
-              haversineMiles(
-                DATA_ROUTES_CITY_CENTER_LAT,
-                DATA_ROUTES_CITY_CENTER_LON,
-                s.latitude,
-                s.longitude,
-              ) > DATA_ROUTES_STOP_MAX_MILES_FROM_CENTER
-            )
-              continue;
+            if (!isBusStopNearCityCenter(s.latitude, s.longitude)) continue;
             routePoints.push({
               lat: s.latitude,
               lng: s.longitude,
@@ -1664,15 +1889,18 @@ function renderDataView() {
         }
       }
     }
-    if (showDash) addRoutesToMap(dashList, "DASH", "#933145");
-    if (showRapid) addRoutesToMap(rapidList, "The Rapid", "#2563eb");
+    const city = getActiveCityProfile();
+    if (showDash)
+      addRoutesToMap(dashList, city.shuttle.name, city.shuttle.color);
+    if (showRapid)
+      addRoutesToMap(rapidList, city.transit.agency, city.transit.color);
     if (
       dashList.length === 0 &&
       rapidList.length === 0 &&
       legacyList.length > 0 &&
       showDash
     )
-      addRoutesToMap(legacyList, "DASH", "#933145");
+      addRoutesToMap(legacyList, city.shuttle.name, city.shuttle.color);
     updateDataViewMap(routePoints, {
       extraPolylines,
       fitBoundsFromMarkersOnly: true,
@@ -1683,15 +1911,10 @@ function renderDataView() {
 
   if (path === "parking") {
     replaceHashIfLegacyDataParkingCanonicalDataset();
-    const parkingKeys = [
-      { file: "garages", key: "garages" },
-      { file: "lots", key: "lots" },
-      { file: "osmGarages", key: "osmGarages" },
-      { file: "osmLots", key: "osmLots" },
-      { file: "meters", key: "meters" },
-      { file: "racks", key: "racks" },
-      { file: "micromobility", key: "micromobility" },
-    ];
+    const parkingKeys = dataViewPrimaryParkingDatasets().map((d) => ({
+      file: d.key,
+      key: d.key,
+    }));
     const parkingKeysWithData = parkingKeys.filter((p) =>
       dataParkingDatasetPrimaryHasAnyItems(p.key),
     );
@@ -1703,8 +1926,8 @@ function renderDataView() {
         ? datasetParam
         : "";
 
-    // Modes that have parking data: drive, micromobility (Lime), bike. When none selected, show all.
-    const PARKING_DATA_MODES = ["drive", "micromobility", "bike"];
+    // Modes that have parking data (manifest `modes`, in config `validModes` order). When none selected, show all.
+    const PARKING_DATA_MODES = dataParkingModesFromManifest();
     const modesParam = params.modes ? String(params.modes).trim() : "";
     const selectedModes =
       modesParam === ""
@@ -1717,6 +1940,10 @@ function renderDataView() {
     const qParamRaw = params.q != null ? String(params.q) : "";
     const qParamTrimmed = qParamRaw.trim();
     const costFilter = parseDataParkingCostFilter(params);
+    const showDeduplicated = parseDataParkingShowDeduplicated(params);
+    const dedupeDropped = Array.isArray(appData.dedupeDropped)
+      ? appData.dedupeDropped
+      : [];
     function dataParkingItemMatchesSearchQuery(item) {
       if (!qParamTrimmed) return true;
       const needle = qParamTrimmed.toLowerCase();
@@ -1754,6 +1981,7 @@ function renderDataView() {
         segments.push("pin=" + encodeURIComponent(String(opts.pin).trim()));
       if (opts.cost === "known" || opts.cost === "unknown")
         segments.push("cost=" + opts.cost);
+      if (opts.dedup) segments.push("dedup=1");
       return (
         "#/data/parking" + (segments.length > 0 ? "?" + segments.join("&") : "")
       );
@@ -1764,7 +1992,7 @@ function renderDataView() {
       selectedModes.length === 0
         ? parkingKeysWithData
         : parkingKeysWithData.filter((p) => {
-            const sourceKeys = dataParkingSourceKeysForPrimary(p.key);
+            const sourceKeys = dataViewParkingSourceKeysForPrimary(p.key);
             return sourceKeys.some((k) => {
               const categoryModes = appData.parking?.modes?.[k] || [];
               return categoryModes.some((m) => selectedModes.includes(m));
@@ -1825,7 +2053,7 @@ function renderDataView() {
         dataViewToggleButtonHtml(
           "data-parking-mode-btn",
           mode,
-          MODE_DISPLAY_LABELS[mode] || mode,
+          modeDisplayLabel(mode),
         ),
       ).join("");
       dataViewParkingModes.innerHTML = `
@@ -1854,6 +2082,10 @@ function renderDataView() {
                 <input type="checkbox" id="data-parking-known-cost-filter" class="data-parking-known-cost-filter rounded border-slate-300 text-sky-600 focus:ring-sky-500" aria-label="Filter parking by known cost" />
                 <span class="data-parking-known-cost-filter__text">Known cost</span>
               </label>
+              <label class="data-parking-dedup-label inline-flex shrink-0 items-center gap-1.5 whitespace-nowrap text-sm font-medium text-slate-700" title="OSM pins dropped as duplicates of a City or Ellis pin">
+                <input type="checkbox" id="data-parking-dedup-toggle" class="rounded border-slate-300 text-sky-600 focus:ring-sky-500"${showDeduplicated ? " checked" : ""} />
+                <span>Show deduplicated (${dedupeDropped.length})</span>
+              </label>
             </div>
           </div>
         </div>`;
@@ -1888,6 +2120,7 @@ function renderDataView() {
               q: current.q,
               pin: current.pin,
               cost: parseDataParkingCostFilter(current),
+              dedup: parseDataParkingShowDeduplicated(current),
             });
           });
         }
@@ -1947,6 +2180,7 @@ function renderDataView() {
                 q: snap.q,
                 pin: snap.pin,
                 cost: parseDataParkingCostFilter(snap),
+                dedup: parseDataParkingShowDeduplicated(snap),
               });
             });
           });
@@ -1983,6 +2217,7 @@ function renderDataView() {
             q: v || undefined,
             pin: snap.pin,
             cost: parseDataParkingCostFilter(snap),
+            dedup: parseDataParkingShowDeduplicated(snap),
           });
           if (window.location.hash !== next) window.location.hash = next;
         };
@@ -2071,9 +2306,33 @@ function renderDataView() {
             q: snap.q,
             pin: snap.pin,
             cost: nextCost === "all" ? undefined : nextCost,
+            dedup: parseDataParkingShowDeduplicated(snap),
           });
         });
       }
+      const dedupCheckbox = dataViewParkingModes.querySelector(
+        "#data-parking-dedup-toggle",
+      );
+      dedupCheckbox?.addEventListener("change", () => {
+        const snap = parseFragment();
+        const ds =
+          snap.dataset != null && String(snap.dataset).trim() !== ""
+            ? String(snap.dataset).trim()
+            : undefined;
+        window.location.hash = buildDataParkingHash({
+          dataset: ds,
+          modes: snap.modes
+            ? String(snap.modes)
+                .split(",")
+                .map((m) => m.trim())
+                .filter((m) => PARKING_DATA_MODES.includes(m))
+            : [],
+          q: snap.q,
+          pin: snap.pin,
+          cost: parseDataParkingCostFilter(snap),
+          dedup: dedupCheckbox.checked,
+        });
+      });
     }
 
     const filteredKeys = effectiveKey
@@ -2082,10 +2341,8 @@ function renderDataView() {
 
     const allParkingPoints = [];
     filteredKeys.forEach((p) => {
-      const sourceKeys = dataParkingSourceKeysForPrimary(p.key);
-      const mergeExtras = DATA_PARKING_MERGE_KEYS_BY_PRIMARY[p.key];
-      const useUnifiedCategoryName =
-        Array.isArray(mergeExtras) && mergeExtras.length > 0;
+      const sourceKeys = dataViewParkingSourceKeysForPrimary(p.key);
+      const useUnifiedCategoryName = sourceKeys.length > 1;
       for (const sk of sourceKeys) {
         const items = appData.parking?.[sk];
         const categoryName = useUnifiedCategoryName
@@ -2113,7 +2370,35 @@ function renderDataView() {
         }
       }
     });
-    updateDataViewMap(allParkingPoints);
+    const dedupePolylines = [];
+    if (showDeduplicated) {
+      const shownKeys = new Set(
+        filteredKeys.flatMap((p) => dataViewParkingSourceKeysForPrimary(p.key)),
+      );
+      for (const drop of dedupeDropped) {
+        if (!shownKeys.has(drop.key)) continue;
+        if (!dataParkingItemMatchesSearchQuery(drop.item)) continue;
+        if (!dataParkingItemMatchesKnownCostFilter(drop.item, drop.key))
+          continue;
+        const { latitude: lat, longitude: lng } = drop.item.location;
+        allParkingPoints.push({ lat, lng, dedupeDrop: drop });
+        if (drop.survivor) {
+          dedupePolylines.push({
+            latLngs: [
+              [lat, lng],
+              [drop.survivor.latitude, drop.survivor.longitude],
+            ],
+            color: styleForParkingDatasetKey(drop.key).color,
+            weight: 2,
+            dashArray: "4 4",
+          });
+        }
+      }
+    }
+    updateDataViewMap(allParkingPoints, {
+      extraPolylines: dedupePolylines,
+      fitBoundsFromMarkersOnly: true,
+    });
     openDataMapParkingPopupMatchingPin(params.pin);
 
     dataViewDetail.classList.add("hidden");
@@ -2126,20 +2411,7 @@ function renderDataView() {
 
   if (path.startsWith("parking/")) {
     const fileKey = path.slice("parking/".length);
-    const parkingKeys = {
-      garages: "garages",
-      lots: "lots",
-      osmGarages: "osmGarages",
-      osmLots: "osmLots",
-      airGarageGarages: "airGarageGarages",
-      airGarageLots: "airGarageLots",
-      ellisGarages: "ellisGarages",
-      ellisLots: "ellisLots",
-      meters: "meters",
-      racks: "racks",
-      micromobility: "micromobility",
-    };
-    const categoryKey = parkingKeys[fileKey] || fileKey;
+    const categoryKey = fileKey;
     const modeList =
       (appData.parking?.modes?.[categoryKey] || []).join(", ") || "—";
     title = `parking/${fileKey} (modes: ${modeList})`;
@@ -2152,20 +2424,7 @@ function renderDataView() {
   let points;
   if (path.startsWith("parking/") && Array.isArray(data)) {
     const fileKey = path.slice("parking/".length);
-    const parkingKeys = {
-      garages: "garages",
-      lots: "lots",
-      osmGarages: "osmGarages",
-      osmLots: "osmLots",
-      airGarageGarages: "airGarageGarages",
-      airGarageLots: "airGarageLots",
-      ellisGarages: "ellisGarages",
-      ellisLots: "ellisLots",
-      meters: "meters",
-      racks: "racks",
-      micromobility: "micromobility",
-    };
-    const categoryKey = parkingKeys[fileKey] || fileKey;
+    const categoryKey = fileKey;
     const categoryName =
       appData.parking?.categoryNames?.[categoryKey] || fileKey;
     points = data
@@ -2255,6 +2514,11 @@ function parseDataParkingCostFilter(params) {
   return "all";
 }
 
+/** `dedup=1` on `#/data/parking` draws `appData.dedupeDropped` pins linked to their survivors. */
+function parseDataParkingShowDeduplicated(params) {
+  return params?.dedup === "1";
+}
+
 function nextDataParkingCostFilter(current) {
   const i = DATA_PARKING_COST_FILTER_CYCLE.indexOf(current);
   return DATA_PARKING_COST_FILTER_CYCLE[
@@ -2267,7 +2531,7 @@ function replaceHashIfLegacyDataParkingCanonicalDataset() {
   const f = parseFragment();
   const raw = f.dataset != null ? String(f.dataset).trim() : "";
   if (!raw) return;
-  const canon = DATA_PARKING_DATASET_CANONICAL[raw];
+  const canon = dataViewCanonicalParkingDatasetKey(raw);
   if (!canon || canon === raw) return;
   const q = [];
   q.push(`dataset=${encodeURIComponent(canon)}`);
@@ -2277,6 +2541,7 @@ function replaceHashIfLegacyDataParkingCanonicalDataset() {
     q.push(`q=${encodeURIComponent(String(f.q).trim())}`);
   const cost = parseDataParkingCostFilter(f);
   if (cost !== "all") q.push(`cost=${cost}`);
+  if (parseDataParkingShowDeduplicated(f)) q.push("dedup=1");
   const next = "#/data/parking?" + q.join("&");
   if (window.location.hash !== next) history.replaceState(null, "", next);
 }
@@ -2295,6 +2560,7 @@ function replaceDataParkingHistoricalHash(nextPin) {
       q.push(`q=${encodeURIComponent(String(f.q).trim())}`);
     const cost = parseDataParkingCostFilter(f);
     if (cost !== "all") q.push(`cost=${cost}`);
+    if (parseDataParkingShowDeduplicated(f)) q.push("dedup=1");
   } else if (f.modes != null && String(f.modes).trim() !== "") {
     q.push(`modes=${encodeURIComponent(String(f.modes).trim())}`);
   }
@@ -2305,40 +2571,19 @@ function replaceDataParkingHistoricalHash(nextPin) {
   if (window.location.hash !== next) history.replaceState(null, "", next);
 }
 
-/** `appData.parking` key → `#/visit` `location=` / `park=` category id. */
-const DATA_VIEW_PARKING_KEY_TO_VISIT_CATEGORY = {
-  garages: "public-garage",
-  lots: "public-lot",
-  osmGarages: "private-garage",
-  osmLots: "private-lot",
-  airGarageGarages: "private-garage",
-  airGarageLots: "private-lot",
-  ellisGarages: "ellis-garage",
-  ellisLots: "ellis-lot",
-};
-
-/** `#/data/parking` — `osmGarages` / `osmLots` picker rows merge these `appData.parking` keys. */
-const DATA_PARKING_MERGE_KEYS_BY_PRIMARY = {
-  osmGarages: ["airGarageGarages", "ellisGarages"],
-  osmLots: ["airGarageLots", "ellisLots"],
-};
-
-/** Legacy `?dataset=` tokens from before private garages/lots merged in the dropdown. */
-const DATA_PARKING_DATASET_CANONICAL = {
-  airGarageGarages: "osmGarages",
-  ellisGarages: "osmGarages",
-  airGarageLots: "osmLots",
-  ellisLots: "osmLots",
-};
-
-function dataParkingSourceKeysForPrimary(primaryKey) {
-  const extra = DATA_PARKING_MERGE_KEYS_BY_PRIMARY[primaryKey];
-  return extra && extra.length ? [primaryKey, ...extra] : [primaryKey];
+/** Mode toggles on `#/data/parking`: every manifest mode, ordered like `config.validModes`. */
+function dataParkingModesFromManifest() {
+  const used = new Set(getParkingDatasets().flatMap((d) => d.modes));
+  const order = Array.isArray(appData?.validModes) ? appData.validModes : [];
+  return [
+    ...order.filter((m) => used.has(m)),
+    ...[...used].filter((m) => !order.includes(m)),
+  ];
 }
 
 function dataParkingDatasetPrimaryHasAnyItems(primaryKey) {
   const parking = appData?.parking;
-  return dataParkingSourceKeysForPrimary(primaryKey).some((k) => {
+  return dataViewParkingSourceKeysForPrimary(primaryKey).some((k) => {
     const arr = parking?.[k];
     return Array.isArray(arr) && arr.length > 0;
   });
@@ -2346,10 +2591,11 @@ function dataParkingDatasetPrimaryHasAnyItems(primaryKey) {
 
 /** Same shape as `#/visit` `park=` / overrides: `private-garage:42.958306,-85.676288` (6 dp). */
 function buildDataParkingVisitPinUrlId(datasetKey, lat, lng) {
-  const visitCat =
-    typeof datasetKey === "string"
-      ? DATA_VIEW_PARKING_KEY_TO_VISIT_CATEGORY[datasetKey]
-      : undefined;
+  const dataset =
+    typeof datasetKey === "string" ? parkingDatasetByKey(datasetKey) : null;
+  const visitCat = isDriveParkingDataset(dataset)
+    ? dataset.visitCategory
+    : undefined;
   if (
     !visitCat ||
     typeof lat !== "number" ||
@@ -2366,12 +2612,13 @@ function getModeLabel(mode) {
   return appData?.modeLabels[mode] || mode;
 }
 
-window.addEventListener("hashchange", () => {
+window.addEventListener("hashchange", async () => {
   migrateLegacyParkingRouteHash();
   migratePlannerRouteHash();
   normalizeUnknownHashRoute();
   rewriteDeferredDestinationHashIfNeeded();
   if (isParkingRoute()) {
+    await loadCityForVisitRouteIfChanged();
     hideModesView();
     hideDataView();
     renderParkingView();
@@ -2391,6 +2638,7 @@ window.addEventListener("hashchange", () => {
 });
 
 async function init() {
+  registerOfflineSupport();
   migrateLegacyParkingRouteHash();
   migratePlannerRouteHash();
   normalizeUnknownHashRoute();
@@ -2400,7 +2648,7 @@ async function init() {
   if (isParkingRoute()) {
     prepareParkingShellVisibility();
   }
-  await loadData();
+  await loadData(isParkingRoute() ? visitRouteCitySlug() : undefined);
   if (!appData) {
     const appView = document.getElementById("appView");
     if (appView) {
@@ -2419,6 +2667,7 @@ async function init() {
   }
   validModes = appData.validModes;
   window.appData = appData;
+  syncCityNameText();
 
   if (isDataRoute()) {
     renderDataView();
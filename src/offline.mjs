@@ -0,0 +1,81 @@
+/**
+ * Registers `sw.js` (offline app shell, data, and downtown tiles) and shows the
+ * "new parking data available" prompt when it reports a newer published **`dataVersion`**.
+ * New data only takes over after the user taps Reload, so an open plan never shifts under them.
+ * When a new worker (new code, see `APP_VERSION` in `sw.js`) takes over an open page, the same
+ * prompt offers a reload so the page stops running the old code.
+ *
+ * Skipped on localhost and under automation (live-server reloads would fight the cache) unless
+ * the URL has `?sw`.
+ */
+
+const SERVICE_WORKER_URL = "sw.js";
+
+function isServiceWorkerSkipped() {
+  const host = window.location.hostname;
+  const isLocal =
+    host === "localhost" ||
+    host === "127.0.0.1" ||
+    host === "[::1]" ||
+    host.endsWith(".localhost");
+  if (new URLSearchParams(window.location.search).has("sw")) return false;
+  return isLocal || navigator.webdriver;
+}
+
+function askForDataUpdate() {
+  navigator.serviceWorker.controller?.postMessage({ type: "check-data" });
+}
+
+/** Show the bottom prompt with `message`; its Reload button runs `onReload`. */
+function showUpdatePrompt(message, onReload) {
+  const prompt = document.getElementById("dataUpdatePrompt");
+  const reload = document.getElementById("dataUpdateReload");
+  if (!prompt || !reload) return;
+  const text = document.getElementById("dataUpdateMessage");
+  if (text) text.textContent = message;
+  reload.disabled = false;
+  reload.onclick = () => {
+    reload.disabled = true;
+    onReload();
+  };
+  prompt.classList.remove("hidden");
+}
+
+function showDataUpdatePrompt(dataVersion) {
+  showUpdatePrompt("New parking data available", () =>
+    navigator.serviceWorker.controller?.postMessage({
+      type: "activate-data",
+      dataVersion,
+    }),
+  );
+}
+
+function showAppUpdatePrompt() {
+  showUpdatePrompt("A new version of the app is available", () =>
+    window.location.reload(),
+  );
+}
+
+/** Register the service worker and wire its data-update messages; no-op when unsupported. */
+export function registerOfflineSupport() {
+  if (!("serviceWorker" in navigator) || isServiceWorkerSkipped()) return;
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data?.type === "data-update-ready") {
+      showDataUpdatePrompt(e.data.dataVersion);
+    } else if (e.data?.type === "data-activated") {
+      window.location.reload();
+    }
+  });
+  /** The first install also fires `controllerchange`; only a replaced worker means new code. */
+  let controlled = Boolean(navigator.serviceWorker.controller);
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (controlled) showAppUpdatePrompt();
+    controlled = true;
+    askForDataUpdate();
+  });
+  window.addEventListener("online", askForDataUpdate);
+  navigator.serviceWorker
+    .register(SERVICE_WORKER_URL)
+    .then(askForDataUpdate)
+    .catch((err) => console.warn("Service worker registration failed", err));
+}
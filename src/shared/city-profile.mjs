@@ -0,0 +1,158 @@
+/**
+ * City profiles from `data/cities.json`. Each **`cities`** entry holds everything that used to be a
+ * Grand Rapids constant: map **`center`**, the **`downtownRadiusMiles`** private-parking filter, the
+ * **`transitStopRadiusMiles`** stop filter, **`transit`** agency name / color / Transit-app link,
+ * **`shuttle`** branding, `#/modes` **`modeDescriptions`**, the IANA **`timeZone`** opening hours
+ * are read in, and the **`dataDir`** its config, destinations, manifest, parking, and bus files
+ * live under.
+ *
+ * `loadData(citySlug)` installs the profiles and activates one; everything below reads the active
+ * profile. The default city keeps short `#/visit/<venue>` links; other cities use
+ * `#/visit/<city>/<venue>`.
+ */
+
+/**
+ * @typedef {{
+ *   slug: string,
+ *   name: string,
+ *   dataDir: string,
+ *   center: { latitude: number, longitude: number },
+ *   downtownRadiusMiles: number,
+ *   transitStopRadiusMiles: number,
+ *   transit: { agency: string, color: string, appUrl?: string },
+ *   shuttle: { name: string, color: string },
+ *   modeDescriptions: Record<string, string>,
+ *   timeZone: string,
+ * }} CityProfile
+ */
+
+/** Time zone for profiles that omit **`timeZone`** (the app started in Grand Rapids). */
+export const DEFAULT_CITY_TIME_ZONE = "America/Detroit";
+
+/** Where the profile list lives — fixed, since it names every other data directory. */
+export const CITY_PROFILES_FILE = "data/cities.json";
+
+/** @type {CityProfile[]} */
+let profiles = [];
+let defaultSlug = "";
+/** @type {CityProfile | null} */
+let active = null;
+
+/**
+ * Install `data/cities.json` and activate its **`defaultCity`** (or the first entry). Entries
+ * without a string **`slug`** are skipped (the validator reports them).
+ * @param {unknown} json
+ * @returns {CityProfile[]}
+ */
+export function setCityProfiles(json) {
+  const list = Array.isArray(json?.cities) ? json.cities : [];
+  profiles = list
+    .filter((c) => c && typeof c === "object" && typeof c.slug === "string")
+    .map((c) => ({
+      ...c,
+      name: typeof c.name === "string" ? c.name : c.slug,
+      dataDir:
+        typeof c.dataDir === "string" && c.dataDir.trim()
+          ? c.dataDir.trim().replace(/\/+$/, "")
+          : "data",
+      transit: { agency: "Transit", color: "#2563eb", ...c.transit },
+      shuttle: { name: "Shuttle", color: "#933145", ...c.shuttle },
+      modeDescriptions:
+        c.modeDescriptions && typeof c.modeDescriptions === "object"
+          ? c.modeDescriptions
+          : {},
+      timeZone:
+        typeof c.timeZone === "string" && c.timeZone.trim()
+          ? c.timeZone.trim()
+          : DEFAULT_CITY_TIME_ZONE,
+    }));
+  defaultSlug = profiles.some((c) => c.slug === json?.defaultCity)
+    ? json.defaultCity
+    : (profiles[0]?.slug ?? "");
+  active = cityProfileBySlug(defaultSlug);
+  return profiles;
+}
+
+/** Every installed profile, in file order. */
+export function getCityProfiles() {
+  return profiles;
+}
+
+/** @returns {CityProfile | null} */
+export function cityProfileBySlug(slug) {
+  return profiles.find((c) => c.slug === slug) ?? null;
+}
+
+/** @returns {CityProfile | null} */
+export function defaultCityProfile() {
+  return cityProfileBySlug(defaultSlug);
+}
+
+/**
+ * Make `slug` the active city; unknown or empty slugs fall back to the default city.
+ * @returns {CityProfile | null}
+ */
+export function setActiveCityProfile(slug) {
+  active = cityProfileBySlug(slug) || defaultCityProfile();
+  return active;
+}
+
+/** @returns {CityProfile | null} */
+export function getActiveCityProfile() {
+  return active;
+}
+
+/** True when `slug` names an installed city (not a venue). */
+export function isCityProfileSlug(slug) {
+  return cityProfileBySlug(slug) != null;
+}
+
+/** Active city center as Leaflet `[lat, lng]`; null before `loadData()` installs profiles. */
+export function cityMapCenter() {
+  const c = active?.center;
+  if (typeof c?.latitude !== "number" || typeof c?.longitude !== "number")
+    return null;
+  return [c.latitude, c.longitude];
+}
+
+/** IANA time zone of the active city — parking hours and arrival times are wall-clock there. */
+export function cityTimeZone() {
+  return active?.timeZone || DEFAULT_CITY_TIME_ZONE;
+}
+
+/** `config.json` → `data/config.json` under the active city's **`dataDir`**. */
+export function cityDataPath(file) {
+  return `${active?.dataDir || "data"}/${file}`;
+}
+
+/**
+ * `#/visit` path for a venue in the active city: `/visit/<venue>` for the default city,
+ * `/visit/<city>/<venue>` (or `/visit/<city>`) otherwise.
+ * @param {string} [venueSlug]
+ */
+export function cityVisitPath(venueSlug) {
+  const segs = ["visit"];
+  if (active && active.slug !== defaultSlug) segs.push(active.slug);
+  if (venueSlug) segs.push(venueSlug);
+  return `/${segs.join("/")}`;
+}
+
+/**
+ * Split a `#/visit` path into city and venue slugs. A first segment that names a city wins over a
+ * venue with the same slug; `citySlug` is "" for the default city's short links.
+ * @param {string} pathPart — hash path without query (`/visit/lansing/lugnuts`)
+ * @returns {{ citySlug: string, venueSlug: string }}
+ */
+export function parseCityVisitPath(pathPart) {
+  const path = String(pathPart || "").replace(/\/$/, "");
+  if (!path.startsWith("/visit/")) return { citySlug: "", venueSlug: "" };
+  const segs = path
+    .slice("/visit/".length)
+    .split("/")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (segs.length >= 2) return { citySlug: segs[0], venueSlug: segs[1] };
+  if (segs.length === 1 && isCityProfileSlug(segs[0]))
+    return { citySlug: segs[0], venueSlug: "" };
+  return { citySlug: "", venueSlug: segs[0] || "" };
+}
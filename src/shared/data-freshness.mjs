@@ -0,0 +1,83 @@
+/**
+ * How old a parking price is. Datasets carry **`generatedAt`** (written by the fetch scripts);
+ * an item or `data/overrides.json` entry may carry its own **`verifiedAt`** when someone checked the
+ * posted rate by hand. Both are ISO dates (`2025-04-30` or a full timestamp). Prices older than
+ * `config.dataFreshness.staleAfterMonths` are flagged in `#/visit` popups and route steps.
+ */
+
+/** Months before a verified price counts as stale when `config.json` does not say. */
+export const DATA_FRESHNESS_DEFAULT_STALE_AFTER_MONTHS = 12;
+
+const ISO_DATE_RE =
+  /^(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/** True for `YYYY-MM-DD` or an ISO timestamp that parses to a real date. */
+export function isDataFreshnessDate(value) {
+  if (typeof value !== "string") return false;
+  const m = ISO_DATE_RE.exec(value.trim());
+  if (!m) return false;
+  const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return (
+    d.getUTCFullYear() === +m[1] &&
+    d.getUTCMonth() === +m[2] - 1 &&
+    d.getUTCDate() === +m[3]
+  );
+}
+
+/** `config.dataFreshness.staleAfterMonths` when it is a positive number, else the default. */
+export function dataFreshnessStaleAfterMonths(config) {
+  const v = config?.dataFreshness?.staleAfterMonths;
+  return typeof v === "number" && Number.isFinite(v) && v > 0
+    ? v
+    : DATA_FRESHNESS_DEFAULT_STALE_AFTER_MONTHS;
+}
+
+/**
+ * When a pin's price was last checked: the item's own **`verifiedAt`** (overrides copy theirs onto the
+ * pin), else its dataset's **`generatedAt`**; null when neither is a valid date.
+ * @param {{ verifiedAt?: unknown } | null | undefined} item
+ * @param {{ generatedAt?: Record<string, unknown> } | null | undefined} parking — `appData.parking`
+ * @param {string} datasetKey — `appData.parking` bucket the item came from
+ * @returns {string | null}
+ */
+export function parkingItemVerifiedAt(item, parking, datasetKey) {
+  if (isDataFreshnessDate(item?.verifiedAt)) return item.verifiedAt.trim();
+  const generated = parking?.generatedAt?.[datasetKey];
+  return isDataFreshnessDate(generated) ? generated.trim() : null;
+}
+
+/** Whole calendar months from `dateStr` to `now` (UTC), never negative. */
+export function monthsSinceDataFreshnessDate(dateStr, now = new Date()) {
+  const m = ISO_DATE_RE.exec(String(dateStr).trim());
+  if (!m) return NaN;
+  let months =
+    (now.getUTCFullYear() - +m[1]) * 12 + (now.getUTCMonth() - (+m[2] - 1));
+  if (now.getUTCDate() < +m[3]) months--;
+  return Math.max(0, months);
+}
+
+/**
+ * "Price last verified 3 months ago" and whether it is past the stale threshold.
+ * @param {string | null} verifiedAt — from {@link parkingItemVerifiedAt}
+ * @param {number} staleAfterMonths
+ * @param {Date} [now]
+ * @returns {{ text: string, stale: boolean } | null} null when the date is unknown
+ */
+export function parkingPriceFreshness(
+  verifiedAt,
+  staleAfterMonths,
+  now = new Date(),
+) {
+  if (!isDataFreshnessDate(verifiedAt)) return null;
+  const months = monthsSinceDataFreshnessDate(verifiedAt, now);
+  const ago =
+    months === 0
+      ? "this month"
+      : months === 1
+        ? "1 month ago"
+        : `${months} months ago`;
+  return {
+    text: `Price last verified ${ago}`,
+    stale: months >= staleAfterMonths,
+  };
+}
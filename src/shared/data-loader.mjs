@@ -1,17 +1,33 @@
 /**
- * Loads JSON under `data/` (config, destinations, parking, bus routes).
- * Shared so additional apps in `src/` can reuse the same datasets.
+ * Loads JSON under the active city's data directory (config, destinations, manifest-listed
+ * parking, bus routes). Shared so additional apps in `src/` can reuse the same datasets.
  */
 
-/** Downtown Grand Rapids — empty maps use this until route/stop data exists. */
-export const MODES_PAGE_EMPTY_MAP_CENTER = [42.96333, -85.66806];
+import {
+  CITY_PROFILES_FILE,
+  cityDataPath,
+  cityMapCenter,
+  getActiveCityProfile,
+  setActiveCityProfile,
+  setCityProfiles,
+} from "./city-profile.mjs";
+import { isDataFreshnessDate } from "./data-freshness.mjs";
+import { validateDataFiles } from "./data-validator.mjs";
+import {
+  getParkingDatasets,
+  isDriveParkingDataset,
+  parkingDatasetByKey,
+  parkingDatasetsWithFiles,
+  parkingOverrideCategoryToKey,
+  setParkingDatasetManifest,
+} from "./parking-datasets.mjs";
+import { parseEllisAvailability } from "./ellis-availability.mjs";
+import { parseOsmAvailability } from "./osm-availability.mjs";
+import { createSpatialIndex } from "./spatial-index.mjs";
 
 /** Private OSM garages/lots with no `pricing` — map popups and data view. */
 export const PARKING_PRICE_NOT_LISTED_LABEL = "Not listed";
 
-/** Same 1.75 mi from MODES_PAGE_EMPTY_MAP_CENTER as fetch_bike_parking.py, fetch_car_parking_osm.py, fetch_car_parking_arcgis.py (surface lots), etc. */
-export const DOWNTOWN_PARKING_MAX_MILES_FROM_CENTER = 1.75;
-
 /**
  * OSM pins within this Haversine distance (mi) of a **same-kind** City (ArcGIS)
  * centroid are dropped: **`osmGarages`** vs public **garages** only, **`osmLots`**
@@ -19,6 +35,7 @@ export const DOWNTOWN_PARKING_MAX_MILES_FROM_CENTER = 1.75;
  * The same radius drops **`osmGarages`** / **`osmLots`** pins near **any** Ellis
  * garage or lot centroid (Ellis wins over duplicate OSM tagging).
  * Must match `OFFICIAL_VS_OSM_DEDUP_MILES` in `scripts/fetch_car_parking_osm.py`.
+ * Dropped pins are kept in `appData.dedupeDropped` ("Show deduplicated" on `#/data/parking`).
  */
 const OFFICIAL_VS_OSM_DEDUP_MILES = 0.06;
 
@@ -62,54 +79,74 @@ export function roundCoord5(n) {
   return Math.round(n * 1e5) / 1e5;
 }
 
-/** @param {"garages" | "lots"} officialKey */
-function collectOfficialDriveParkingLatLngs(parking, officialKey) {
-  const out = [];
-  const items = parking[officialKey];
-  if (!Array.isArray(items)) return out;
-  for (const item of items) {
-    const loc = item?.location;
-    if (
-      loc &&
-      typeof loc.latitude === "number" &&
-      typeof loc.longitude === "number"
-    ) {
-      out.push([loc.latitude, loc.longitude]);
-    }
+/**
+ * Pin index per dataset array. Assembly passes that add or drop pins give the bucket a new array,
+ * so an index stays valid for as long as its array is the bucket.
+ * @type {WeakMap<unknown[], import("./spatial-index.mjs").SpatialIndex>}
+ */
+const parkingIndexByArray = new WeakMap();
+
+/**
+ * {@link createSpatialIndex} over **`parking[key]`**, built once per array: the override and dedupe
+ * passes share it, and assembly publishes the final ones as **`appData.parkingIndex`**.
+ * @param {object | null | undefined} parking
+ * @param {string} key
+ * @returns {import("./spatial-index.mjs").SpatialIndex}
+ */
+function parkingDatasetIndex(parking, key) {
+  const arr = parking?.[key];
+  if (!Array.isArray(arr)) return createSpatialIndex([]);
+  let index = parkingIndexByArray.get(arr);
+  if (!index) {
+    index = createSpatialIndex(arr);
+    parkingIndexByArray.set(arr, index);
   }
-  return out;
+  return index;
 }
 
-/** `category` in overrides — `#/visit` ids (`private-lot`) or parking keys (`osmLots`). */
-const PARKING_OVERRIDE_CATEGORY_TO_KEY = {
-  "public-garage": "garages",
-  "public-lot": "lots",
-  "private-garage": "osmGarages",
-  "private-lot": "osmLots",
-  "ellis-garage": "ellisGarages",
-  "ellis-lot": "ellisLots",
-  garages: "garages",
-  lots: "lots",
-  osmGarages: "osmGarages",
-  osmLots: "osmLots",
-  ellisGarages: "ellisGarages",
-  ellisLots: "ellisLots",
-  airGarageGarages: "airGarageGarages",
-  airGarageLots: "airGarageLots",
-  meters: "meters",
-  racks: "racks",
-  micromobility: "micromobility",
-};
+/**
+ * Pin index for one **`appData.parking`** dataset — **`appData.parkingIndex[key]`** from assembly,
+ * else built once for an `appData` put together without it (tests, fixtures).
+ * @param {object | null} appData
+ * @param {string} key
+ * @returns {import("./spatial-index.mjs").SpatialIndex}
+ */
+export function getParkingDatasetIndex(appData, key) {
+  return (
+    appData?.parkingIndex?.[key] ?? parkingDatasetIndex(appData?.parking, key)
+  );
+}
+
+/**
+ * Closest pin to `(lat, lng)` across the `keys` datasets; null when none has a located pin.
+ * @param {object} parking
+ * @param {readonly string[]} keys
+ * @returns {{ key: string, index: number, miles: number } | null}
+ */
+function nearestParkingPin(parking, keys, lat, lng) {
+  let best = null;
+  for (const key of keys) {
+    const near = parkingDatasetIndex(parking, key).nearest(lat, lng);
+    if (near && (!best || near.miles < best.miles)) best = { key, ...near };
+  }
+  return best;
+}
 
 /** Default Haversine match radius for override pins (miles). ~0.5 m at mid-lat. */
 const PARKING_OVERRIDE_DEFAULT_MATCH_MILES = 0.0002;
 
+/** Orphan fix suggestions only consider pins this close (mi); farther ones are not the same place. */
+const PARKING_OVERRIDE_AUDIT_NEARBY_MILES = 0.25;
+
 /**
  * Pin object -> which `#/data` popup fields were set from `data/overrides.json`
  * (for red emphasis in the data map popup only).
  */
 const parkingDataOverrideSourceFields = new WeakMap();
 
+/** Pins created by **`standalone`: true** overrides — exempt from OSM-vs-operator dedupe. */
+const parkingDataOverrideStandalonePins = new WeakSet();
+
 /**
  * @param {unknown} item — a parking row from `appData.parking.*`
  * @returns {{ name?: true, pricing?: true, owner?: true } | null}
@@ -121,38 +158,152 @@ export function getParkingDataViewOverrideSourceFields(item) {
   );
 }
 
+/**
+ * @typedef {{ key: string, name: string, latitude: number, longitude: number, miles: number }} ParkingOverrideAuditPin
+ * @typedef {{
+ *   index: number,
+ *   status: "matched" | "multiple" | "standalone" | "orphan" | "invalid",
+ *   category: unknown,
+ *   key: string | null,
+ *   name: string,
+ *   latitude: number | null,
+ *   longitude: number | null,
+ *   hidden: boolean,
+ *   toleranceMiles: number,
+ *   candidates: number,
+ *   pin: ParkingOverrideAuditPin | null,
+ *   nearby: ParkingOverrideAuditPin[],
+ *   fix: { message: string, override: object } | null,
+ * }} ParkingOverrideAuditEntry
+ */
+
+/**
+ * What to paste over an orphaned override: move it onto the closest drive pin within
+ * {@link OFFICIAL_VS_OSM_DEDUP_MILES} (switching **`category`** when that pin is in another dataset),
+ * else mark it **`standalone`**.
+ * @param {object} ov — the `data/overrides.json` entry as written
+ * @param {string} key — its `appData.parking` bucket
+ * @param {ParkingOverrideAuditPin[]} nearby — closest first
+ * @returns {{ message: string, override: object }}
+ */
+function parkingOverrideOrphanFix(ov, key, nearby) {
+  const target = nearby.find(
+    (p) => p.miles <= OFFICIAL_VS_OSM_DEDUP_MILES + 1e-12,
+  );
+  if (!target) {
+    return {
+      message:
+        "No pin nearby — add standalone: true to keep it as its own pin, or delete the entry.",
+      override: { ...ov, standalone: true },
+    };
+  }
+  const { latitude, longitude, lat, lon, lng, ...rest } = ov;
+  const sameBucket = target.key === key;
+  const override = {
+    ...rest,
+    category: sameBucket ? ov.category : target.key,
+    location: {
+      latitude: roundCoord5(target.latitude),
+      longitude: roundCoord5(target.longitude),
+    },
+  };
+  const where = `"${target.name}" ${Math.round(target.miles * 5280)} ft away`;
+  return {
+    message: sameBucket
+      ? `Move the location onto ${where}.`
+      : `Retarget to ${target.key} pin ${where}.`,
+    override,
+  };
+}
+
 /**
  * Merge manual rows from `data/overrides.json` (a JSON array) into loaded parking arrays
  * (after fetch filters and official/OSM dedupe). Unmatched entries log a console warning.
+ * Returns one audit row per entry (`appData.overrideAudit`, shown at `#/data/overrides`): **matched**,
+ * **multiple** (several pins within tolerance; the first wins), **standalone**, **orphan** (matched
+ * nothing — with the nearest drive pins and a fix to copy), or **invalid** (no category or coordinates).
  * Use **`location`: `{ latitude, longitude }`** for pin coordinates (root-level lat/lng aliases still parse).
  * Each object may include **`note`** (string) for editors only — it is not copied onto pins or shown in the app.
+ * Optional **`verifiedAt`** (ISO date) records when someone last checked the posted rate; it is copied onto the
+ * matched pin and wins over the dataset's **`generatedAt`** for "price last verified" copy.
  * Optional **`address`** (string) replaces the matched pin's address when non-empty.
  * Optional **`owner`** (string) sets who owns or operates the lot or garage (shown in **`#/visit`** for private pins).
  * **`hidden`: true** removes the matched pin from the merged dataset (no `#/visit` / `#/data` marker).
+ * **`standalone`: true** adds the entry as its own pin when nothing matches (a lot no dataset lists yet).
+ * Optional **`id`** (string) gives the pin a durable **`park=`** id (standalone pins and sources without ids).
+ * Optional **`access`** (OSM value: `yes`, `customers`, `private`, …) corrects or sets who may park there;
+ * restricted pins are flagged in `#/visit` and never suggested.
+ * Optional **`openingHours`** (OSM `opening_hours` or prose like `"Monday-Friday 6am-10pm"`) sets when the
+ * lot or garage is open; `#/visit` never suggests it for a visit it is closed for.
  * Private lots with AirGarage pricing often use **`owner`: `"AirGarage"`**; listing URLs are usually
  * `https://www.airgarage.com/location/` + kebab-case name + `-grand-rapids-mi` (confirm in browser — not stored in **`note`**).
  * @param {object} parking — merged `appData.parking` buckets
  * @param {unknown[] | null} list
+ * @returns {ParkingOverrideAuditEntry[]}
  */
 function applyParkingDataOverrides(parking, list) {
-  if (!Array.isArray(list) || !list.length) return;
-  for (const ov of list) {
-    if (!ov || typeof ov !== "object") continue;
+  /** @type {ParkingOverrideAuditEntry[]} */
+  const audit = [];
+  if (!Array.isArray(list) || !list.length) return audit;
+  /**
+   * Pins match by position in each bucket's shared index, so hidden pins are removed and standalone
+   * pins appended after the loop, as a new array.
+   */
+  const indexFor = (key) => parkingDatasetIndex(parking, key);
+  /** @type {Map<string, object[]>} */
+  const standaloneByKey = new Map();
+  const driveKeys = getParkingDatasets()
+    .filter((d) => isDriveParkingDataset(d) && d.file)
+    .map((d) => d.key);
+  const auditPin = (key, i, lat, lng) => {
+    const item = parking[key][i];
+    const loc = item.location;
+    return {
+      key,
+      name: typeof item.name === "string" && item.name ? item.name : "Unnamed",
+      latitude: loc.latitude,
+      longitude: loc.longitude,
+      miles: haversineMiles(lat, lng, loc.latitude, loc.longitude),
+    };
+  };
+  /** @type {Map<string, Set<number>>} */
+  const hiddenByKey = new Map();
+  list.forEach((ov, index) => {
+    if (!ov || typeof ov !== "object") return;
     const rawCat = ov.category;
-    const key =
-      typeof rawCat === "string"
-        ? PARKING_OVERRIDE_CATEGORY_TO_KEY[rawCat.trim()]
-        : null;
+    const key = parkingOverrideCategoryToKey(rawCat);
+    /** @type {ParkingOverrideAuditEntry} */
+    const entry = {
+      index,
+      status: "invalid",
+      category: rawCat ?? null,
+      key,
+      name: typeof ov.name === "string" ? ov.name.trim() : "",
+      latitude: null,
+      longitude: null,
+      hidden: ov.hidden === true,
+      toleranceMiles: PARKING_OVERRIDE_DEFAULT_MATCH_MILES,
+      candidates: 0,
+      pin: null,
+      nearby: [],
+      fix: null,
+    };
+    audit.push(entry);
     if (!key) {
       console.warn(
         "data/overrides.json: unknown category",
         rawCat,
         "(use public-garage, public-lot, private-garage, private-lot, or garages, lots, …)",
       );
-      continue;
+      return;
     }
     const arr = parking[key];
-    if (!Array.isArray(arr)) continue;
+    if (!Array.isArray(arr)) return;
+    let hidden = hiddenByKey.get(key);
+    if (!hidden) {
+      hidden = new Set();
+      hiddenByKey.set(key, hidden);
+    }
 
     const locOv =
       ov.location &&
@@ -186,8 +337,10 @@ function applyParkingDataOverrides(parking, list) {
                   : null;
     if (lat == null || lng == null) {
       console.warn("data/overrides.json: missing latitude/longitude for", key);
-      continue;
+      return;
     }
+    entry.latitude = lat;
+    entry.longitude = lng;
 
     let tol = PARKING_OVERRIDE_DEFAULT_MATCH_MILES;
     if (
@@ -197,21 +350,15 @@ function applyParkingDataOverrides(parking, list) {
     ) {
       tol = ov.matchToleranceMiles;
     }
-
-    const idx = arr.findIndex((item) => {
-      const loc = item?.location;
-      if (
-        !loc ||
-        typeof loc.latitude !== "number" ||
-        typeof loc.longitude !== "number"
-      ) {
-        return false;
-      }
-      return (
-        haversineMiles(loc.latitude, loc.longitude, lat, lng) <= tol + 1e-12
-      );
-    });
-    if (idx < 0) {
+    entry.toleranceMiles = tol;
+
+    const candidates = indexFor(key)
+      .withinMiles(lat, lng, tol + 1e-12)
+      .filter((i) => !hidden.has(i));
+    entry.candidates = candidates.length;
+    const idx = candidates[0] ?? -1;
+    const standalone = idx < 0 && ov.standalone === true && !entry.hidden;
+    if (idx < 0 && !standalone) {
       console.warn(
         "data/overrides.json: no pin matched",
         key,
@@ -220,15 +367,32 @@ function applyParkingDataOverrides(parking, list) {
         lng,
         "(try matchToleranceMiles)",
       );
-      continue;
+      entry.status = "orphan";
+      entry.nearby = driveKeys
+        .map((k) => {
+          const near = indexFor(k).nearest(lat, lng);
+          return near ? auditPin(k, near.index, lat, lng) : null;
+        })
+        .filter((p) => p && p.miles <= PARKING_OVERRIDE_AUDIT_NEARBY_MILES)
+        .sort((a, b) => a.miles - b.miles);
+      entry.fix = parkingOverrideOrphanFix(ov, key, entry.nearby);
+      return;
+    }
+    if (idx >= 0) {
+      entry.status = candidates.length > 1 ? "multiple" : "matched";
+      entry.pin = auditPin(key, idx, lat, lng);
+    } else {
+      entry.status = "standalone";
     }
 
-    if (ov.hidden === true) {
-      arr.splice(idx, 1);
-      continue;
+    if (entry.hidden) {
+      hidden.add(idx);
+      return;
     }
 
-    const item = arr[idx];
+    const item = standalone
+      ? { name: entry.name, location: { latitude: lat, longitude: lng } }
+      : arr[idx];
     const next = { ...item };
     /** @type {{ name?: true, pricing?: true, owner?: true }} */
     const fromOverride = {};
@@ -255,6 +419,15 @@ function applyParkingDataOverrides(parking, list) {
     if (typeof ov.address === "string" && ov.address.trim()) {
       next.address = ov.address.trim();
     }
+    if (typeof ov.id === "string" && ov.id.trim()) {
+      next.id = ov.id.trim();
+    }
+    if (typeof ov.access === "string" && ov.access.trim()) {
+      next.access = ov.access.trim().toLowerCase();
+    }
+    if (typeof ov.openingHours === "string" && ov.openingHours.trim()) {
+      next.openingHours = ov.openingHours.trim();
+    }
     const ownerRaw =
       typeof ov.owner === "string" && ov.owner.trim()
         ? ov.owner.trim()
@@ -268,17 +441,43 @@ function applyParkingDataOverrides(parking, list) {
     if (typeof ov.note === "string" && ov.note.trim()) {
       next.dataOverrideNote = ov.note.trim();
     }
+    if (isDataFreshnessDate(ov.verifiedAt)) {
+      next.verifiedAt = ov.verifiedAt.trim();
+    }
     if (fromOverride.name || fromOverride.pricing || fromOverride.owner) {
       parkingDataOverrideSourceFields.set(next, fromOverride);
     }
-    arr[idx] = next;
+    if (standalone) {
+      parkingDataOverrideStandalonePins.add(next);
+      const added = standaloneByKey.get(key);
+      if (added) added.push(next);
+      else standaloneByKey.set(key, [next]);
+    } else {
+      arr[idx] = next;
+    }
+  });
+  for (const key of new Set([
+    ...hiddenByKey.keys(),
+    ...standaloneByKey.keys(),
+  ])) {
+    const hidden = hiddenByKey.get(key);
+    const added = standaloneByKey.get(key) ?? [];
+    if (!hidden?.size && !added.length) continue;
+    parking[key] = [
+      ...parking[key].filter((_, i) => !hidden?.has(i)),
+      ...added,
+    ];
   }
+  return audit;
 }
 
 /** Official public inventory defaults to municipal operation when **`owner`** is omitted. */
 function ensureDefaultOwnersOnPublicDriveParking(parking) {
   const city = "City";
-  for (const key of ["garages", "lots"]) {
+  const publicDriveKeys = getParkingDatasets()
+    .filter((d) => d.kind === "public" && isDriveParkingDataset(d) && d.file)
+    .map((d) => d.key);
+  for (const key of publicDriveKeys) {
     const arr = parking[key];
     if (!Array.isArray(arr)) continue;
     for (let i = 0; i < arr.length; i++) {
@@ -291,51 +490,134 @@ function ensureDefaultOwnersOnPublicDriveParking(parking) {
   }
 }
 
+/**
+ * @typedef {{
+ *   key: string,
+ *   item: object,
+ *   reason: "official" | "operator" | "fetch",
+ *   survivor: { key: string, name: string, latitude: number, longitude: number } | null,
+ *   miles: number | null,
+ * }} ParkingDedupeDrop — **`fetch`**: listed under a dataset's **`deduplicated`** by its fetch script,
+ *   but no pin sits within the dedupe radius any more (`survivor` null)
+ */
+
+/** `{ key, item }` survivor → the summary {@link ParkingDedupeDrop} keeps. */
+function parkingDedupeSurvivor({ key, item }) {
+  return {
+    key,
+    name: typeof item.name === "string" && item.name ? item.name : "Unnamed",
+    latitude: item.location.latitude,
+    longitude: item.location.longitude,
+  };
+}
+
+/**
+ * Keep `osmKey` pins with no pin from the `survivorKeys` datasets within
+ * {@link OFFICIAL_VS_OSM_DEDUP_MILES}; the rest go to `dropped` with the closest survivor that absorbed
+ * them. Pins without coordinates are dropped silently.
+ * @param {object} parking
+ * @param {string} osmKey
+ * @param {readonly string[]} survivorKeys
+ * @param {ParkingDedupeDrop["reason"]} reason
+ * @param {ParkingDedupeDrop[]} dropped
+ * @param {(item: object) => boolean} [keep] — exempt pins regardless of distance
+ */
+function dedupeOsmParkingNear(
+  parking,
+  osmKey,
+  survivorKeys,
+  reason,
+  dropped,
+  keep,
+) {
+  const arr = parking[osmKey];
+  if (!Array.isArray(arr) || !arr.length) return;
+  if (!survivorKeys.some((key) => parkingDatasetIndex(parking, key).size))
+    return;
+  parking[osmKey] = arr.filter((item) => {
+    if (keep?.(item)) return true;
+    const loc = item?.location;
+    if (
+      !loc ||
+      typeof loc.latitude !== "number" ||
+      typeof loc.longitude !== "number"
+    ) {
+      return false;
+    }
+    const near = nearestParkingPin(
+      parking,
+      survivorKeys,
+      loc.latitude,
+      loc.longitude,
+    );
+    if (!near || near.miles > OFFICIAL_VS_OSM_DEDUP_MILES + 1e-12) return true;
+    dropped.push({
+      key: osmKey,
+      item,
+      reason,
+      survivor: parkingDedupeSurvivor({
+        key: near.key,
+        item: parking[near.key][near.index],
+      }),
+      miles: near.miles,
+    });
+    return false;
+  });
+}
+
 /** Remove OSM pins that duplicate a same-kind ArcGIS facility (nearby centroid). */
-function dedupeOsmParkingNearOfficial(parking) {
-  const cap = OFFICIAL_VS_OSM_DEDUP_MILES;
+function dedupeOsmParkingNearOfficial(parking, dropped) {
   /** @type {[string, "garages" | "lots"][]} */
   const pairs = [
     ["osmGarages", "garages"],
     ["osmLots", "lots"],
   ];
   for (const [osmKey, officialKey] of pairs) {
-    const official = collectOfficialDriveParkingLatLngs(parking, officialKey);
-    if (!official.length) continue;
-    const arr = parking[osmKey];
-    if (!Array.isArray(arr) || !arr.length) continue;
-    parking[osmKey] = arr.filter((item) => {
-      const loc = item?.location;
-      if (
-        !loc ||
-        typeof loc.latitude !== "number" ||
-        typeof loc.longitude !== "number"
-      ) {
-        return false;
-      }
-      const { latitude: lat, longitude: lng } = loc;
-      for (const [olat, olng] of official) {
-        if (haversineMiles(lat, lng, olat, olng) <= cap + 1e-12) {
-          return false;
-        }
-      }
-      return true;
-    });
+    dedupeOsmParkingNear(parking, osmKey, [officialKey], "official", dropped);
   }
 }
 
 /**
- * Remove OSM private garages/lots whose centroids sit near an Ellis pin (Ellis names/pricing win).
+ * Remove OSM private garages/lots whose centroids sit near a pin from a manifest dataset with
+ * **`supersedesOsm`** (Ellis today — operator names/pricing win).
  * Uses the same radius as {@link dedupeOsmParkingNearOfficial} (see `scripts/fetch_car_parking_osm.py`).
+ * **`standalone`** override pins stay: an editor placed them on purpose.
  */
-function dedupeOsmParkingNearEllis(parking) {
-  const cap = OFFICIAL_VS_OSM_DEDUP_MILES;
-  /** @type {[number, number][]} */
-  const ellisPts = [];
-  for (const key of ["ellisGarages", "ellisLots"]) {
-    const arr = parking[key];
-    if (!Array.isArray(arr)) continue;
-    for (const item of arr) {
+function dedupeOsmParkingNearOperators(parking, dropped) {
+  const operator = getParkingDatasets()
+    .filter((d) => d.supersedesOsm)
+    .map((d) => d.key);
+  for (const osmKey of ["osmGarages", "osmLots"]) {
+    dedupeOsmParkingNear(
+      parking,
+      osmKey,
+      operator,
+      "operator",
+      dropped,
+      (item) => parkingDataOverrideStandalonePins.has(item),
+    );
+  }
+}
+
+/**
+ * Fetch scripts that dedupe before writing (`scripts/fetch_car_parking_osm.py`) list what they skipped
+ * under the dataset's **`deduplicated`**. Pair each with the closest same-shape public pin or
+ * **`supersedesOsm`** pin, as the loader's own dedupe would have.
+ * @param {object} parking
+ * @param {Map<string, unknown[]>} fetchDeduplicated — dataset key → its file's `deduplicated`
+ * @param {ParkingDedupeDrop[]} dropped
+ */
+function recordFetchDedupeDrops(parking, fetchDeduplicated, dropped) {
+  for (const [osmKey, items] of fetchDeduplicated) {
+    const shape = parkingDatasetByKey(osmKey)?.shape;
+    const survivorKeys = getParkingDatasets()
+      .filter(
+        (d) =>
+          d.key !== osmKey &&
+          (d.supersedesOsm || (d.kind === "public" && d.shape === shape)),
+      )
+      .map((d) => d.key);
+    for (const item of items) {
       const loc = item?.location;
       if (
         !loc ||
@@ -344,35 +626,71 @@ function dedupeOsmParkingNearEllis(parking) {
       ) {
         continue;
       }
-      ellisPts.push([loc.latitude, loc.longitude]);
+      const near = nearestParkingPin(
+        parking,
+        survivorKeys,
+        loc.latitude,
+        loc.longitude,
+      );
+      const survivor =
+        near && near.miles <= OFFICIAL_VS_OSM_DEDUP_MILES + 1e-12
+          ? { key: near.key, item: parking[near.key][near.index] }
+          : null;
+      dropped.push({
+        key: osmKey,
+        item,
+        reason: !survivor
+          ? "fetch"
+          : parkingDatasetByKey(survivor.key)?.supersedesOsm
+            ? "operator"
+            : "official",
+        survivor: survivor ? parkingDedupeSurvivor(survivor) : null,
+        miles: survivor ? near.miles : null,
+      });
     }
   }
-  if (!ellisPts.length) return;
+}
 
-  for (const osmKey of ["osmGarages", "osmLots"]) {
-    const arr = parking[osmKey];
-    if (!Array.isArray(arr) || !arr.length) continue;
-    parking[osmKey] = arr.filter((item) => {
-      const loc = item?.location;
-      if (
-        !loc ||
-        typeof loc.latitude !== "number" ||
-        typeof loc.longitude !== "number"
-      ) {
-        return false;
-      }
-      const { latitude: lat, longitude: lng } = loc;
-      for (const [elat, elng] of ellisPts) {
-        if (haversineMiles(lat, lng, elat, elng) <= cap + 1e-12) {
-          return false;
-        }
-      }
-      return true;
-    });
-  }
+/**
+ * Durable id for a parking row: its own **`id`** (from the fetch script or assigned in the data),
+ * else `osm:way/123` read from OSM availability text written before fetches emitted ids. Null when
+ * the row has neither — its **`park=`** id falls back to category + coordinates.
+ * @param {unknown} item
+ * @returns {string | null}
+ */
+export function parkingItemDurableId(item) {
+  if (item == null || typeof item !== "object") return null;
+  if (typeof item.id === "string" && item.id.trim() !== "")
+    return item.id.trim();
+  const osmId = parseOsmAvailability(item.availability)?.osmId;
+  return osmId ? `osm:${osmId}` : null;
 }
 
-const AIRGARAGE_OWNER_LABEL = "AirGarage";
+/**
+ * Copy of a dataset row with its durable **`id`** and the structured fields from its availability
+ * line: OSM tags (**`access`**, **`fee`**, **`capacity`**, … — see {@link parseOsmAvailability}), and
+ * for datasets with **`availabilityFormat": "ellis"`** monthly rates, phones, and early-bird
+ * (see {@link parseEllisAvailability}). Fields the row already sets win; returns `item` itself when
+ * nothing is added.
+ * @param {unknown} item
+ * @param {string | undefined} [availabilityFormat] the dataset's manifest **`availabilityFormat`**
+ */
+function withParkingItemSourceFields(item, availabilityFormat) {
+  if (item == null || typeof item !== "object") return item;
+  const added = {};
+  const id = parkingItemDurableId(item);
+  if (id != null && item.id !== id) added.id = id;
+  const parsed = {
+    ...(availabilityFormat === "ellis"
+      ? parseEllisAvailability(item.availability)
+      : null),
+    ...parseOsmAvailability(item.availability),
+  };
+  for (const [k, v] of Object.entries(parsed)) {
+    if (item[k] === undefined) added[k] = v;
+  }
+  return Object.keys(added).length ? { ...item, ...added } : item;
+}
 
 function parkingOwnerTrimmed(item) {
   const o = item?.owner ?? item?.manager;
@@ -380,43 +698,33 @@ function parkingOwnerTrimmed(item) {
 }
 
 /**
- * Move pins with owner AirGarage into their own buckets for `#/data/parking` (drive map).
- * `#/visit` merges them back with OSM via {@link parkingItemsForVisitDataKey} in `visit.mjs`.
+ * Move pins whose owner matches a manifest dataset's **`owner`** out of its **`splitFrom`** bucket
+ * (AirGarage out of OSM) for `#/data/parking`. `#/visit` merges them back by **`visitCategory`**.
  */
-function splitAirGarageParkingIntoOwnCategories(parking) {
-  for (const [osmKey, airKey] of /** @type {const} */ ([
-    ["osmGarages", "airGarageGarages"],
-    ["osmLots", "airGarageLots"],
-  ])) {
-    const arr = parking[osmKey];
+function splitOwnerDatasetsOutOfSources(parking) {
+  for (const d of getParkingDatasets()) {
+    if (!d.splitFrom || typeof d.owner !== "string") continue;
+    parking.modes[d.key] = d.modes;
+    if (d.name) parking.categoryNames[d.key] = d.name;
+    if (parking.generatedAt[d.splitFrom])
+      parking.generatedAt[d.key] = parking.generatedAt[d.splitFrom];
+    const arr = parking[d.splitFrom];
     if (!Array.isArray(arr) || !arr.length) {
-      parking[airKey] = [];
+      parking[d.key] = [];
       continue;
     }
     const rest = [];
-    const air = [];
+    const split = [];
     for (const item of arr) {
-      if (parkingOwnerTrimmed(item) === AIRGARAGE_OWNER_LABEL) {
-        air.push(item);
+      if (parkingOwnerTrimmed(item) === d.owner) {
+        split.push(item);
       } else {
         rest.push(item);
       }
     }
-    parking[osmKey] = rest;
-    parking[airKey] = air;
+    parking[d.splitFrom] = rest;
+    parking[d.key] = split;
   }
-  parking.modes.airGarageGarages = ["drive"];
-  parking.modes.airGarageLots = ["drive"];
-}
-
-/** `#/data/parking` dataset labels for Ellis and AirGarage (drive-only buckets). */
-function applyDriveParkingDatasetDisplayNames(parking) {
-  if (!parking?.categoryNames) return;
-  parking.categoryNames.ellisGarages = "Private Parking Garages (Ellis)";
-  parking.categoryNames.ellisLots = "Private Parking Lots (Ellis)";
-  parking.categoryNames.airGarageGarages =
-    "Private Parking Garages (AirGarage)";
-  parking.categoryNames.airGarageLots = "Private Parking Lots (AirGarage)";
 }
 
 export let appData = null;
@@ -426,135 +734,245 @@ export function isDestinationHiddenFromPublicMaps(dest) {
   return dest?.hidden === true;
 }
 
-export async function loadData() {
-  try {
-    const [configRes, destinationsRes] = await Promise.all([
-      fetch("data/config.json"),
-      fetch("data/destinations.json"),
-    ]);
-    if (!configRes.ok) throw new Error("Failed to load config");
-    const config = await configRes.json();
-    const destinationsData = destinationsRes.ok
-      ? await destinationsRes.json()
-      : { destinations: [] };
-    const rawDestinations = Array.isArray(destinationsData.destinations)
-      ? destinationsData.destinations
-      : [];
-    const destinations = rawDestinations.map((d) => {
-      const loc = d.location;
-      const lat =
-        typeof loc?.latitude === "number"
-          ? loc.latitude
-          : typeof d.latitude === "number"
-            ? d.latitude
-            : null;
-      const lng =
-        typeof loc?.longitude === "number"
-          ? loc.longitude
-          : typeof d.longitude === "number"
-            ? d.longitude
-            : null;
-      return {
-        ...d,
-        latitude: lat != null ? roundCoord5(lat) : null,
-        longitude: lng != null ? roundCoord5(lng) : null,
-      };
-    });
+/**
+ * Reads one data file by repo-relative path (`data/config.json`). A missing or malformed file
+ * resolves to **`data: null`** with a **`loadError`** for the health report instead of rejecting.
+ * @typedef {(file: string) => Promise<import("./data-validator.mjs").DataFileInput>} DataFileReader
+ */
 
-    const parkingCategories = [
-      { file: "public/garages-arcgis.json", key: "garages" },
-      { file: "public/lots-arcgis.json", key: "lots" },
-      { file: "private/garages-osm.json", key: "osmGarages" },
-      { file: "private/lots-osm.json", key: "osmLots" },
-      { file: "public/meters.json", key: "meters" },
-      { file: "public/racks.json", key: "racks" },
-      { file: "private/micromobility.json", key: "micromobility" },
-      { file: "private/garages-ellis.json", key: "ellisGarages" },
-      { file: "private/lots-ellis.json", key: "ellisLots" },
-    ];
-    const [parkingResolves, overridesList] = await Promise.all([
-      Promise.all(
-        parkingCategories.map(({ file }) =>
-          fetch(`data/parking/${file}`).then((r) => (r.ok ? r.json() : null)),
-        ),
-      ),
-      fetch("data/overrides.json").then((r) => (r.ok ? r.json() : null)),
-    ]);
-    const parking = {
-      garages: [],
-      lots: [],
-      osmGarages: [],
-      osmLots: [],
-      airGarageGarages: [],
-      airGarageLots: [],
-      meters: [],
-      racks: [],
-      micromobility: [],
-      ellisGarages: [],
-      ellisLots: [],
-      notes: {},
-      modes: {},
-      categoryNames: {},
+/**
+ * {@link DataFileReader} over `fetch` — the page's reader, relative to the document.
+ * @returns {DataFileReader}
+ */
+export function createFetchDataReader() {
+  return async (file) => {
+    try {
+      const res = await fetch(file);
+      if (!res.ok) return { file, data: null, loadError: `HTTP ${res.status}` };
+      return { file, data: await res.json(), loadError: null };
+    } catch (error) {
+      return { file, data: null, loadError: String(error?.message || error) };
+    }
+  };
+}
+
+/**
+ * The street graph a city's manifest publishes for **`mode`** — its **`streetGraphs`** entry
+ * (`{ "walk": "walk/graph.json" }`), a path under the city's data directory that
+ * `scripts/fetch_street_graph.py` registers after writing the graph. **null** when the mode has no
+ * graph; the planner then falls back to straight-line legs.
+ * @param {unknown} manifest — parsed `manifest.json`
+ * @param {"walk" | "drive"} mode
+ * @returns {string | null}
+ */
+export function publishedStreetGraphFile(manifest, mode) {
+  const file = manifest?.streetGraphs?.[mode];
+  return typeof file === "string" && file ? file : null;
+}
+
+/**
+ * Read the street graph the manifest publishes for **`mode`**, or resolve to **null** without a
+ * request when it publishes none.
+ * @param {DataFileReader} readDataFile
+ * @param {unknown} manifest
+ * @param {"walk" | "drive"} mode
+ */
+export function readPublishedStreetGraph(readDataFile, manifest, mode) {
+  const file = publishedStreetGraphFile(manifest, mode);
+  return file ? readDataFile(cityDataPath(file)) : Promise.resolve(null);
+}
+
+/**
+ * Read and assemble every data file for one city — the object {@link loadData} publishes as
+ * {@link appData}. Does not touch {@link appData}, the DOM, or the network beyond `readDataFile`,
+ * so Node scripts can pass a filesystem reader (`scripts/lib/file-data-reader.mjs`). It installs
+ * nothing either: the caller reads `cities.json` and the city's manifest, installs them
+ * (`setCityProfiles` / `setActiveCityProfile` / `setParkingDatasetManifest` — the registries every
+ * parking helper reads), and passes both files in for the health report.
+ * @param {DataFileReader} readDataFile
+ * @param {{
+ *   cities: import("./data-validator.mjs").DataFileInput,
+ *   manifest: import("./data-validator.mjs").DataFileInput,
+ * }} registries — the installed files
+ * @returns {Promise<object>} rejects when no city is active or config cannot be read
+ */
+export async function assembleAppData(
+  readDataFile,
+  { cities: citiesFile, manifest: manifestFile },
+) {
+  const city = getActiveCityProfile();
+  if (!city) throw new Error("No city profiles");
+  const [configFile, destinationsFile] = await Promise.all([
+    readDataFile(cityDataPath("config.json")),
+    readDataFile(cityDataPath("destinations.json")),
+  ]);
+  if (configFile.loadError) throw new Error("Failed to load config");
+  const datasetFiles = parkingDatasetsWithFiles();
+  const config = configFile.data;
+  const destinationsData = destinationsFile.data || { destinations: [] };
+  const rawDestinations = Array.isArray(destinationsData.destinations)
+    ? destinationsData.destinations
+    : [];
+  const destinations = rawDestinations.map((d) => {
+    const loc = d.location;
+    const lat =
+      typeof loc?.latitude === "number"
+        ? loc.latitude
+        : typeof d.latitude === "number"
+          ? d.latitude
+          : null;
+    const lng =
+      typeof loc?.longitude === "number"
+        ? loc.longitude
+        : typeof d.longitude === "number"
+          ? d.longitude
+          : null;
+    return {
+      ...d,
+      latitude: lat != null ? roundCoord5(lat) : null,
+      longitude: lng != null ? roundCoord5(lng) : null,
     };
-    parkingCategories.forEach(({ key }, i) => {
-      const data = parkingResolves[i];
-      if (data?.items) {
-        parking[key] = data.items;
-        if (data.note) parking.notes[key] = data.note;
-        if (data.modes) parking.modes[key] = data.modes;
-        if (data.name) parking.categoryNames[key] = data.name;
+  });
+
+  const [
+    parkingFiles,
+    overridesFile,
+    aliasesFile,
+    busFile,
+    walkFile,
+    driveFile,
+  ] = await Promise.all([
+    Promise.all(
+      datasetFiles.map(({ file }) =>
+        readDataFile(cityDataPath(`parking/${file}`)),
+      ),
+    ),
+    readDataFile(cityDataPath("overrides.json")),
+    readDataFile(cityDataPath("parking-aliases.json")),
+    readDataFile(cityDataPath("bus/routes.json")),
+    readPublishedStreetGraph(readDataFile, manifestFile.data, "walk"),
+    readPublishedStreetGraph(readDataFile, manifestFile.data, "drive"),
+  ]);
+  const parkingResolves = parkingFiles.map((f) => f.data);
+  const overridesList = overridesFile.data;
+  const parking = {
+    notes: {},
+    modes: {},
+    categoryNames: {},
+    generatedAt: {},
+  };
+  for (const { key } of getParkingDatasets()) parking[key] = [];
+  /** @type {Map<string, unknown[]>} */
+  const fetchDeduplicated = new Map();
+  datasetFiles.forEach((d, i) => {
+    const data = parkingResolves[i];
+    if (Array.isArray(data?.items)) {
+      parking[d.key] = data.items.map((item) =>
+        withParkingItemSourceFields(item, d.availabilityFormat),
+      );
+      if (Array.isArray(data.deduplicated) && data.deduplicated.length)
+        fetchDeduplicated.set(d.key, data.deduplicated);
+      if (data.note) parking.notes[d.key] = data.note;
+      if (isDataFreshnessDate(data.generatedAt))
+        parking.generatedAt[d.key] = data.generatedAt.trim();
+      if (d.modes.length) parking.modes[d.key] = d.modes;
+      else if (data.modes) parking.modes[d.key] = data.modes;
+      if (d.name) parking.categoryNames[d.key] = d.name;
+      else if (data.name) parking.categoryNames[d.key] = data.name;
+    }
+  });
+
+  for (const { key: osmKey } of getParkingDatasets().filter(
+    (d) => d.downtownOnly,
+  )) {
+    const arr = parking[osmKey];
+    if (!Array.isArray(arr) || !arr.length) continue;
+    const [cLat, cLon] = cityMapCenter();
+    parking[osmKey] = arr.filter((item) => {
+      const loc = item?.location;
+      if (
+        !loc ||
+        typeof loc.latitude !== "number" ||
+        typeof loc.longitude !== "number"
+      ) {
+        return false;
       }
+      return (
+        haversineMiles(loc.latitude, loc.longitude, cLat, cLon) <=
+        city.downtownRadiusMiles + 1e-9
+      );
     });
+  }
 
-    for (const osmKey of [
-      "osmGarages",
-      "osmLots",
-      "ellisGarages",
-      "ellisLots",
-    ]) {
-      const arr = parking[osmKey];
-      if (!Array.isArray(arr) || !arr.length) continue;
-      const [cLat, cLon] = MODES_PAGE_EMPTY_MAP_CENTER;
-      parking[osmKey] = arr.filter((item) => {
-        const loc = item?.location;
-        if (
-          !loc ||
-          typeof loc.latitude !== "number" ||
-          typeof loc.longitude !== "number"
-        ) {
-          return false;
-        }
-        return (
-          haversineMiles(loc.latitude, loc.longitude, cLat, cLon) <=
-          DOWNTOWN_PARKING_MAX_MILES_FROM_CENTER + 1e-9
-        );
-      });
-    }
+  /** @type {ParkingDedupeDrop[]} */
+  const dedupeDropped = [];
+  dedupeOsmParkingNearOfficial(parking, dedupeDropped);
+  const overrideAudit = applyParkingDataOverrides(parking, overridesList);
+  ensureDefaultOwnersOnPublicDriveParking(parking);
+  dedupeOsmParkingNearOperators(parking, dedupeDropped);
+  recordFetchDedupeDrops(parking, fetchDeduplicated, dedupeDropped);
+  splitOwnerDatasetsOutOfSources(parking);
+
+  const dataHealth = validateDataFiles({
+    cities: citiesFile,
+    manifest: manifestFile,
+    config: configFile,
+    destinations: destinationsFile,
+    overrides: overridesFile,
+    aliases: aliasesFile,
+    parking: datasetFiles.map(({ key }, i) => ({
+      ...parkingFiles[i],
+      key,
+    })),
+    busRoutes: busFile,
+    walkGraph: walkFile,
+    driveGraph: driveFile,
+  });
+
+  return {
+    ...config,
+    destinations,
+    linkTexts: config.linkTexts || {},
+    parking,
+    parkingIndex: Object.fromEntries(
+      getParkingDatasets().map(({ key }) => [
+        key,
+        parkingDatasetIndex(parking, key),
+      ]),
+    ),
+    busRoutes: busFile.data ?? null,
+    walkGraph: walkFile?.data ?? null,
+    driveGraph: driveFile?.data ?? null,
+    parkingSpotAliases: Array.isArray(aliasesFile.data) ? aliasesFile.data : [],
+    dataHealth,
+    overrideAudit,
+    dedupeDropped,
+    city,
+  };
+}
 
-    dedupeOsmParkingNearOfficial(parking);
-    applyParkingDataOverrides(parking, overridesList);
-    ensureDefaultOwnersOnPublicDriveParking(parking);
-    dedupeOsmParkingNearEllis(parking);
-    splitAirGarageParkingIntoOwnCategories(parking);
-    applyDriveParkingDatasetDisplayNames(parking);
-
-    let busRoutes = null;
-    const busRes = await fetch("data/bus/routes.json");
-    if (busRes.ok) {
-      try {
-        busRoutes = await busRes.json();
-      } catch {
-        busRoutes = null;
-      }
+/**
+ * Load every data file for one city into {@link appData}: install the city profiles (activating
+ * `citySlug`) and that city's parking manifest, then {@link assembleAppData}.
+ * @param {string} [citySlug] — `data/cities.json` slug; unknown or omitted uses **`defaultCity`**
+ */
+export async function loadData(citySlug) {
+  try {
+    const readDataFile = createFetchDataReader();
+    const cities = await readDataFile(CITY_PROFILES_FILE);
+    if (cities.loadError) throw new Error("Failed to load cities");
+    setCityProfiles(cities.data);
+    setActiveCityProfile(citySlug);
+    const manifest = await readDataFile(cityDataPath("manifest.json"));
+    if (manifest.loadError) throw new Error("Failed to load manifest");
+    setParkingDatasetManifest(manifest.data);
+    const data = await assembleAppData(readDataFile, { cities, manifest });
+    if (data.dataHealth.errors.length) {
+      console.warn(
+        `${data.city.dataDir}/: ${data.dataHealth.errors.length} schema errors (see #/data/health)`,
+      );
     }
-
-    appData = {
-      ...config,
-      destinations,
-      linkTexts: config.linkTexts || {},
-      parking,
-      busRoutes,
-    };
+    appData = data;
   } catch (error) {
     console.error("Failed to load data:", error);
     appData = null;
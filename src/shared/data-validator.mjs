@@ -0,0 +1,1356 @@
+/**
+ * Schema checks for the JSON files `loadData()` reads (city profiles, then the active city's
+ * config, destinations, overrides, parking aliases, parking datasets, bus routes, street graphs). Pure functions — no `fetch`, no DOM — so the same report
+ * renders in the **`#/data/health`** tab and fails `scripts/validate_data.mjs` under Node.
+ *
+ * **Errors** mean the loader drops or misreads data (bad coordinates, unknown override
+ * **`category`**, a tier that is not a dollar amount). **Warnings** mean the data loads but
+ * probably not the way the editor intended (unknown keys, legacy `$` prose, pins the loader
+ * filters out for distance).
+ */
+
+import { cityMapCenter, getActiveCityProfile } from "./city-profile.mjs";
+import { haversineMiles } from "./data-loader.mjs";
+import { isDataFreshnessDate } from "./data-freshness.mjs";
+import { parseOpeningHours } from "./opening-hours.mjs";
+import {
+  PARKING_AVAILABILITY_FORMATS,
+  PARKING_DATASET_KINDS,
+  PARKING_DATASET_SHAPES,
+  parkingDatasetByKey,
+  parkingOverrideCategoryIds,
+  parkingOverrideCategoryToKey,
+} from "./parking-datasets.mjs";
+import {
+  PRICING_AMOUNT_KEYS,
+  PRICING_DETAIL_KEYS,
+  PRICING_HOURS_KEYS,
+  PRICING_META_KEYS,
+  isPricingAmount,
+} from "./parking-pricing.mjs";
+import { parseRateExpression } from "./rate-expression.mjs";
+import { TRANSIT_SERVICE_DAYS } from "./transit-schedule.mjs";
+
+/**
+ * Pins farther than this (mi) from the city center are almost always swapped or mistyped
+ * coordinates (Grand Rapids latitude/longitude both pass the ±90 / ±180 range checks).
+ */
+export const DATA_VALIDATOR_FAR_FROM_CENTER_MILES = 25;
+
+const OVERRIDE_KNOWN_KEYS = new Set([
+  "category",
+  "location",
+  "latitude",
+  "longitude",
+  "lat",
+  "lon",
+  "lng",
+  "matchToleranceMiles",
+  "hidden",
+  "standalone",
+  "id",
+  "name",
+  "address",
+  "owner",
+  "manager",
+  "access",
+  "openingHours",
+  "note",
+  "pricing",
+  "verifiedAt",
+]);
+
+const OPENING_HOURS_HINT =
+  'not understood (use OSM opening_hours like "Mo-Fr 08:00-18:00; Sa 10:00-14:00")';
+
+const PARKING_ITEM_STRING_KEYS = [
+  "id",
+  "name",
+  "address",
+  "owner",
+  "availability",
+  "operator",
+  "access",
+  "surface",
+  "openingHours",
+];
+
+/**
+ * @typedef {{ file: string, path: string, message: string }} DataIssue
+ * @typedef {{ file: string, errorCount: number, warningCount: number }} DataFileHealth
+ * @typedef {{ files: DataFileHealth[], errors: DataIssue[], warnings: DataIssue[] }} DataHealthReport
+ * @typedef {{ file: string, data: unknown, loadError?: string | null }} DataFileInput
+ */
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim() !== "";
+}
+
+/** True for an IANA zone this runtime's `Intl` knows (`America/Detroit`). */
+function isTimeZone(v) {
+  if (!isNonEmptyString(v)) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: v });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Appends issues for one file and keeps its per-file counts in step. */
+function fileIssueSink(report, file) {
+  const counts = { file, errorCount: 0, warningCount: 0 };
+  report.files.push(counts);
+  return {
+    error(path, message) {
+      counts.errorCount++;
+      report.errors.push({ file, path, message });
+    },
+    warning(path, message) {
+      counts.warningCount++;
+      report.warnings.push({ file, path, message });
+    },
+  };
+}
+
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * @param {ReturnType<typeof fileIssueSink>} sink
+ * @param {string} path
+ * @param {unknown} lat
+ * @param {unknown} lng
+ * @returns {boolean} coordinates are usable
+ */
+function checkLatLng(sink, path, lat, lng) {
+  if (typeof lat !== "number" || !Number.isFinite(lat)) {
+    sink.error(joinPath(path, "latitude"), "must be a finite number");
+    return false;
+  }
+  if (typeof lng !== "number" || !Number.isFinite(lng)) {
+    sink.error(joinPath(path, "longitude"), "must be a finite number");
+    return false;
+  }
+  if (lat < -90 || lat > 90) {
+    sink.error(joinPath(path, "latitude"), `${lat} is outside -90…90`);
+    return false;
+  }
+  if (lng < -180 || lng > 180) {
+    sink.error(joinPath(path, "longitude"), `${lng} is outside -180…180`);
+    return false;
+  }
+  const center = cityMapCenter();
+  const mi = center ? haversineMiles(lat, lng, center[0], center[1]) : 0;
+  if (mi > DATA_VALIDATOR_FAR_FROM_CENTER_MILES) {
+    sink.warning(
+      path,
+      `${mi.toFixed(1)} mi from downtown — check for swapped latitude/longitude`,
+    );
+  }
+  return true;
+}
+
+/**
+ * Validate a **`location`: `{ latitude, longitude }`** object.
+ * @returns {[number, number] | null}
+ */
+function checkLocation(sink, path, loc) {
+  if (!isPlainObject(loc)) {
+    sink.error(path, "must be an object with latitude and longitude");
+    return null;
+  }
+  if (!checkLatLng(sink, path, loc.latitude, loc.longitude)) return null;
+  return [loc.latitude, loc.longitude];
+}
+
+/** Dollars or `[low, high]`, not negative; a reversed range is a warning. */
+function checkPricingAmount(sink, path, v) {
+  if (!isPricingAmount(v)) {
+    sink.error(path, "must be a number of dollars or [low, high]");
+    return;
+  }
+  const amounts = typeof v === "number" ? [v] : v;
+  if (amounts.some((n) => n < 0)) {
+    sink.error(path, "must not be negative");
+  } else if (Array.isArray(v) && v[0] > v[1]) {
+    sink.warning(path, "range low is greater than high");
+  }
+}
+
+/**
+ * `events` as `{ default?, rates: [{ venues?, eventTypes?, amount }] }` (see `EventRates`).
+ * @param {ReturnType<typeof fileIssueSink>} sink
+ * @param {string} path
+ * @param {Record<string, unknown>} events
+ */
+function checkEventRates(sink, path, events) {
+  if (events.default != null)
+    checkPricingAmount(sink, joinPath(path, "default"), events.default);
+  if (!Array.isArray(events.rates)) {
+    sink.error(joinPath(path, "rates"), "must be an array of event rates");
+    return;
+  }
+  events.rates.forEach((rate, i) => {
+    const ratePath = joinPath(joinPath(path, "rates"), i);
+    if (!isPlainObject(rate)) {
+      sink.error(ratePath, "must be an object");
+      return;
+    }
+    checkPricingAmount(sink, joinPath(ratePath, "amount"), rate.amount);
+    for (const listKey of ["venues", "eventTypes"]) {
+      const list = rate[listKey];
+      if (list == null) continue;
+      if (!Array.isArray(list) || !list.every(isNonEmptyString))
+        sink.error(joinPath(ratePath, listKey), "must be an array of strings");
+    }
+    if (rate.venues == null && rate.eventTypes == null)
+      sink.warning(ratePath, "names no venues or eventTypes (use default)");
+  });
+}
+
+/**
+ * Tier keys from `PRICING_AMOUNT_KEYS` must be dollars or `[low, high]` (**`events`** may be per-venue
+ * rates; legacy prose is read by `parseRateExpression`); **`freeFirstHours`** is hours; metadata
+ * keys are prose.
+ * @param {ReturnType<typeof fileIssueSink>} sink
+ * @param {string} path
+ * @param {unknown} pricing
+ */
+function checkPricing(sink, path, pricing) {
+  if (!isPlainObject(pricing)) {
+    sink.error(path, "must be an object of pricing tiers");
+    return;
+  }
+  const keys = Object.keys(pricing);
+  if (!keys.length) {
+    sink.warning(path, "has no tiers (omit pricing when the rate is unknown)");
+    return;
+  }
+  for (const key of keys) {
+    const v = pricing[key];
+    const keyPath = joinPath(path, key);
+    if (PRICING_AMOUNT_KEYS.includes(key)) {
+      if (key === "events" && isPlainObject(v)) {
+        checkEventRates(sink, keyPath, v);
+        continue;
+      }
+      if (typeof v === "string") {
+        sink.warning(
+          keyPath,
+          parseRateExpression(v)
+            ? "legacy $ prose — store dollars as a number or [low, high]"
+            : "prose names no rate, cap or free period the planner can read",
+        );
+        continue;
+      }
+      checkPricingAmount(sink, keyPath, v);
+      continue;
+    }
+    if (PRICING_HOURS_KEYS.includes(key)) {
+      if (typeof v !== "number" || !Number.isFinite(v) || v < 0)
+        sink.error(keyPath, "must be a number of hours, 0 or more");
+      continue;
+    }
+    if (PRICING_META_KEYS.includes(key) || PRICING_DETAIL_KEYS.includes(key)) {
+      if (typeof v !== "string") sink.error(keyPath, "must be a string");
+      continue;
+    }
+    sink.warning(
+      keyPath,
+      `unknown pricing key (tiers: ${PRICING_AMOUNT_KEYS.join(", ")})`,
+    );
+  }
+}
+
+function checkFileLoaded(sink, input, { required }) {
+  if (input?.loadError) {
+    if (required) sink.error("", `could not load: ${input.loadError}`);
+    else sink.warning("", `could not load: ${input.loadError}`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * A generated file the planner can do without (`bus/routes.json`) is left out of the report while it
+ * is missing — not fetched yet; any other load failure is a warning.
+ * @param {DataFileInput} input
+ */
+function isGeneratedFileMissing(input) {
+  return /\bHTTP 404\b|\bENOENT\b/.test(input?.loadError ?? "");
+}
+
+/**
+ * **`generatedAt`** / **`verifiedAt`** must be ISO dates; a date in the future is probably a typo.
+ * @param {ReturnType<typeof fileIssueSink>} sink
+ */
+function checkFreshnessDate(sink, path, value) {
+  if (value == null) return;
+  if (!isDataFreshnessDate(value)) {
+    sink.error(path, "must be an ISO date (YYYY-MM-DD)");
+  } else if (Date.parse(value) > Date.now()) {
+    sink.warning(path, `${value} is in the future`);
+  }
+}
+
+/**
+ * `data/config.json` — app-wide modes, labels, defaults, and planning constants.
+ * @param {DataHealthReport} report
+ * @param {DataFileInput} input
+ */
+export function validateConfigJson(report, input) {
+  const sink = fileIssueSink(report, input.file);
+  if (!checkFileLoaded(sink, input, { required: true })) return;
+  const config = input.data;
+  if (!isPlainObject(config)) {
+    sink.error("", "must be a JSON object");
+    return;
+  }
+  if (
+    !Array.isArray(config.validModes) ||
+    !config.validModes.every(isNonEmptyString)
+  ) {
+    sink.error("validModes", "must be an array of mode ids");
+  }
+  for (const objKey of [
+    "modeLabels",
+    "costLabels",
+    "linkTexts",
+    "eventTypes",
+  ]) {
+    const obj = config[objKey];
+    if (obj == null) continue;
+    if (!isPlainObject(obj)) {
+      sink.error(objKey, "must be an object of strings");
+      continue;
+    }
+    for (const [k, v] of Object.entries(obj)) {
+      if (typeof v !== "string")
+        sink.error(joinPath(objKey, k), "must be a string");
+    }
+  }
+  for (const objKey of ["defaults", "parkingRoutePace", "fares"]) {
+    const obj = config[objKey];
+    if (obj == null) continue;
+    if (!isPlainObject(obj)) {
+      sink.error(objKey, "must be an object of numbers");
+      continue;
+    }
+    for (const [k, v] of Object.entries(obj)) {
+      if (typeof v !== "number" || !Number.isFinite(v) || v < 0) {
+        sink.error(joinPath(objKey, k), "must be a non-negative number");
+      }
+    }
+  }
+  const freshness = config.dataFreshness;
+  if (freshness != null) {
+    const v = freshness?.staleAfterMonths;
+    if (!isPlainObject(freshness)) {
+      sink.error("dataFreshness", "must be an object");
+    } else if (
+      v != null &&
+      !(typeof v === "number" && Number.isFinite(v) && v > 0)
+    ) {
+      sink.error(
+        "dataFreshness.staleAfterMonths",
+        "must be a positive number of months",
+      );
+    }
+  }
+  const unknown = config.parkingPrivateUnknown;
+  if (unknown != null) {
+    if (!isPlainObject(unknown)) {
+      sink.error("parkingPrivateUnknown", "must be an object");
+    } else {
+      for (const k of ["lotAssumedDollars", "garageAssumedDollars"]) {
+        const v = unknown[k];
+        if (v != null && !(typeof v === "number" && v >= 0)) {
+          sink.error(
+            joinPath("parkingPrivateUnknown", k),
+            "must be a non-negative number",
+          );
+        }
+      }
+      const radius = unknown.estimateRadiusMiles;
+      if (radius != null && !(typeof radius === "number" && radius > 0)) {
+        sink.error(
+          joinPath("parkingPrivateUnknown", "estimateRadiusMiles"),
+          "must be a positive number of miles",
+        );
+      }
+      const min = unknown.estimateMinNeighbours;
+      if (min != null && !(Number.isInteger(min) && min > 0)) {
+        sink.error(
+          joinPath("parkingPrivateUnknown", "estimateMinNeighbours"),
+          "must be a positive whole number",
+        );
+      }
+    }
+  }
+}
+
+/**
+ * `data/destinations.json` — `{ destinations: [{ name, slug, location, hidden?, useDashEventRoute? }] }`.
+ * @param {DataHealthReport} report
+ * @param {DataFileInput} input
+ */
+export function validateDestinationsJson(report, input) {
+  const sink = fileIssueSink(report, input.file);
+  if (!checkFileLoaded(sink, input, { required: true })) return;
+  const list = input.data?.destinations;
+  if (!Array.isArray(list)) {
+    sink.error("destinations", "must be an array");
+    return;
+  }
+  const seenSlugs = new Set();
+  list.forEach((d, i) => {
+    const path = joinPath("destinations", i);
+    if (!isPlainObject(d)) {
+      sink.error(path, "must be an object");
+      return;
+    }
+    if (!isNonEmptyString(d.name)) {
+      sink.error(joinPath(path, "name"), "must be a non-empty string");
+    }
+    if (
+      typeof d.slug !== "string" ||
+      !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(d.slug)
+    ) {
+      sink.error(joinPath(path, "slug"), "must be lowercase kebab-case");
+    } else if (seenSlugs.has(d.slug)) {
+      sink.error(joinPath(path, "slug"), `duplicate slug "${d.slug}"`);
+    } else {
+      seenSlugs.add(d.slug);
+    }
+    if (d.location != null) {
+      checkLocation(sink, joinPath(path, "location"), d.location);
+    } else {
+      checkLatLng(sink, path, d.latitude, d.longitude);
+    }
+    for (const flag of ["hidden", "useDashEventRoute"]) {
+      if (d[flag] != null && typeof d[flag] !== "boolean") {
+        sink.error(joinPath(path, flag), "must be true or false");
+      }
+    }
+  });
+}
+
+/**
+ * `data/overrides.json` — an array of manual pin edits (see `applyParkingDataOverrides`).
+ * @param {DataHealthReport} report
+ * @param {DataFileInput} input
+ */
+export function validateOverridesJson(report, input) {
+  const sink = fileIssueSink(report, input.file);
+  if (!checkFileLoaded(sink, input, { required: false })) return;
+  const list = input.data;
+  if (!Array.isArray(list)) {
+    sink.error("", "must be a JSON array");
+    return;
+  }
+  const seen = new Set();
+  list.forEach((ov, i) => {
+    const path = joinPath("", i);
+    if (!isPlainObject(ov)) {
+      sink.error(path, "must be an object");
+      return;
+    }
+    const cat = typeof ov.category === "string" ? ov.category.trim() : "";
+    const targetKey = parkingOverrideCategoryToKey(cat);
+    if (!targetKey) {
+      sink.error(
+        joinPath(path, "category"),
+        `unknown category ${JSON.stringify(ov.category ?? null)} (use ${parkingOverrideCategoryIds().join(", ")})`,
+      );
+    }
+    let coords = null;
+    if (ov.location != null) {
+      const loc = ov.location;
+      if (isPlainObject(loc) && loc.latitude == null && loc.longitude == null) {
+        const lng = loc.lng ?? loc.lon;
+        if (checkLatLng(sink, joinPath(path, "location"), loc.lat, lng)) {
+          coords = [loc.lat, lng];
+          sink.warning(
+            joinPath(path, "location"),
+            "lat/lng aliases still parse — prefer latitude/longitude",
+          );
+        }
+      } else {
+        coords = checkLocation(sink, joinPath(path, "location"), loc);
+      }
+    } else {
+      const lat = ov.latitude ?? ov.lat;
+      const lng = ov.longitude ?? ov.lon ?? ov.lng;
+      if (checkLatLng(sink, path, lat, lng)) {
+        coords = [lat, lng];
+        sink.warning(
+          path,
+          "root-level coordinates still parse — prefer location: { latitude, longitude }",
+        );
+      }
+    }
+    if (coords && cat) {
+      const dupKey = `${targetKey || cat}@${coords[0]},${coords[1]}`;
+      if (seen.has(dupKey)) {
+        sink.warning(path, "another override targets the same pin");
+      }
+      seen.add(dupKey);
+    }
+    if (
+      ov.matchToleranceMiles != null &&
+      !(
+        typeof ov.matchToleranceMiles === "number" &&
+        Number.isFinite(ov.matchToleranceMiles) &&
+        ov.matchToleranceMiles > 0
+      )
+    ) {
+      sink.error(
+        joinPath(path, "matchToleranceMiles"),
+        "must be a positive number of miles",
+      );
+    }
+    for (const k of ["hidden", "standalone"]) {
+      if (ov[k] != null && typeof ov[k] !== "boolean") {
+        sink.error(joinPath(path, k), "must be true or false");
+      }
+    }
+    if (ov.standalone === true && !isNonEmptyString(ov.name)) {
+      sink.error(
+        joinPath(path, "name"),
+        "required when standalone (the pin has no dataset name)",
+      );
+    }
+    for (const k of [
+      "id",
+      "name",
+      "address",
+      "owner",
+      "manager",
+      "access",
+      "openingHours",
+      "note",
+    ]) {
+      if (ov[k] != null && typeof ov[k] !== "string") {
+        sink.error(joinPath(path, k), "must be a string");
+      }
+    }
+    if (
+      typeof ov.openingHours === "string" &&
+      !parseOpeningHours(ov.openingHours)
+    ) {
+      sink.error(joinPath(path, "openingHours"), OPENING_HOURS_HINT);
+    }
+    if (ov.pricing != null)
+      checkPricing(sink, joinPath(path, "pricing"), ov.pricing);
+    checkFreshnessDate(sink, joinPath(path, "verifiedAt"), ov.verifiedAt);
+    for (const k of Object.keys(ov)) {
+      if (!OVERRIDE_KNOWN_KEYS.has(k)) {
+        sink.warning(joinPath(path, k), "unknown key (ignored by loadData)");
+      }
+    }
+  });
+}
+
+/**
+ * One `data/parking/**.json` dataset — `{ name, modes, note?, generatedAt?, items: [{ location, pricing?, verifiedAt?, … }], deduplicated? }`.
+ * @param {DataHealthReport} report
+ * @param {DataFileInput & { key: string }} input — `key` is the `appData.parking` bucket
+ * @param {{ validModes?: unknown }} [config] — when present, dataset `modes` must be listed in `validModes`
+ */
+export function validateParkingDatasetJson(report, input, config) {
+  const sink = fileIssueSink(report, input.file);
+  if (!checkFileLoaded(sink, input, { required: true })) return;
+  const data = input.data;
+  if (!isPlainObject(data)) {
+    sink.error("", "must be a JSON object");
+    return;
+  }
+  if (!isNonEmptyString(data.name)) {
+    sink.warning(
+      "name",
+      "missing dataset name (used for legend and data view labels)",
+    );
+  }
+  const validModes = Array.isArray(config?.validModes)
+    ? config.validModes
+    : null;
+  if (!Array.isArray(data.modes) || !data.modes.every(isNonEmptyString)) {
+    sink.error("modes", "must be an array of mode ids");
+  } else if (validModes) {
+    for (const m of data.modes) {
+      if (!validModes.includes(m)) {
+        sink.warning("modes", `"${m}" is not in config.validModes`);
+      }
+    }
+  }
+  checkFreshnessDate(sink, "generatedAt", data.generatedAt);
+  if (!Array.isArray(data.items)) {
+    sink.error("items", "must be an array");
+    return;
+  }
+  const center = cityMapCenter();
+  const radius = getActiveCityProfile()?.downtownRadiusMiles;
+  const downtownOnly =
+    center != null &&
+    typeof radius === "number" &&
+    parkingDatasetByKey(input.key)?.downtownOnly === true;
+  const ids = new Set();
+  data.items.forEach((item, i) => {
+    const path = joinPath("items", i);
+    if (!isPlainObject(item)) {
+      sink.error(path, "must be an object");
+      return;
+    }
+    if (isNonEmptyString(item.id)) {
+      if (ids.has(item.id)) {
+        sink.error(
+          joinPath(path, "id"),
+          `duplicate id "${item.id}" (park= links need one pin per id)`,
+        );
+      }
+      ids.add(item.id);
+    }
+    const coords = checkLocation(
+      sink,
+      joinPath(path, "location"),
+      item.location,
+    );
+    if (
+      coords &&
+      downtownOnly &&
+      haversineMiles(coords[0], coords[1], center[0], center[1]) > radius + 1e-9
+    ) {
+      sink.warning(
+        joinPath(path, "location"),
+        `beyond ${radius} mi of downtown — dropped by loadData`,
+      );
+    }
+    for (const k of PARKING_ITEM_STRING_KEYS) {
+      if (item[k] != null && typeof item[k] !== "string") {
+        sink.error(joinPath(path, k), "must be a string");
+      }
+    }
+    if (
+      typeof item.openingHours === "string" &&
+      !parseOpeningHours(item.openingHours)
+    ) {
+      sink.warning(
+        joinPath(path, "openingHours"),
+        `${OPENING_HOURS_HINT} — ignored by #/visit`,
+      );
+    }
+    if (
+      item.capacity != null &&
+      !(Number.isInteger(item.capacity) && item.capacity >= 0)
+    ) {
+      sink.error(
+        joinPath(path, "capacity"),
+        "must be a whole number of spaces",
+      );
+    }
+    if (
+      item.fee != null &&
+      typeof item.fee !== "boolean" &&
+      typeof item.fee !== "string"
+    ) {
+      sink.error(joinPath(path, "fee"), "must be true, false, or a string");
+    }
+    if (item.pricing != null)
+      checkPricing(sink, joinPath(path, "pricing"), item.pricing);
+    checkFreshnessDate(sink, joinPath(path, "verifiedAt"), item.verifiedAt);
+  });
+  if (data.deduplicated != null) {
+    if (!Array.isArray(data.deduplicated)) {
+      sink.error("deduplicated", "must be an array");
+    } else {
+      data.deduplicated.forEach((item, i) => {
+        const path = joinPath("deduplicated", i);
+        if (!isPlainObject(item)) sink.error(path, "must be an object");
+        else checkLocation(sink, joinPath(path, "location"), item.location);
+      });
+    }
+  }
+}
+
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+const PARKING_SPOT_ALIAS_KNOWN_KEYS = new Set(["from", "to", "note"]);
+
+/**
+ * `data/parking-aliases.json` — `[{ from, to, note? }]` old **`park=`** ids → current ones, so shared
+ * links survive coordinate fixes and category moves (see `normalizeParkingSpotId`).
+ * @param {DataHealthReport} report
+ * @param {DataFileInput} input
+ */
+export function validateParkingSpotAliasesJson(report, input) {
+  const sink = fileIssueSink(report, input.file);
+  if (!checkFileLoaded(sink, input, { required: false })) return;
+  const list = input.data;
+  if (!Array.isArray(list)) {
+    sink.error("", "must be a JSON array");
+    return;
+  }
+  const froms = new Set();
+  list.forEach((a, i) => {
+    const path = joinPath("", i);
+    if (!isPlainObject(a)) {
+      sink.error(path, "must be an object");
+      return;
+    }
+    for (const k of ["from", "to"]) {
+      if (!isNonEmptyString(a[k])) {
+        sink.error(joinPath(path, k), "must be a park= id");
+      }
+    }
+    if (isNonEmptyString(a.from)) {
+      if (a.from.trim() === String(a.to ?? "").trim()) {
+        sink.error(joinPath(path, "to"), "same as from");
+      }
+      if (froms.has(a.from.trim())) {
+        sink.error(joinPath(path, "from"), `duplicate alias "${a.from}"`);
+      }
+      froms.add(a.from.trim());
+    }
+    if (a.note != null && typeof a.note !== "string") {
+      sink.error(joinPath(path, "note"), "must be a string");
+    }
+    for (const k of Object.keys(a)) {
+      if (!PARKING_SPOT_ALIAS_KNOWN_KEYS.has(k)) {
+        sink.warning(joinPath(path, k), "unknown key (ignored by loadData)");
+      }
+    }
+  });
+}
+
+/**
+ * `data/cities.json` — `{ defaultCity, cities: [...] }` city profiles (see `city-profile.mjs`).
+ * @param {DataHealthReport} report
+ * @param {DataFileInput} input
+ */
+export function validateCitiesJson(report, input) {
+  const sink = fileIssueSink(report, input.file);
+  if (!checkFileLoaded(sink, input, { required: true })) return;
+  const list = input.data?.cities;
+  if (!Array.isArray(list) || !list.length) {
+    sink.error("cities", "must be a non-empty array of city profiles");
+    return;
+  }
+  const slugs = new Set();
+  const dataDirs = new Set();
+  list.forEach((c, i) => {
+    const path = joinPath("cities", i);
+    if (!isPlainObject(c)) {
+      sink.error(path, "must be an object");
+      return;
+    }
+    if (
+      typeof c.slug !== "string" ||
+      !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(c.slug)
+    ) {
+      sink.error(joinPath(path, "slug"), "must be lowercase kebab-case");
+    } else if (slugs.has(c.slug)) {
+      sink.error(joinPath(path, "slug"), `duplicate slug "${c.slug}"`);
+    } else {
+      slugs.add(c.slug);
+    }
+    if (!isNonEmptyString(c.name)) {
+      sink.error(joinPath(path, "name"), "must be a non-empty string");
+    }
+    if (typeof c.dataDir !== "string" || !/^[\w./-]+$/.test(c.dataDir)) {
+      sink.error(joinPath(path, "dataDir"), "must be a relative directory");
+    } else if (dataDirs.has(c.dataDir)) {
+      sink.error(joinPath(path, "dataDir"), "shared with another city");
+    } else {
+      dataDirs.add(c.dataDir);
+    }
+    const center = c.center;
+    if (
+      !isPlainObject(center) ||
+      typeof center.latitude !== "number" ||
+      Math.abs(center.latitude) > 90 ||
+      typeof center.longitude !== "number" ||
+      Math.abs(center.longitude) > 180
+    ) {
+      sink.error(joinPath(path, "center"), "needs latitude and longitude");
+    }
+    for (const k of ["downtownRadiusMiles", "transitStopRadiusMiles"]) {
+      if (typeof c[k] !== "number" || !(c[k] > 0)) {
+        sink.error(joinPath(path, k), "must be a positive number of miles");
+      }
+    }
+    if (c.timeZone != null && !isTimeZone(c.timeZone)) {
+      sink.error(
+        joinPath(path, "timeZone"),
+        "must be an IANA time zone like America/Detroit",
+      );
+    }
+    for (const [group, nameKey] of [
+      ["transit", "agency"],
+      ["shuttle", "name"],
+    ]) {
+      const g = c[group];
+      if (!isPlainObject(g)) {
+        sink.error(joinPath(path, group), "must be an object");
+        continue;
+      }
+      if (!isNonEmptyString(g[nameKey])) {
+        sink.error(
+          joinPath(joinPath(path, group), nameKey),
+          "must be a non-empty string",
+        );
+      }
+      if (g.color != null && !HEX_COLOR_RE.test(String(g.color))) {
+        sink.error(joinPath(joinPath(path, group), "color"), "must be #rrggbb");
+      }
+    }
+    const appUrl = c.transit?.appUrl;
+    if (appUrl != null && !/^https:\/\//.test(String(appUrl))) {
+      sink.warning(
+        joinPath(path, "transit.appUrl"),
+        "should be an https:// link",
+      );
+    }
+    if (c.modeDescriptions != null) {
+      if (!isPlainObject(c.modeDescriptions)) {
+        sink.error(
+          joinPath(path, "modeDescriptions"),
+          "must be an object of strings",
+        );
+      } else {
+        for (const [k, v] of Object.entries(c.modeDescriptions)) {
+          if (typeof v !== "string")
+            sink.error(
+              joinPath(path, `modeDescriptions.${k}`),
+              "must be a string",
+            );
+        }
+      }
+    }
+  });
+  const def = input.data.defaultCity;
+  if (def != null && !slugs.has(def)) {
+    sink.error("defaultCity", `"${def}" is not a city slug`);
+  }
+}
+
+/** Modes a manifest can publish a street graph for (see `street-graph.mjs`). */
+const STREET_GRAPH_MODES = ["walk", "drive"];
+
+/**
+ * The manifest's optional **`streetGraphs`**: `{ walk?, drive? }` paths to the graphs
+ * `scripts/fetch_street_graph.py` wrote, relative to the city's data directory.
+ * @param {ReturnType<typeof fileIssueSink>} sink
+ * @param {unknown} streetGraphs
+ */
+function checkManifestStreetGraphs(sink, streetGraphs) {
+  if (streetGraphs == null) return;
+  if (!isPlainObject(streetGraphs)) {
+    sink.error("streetGraphs", "must be an object");
+    return;
+  }
+  for (const [mode, file] of Object.entries(streetGraphs)) {
+    const path = joinPath("streetGraphs", mode);
+    if (!STREET_GRAPH_MODES.includes(mode)) {
+      sink.warning(
+        path,
+        `unknown mode (expected ${STREET_GRAPH_MODES.join(" or ")})`,
+      );
+    } else if (typeof file !== "string" || !/^[\w./-]+\.json$/.test(file)) {
+      sink.error(path, "must be a .json path under the data directory");
+    }
+  }
+}
+
+/**
+ * `data/manifest.json` — `{ parking: [...], streetGraphs? }` dataset registry (see
+ * `parking-datasets.mjs`).
+ * @param {DataHealthReport} report
+ * @param {DataFileInput} input
+ */
+export function validateManifestJson(report, input) {
+  const sink = fileIssueSink(report, input.file);
+  if (!checkFileLoaded(sink, input, { required: true })) return;
+  checkManifestStreetGraphs(sink, input.data?.streetGraphs);
+  const list = input.data?.parking;
+  if (!Array.isArray(list)) {
+    sink.error("parking", "must be an array of datasets");
+    return;
+  }
+  const keys = new Set();
+  const fileKeys = new Set();
+  const paintOrders = new Map();
+  for (const d of list) {
+    if (isPlainObject(d) && typeof d.key === "string" && d.file) {
+      fileKeys.add(d.key);
+    }
+  }
+  list.forEach((d, i) => {
+    const path = joinPath("parking", i);
+    if (!isPlainObject(d)) {
+      sink.error(path, "must be an object");
+      return;
+    }
+    if (!isNonEmptyString(d.key)) {
+      sink.error(joinPath(path, "key"), "must be a non-empty string");
+    } else if (keys.has(d.key)) {
+      sink.error(joinPath(path, "key"), `duplicate key "${d.key}"`);
+    } else {
+      keys.add(d.key);
+    }
+    const hasFile = d.file != null;
+    const hasSplit = d.splitFrom != null;
+    if (hasFile === hasSplit) {
+      sink.error(path, "needs exactly one of file or splitFrom");
+    } else if (hasFile) {
+      if (typeof d.file !== "string" || !/^[\w./-]+\.json$/.test(d.file)) {
+        sink.error(
+          joinPath(path, "file"),
+          "must be a .json path under data/parking/",
+        );
+      }
+    } else {
+      if (!fileKeys.has(d.splitFrom)) {
+        sink.error(
+          joinPath(path, "splitFrom"),
+          `"${d.splitFrom}" is not a file-backed dataset`,
+        );
+      }
+      if (!isNonEmptyString(d.owner)) {
+        sink.error(joinPath(path, "owner"), "is required with splitFrom");
+      }
+    }
+    if (!PARKING_DATASET_KINDS.includes(d.kind)) {
+      sink.error(
+        joinPath(path, "kind"),
+        `must be ${PARKING_DATASET_KINDS.join(" or ")}`,
+      );
+    }
+    if (d.shape != null && !PARKING_DATASET_SHAPES.includes(d.shape)) {
+      sink.error(
+        joinPath(path, "shape"),
+        `must be ${PARKING_DATASET_SHAPES.join(" or ")}`,
+      );
+    }
+    if (d.visitCategory != null) {
+      if (!isNonEmptyString(d.visitCategory)) {
+        sink.error(joinPath(path, "visitCategory"), "must be a string");
+      } else if (d.shape == null) {
+        sink.warning(
+          joinPath(path, "visitCategory"),
+          "ignored without a garage/lot shape",
+        );
+      }
+    }
+    if (
+      d.availabilityFormat != null &&
+      !PARKING_AVAILABILITY_FORMATS.includes(d.availabilityFormat)
+    ) {
+      sink.error(
+        joinPath(path, "availabilityFormat"),
+        `must be ${PARKING_AVAILABILITY_FORMATS.join(" or ")}`,
+      );
+    }
+    if (!Array.isArray(d.modes) || !d.modes.every(isNonEmptyString)) {
+      sink.error(joinPath(path, "modes"), "must be an array of mode ids");
+    }
+    if (d.parkAndRide != null && typeof d.parkAndRide !== "boolean") {
+      sink.error(joinPath(path, "parkAndRide"), "must be true or false");
+    } else if (d.parkAndRide === true && (d.shape != null || d.downtownOnly)) {
+      sink.warning(
+        joinPath(path, "parkAndRide"),
+        "park-and-ride lots are outside downtown — drop shape and downtownOnly",
+      );
+    }
+    if (d.mergeInto != null && !list.some((x) => x?.key === d.mergeInto)) {
+      sink.error(
+        joinPath(path, "mergeInto"),
+        `"${d.mergeInto}" is not a dataset key`,
+      );
+    }
+    const style = d.markerStyle;
+    if (
+      !isPlainObject(style) ||
+      !HEX_COLOR_RE.test(String(style.color)) ||
+      !HEX_COLOR_RE.test(String(style.fillColor))
+    ) {
+      sink.error(
+        joinPath(path, "markerStyle"),
+        "needs #rrggbb color and fillColor",
+      );
+    } else if (
+      style.fillOpacity != null &&
+      !(style.fillOpacity >= 0 && style.fillOpacity <= 1)
+    ) {
+      sink.error(
+        joinPath(path, "markerStyle.fillOpacity"),
+        "must be between 0 and 1",
+      );
+    }
+    if (typeof d.paintOrder !== "number" || !Number.isFinite(d.paintOrder)) {
+      sink.error(joinPath(path, "paintOrder"), "must be a number");
+    } else if (paintOrders.has(d.paintOrder)) {
+      sink.warning(
+        joinPath(path, "paintOrder"),
+        `same as "${paintOrders.get(d.paintOrder)}" — stacking between them is arbitrary`,
+      );
+    } else {
+      paintOrders.set(d.paintOrder, d.key);
+    }
+  });
+}
+
+/** GTFS departures run past midnight into the next day (`25:10` → 1510), never two days on. */
+const TRANSIT_DEPARTURE_MAX_MINUTES = 48 * 60;
+
+/**
+ * A stop's **`departures`**: `{ weekday?, saturday?, sunday? }` lists of whole minutes after midnight
+ * of the service day, in order (see `transit-schedule.mjs`).
+ * @param {ReturnType<typeof fileIssueSink>} sink
+ */
+function checkStopDepartures(sink, path, departures) {
+  if (!isPlainObject(departures)) {
+    sink.error(path, "must be an object of service-day lists");
+    return;
+  }
+  for (const [kind, list] of Object.entries(departures)) {
+    const kindPath = joinPath(path, kind);
+    if (!TRANSIT_SERVICE_DAYS.includes(kind)) {
+      sink.warning(
+        kindPath,
+        `unknown service day (${TRANSIT_SERVICE_DAYS.join(", ")}) — ignored`,
+      );
+      continue;
+    }
+    if (!Array.isArray(list)) {
+      sink.error(kindPath, "must be an array of minutes after midnight");
+      continue;
+    }
+    const bad = list.findIndex(
+      (m) =>
+        !Number.isInteger(m) || m < 0 || m >= TRANSIT_DEPARTURE_MAX_MINUTES,
+    );
+    if (bad !== -1) {
+      sink.error(
+        joinPath(kindPath, bad),
+        `must be whole minutes after midnight, 0–${TRANSIT_DEPARTURE_MAX_MINUTES - 1}`,
+      );
+    } else if (list.some((m, i) => i > 0 && m < list[i - 1])) {
+      sink.warning(kindPath, "departures are not in time order");
+    }
+  }
+}
+
+/**
+ * One route in **`dash_routes`** / **`rapid_routes`**: unique **`route_id`**, stops with unique ids
+ * and coordinates, shapes of two or more points whose **`stop_ids`** name this route's stops.
+ * @param {ReturnType<typeof fileIssueSink>} sink
+ * @param {Set<string>} routeIds — ids seen so far in the file
+ */
+function checkBusRoute(sink, path, route, routeIds) {
+  if (!isPlainObject(route)) {
+    sink.error(path, "must be an object");
+    return;
+  }
+  if (!isNonEmptyString(route.route_id)) {
+    sink.error(joinPath(path, "route_id"), "must be a non-empty string");
+  } else if (routeIds.has(route.route_id)) {
+    sink.error(
+      joinPath(path, "route_id"),
+      `duplicate route_id "${route.route_id}"`,
+    );
+  } else {
+    routeIds.add(route.route_id);
+  }
+  if (
+    isNonEmptyString(route.route_color) &&
+    !/^#?[0-9a-f]{6}$/i.test(route.route_color.trim())
+  ) {
+    sink.warning(
+      joinPath(path, "route_color"),
+      "not a hex color — drawn in the default line color",
+    );
+  }
+  const stopIds = new Set();
+  if (!Array.isArray(route.stops)) {
+    sink.error(joinPath(path, "stops"), "must be an array");
+  } else {
+    route.stops.forEach((stop, i) => {
+      const stopPath = joinPath(joinPath(path, "stops"), i);
+      if (!isPlainObject(stop)) {
+        sink.error(stopPath, "must be an object");
+        return;
+      }
+      if (!isNonEmptyString(stop.stop_id)) {
+        sink.error(joinPath(stopPath, "stop_id"), "must be a non-empty string");
+      } else if (stopIds.has(stop.stop_id)) {
+        sink.error(
+          joinPath(stopPath, "stop_id"),
+          `duplicate stop_id "${stop.stop_id}" on this route`,
+        );
+      } else {
+        stopIds.add(stop.stop_id);
+      }
+      checkLatLng(sink, stopPath, stop.latitude, stop.longitude);
+      if (stop.departures != null)
+        checkStopDepartures(
+          sink,
+          joinPath(stopPath, "departures"),
+          stop.departures,
+        );
+    });
+  }
+  if (!Array.isArray(route.shapes)) {
+    sink.error(joinPath(path, "shapes"), "must be an array");
+    return;
+  }
+  route.shapes.forEach((shape, i) => {
+    const shapePath = joinPath(joinPath(path, "shapes"), i);
+    if (!isPlainObject(shape)) {
+      sink.error(shapePath, "must be an object");
+      return;
+    }
+    if (!Array.isArray(shape.coordinates) || shape.coordinates.length < 2) {
+      sink.error(
+        joinPath(shapePath, "coordinates"),
+        "must be an array of two or more points",
+      );
+    } else {
+      /** First bad point only: one broken shape should not bury the rest of the report. */
+      const bad = shape.coordinates.findIndex(
+        (c) =>
+          !isPlainObject(c) ||
+          !Number.isFinite(c.latitude) ||
+          !Number.isFinite(c.longitude) ||
+          Math.abs(c.latitude) > 90 ||
+          Math.abs(c.longitude) > 180,
+      );
+      if (bad !== -1) {
+        sink.error(
+          joinPath(joinPath(shapePath, "coordinates"), bad),
+          "must be { latitude, longitude } in range",
+        );
+      }
+    }
+    if (shape.stop_ids == null) return;
+    if (!Array.isArray(shape.stop_ids)) {
+      sink.error(joinPath(shapePath, "stop_ids"), "must be an array");
+      return;
+    }
+    shape.stop_ids.forEach((id, j) => {
+      if (!stopIds.has(id)) {
+        sink.error(
+          joinPath(joinPath(shapePath, "stop_ids"), j),
+          `"${id}" is not a stop of this route`,
+        );
+      } else if (j > 0 && id === shape.stop_ids[j - 1]) {
+        sink.warning(
+          joinPath(joinPath(shapePath, "stop_ids"), j),
+          `"${id}" repeats the stop before it`,
+        );
+      }
+    });
+  });
+}
+
+/**
+ * `data/bus/routes.json` — `{ generatedAt, meta, dash_routes: [...], rapid_routes: [...] }` from
+ * `scripts/fetch_bus_routes.py`; skipped until it is fetched.
+ * @param {DataHealthReport} report
+ * @param {DataFileInput} input
+ */
+export function validateBusRoutesJson(report, input) {
+  if (isGeneratedFileMissing(input)) return;
+  const sink = fileIssueSink(report, input.file);
+  if (!checkFileLoaded(sink, input, { required: false })) return;
+  const data = input.data;
+  if (!isPlainObject(data)) {
+    sink.error("", "must be a JSON object");
+    return;
+  }
+  checkFreshnessDate(sink, "generatedAt", data.generatedAt);
+  const routeIds = new Set();
+  let listed = false;
+  for (const listKey of ["dash_routes", "rapid_routes"]) {
+    const list = data[listKey];
+    if (list == null) continue;
+    if (!Array.isArray(list)) {
+      sink.error(listKey, "must be an array of routes");
+      continue;
+    }
+    listed = true;
+    list.forEach((route, i) =>
+      checkBusRoute(sink, joinPath(listKey, i), route, routeIds),
+    );
+  }
+  if (!listed) sink.warning("", "lists no dash_routes or rapid_routes");
+}
+
+/** Finite `[lat, lng]` in range. */
+function isGraphLatLng(p) {
+  return (
+    Array.isArray(p) &&
+    p.length >= 2 &&
+    Number.isFinite(p[0]) &&
+    Number.isFinite(p[1]) &&
+    Math.abs(p[0]) <= 90 &&
+    Math.abs(p[1]) <= 180
+  );
+}
+
+/**
+ * `data/walk/graph.json` / `data/drive/graph.json` — `{ directed, nodes, edges }` from
+ * `scripts/fetch_street_graph.py` (see `street-graph.mjs`): edges join existing nodes with a finite
+ * length no shorter than the straight line between them, and **`directed`** matches the mode —
+ * walking graphs list each way once, driving graphs list two-way streets both ways. Only graphs
+ * the manifest publishes are read, so a published graph that does not load is an error.
+ * @param {DataHealthReport} report
+ * @param {DataFileInput} input
+ * @param {{ directed: boolean }} mode — whether this file must be directed
+ */
+export function validateStreetGraphJson(report, input, { directed }) {
+  const sink = fileIssueSink(report, input.file);
+  if (!checkFileLoaded(sink, input, { required: true })) return;
+  const data = input.data;
+  if (!isPlainObject(data)) {
+    sink.error("", "must be a JSON object");
+    return;
+  }
+  checkFreshnessDate(sink, "generatedAt", data.generatedAt);
+  if (data.directed != null && typeof data.directed !== "boolean") {
+    sink.error("directed", "must be true or false");
+  } else if ((data.directed === true) !== directed) {
+    sink.error(
+      "directed",
+      directed
+        ? "must be true (one-way streets run one way)"
+        : "must be false (pedestrians walk every edge both ways)",
+    );
+  }
+  if (!Array.isArray(data.nodes) || !Array.isArray(data.edges)) {
+    sink.error("", "needs nodes and edges arrays");
+    return;
+  }
+  const { nodes, edges } = data;
+  nodes.forEach((p, i) => {
+    if (!isGraphLatLng(p))
+      sink.error(
+        joinPath("nodes", i),
+        "must be [latitude, longitude] in range",
+      );
+  });
+  const listed = new Set();
+  edges.forEach((e, i) => {
+    const path = joinPath("edges", i);
+    if (!Array.isArray(e)) {
+      sink.error(path, "must be [from, to, miles, shape?]");
+      return;
+    }
+    const [a, b, miles, shape] = e;
+    const ends = [a, b].filter(
+      (n) => !Number.isInteger(n) || !isGraphLatLng(nodes[n]),
+    );
+    if (ends.length) {
+      sink.error(path, `names node ${ends[0]}, which is missing or invalid`);
+      return;
+    }
+    if (a === b) sink.warning(path, "starts and ends at one node — skipped");
+    if (typeof miles !== "number" || !Number.isFinite(miles) || miles < 0) {
+      sink.error(
+        joinPath(path, 2),
+        "must be a finite length in miles, 0 or more",
+      );
+    } else {
+      const straight = haversineMiles(...nodes[a], ...nodes[b]);
+      if (miles < straight * 0.99 - 0.001) {
+        sink.warning(
+          joinPath(path, 2),
+          `${miles} mi is shorter than the ${straight.toFixed(3)} mi straight line between its nodes`,
+        );
+      }
+    }
+    if (shape != null && (!Array.isArray(shape) || !shape.every(isGraphLatLng)))
+      sink.error(
+        joinPath(path, 3),
+        "must be an array of [latitude, longitude]",
+      );
+    /** The same way listed back, same length (parallel ways between two nodes are fine). */
+    if (!directed && listed.has(`${b},${a},${miles}`)) {
+      sink.warning(
+        path,
+        `also listed from ${b} to ${a} — undirected graphs list each way once`,
+      );
+    }
+    listed.add(`${a},${b},${miles}`);
+  });
+}
+
+/**
+ * Validate every file `loadData()` reads for the active city. Install the city profiles and the
+ * manifest first (`setCityProfiles`, `setParkingDatasetManifest`) so distance checks, override
+ * categories, and downtown-only datasets resolve.
+ * @param {{
+ *   cities?: DataFileInput,
+ *   manifest: DataFileInput,
+ *   config: DataFileInput,
+ *   destinations: DataFileInput,
+ *   overrides: DataFileInput,
+ *   aliases?: DataFileInput,
+ *   parking: (DataFileInput & { key: string })[],
+ *   busRoutes?: DataFileInput,
+ *   walkGraph?: DataFileInput,
+ *   driveGraph?: DataFileInput,
+ * }} inputs
+ * @returns {DataHealthReport}
+ */
+export function validateDataFiles({
+  cities,
+  manifest,
+  config,
+  destinations,
+  overrides,
+  aliases,
+  parking,
+  busRoutes,
+  walkGraph,
+  driveGraph,
+}) {
+  /** @type {DataHealthReport} */
+  const report = { files: [], errors: [], warnings: [] };
+  if (cities) validateCitiesJson(report, cities);
+  validateManifestJson(report, manifest);
+  validateConfigJson(report, config);
+  validateDestinationsJson(report, destinations);
+  validateOverridesJson(report, overrides);
+  if (aliases) validateParkingSpotAliasesJson(report, aliases);
+  for (const input of parking) {
+    validateParkingDatasetJson(report, input, config.data);
+  }
+  if (busRoutes) validateBusRoutesJson(report, busRoutes);
+  if (walkGraph)
+    validateStreetGraphJson(report, walkGraph, { directed: false });
+  if (driveGraph)
+    validateStreetGraphJson(report, driveGraph, { directed: true });
+  return report;
+}
+
+/**
+ * Plain-text lines for the Node CLI (`file path: message`).
+ * @param {DataHealthReport} report
+ * @returns {string[]}
+ */
+export function formatDataHealthReportLines(report) {
+  const line = (severity, { file, path, message }) =>
+    `${severity} ${file}${path ? ` ${path}` : ""}: ${message}`;
+  return [
+    ...report.errors.map((issue) => line("error", issue)),
+    ...report.warnings.map((issue) => line("warning", issue)),
+    `${report.files.length} files, ${report.errors.length} errors, ${report.warnings.length} warnings`,
+  ];
+}
@@ -0,0 +1,189 @@
+/**
+ * Structured fields from the **`availability`** line `scripts/fetch_car_parking_ellis.py` writes for
+ * Ellis pins: city, `"204 spaces"`, `"Monthly from $210"`, then the operator's description prose
+ * (`"Early Bird Discount program available, please call (616) 458-1179 … Residential Rate : $245
+ * (24/7 access) Monthly Rate: $210 (Monday - Friday 6am - 6pm)&nbsp;"`). The loader copies them onto
+ * pins from datasets whose manifest entry sets **`availabilityFormat": "ellis"`** (see
+ * `assembleAppData`), and popups show them as labelled rows.
+ */
+
+import { formatDollarAmount } from "./parking-pricing.mjs";
+
+/** Named entities Ellis descriptions use; numeric `&#39;` / `&#x27;` forms decode generically. */
+const HTML_ENTITIES = {
+  nbsp: " ",
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  ndash: "–",
+  mdash: "—",
+  rsquo: "’",
+  lsquo: "‘",
+  hellip: "…",
+};
+
+const SPACES_PART_RE = /^(\d+)\s+spaces$/i;
+const MONTHLY_FROM_PART_RE = /^Monthly from \$(\d[\d,]*(?:\.\d+)?)$/i;
+/** `Monthly Rate: $210 (Monday - Friday 6am - 6pm)` and `Monday - Friday Monthly rate $100`. */
+const MONTHLY_RATE_RE =
+  /(?:\b(Monday\s*-\s*Friday|24\/7)\s+)?\bMonthly Rate\s*:?\s*\$(\d[\d,]*(?:\.\d+)?)(?:\s*\(([^)]*)\))?/gi;
+const RESIDENTIAL_RATE_RE =
+  /\bResidential Rate\s*:?\s*\$(\d[\d,]*(?:\.\d+)?)(?:\s*\(([^)]*)\))?/i;
+const PHONE_RE = /(?:\((\d{3})\)|\b(\d{3}))[\s.-]*(\d{3})[\s.-](\d{4})\b/g;
+
+/**
+ * @typedef {{ dollars: number, hours?: string }} EllisRate
+ * @typedef {{
+ *   capacity?: number,
+ *   monthlyRates?: EllisRate[],
+ *   residentialRate?: EllisRate,
+ *   monthlyWaitlist?: true,
+ *   earlyBird?: true,
+ *   phones?: string[],
+ *   availabilityDetails?: string,
+ * }} EllisAvailabilityFields
+ */
+
+/**
+ * Decode HTML entities (`&nbsp;`, `&amp;`, `&#39;`), drop stray tags, and collapse whitespace.
+ * @param {unknown} raw
+ * @returns {string}
+ */
+export function cleanAvailabilityText(raw) {
+  if (typeof raw !== "string") return "";
+  return raw
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === "#") {
+        const code =
+          name[1] === "x" || name[1] === "X"
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : " ";
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function dollarsFromText(s) {
+  const n = Number.parseFloat(s.replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+/** `"Monday - Friday 6am - 6pm"` → `"Monday–Friday 6am–6pm"`. */
+function tidyHours(s) {
+  const t = typeof s === "string" ? s.replace(/\s*-\s*/g, "–").trim() : "";
+  return t || undefined;
+}
+
+function rate(dollars, hours) {
+  /** @type {EllisRate} */
+  const out = { dollars };
+  const h = tidyHours(hours);
+  if (h) out.hours = h;
+  return out;
+}
+
+/**
+ * Parse an Ellis availability line. **`monthlyRates`** come from `Monthly Rate: $X (hours)` prose,
+ * else the `Monthly from $X` part (Ellis lists `$0` for lots without monthly parking — ignored);
+ * **`phones`** are formatted `(616) 458-1179` without duplicates; **`availabilityDetails`** is the
+ * description with entities decoded.
+ * @param {unknown} raw
+ * @returns {EllisAvailabilityFields | null} null for a missing or empty line
+ */
+export function parseEllisAvailability(raw) {
+  const text = cleanAvailabilityText(raw);
+  if (!text) return null;
+  /** @type {EllisAvailabilityFields} */
+  const out = {};
+  let monthlyFrom = null;
+  const prose = [];
+  text.split(";").forEach((part, i) => {
+    const p = part.trim();
+    const spaces = p.match(SPACES_PART_RE);
+    const monthly = p.match(MONTHLY_FROM_PART_RE);
+    if (spaces) out.capacity = parseInt(spaces[1], 10);
+    else if (monthly) monthlyFrom = dollarsFromText(monthly[1]);
+    else if (p && i > 0) prose.push(p);
+  });
+  const details = prose.join("; ");
+
+  const monthlyRates = [];
+  for (const m of details.matchAll(MONTHLY_RATE_RE)) {
+    const dollars = dollarsFromText(m[2]);
+    if (dollars != null && dollars > 0)
+      monthlyRates.push(rate(dollars, m[3] ?? m[1]));
+  }
+  if (monthlyRates.length === 0 && monthlyFrom != null && monthlyFrom > 0)
+    monthlyRates.push({ dollars: monthlyFrom });
+  if (monthlyRates.length) out.monthlyRates = monthlyRates;
+
+  const residential = details.match(RESIDENTIAL_RATE_RE);
+  const residentialDollars = residential && dollarsFromText(residential[1]);
+  if (residentialDollars != null && residentialDollars > 0)
+    out.residentialRate = rate(residentialDollars, residential[2]);
+
+  if (/\bwait(?:ing)?\s*-?\s*list/i.test(details)) out.monthlyWaitlist = true;
+  if (/\bearly[\s-]*bird\b/i.test(details)) out.earlyBird = true;
+
+  const phones = [];
+  for (const m of details.matchAll(PHONE_RE)) {
+    const phone = `(${m[1] ?? m[2]}) ${m[3]}-${m[4]}`;
+    if (!phones.includes(phone)) phones.push(phone);
+  }
+  if (phones.length) out.phones = phones;
+
+  if (details) out.availabilityDetails = details;
+  return out;
+}
+
+function formatRate(r) {
+  const dollars = formatDollarAmount(r.dollars);
+  return r.hours ? `${dollars}/mo (${r.hours})` : `${dollars}/mo`;
+}
+
+/**
+ * Labelled rows for the parsed Ellis fields on a pin: Monthly, Residential, Early bird, Phone, and
+ * (with **`details`**) the cleaned description. Empty for pins without them.
+ * @param {EllisAvailabilityFields | null | undefined} item
+ * @param {{ details?: boolean }} [options] `#/visit` popups leave the description out
+ * @returns {{ label: string, value: string }[]}
+ */
+export function getEllisAvailabilityRows(item, { details = true } = {}) {
+  if (!item || typeof item !== "object") return [];
+  const rows = [];
+  const monthly = Array.isArray(item.monthlyRates)
+    ? item.monthlyRates.map(formatRate).join(" · ")
+    : "";
+  if (monthly || item.monthlyWaitlist === true) {
+    const waitlist = item.monthlyWaitlist === true ? "waitlist" : "";
+    rows.push({
+      label: "Monthly",
+      value:
+        monthly && waitlist
+          ? `${monthly} — ${waitlist}`
+          : monthly || "Waitlist",
+    });
+  }
+  if (item.residentialRate && Number.isFinite(item.residentialRate.dollars))
+    rows.push({
+      label: "Residential",
+      value: formatRate(item.residentialRate),
+    });
+  if (item.earlyBird === true)
+    rows.push({ label: "Early bird", value: "Discount program available" });
+  if (Array.isArray(item.phones) && item.phones.length)
+    rows.push({ label: "Phone", value: item.phones.join(", ") });
+  if (
+    details &&
+    typeof item.availabilityDetails === "string" &&
+    item.availabilityDetails
+  )
+    rows.push({ label: "Details", value: item.availabilityDetails });
+  return rows;
+}
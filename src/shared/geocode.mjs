@@ -0,0 +1,108 @@
+/**
+ * Typed starting points for `#/visit` bus trips. `42.95, -85.71` is taken as coordinates; anything
+ * else is looked up with OpenStreetMap's Nominatim search, limited to a box around the active city's
+ * **`center`** so "100 Monroe" finds the one in town. The parking data comes from OpenStreetMap too,
+ * so street names match what the map shows.
+ */
+
+/** Nominatim search endpoint (one request per typed address; no autocomplete). */
+export const GEOCODE_SEARCH_URL = "https://nominatim.openstreetmap.org/search";
+
+/** Half-width of the search box around the city center — about The Rapid's service area. */
+export const GEOCODE_CITY_RADIUS_MILES = 20;
+
+const MILES_PER_DEGREE_LAT = 69;
+
+/** @typedef {{ lat: number, lng: number, label: string }} GeocodedPlace */
+
+/**
+ * `lat, lng` text → `[lat, lng]`; null for anything else (including out-of-range numbers).
+ * @param {unknown} text
+ * @returns {[number, number] | null}
+ */
+export function parseLatLngText(text) {
+  const m = String(text ?? "")
+    .trim()
+    .match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+  if (!m) return null;
+  const lat = Number(m[1]);
+  const lng = Number(m[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return [lat, lng];
+}
+
+/**
+ * Nominatim URL for `query` inside a box of `radiusMiles` around `center`.
+ * @param {string} query
+ * @param {{ latitude: number, longitude: number }} center
+ */
+export function geocodeSearchUrl(
+  query,
+  center,
+  radiusMiles = GEOCODE_CITY_RADIUS_MILES,
+) {
+  const dLat = radiusMiles / MILES_PER_DEGREE_LAT;
+  const dLng =
+    radiusMiles /
+    (MILES_PER_DEGREE_LAT * Math.cos((center.latitude * Math.PI) / 180));
+  const viewbox = [
+    center.longitude - dLng,
+    center.latitude + dLat,
+    center.longitude + dLng,
+    center.latitude - dLat,
+  ]
+    .map((n) => n.toFixed(4))
+    .join(",");
+  const params = new URLSearchParams({
+    q: query,
+    format: "jsonv2",
+    limit: "1",
+    viewbox,
+    bounded: "1",
+  });
+  return `${GEOCODE_SEARCH_URL}?${params}`;
+}
+
+/** `100, Monroe Center Street NW, Heartside, Grand Rapids, …` → its first three parts. */
+function shortPlaceLabel(displayName, fallback) {
+  const parts = String(displayName ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (parts.length === 0) return fallback;
+  /** A bare house number reads better joined to its street. */
+  if (/^\d+\w?$/.test(parts[0]) && parts.length > 1)
+    parts.splice(0, 2, `${parts[0]} ${parts[1]}`);
+  return parts.slice(0, 3).join(", ");
+}
+
+/**
+ * Where `query` is: coordinates as typed, else the first Nominatim match near `center`. Null when
+ * the search finds nothing; rejects when the request fails (offline, rate-limited).
+ * @param {string} query
+ * @param {{ center: { latitude: number, longitude: number }, fetchImpl?: typeof fetch }} options
+ * @returns {Promise<GeocodedPlace | null>}
+ */
+export async function geocodeAddress(query, { center, fetchImpl = fetch }) {
+  const text = String(query ?? "").trim();
+  if (!text) return null;
+  const ll = parseLatLngText(text);
+  if (ll) return { lat: ll[0], lng: ll[1], label: text };
+  const res = await fetchImpl(geocodeSearchUrl(text, center), {
+    headers: { Accept: "application/json" },
+  });
+  if (!res.ok) throw new Error(`Address search failed: HTTP ${res.status}`);
+  const hits = await res.json();
+  const hit = Array.isArray(hits)
+    ? hits.find(
+        (h) =>
+          Number.isFinite(Number(h?.lat)) && Number.isFinite(Number(h?.lon)),
+      )
+    : null;
+  if (!hit) return null;
+  return {
+    lat: Number(hit.lat),
+    lng: Number(hit.lon),
+    label: shortPlaceLabel(hit.display_name, text),
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * Opening hours for parking pins: OSM **`opening_hours`** syntax (`Mo-Fr 08:00-18:00; Sa 10:00-14:00;
+ * Su off`, `24/7`, overnight `22:00-02:00`) plus the prose our data carries (`"Monday-Friday
+ * 8am-7pm"`, `"Monday - Friday 6am - 6pm"`, `"24/7 access"`, `"Weekdays after 5 pm"`). Times are
+ * wall-clock in the city's **`timeZone`** (see `cityTimeZone()`), so a lot that opens at 6am opens at
+ * 6am Detroit time whether the browser is in Chicago or on UTC.
+ *
+ * `#/visit` reads them through {@link openingHoursConflict} to keep lots that are closed at the planned
+ * arrival — or close before the visit ends — out of recommendations.
+ */
+
+/** OSM weekday order: **0** = Monday … **6** = Sunday. */
+const OSM_DAYS = ["mo", "tu", "we", "th", "fr", "sa", "su"];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/** Prose day words → OSM two-letter days (longest spellings first so `tues` beats `tue`). */
+const PROSE_DAY_WORDS = [
+  [/\b(?:weekdays?|business days)\b/g, "mo-fr"],
+  [/\bweekends?\b/g, "sa-su"],
+  [/\b(?:daily|every ?day|7 days(?: a week)?)\b/g, "mo-su"],
+  [/\bmon(?:day)?s?\b/g, "mo"],
+  [/\btue(?:s(?:day)?)?s?\b/g, "tu"],
+  [/\bwed(?:nesday)?s?\b/g, "we"],
+  [/\bthu(?:r(?:s(?:day)?)?)?s?\b/g, "th"],
+  [/\bfri(?:day)?s?\b/g, "fr"],
+  [/\bsat(?:urday)?s?\b/g, "sa"],
+  [/\bsun(?:day)?s?\b/g, "su"],
+];
+
+/** Words prose wraps around hours that carry no schedule. */
+const PROSE_FILLER_RE = /\b(?:open|hours|access|from)\b|:(?!\d)/g;
+
+/** Rule-level pattern after normalizing: optional day selector, then times or `off`. */
+const DAY_RANGE_RE = /^(mo|tu|we|th|fr|sa|su)(?:-(mo|tu|we|th|fr|sa|su))?$/;
+const TIME_SPAN_RE = /^(\d{1,2}):(\d{2})(?:-(\d{1,2}):(\d{2})|(\+))$/;
+
+/**
+ * Parsed schedule: per OSM weekday, open spans in minutes after local midnight. A span may end past
+ * **1440** when it runs overnight (`22:00-02:00` → `[1320, 1560]`).
+ * @typedef {{ text: string, alwaysOpen: boolean, days: Array<Array<[number, number]>> }} OpeningHours
+ */
+
+function clock(h, m) {
+  const hh = Number(h);
+  const mm = Number(m);
+  if (!(hh >= 0 && hh <= 24 && mm >= 0 && mm < 60) || (hh === 24 && mm > 0))
+    return null;
+  return hh * 60 + mm;
+}
+
+/** `8am` / `6:30 p.m.` / `noon` / `midnight` → `HH:MM`; `after 5pm` → `17:00+`; `before 6pm` → `00:00-18:00`. */
+function normalizeProseTimes(s) {
+  return s
+    .replace(/\bnoon\b/g, "12:00")
+    .replace(/\bmidnight\b/g, "24:00")
+    .replace(
+      /\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\b\.?/g,
+      (_, h, m = "00", ap) => {
+        let hh = Number(h) % 12;
+        if (ap === "p") hh += 12;
+        return `${String(hh).padStart(2, "0")}:${m}`;
+      },
+    )
+    .replace(/\b(?:after|from)\s+(\d{1,2}:\d{2})/g, "$1+")
+    .replace(/\b(?:before|until|till)\s+(\d{1,2}:\d{2})/g, "00:00-$1")
+    .replace(
+      /\b(\d{1,2}:\d{2})\s*(?:-|–|—|to|through)\s*(\d{1,2}:\d{2})/g,
+      "$1-$2",
+    );
+}
+
+/** Lowercase, map day words to OSM days, join day ranges, and drop filler so only OSM tokens remain. */
+function normalizeOpeningHoursText(text) {
+  let s = text.toLowerCase().replace(/\s+/g, " ").trim();
+  s = normalizeProseTimes(s);
+  for (const [re, day] of PROSE_DAY_WORDS) s = s.replace(re, day);
+  return s
+    .replace(PROSE_FILLER_RE, " ")
+    .replace(
+      /\b(mo|tu|we|th|fr|sa|su)\s*(?:-|–|—|to|through|thru)\s*(mo|tu|we|th|fr|sa|su)\b/g,
+      "$1-$2",
+    )
+    .replace(
+      /\b(mo|tu|we|th|fr|sa|su)\s*(?:,|\band\b|&)\s*(?=(?:mo|tu|we|th|fr|sa|su)\b)/g,
+      "$1,",
+    )
+    .replace(/\s*,\s*/g, ",")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** `mo-fr,su` → `[0, 1, 2, 3, 4, 6]`; null when any part is not a day. */
+function parseDaySelector(sel) {
+  const out = new Set();
+  for (const part of sel.split(",")) {
+    const m = part.match(DAY_RANGE_RE);
+    if (!m) return null;
+    const from = OSM_DAYS.indexOf(m[1]);
+    const to = m[2] ? OSM_DAYS.indexOf(m[2]) : from;
+    for (let d = from; ; d = (d + 1) % 7) {
+      out.add(d);
+      if (d === to) break;
+    }
+  }
+  return [...out];
+}
+
+/** `08:00-12:00,13:00-17:00` → spans; `off` / `closed` → `[]`; null when malformed. */
+function parseTimeSelector(sel) {
+  if (sel === "off" || sel === "closed") return [];
+  /** @type {Array<[number, number]>} */
+  const spans = [];
+  for (const part of sel.split(",")) {
+    const m = part.match(TIME_SPAN_RE);
+    if (!m) return null;
+    const start = clock(m[1], m[2]);
+    const end = m[5] ? MINUTES_PER_DAY : clock(m[3], m[4]);
+    if (start == null || end == null) return null;
+    spans.push([
+      start % MINUTES_PER_DAY,
+      end <= start ? end + MINUTES_PER_DAY : end,
+    ]);
+  }
+  return spans;
+}
+
+/**
+ * Parse OSM `opening_hours` or prose hours. Rules separated by `;` replace earlier rules for the days
+ * they name (OSM semantics); a `,` after a time starts an additional rule (`Mo-Fr 08:00-18:00, Sa
+ * 10:00-14:00`). A rule without days applies every day; days without times are open all day.
+ * Public-holiday (`PH`) rules are skipped — the app does not know the holiday calendar.
+ * @param {unknown} text
+ * @returns {OpeningHours | null} null when empty or not understood
+ */
+export function parseOpeningHours(text) {
+  if (typeof text !== "string" || text.trim() === "") return null;
+  const raw = text.trim();
+  if (!parsedHours.has(raw)) parsedHours.set(raw, parseOpeningHoursText(raw));
+  return parsedHours.get(raw);
+}
+
+/** @type {Map<string, OpeningHours | null>} every pin re-checks its hours on each slider move */
+const parsedHours = new Map();
+
+/** @param {string} raw trimmed, non-empty */
+function parseOpeningHoursText(raw) {
+  const s = normalizeOpeningHoursText(raw);
+  if (/^(?:24\/7|24 ?hours?|mo-su 0?0:00-24:00)$/.test(s)) {
+    return {
+      text: raw,
+      alwaysOpen: true,
+      days: OSM_DAYS.map(() => [[0, MINUTES_PER_DAY]]),
+    };
+  }
+  /** @type {Array<Array<[number, number]>>} */
+  const days = OSM_DAYS.map(() => []);
+  let anyRule = false;
+  for (const ruleText of s.split(";")) {
+    const additional = ruleText.split(/(?<=\d|\+|off|closed),(?=[a-z])/);
+    for (let i = 0; i < additional.length; i++) {
+      const rule = additional[i].trim();
+      if (rule === "") continue;
+      if (/^ph\b/.test(rule)) continue;
+      const m = rule.match(/^(?:([a-z,-]+)\s+)?([\d:,+-]+|off|closed)$/);
+      let dayList;
+      let spans;
+      if (m) {
+        dayList = m[1] ? parseDaySelector(m[1]) : [0, 1, 2, 3, 4, 5, 6];
+        spans = parseTimeSelector(m[2]);
+      } else {
+        dayList = parseDaySelector(rule);
+        spans = [[0, MINUTES_PER_DAY]];
+      }
+      if (!dayList || !spans) return null;
+      anyRule = true;
+      for (const d of dayList) {
+        days[d] = i === 0 ? [...spans] : [...days[d], ...spans];
+      }
+    }
+  }
+  if (!anyRule) return null;
+  const alwaysOpen = days.every((spans) =>
+    spans.some(([a, b]) => a === 0 && b >= MINUTES_PER_DAY),
+  );
+  return { text: raw, alwaysOpen, days };
+}
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const zoneFormatters = new Map();
+
+/**
+ * Wall-clock parts of `date` in `timeZone`; **`weekday`** is OSM order (0 = Monday).
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, weekday: number }}
+ */
+export function zonedParts(date, timeZone) {
+  let fmt = zoneFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    zoneFormatters.set(timeZone, fmt);
+  }
+  const p = Object.fromEntries(
+    fmt.formatToParts(date).map(({ type, value }) => [type, value]),
+  );
+  return {
+    year: Number(p.year),
+    month: Number(p.month),
+    day: Number(p.day),
+    hour: Number(p.hour) % 24,
+    minute: Number(p.minute),
+    weekday: OSM_DAYS.indexOf(p.weekday.slice(0, 2).toLowerCase()),
+  };
+}
+
+/**
+ * The instant a local `YYYY-MM-DDTHH:MM` wall-clock time names in `timeZone` (`2026-10-24T19:30` in
+ * `America/Detroit` → 23:30 UTC). Null when `local` is malformed.
+ * @param {unknown} local
+ * @param {string} timeZone
+ * @returns {Date | null}
+ */
+export function zonedDateTime(local, timeZone) {
+  const m =
+    typeof local === "string" &&
+    local.trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/);
+  if (!m) return null;
+  const wall = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]);
+  if (!Number.isFinite(wall)) return null;
+  let t = wall;
+  // Two passes settle the zone offset on either side of a DST change.
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(t), timeZone);
+    const shown = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+    t += wall - shown;
+  }
+  return new Date(t);
+}
+
+/** Minutes since Monday 00:00 local time. */
+function localWeekMinute(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return p.weekday * MINUTES_PER_DAY + p.hour * 60 + p.minute;
+}
+
+/** Open spans as merged week-minute intervals, repeated into the next week for windows that wrap. */
+function weekIntervals(hours) {
+  const spans = [];
+  hours.days.forEach((daySpans, d) => {
+    for (const [a, b] of daySpans) {
+      const start = d * MINUTES_PER_DAY + a;
+      const end = d * MINUTES_PER_DAY + b;
+      spans.push(
+        [start, end],
+        [start + MINUTES_PER_WEEK, end + MINUTES_PER_WEEK],
+      );
+      if (end > MINUTES_PER_WEEK)
+        spans.push([start - MINUTES_PER_WEEK, end - MINUTES_PER_WEEK]);
+    }
+  });
+  spans.sort((x, y) => x[0] - y[0]);
+  const merged = [];
+  for (const [a, b] of spans) {
+    const last = merged[merged.length - 1];
+    if (last && a <= last[1]) last[1] = Math.max(last[1], b);
+    else merged.push([a, b]);
+  }
+  return merged;
+}
+
+/**
+ * Whether the place is open at `from` and stays open until `to` (or is simply open at `from` when
+ * `to` is missing or not after it).
+ * @param {OpeningHours} hours
+ * @param {Date} from
+ * @param {Date | null | undefined} to
+ * @param {string} timeZone
+ */
+export function isOpenThrough(hours, from, to, timeZone) {
+  if (hours.alwaysOpen) return true;
+  const start = localWeekMinute(from, timeZone);
+  const stay =
+    to instanceof Date && to > from
+      ? Math.ceil((to.getTime() - from.getTime()) / 60000)
+      : 0;
+  if (stay >= MINUTES_PER_WEEK) return false;
+  return weekIntervals(hours).some(
+    ([a, b]) => a <= start && start < b && start + stay <= b,
+  );
+}
+
+/**
+ * Whether the place is open at any moment between `from` and `to` (at `from` alone when `to` is
+ * missing) — the inverse of "closed the whole time", used for meter **`enforcement`** hours.
+ * @param {OpeningHours} hours
+ * @param {Date} from
+ * @param {Date | null | undefined} to
+ * @param {string} timeZone
+ */
+export function isOpenDuring(hours, from, to, timeZone) {
+  if (hours.alwaysOpen) return true;
+  const start = localWeekMinute(from, timeZone);
+  const stay =
+    to instanceof Date && to > from
+      ? Math.ceil((to.getTime() - from.getTime()) / 60000)
+      : 0;
+  if (stay >= MINUTES_PER_WEEK) return hours.days.some((d) => d.length > 0);
+  return weekIntervals(hours).some(
+    ([a, b]) => a < start + Math.max(stay, 1) && start < b,
+  );
+}
+
+/**
+ * The stretches of `from` → `to` the place is open, as merged `[start, end]` minutes after `from` in
+ * order — how much of a stay falls in meter **`enforcement`** hours or a free window. Stays of a week
+ * or more are not split.
+ * @param {OpeningHours} hours
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} timeZone
+ * @returns {Array<[number, number]>}
+ */
+export function openSpansDuring(hours, from, to, timeZone) {
+  const stay =
+    to instanceof Date && to > from
+      ? Math.ceil((to.getTime() - from.getTime()) / 60000)
+      : 0;
+  if (!stay) return [];
+  if (hours.alwaysOpen || stay >= MINUTES_PER_WEEK)
+    return isOpenDuring(hours, from, to, timeZone) ? [[0, stay]] : [];
+  const start = localWeekMinute(from, timeZone);
+  /** @type {Array<[number, number]>} */
+  const out = [];
+  for (const [a, b] of weekIntervals(hours)) {
+    const lo = Math.max(a, start);
+    const hi = Math.min(b, start + stay);
+    if (lo < hi) out.push([lo - start, hi - start]);
+  }
+  return out;
+}
+
+/**
+ * Why a pin's hours rule it out for a visit: **`closed`** at arrival, **`closes-early`** before the
+ * visit ends, or null when open throughout (or the hours are unknown or unparseable — no hours is
+ * not the same as closed).
+ * @param {unknown} openingHours — OSM / prose hours text
+ * @param {Date | null | undefined} arriveAt
+ * @param {Date | null | undefined} leaveAt
+ * @param {string} timeZone
+ * @returns {"closed" | "closes-early" | null}
+ */
+export function openingHoursConflict(
+  openingHours,
+  arriveAt,
+  leaveAt,
+  timeZone,
+) {
+  if (!(arriveAt instanceof Date) || Number.isNaN(arriveAt.getTime()))
+    return null;
+  const hours = parseOpeningHours(openingHours);
+  if (!hours) return null;
+  if (!isOpenThrough(hours, arriveAt, null, timeZone)) return "closed";
+  if (
+    leaveAt instanceof Date &&
+    !isOpenThrough(hours, arriveAt, leaveAt, timeZone)
+  )
+    return "closes-early";
+  return null;
+}
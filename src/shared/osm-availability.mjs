@@ -0,0 +1,129 @@
+/**
+ * Structured fields from the **`availability`** line `scripts/fetch_car_parking_osm.py` writes for
+ * OSM parking (`"Operator: X; Access: customers; Fee: no; Capacity: 8; OSM way/123"`). The loader
+ * copies them onto each pin (see `assembleAppData`) so `#/visit` can leave customers-only and
+ * private lots out of recommendations and flag them in popups.
+ */
+
+/**
+ * `Label: value` parts the fetch script writes → item field. Labels it truncates at 120 characters
+ * still parse; unknown labels are ignored.
+ */
+const OSM_AVAILABILITY_FIELDS = new Map([
+  ["operator", "operator"],
+  ["brand", "brand"],
+  ["type", "parkingType"],
+  ["access", "access"],
+  ["fee", "fee"],
+  ["capacity", "capacity"],
+  ["surface", "surface"],
+  ["operator type", "operatorType"],
+  ["hours", "openingHours"],
+]);
+
+const OSM_ELEMENT_RE = /\bOSM (node|way|relation)\/(\d+)\b/;
+
+/**
+ * OSM **`access`** values that keep event visitors out → popup flag text. Anything else
+ * (`yes`, `public`, `destination`, missing) counts as open to the public.
+ */
+export const OSM_RESTRICTED_ACCESS_LABELS = {
+  private: "Private — no public access",
+  no: "No public access",
+  customers: "Customers only",
+  permit: "Permit holders only",
+  residents: "Residents only",
+  employees: "Employees only",
+  delivery: "Deliveries only",
+};
+
+/**
+ * @typedef {{
+ *   osmId?: string,
+ *   operator?: string,
+ *   brand?: string,
+ *   parkingType?: string,
+ *   access?: string,
+ *   fee?: boolean | string,
+ *   capacity?: number,
+ *   surface?: string,
+ *   operatorType?: string,
+ *   openingHours?: string,
+ * }} OsmAvailabilityFields
+ */
+
+/**
+ * Parse an OSM availability line. **`fee`** is a boolean for `yes` / `no` (other OSM values such as
+ * `donation` stay strings); **`capacity`** is a whole number or omitted; **`osmId`** is `way/123`.
+ * @param {unknown} raw
+ * @returns {OsmAvailabilityFields | null} null when the line has no OSM reference (not from OSM)
+ */
+export function parseOsmAvailability(raw) {
+  if (typeof raw !== "string") return null;
+  const ref = raw.match(OSM_ELEMENT_RE);
+  if (!ref) return null;
+  /** @type {OsmAvailabilityFields} */
+  const out = { osmId: `${ref[1]}/${ref[2]}` };
+  for (const part of raw.split(";")) {
+    const colon = part.indexOf(":");
+    if (colon <= 0) continue;
+    const field = OSM_AVAILABILITY_FIELDS.get(
+      part.slice(0, colon).trim().toLowerCase(),
+    );
+    const value = part.slice(colon + 1).trim();
+    if (!field || value === "") continue;
+    if (field === "capacity") {
+      if (/^\d+$/.test(value)) out.capacity = parseInt(value, 10);
+    } else if (field === "fee") {
+      const v = value.toLowerCase();
+      out.fee = v === "yes" ? true : v === "no" ? false : value;
+    } else if (field === "access") {
+      out.access = value.toLowerCase();
+    } else {
+      out[field] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Popup flag for a pin the public cannot use for event parking, from its **`access`** field
+ * (OSM `private`, `customers`, …); null when open or unknown.
+ * @param {{ access?: unknown } | null | undefined} item
+ * @returns {string | null}
+ */
+export function parkingAccessRestrictionLabel(item) {
+  const access =
+    typeof item?.access === "string" ? item.access.trim().toLowerCase() : "";
+  return Object.hasOwn(OSM_RESTRICTED_ACCESS_LABELS, access)
+    ? OSM_RESTRICTED_ACCESS_LABELS[access]
+    : null;
+}
+
+/**
+ * `#/data/parking` popup rows for the structured OSM fields on a pin (after Owner, before pricing).
+ * @param {OsmAvailabilityFields | null | undefined} item
+ * @returns {{ label: string, value: string }[]}
+ */
+export function getDataViewOsmAvailabilityRows(item) {
+  if (!item || typeof item !== "object") return [];
+  const rows = [];
+  if (typeof item.operator === "string" && item.operator.trim())
+    rows.push({ label: "Operator", value: item.operator.trim() });
+  if (typeof item.access === "string" && item.access) {
+    const restriction = parkingAccessRestrictionLabel(item);
+    rows.push({
+      label: "Access",
+      value: restriction ? `${item.access} (${restriction})` : item.access,
+    });
+  }
+  if (typeof item.fee === "boolean")
+    rows.push({ label: "Fee", value: item.fee ? "Yes" : "No" });
+  else if (typeof item.fee === "string" && item.fee)
+    rows.push({ label: "Fee", value: item.fee });
+  if (typeof item.surface === "string" && item.surface)
+    rows.push({ label: "Surface", value: item.surface });
+  if (typeof item.osmId === "string" && item.osmId)
+    rows.push({ label: "OSM", value: item.osmId });
+  return rows;
+}
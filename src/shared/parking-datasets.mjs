@@ -0,0 +1,249 @@
+/**
+ * Parking dataset registry built from `data/manifest.json`. Each **`parking`** entry declares
+ * where a dataset comes from (**`file`** under `data/parking/`, or **`splitFrom`** + **`owner`**
+ * for pins carved out of another dataset after load), how `#/visit` groups it, its **`modes`**,
+ * **`markerStyle`**, and **`paintOrder`** (bottom → top on every map).
+ *
+ * - **`kind`** (`public` / `private`) × **`shape`** (`garage` / `lot`) is the `#/visit` filter toggle
+ *   (`private-garage`, …). Datasets without a **`shape`** (meters, racks, Lime) never appear on `#/visit`.
+ * - **`visitCategory`** is the marker / `park=` id. Several datasets may share one (OSM + AirGarage are
+ *   both `private-garage`); a dataset with its own id (Ellis → `ellis-garage`) still shows under its
+ *   kind × shape toggle.
+ * - **`mergeInto`** folds the dataset into another row of the `#/data/parking` dropdown.
+ * - **`downtownOnly`** drops pins beyond the city profile's **`downtownRadiusMiles`**; **`supersedesOsm`**
+ *   drops OSM pins near this dataset's pins (operator names and prices win over crowdsourced tags).
+ * - **`parkAndRide`** marks lots outside downtown to park at and take transit in. They keep their
+ *   own category with no **`shape`**, so they are never downtown suggestions; `#/visit` offers them as
+ *   a drive → park → Rapid → walk trip instead.
+ * - **`name`** replaces the dataset file's own `name` in labels.
+ * - **`availabilityFormat`** names the operator prose in item **`availability`** lines the loader
+ *   parses into fields (`ellis` → `ellis-availability.mjs`); OSM lines parse on every dataset.
+ *
+ * `loadData()` installs the manifest before any parking data is read; everything below reads the
+ * installed registry, so adding an operator is a manifest edit plus its JSON file.
+ */
+
+/**
+ * @typedef {{ color: string, fillColor: string, fillOpacity?: number }} ParkingMarkerStyle
+ * @typedef {{
+ *   key: string,
+ *   file?: string,
+ *   splitFrom?: string,
+ *   owner?: string,
+ *   name?: string,
+ *   kind: "public" | "private",
+ *   shape?: "garage" | "lot",
+ *   modes: string[],
+ *   visitCategory?: string,
+ *   mergeInto?: string,
+ *   downtownOnly?: boolean,
+ *   supersedesOsm?: boolean,
+ *   parkAndRide?: boolean,
+ *   availabilityFormat?: "ellis",
+ *   markerStyle: ParkingMarkerStyle | null,
+ *   paintOrder: number,
+ * }} ParkingDatasetEntry
+ */
+
+export const PARKING_DATASET_KINDS = ["public", "private"];
+export const PARKING_DATASET_SHAPES = ["garage", "lot"];
+export const PARKING_AVAILABILITY_FORMATS = ["ellis"];
+
+/** @type {ParkingDatasetEntry[]} */
+let registry = [];
+
+/**
+ * Install `data/manifest.json`. Entries without a string **`key`** are skipped (the validator reports them).
+ * @param {unknown} manifest
+ * @returns {ParkingDatasetEntry[]}
+ */
+export function setParkingDatasetManifest(manifest) {
+  const list = Array.isArray(manifest?.parking) ? manifest.parking : [];
+  registry = list
+    .filter((d) => d && typeof d === "object" && typeof d.key === "string")
+    .map((d, i) => ({
+      ...d,
+      kind: d.kind === "public" ? "public" : "private",
+      shape: PARKING_DATASET_SHAPES.includes(d.shape) ? d.shape : undefined,
+      modes: Array.isArray(d.modes) ? d.modes : [],
+      markerStyle:
+        d.markerStyle && typeof d.markerStyle === "object"
+          ? d.markerStyle
+          : null,
+      paintOrder: Number.isFinite(d.paintOrder) ? d.paintOrder : i,
+    }));
+  return registry;
+}
+
+/** Every registered dataset, in manifest order. */
+export function getParkingDatasets() {
+  return registry;
+}
+
+/** @returns {ParkingDatasetEntry | null} */
+export function parkingDatasetByKey(key) {
+  return registry.find((d) => d.key === key) ?? null;
+}
+
+/** Datasets read from their own file (not split out of another). */
+export function parkingDatasetsWithFiles() {
+  return registry.filter((d) => typeof d.file === "string" && d.file);
+}
+
+/** File-backed park-and-ride datasets, in manifest order. */
+export function parkAndRideDatasets() {
+  return registry.filter((d) => d.parkAndRide === true && d.file);
+}
+
+/** Garages and lots — the datasets `#/visit` can recommend. */
+export function isDriveParkingDataset(entry) {
+  return entry?.shape != null;
+}
+
+/**
+ * `appData.parking` keys, bottom → top.
+ * @param {{ driveOnly?: boolean }} [opts]
+ */
+export function parkingDatasetKeysInPaintOrder(opts) {
+  const list = opts?.driveOnly
+    ? registry.filter(isDriveParkingDataset)
+    : registry;
+  return list
+    .slice()
+    .sort((a, b) => a.paintOrder - b.paintOrder)
+    .map((d) => d.key);
+}
+
+/** `#/visit` filter toggle id (`private-lot`) for a garage/lot dataset; null otherwise. */
+export function visitFilterCategoryIdForDataset(entry) {
+  if (!isDriveParkingDataset(entry)) return null;
+  return `${entry.kind}-${entry.shape}`;
+}
+
+/** `#/visit` filter toggle ids in manifest order (`public-garage`, `public-lot`, …). */
+export function visitFilterCategoryIds() {
+  const out = [];
+  for (const d of registry) {
+    const id = visitFilterCategoryIdForDataset(d);
+    if (id && !out.includes(id)) out.push(id);
+  }
+  return out;
+}
+
+/** Every `#/visit` marker / `park=` category id (filter ids plus operator ids like `ellis-lot`). */
+export function visitMarkerCategoryIds() {
+  const out = visitFilterCategoryIds();
+  for (const d of registry) {
+    if (!isDriveParkingDataset(d) || !d.visitCategory) continue;
+    if (!out.includes(d.visitCategory)) out.push(d.visitCategory);
+  }
+  return out;
+}
+
+function datasetsForVisitCategory(categoryId) {
+  return registry.filter(
+    (d) => isDriveParkingDataset(d) && d.visitCategory === categoryId,
+  );
+}
+
+/**
+ * Marker categories shown when a filter toggle is on (`private-garage` → `private-garage`, `ellis-garage`).
+ * @param {string} filterId
+ * @returns {string[]}
+ */
+export function visitMarkerCategoriesForFilter(filterId) {
+  const out = [filterId];
+  for (const d of registry) {
+    if (visitFilterCategoryIdForDataset(d) !== filterId || !d.visitCategory)
+      continue;
+    if (!out.includes(d.visitCategory)) out.push(d.visitCategory);
+  }
+  return out;
+}
+
+/**
+ * Filter toggle that owns a marker category or dataset key (`ellis-lot` → `private-lot`, `osmGarages` → `private-garage`).
+ * @returns {string | null}
+ */
+export function visitFilterCategoryIdFor(token) {
+  if (visitFilterCategoryIds().includes(token)) return token;
+  const byCategory = datasetsForVisitCategory(token)[0];
+  if (byCategory) return visitFilterCategoryIdForDataset(byCategory);
+  return visitFilterCategoryIdForDataset(parkingDatasetByKey(token));
+}
+
+/** Marker categories, bottom → top (lowest `paintOrder` among each category's datasets). */
+export function visitMarkerCategoryPaintOrder() {
+  const order = new Map();
+  for (const key of parkingDatasetKeysInPaintOrder({ driveOnly: true })) {
+    const d = parkingDatasetByKey(key);
+    const id = d?.visitCategory || visitFilterCategoryIdForDataset(d);
+    if (id && !order.has(id)) order.set(id, order.size);
+  }
+  return [...order.keys()];
+}
+
+/** `appData.parking` keys whose pins render as one `#/visit` marker category (`private-lot` → `osmLots`, `airGarageLots`). */
+export function parkingDataKeysForVisitCategory(categoryId) {
+  return datasetsForVisitCategory(categoryId).map((d) => d.key);
+}
+
+/** The file-backed dataset that names a `#/visit` category (labels, overrides). */
+export function primaryParkingDataKeyForVisitCategory(categoryId) {
+  const list = datasetsForVisitCategory(categoryId);
+  const primary = list.find((d) => d.file) || list[0];
+  return primary ? primary.key : null;
+}
+
+/** Dataset kind for a dataset key, marker category, or filter id; null when unknown. */
+export function parkingKindForCategory(categoryKey) {
+  const d =
+    parkingDatasetByKey(categoryKey) ||
+    datasetsForVisitCategory(categoryKey)[0] ||
+    registry.find((x) => visitFilterCategoryIdForDataset(x) === categoryKey);
+  return d ? d.kind : null;
+}
+
+/** Private garage/lot (OSM, Ellis, AirGarage, …) by dataset key, marker category, or filter id. */
+export function isPrivateDriveParkingCategory(categoryKey) {
+  const d =
+    parkingDatasetByKey(categoryKey) ||
+    datasetsForVisitCategory(categoryKey)[0] ||
+    registry.find((x) => visitFilterCategoryIdForDataset(x) === categoryKey);
+  return d != null && d.kind === "private" && isDriveParkingDataset(d);
+}
+
+/**
+ * `category` in `data/overrides.json` → `appData.parking` key. Accepts dataset keys (`osmLots`) and
+ * `#/visit` category ids (`private-lot`, `ellis-lot`).
+ * @returns {string | null}
+ */
+export function parkingOverrideCategoryToKey(category) {
+  if (typeof category !== "string") return null;
+  const t = category.trim();
+  if (parkingDatasetByKey(t)) return t;
+  return primaryParkingDataKeyForVisitCategory(t);
+}
+
+/** Every accepted override `category`, for error messages. */
+export function parkingOverrideCategoryIds() {
+  return [...visitMarkerCategoryIds(), ...registry.map((d) => d.key)];
+}
+
+/** `#/data/parking` dropdown rows: datasets that are not folded into another. */
+export function dataViewPrimaryParkingDatasets() {
+  return registry.filter((d) => !d.mergeInto);
+}
+
+/** `#/data/parking` — a dropdown row plus every dataset folded into it. */
+export function dataViewParkingSourceKeysForPrimary(primaryKey) {
+  return [
+    primaryKey,
+    ...registry.filter((d) => d.mergeInto === primaryKey).map((d) => d.key),
+  ];
+}
+
+/** Dropdown row for a dataset key (legacy `?dataset=ellisLots` → `osmLots`). */
+export function dataViewCanonicalParkingDatasetKey(key) {
+  return parkingDatasetByKey(key)?.mergeInto || key;
+}
@@ -1,102 +1,44 @@
 /**
  * Circle marker styles for `#/visit` and drive pins on `#/data/parking`.
- * Keep in sync visually with Leaflet `circleMarker` options there.
+ * Keep in sync visually with Leaflet `circleMarker` options there. Colors and stacking
+ * order come from `data/manifest.json` (see `parking-datasets.mjs`).
  */
 
-export const PARKING_SPOT_STYLE_PUBLIC_GARAGE = {
-  color: "#4338ca",
-  fillColor: "#818cf8",
-  fillOpacity: 0.76,
-};
-export const PARKING_SPOT_STYLE_PUBLIC_LOT = {
-  color: "#155e75",
-  fillColor: "#67e8f9",
-  fillOpacity: 0.75,
-};
-export const PARKING_SPOT_STYLE_PRIVATE_GARAGE = {
-  color: "#b45309",
-  fillColor: "#f59e0b",
-  fillOpacity: 0.78,
-};
-export const PARKING_SPOT_STYLE_PRIVATE_LOT = {
-  color: "#ca8a04",
-  fillColor: "#fde047",
-  fillOpacity: 0.78,
-};
-
-/**
- * Lime primary brand green (#00DD00) per Lime brand guidelines; darker stroke for map contrast.
- */
-export const PARKING_SPOT_STYLE_MICROMOBILITY_LIME = {
-  color: "#00820e",
-  fillColor: "#00DD00",
-  fillOpacity: 0.82,
-};
-
-/** `#/data/parking` meters — blue (distinct from public-lot cyan/teal). */
-export const PARKING_DATA_VIEW_STYLE_METERS = {
-  color: "#1e3a8a",
-  fillColor: "#2563eb",
-  fillOpacity: 0.8,
-};
+import {
+  getParkingDatasets,
+  parkingDatasetByKey,
+  parkingDatasetKeysInPaintOrder,
+  visitFilterCategoryIdForDataset,
+} from "./parking-datasets.mjs";
 
-/** `#/data/parking` bike racks — pink (distinct from Lime green and drive blues/teals). */
-export const PARKING_DATA_VIEW_STYLE_RACKS = {
-  color: "#be185d",
-  fillColor: "#f9a8d4",
-  fillOpacity: 0.78,
+/** Fallback when a category or dataset has no `markerStyle` in `data/manifest.json`. */
+export const PARKING_SPOT_STYLE_FALLBACK = {
+  color: "#475569",
+  fillColor: "#94a3b8",
+  fillOpacity: 0.75,
 };
 
-/** `appData.parking` keys for drive garages/lots — bottom → top (same as `#/visit`). */
-export const PARKING_DRIVE_DATA_KEYS_PAINT_ORDER = [
-  "osmLots",
-  "airGarageLots",
-  "ellisLots",
-  "lots",
-  "osmGarages",
-  "airGarageGarages",
-  "ellisGarages",
-  "garages",
-];
-
-/** `#/data/parking` map — full stacking order (bottom → top). */
-export const PARKING_DATA_VIEW_PAINT_ORDER = [
-  ...PARKING_DRIVE_DATA_KEYS_PAINT_ORDER,
-  "meters",
-  "racks",
-  "micromobility",
-];
-
+/** `#/visit` filter toggle id (`public-garage`, `private-lot`) for a garage/lot dataset key. */
 export function parkingMapCategoryIdFromDataKey(dataKey) {
-  const m = {
-    garages: "public-garage",
-    lots: "public-lot",
-    osmGarages: "private-garage",
-    osmLots: "private-lot",
-    airGarageGarages: "private-garage",
-    airGarageLots: "private-lot",
-    ellisGarages: "private-garage",
-    ellisLots: "private-lot",
-  };
-  return m[dataKey] || null;
+  return visitFilterCategoryIdForDataset(parkingDatasetByKey(dataKey));
 }
 
+/**
+ * Marker style for a `#/visit` filter toggle or marker category (`ellis-lot`): the manifest
+ * `markerStyle` of the first dataset in that category.
+ */
 export function circleStyleForParkingCategoryKey(key) {
-  if (key === "public-garage") return PARKING_SPOT_STYLE_PUBLIC_GARAGE;
-  if (key === "public-lot") return PARKING_SPOT_STYLE_PUBLIC_LOT;
-  if (key === "private-garage" || key === "ellis-garage")
-    return PARKING_SPOT_STYLE_PRIVATE_GARAGE;
-  if (key === "private-lot" || key === "ellis-lot")
-    return PARKING_SPOT_STYLE_PRIVATE_LOT;
-  return PARKING_SPOT_STYLE_PUBLIC_GARAGE;
+  const d = getParkingDatasets().find(
+    (x) =>
+      x.markerStyle &&
+      (x.visitCategory === key || visitFilterCategoryIdForDataset(x) === key),
+  );
+  return d ? d.markerStyle : PARKING_SPOT_STYLE_FALLBACK;
 }
 
+/** Manifest `markerStyle` for an `appData.parking` key; null when the key is not registered. */
 export function styleForParkingDatasetKey(dataKey) {
-  if (dataKey === "micromobility") return PARKING_SPOT_STYLE_MICROMOBILITY_LIME;
-  if (dataKey === "meters") return PARKING_DATA_VIEW_STYLE_METERS;
-  if (dataKey === "racks") return PARKING_DATA_VIEW_STYLE_RACKS;
-  const id = parkingMapCategoryIdFromDataKey(dataKey);
-  return id ? circleStyleForParkingCategoryKey(id) : null;
+  return parkingDatasetByKey(dataKey)?.markerStyle ?? null;
 }
 
 export function hexToRgba(hex, alpha) {
@@ -123,9 +65,10 @@ export function parkingDatasetSwatchHtml(style, sizeClass = "h-3 w-3") {
  * Leaflet add order: earlier = underneath. Non-drive parking rows render below drive lots/garages.
  */
 export function compareParkingDataViewPointsForPaintOrder(a, b) {
+  const paintOrder = parkingDatasetKeysInPaintOrder();
   function tier(key) {
     if (!key) return -100;
-    const i = PARKING_DATA_VIEW_PAINT_ORDER.indexOf(key);
+    const i = paintOrder.indexOf(key);
     return i >= 0 ? i : -1;
   }
   const ta = tier(a.parkingDatasetKey);
@@ -3,24 +3,19 @@
  * ranges. **`hourly`** is always **dollars per hour** (half-hour source rates are stored ×2).
  * Optional metadata: **`rateLabel`**, **`rateNote`**, **`hourlyFreeWhen`**.
  * **`rateLabel`**, **`rateNote`**, **`hourlyFreeWhen`** (prose free window, not a dollar amount).
+ * **`events`** may also be {@link EventRates}: per-venue / per-event-type amounts with a fallback.
  */
 
 import { PARKING_PRICE_NOT_LISTED_LABEL } from "./data-loader.mjs";
-
-function isPrivateParkingCategory(categoryKey) {
-  return (
-    categoryKey === "private-garage" ||
-    categoryKey === "private-lot" ||
-    categoryKey === "ellis-garage" ||
-    categoryKey === "ellis-lot" ||
-    categoryKey === "osmGarages" ||
-    categoryKey === "osmLots" ||
-    categoryKey === "airGarageGarages" ||
-    categoryKey === "airGarageLots" ||
-    categoryKey === "ellisGarages" ||
-    categoryKey === "ellisLots"
-  );
-}
+import { getEllisAvailabilityRows } from "./ellis-availability.mjs";
+import { PARKING_DEFAULT_STAY_HOURS } from "./visit-time.mjs";
+import { isPrivateDriveParkingCategory } from "./parking-datasets.mjs";
+import {
+  openSpansDuring,
+  parseOpeningHours,
+  zonedParts,
+} from "./opening-hours.mjs";
+import { parseRateExpression } from "./rate-expression.mjs";
 
 export const PRICING_AMOUNT_KEYS = [
   "events",
@@ -37,11 +32,16 @@ export const PARKING_EVENING_PRICE_AMBIGUOUS_PROSE = -1;
 
 export const PRICING_META_KEYS = ["rateLabel", "rateNote", "hourlyFreeWhen"];
 
+/** Hours fields: **`freeFirstHours`** — hours free before **`hourly`** starts charging. */
+export const PRICING_HOURS_KEYS = ["freeFirstHours"];
+
+/** Prose fields on meter-style rows (shown as-is, never parsed as a tier). */
+export const PRICING_DETAIL_KEYS = ["maxDuration", "enforcement", "free"];
+
 const NON_PRICE_KEYS = new Set([
   ...PRICING_META_KEYS,
-  "maxDuration",
-  "enforcement",
-  "free",
+  ...PRICING_DETAIL_KEYS,
+  ...PRICING_HOURS_KEYS,
 ]);
 
 /** @typedef {number | [number, number]} PricingAmount */
@@ -62,6 +62,89 @@ export function isPricingAmount(v) {
   );
 }
 
+/**
+ * **`events`** that differ by venue or kind of event:
+ * `{ "default": [12, 25], "rates": [{ "venues": ["van-andel-arena"], "eventTypes": ["sports"], "amount": 20 }] }`.
+ * **`venues`** are destination slugs and **`eventTypes`** keys of `config.eventTypes`; a rate that
+ * omits one applies to any.
+ * @typedef {{ venues?: string[], eventTypes?: string[], amount: PricingAmount }} EventRate
+ * @typedef {{ default?: PricingAmount, rates: EventRate[] }} EventRates
+ */
+
+/**
+ * @param {unknown} v
+ * @returns {v is EventRates}
+ */
+export function isEventRates(v) {
+  return (
+    v != null &&
+    typeof v === "object" &&
+    !Array.isArray(v) &&
+    Array.isArray(v.rates) &&
+    v.rates.every(
+      (r) => r && typeof r === "object" && isPricingAmount(r.amount),
+    )
+  );
+}
+
+/** `[low, high]` across every amount in `list`; null when empty. */
+function spanOfAmounts(list) {
+  const nums = list.flatMap((a) => (typeof a === "number" ? [a] : a));
+  if (nums.length === 0) return null;
+  const lo = Math.min(...nums);
+  const hi = Math.max(...nums);
+  return lo === hi ? lo : [lo, hi];
+}
+
+/**
+ * The **`events`** amount for a venue and event type. A rate matches when each list it names holds
+ * the value; one naming both beats one naming either, ties go to file order. No match → **`default`**,
+ * else the span of every listed amount (what the garage might charge). Plain tiers pass through.
+ * @param {unknown} events — `pricing.events`
+ * @param {string | null | undefined} [venue] — destination slug
+ * @param {string | null | undefined} [eventType] — `config.eventTypes` key
+ * @returns {unknown}
+ */
+export function eventRateFor(events, venue, eventType) {
+  if (!isEventRates(events)) return events;
+  const names = (list, v) =>
+    !Array.isArray(list) || list.length === 0
+      ? 0
+      : v && list.includes(v)
+        ? 1
+        : -1;
+  let best = null;
+  let bestScore = 0;
+  for (const rate of events.rates) {
+    const byVenue = names(rate.venues, venue);
+    const byType = names(rate.eventTypes, eventType);
+    if (byVenue < 0 || byType < 0) continue;
+    const score = byVenue + byType;
+    if (score > bestScore) {
+      best = rate;
+      bestScore = score;
+    }
+  }
+  if (best) return best.amount;
+  if (isPricingAmount(events.default)) return events.default;
+  return spanOfAmounts(events.rates.map((r) => r.amount));
+}
+
+/**
+ * `pricing` with {@link EventRates} resolved for the visit's **`venue`** / **`eventType`**, so the
+ * tier helpers below only ever see plain amounts.
+ * @param {Record<string, unknown>} pricing
+ * @param {ParkingVisit | null | undefined} visit
+ */
+function pricingForEvent(pricing, visit) {
+  if (!pricing || typeof pricing !== "object" || !isEventRates(pricing.events))
+    return pricing;
+  return {
+    ...pricing,
+    events: eventRateFor(pricing.events, visit?.venue, visit?.eventType),
+  };
+}
+
 /**
  * Legacy `$` strings (tests / old JSON). Prefer {@link isPricingAmount} in data files.
  * @param {unknown} text
@@ -91,6 +174,13 @@ export function parseDollarAmountsFromPriceText(text) {
  * @returns {number[]}
  */
 export function tierDollarAmounts(v) {
+  if (isEventRates(v))
+    return tierDollarAmounts(
+      spanOfAmounts([
+        ...v.rates.map((r) => r.amount),
+        ...(isPricingAmount(v.default) ? [v.default] : []),
+      ]),
+    );
   if (isPricingAmount(v)) {
     if (typeof v === "number") return [v];
     return [v[0], v[1]];
@@ -127,9 +217,12 @@ export function formatPricingAmount(amount) {
  * @param {string} key
  * @param {unknown} value
  * @param {Record<string, unknown> | null | undefined} pricing
+ * @param {ParkingVisit | null} [visit] — picks the {@link EventRates} entry for its venue / event type
  * @returns {string}
  */
-export function formatPricingTierForDisplay(key, value, pricing) {
+export function formatPricingTierForDisplay(key, value, pricing, visit) {
+  if (key === "events" && isEventRates(value))
+    value = eventRateFor(value, visit?.venue, visit?.eventType);
   if (key === "hourlyFreeWhen" && typeof value === "string")
     return value.trim();
   if (NON_PRICE_KEYS.has(key) && typeof value === "string") return value.trim();
@@ -167,7 +260,7 @@ export function formatPricingTierForDisplay(key, value, pricing) {
 export function pricingObjectHasAnyKnownTierField(pricing) {
   if (!pricing || typeof pricing !== "object") return false;
   for (const k of PRICING_AMOUNT_KEYS) {
-    if (isPricingAmount(pricing[k])) return true;
+    if (isPricingAmount(pricing[k]) || isEventRates(pricing[k])) return true;
     if (typeof pricing[k] === "string" && pricing[k].trim()) return true;
   }
   if (
@@ -179,9 +272,19 @@ export function pricingObjectHasAnyKnownTierField(pricing) {
   return false;
 }
 
+/**
+ * Whether prose says parking is free: {@link parseRateExpression} first (a text with a paid rate,
+ * like `"first hour free, $2/hr after"`, is not free), then free-window keywords.
+ * @param {unknown} text
+ */
 export function parkingPriceTextImpliesEveningFree(text) {
   const s = typeof text === "string" ? text.trim().toLowerCase() : "";
   if (!s) return false;
+  const parsed = parseRateExpression(text);
+  if (parsed?.free) return true;
+  if (parsed && parsed.hourly != null) return false;
+  if (parsed && parsed.daily != null) return false;
+  if (parsed && parsed.flat != null) return false;
   if (/\bfree\b/.test(s)) return true;
   if (/no\s+(charge|fee)\b/.test(s)) return true;
   if (/\bcomplimentary\b/.test(s)) return true;
@@ -194,18 +297,206 @@ export function parkingPriceTextImpliesEveningFree(text) {
   return false;
 }
 
-export const PARKING_EVENING_HOURLY_ASSUMED_HOURS = 6;
+/**
+ * When the car is parked — `#/visit`'s **`arrive`** / **`stay`** (see `visit-time.mjs`). Without
+ * **`arriveAt`** only **`stayHours`** counts and tiers keep the evening-event order. **`event`**: the
+ * visit is to a venue, so **`events`** rates apply; **`venue`** (destination slug) and **`eventType`**
+ * pick among {@link EventRates}.
+ * @typedef {{
+ *   arriveAt?: Date | null,
+ *   leaveAt?: Date | null,
+ *   stayHours?: number,
+ *   timeZone?: string,
+ *   event?: boolean,
+ *   venue?: string | null,
+ *   eventType?: string | null,
+ * }} ParkingVisit
+ */
+
+/** Arrivals at or after this local time pay **`evening`** rates; earlier ones (matinees) do not. */
+export const PARKING_EVENING_STARTS_HOUR = 17;
+
+/** @param {unknown} v */
+function tierPresent(v) {
+  return isPricingAmount(v) || (typeof v === "string" && v.trim() !== "");
+}
+
+/** @type {Map<string, import("./opening-hours.mjs").OpeningHours | null>} */
+const freeRuleHoursCache = new Map();
+
+/**
+ * Free windows in **`free`** / **`hourlyFreeWhen`** prose (`"After 5pm or 6pm and on weekends (event
+ * rates may apply)"`, `"Weekends and Weekdays after 7pm"`) as one schedule: each `and` clause is read
+ * by `parseOpeningHours` and the open spans are combined. `"5pm or 6pm"` keeps the later time. Null
+ * when no clause is readable.
+ * @param {string} text
+ */
+function freeRuleHours(text) {
+  if (freeRuleHoursCache.has(text)) return freeRuleHoursCache.get(text);
+  const clauses = text
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/\bfree\b|\bon\b/gi, " ")
+    .replace(/\b\d{1,2}(?::\d{2})?\s*(?:[ap]\.?\s*m\.?)?\s+or\s+(?=\d)/gi, "")
+    .split(/\s*(?:\band\b|;)\s*/i);
+  /** @type {Array<Array<[number, number]>>} */
+  const days = [[], [], [], [], [], [], []];
+  let any = false;
+  for (const clause of clauses) {
+    const hours = parseOpeningHours(clause);
+    if (!hours) continue;
+    any = true;
+    hours.days.forEach((spans, d) => days[d].push(...spans));
+  }
+  const out = any
+    ? {
+        text,
+        alwaysOpen: days.every((spans) =>
+          spans.some(([a, b]) => a === 0 && b >= 24 * 60),
+        ),
+        days,
+      }
+    : null;
+  freeRuleHoursCache.set(text, out);
+  return out;
+}
+
+/** @param {Array<[number, number]>} spans */
+function spanMinutes(spans) {
+  return spans.reduce((n, [a, b]) => n + b - a, 0);
+}
+
+/**
+ * `spans` less every minute `cut` covers (both merged and in order).
+ * @param {Array<[number, number]>} spans
+ * @param {Array<[number, number]>} cut
+ * @returns {Array<[number, number]>}
+ */
+function spansWithout(spans, cut) {
+  /** @type {Array<[number, number]>} */
+  const out = [];
+  for (let [a, b] of spans) {
+    for (const [c, d] of cut) {
+      if (d <= a || c >= b) continue;
+      if (c > a) out.push([a, c]);
+      a = Math.max(a, d);
+      if (a >= b) break;
+    }
+    if (a < b) out.push([a, b]);
+  }
+  return out;
+}
+
+/**
+ * Hours of the visit that are charged: inside meter **`enforcement`** hours (the whole stay when
+ * none are listed) and outside the **`free`** / **`hourlyFreeWhen`** windows. A meter visit from
+ * 5:30pm to 7:30pm on a weekday with enforcement until 7pm and free parking after 6pm pays for half
+ * an hour. Null when the pricing has no readable rule, so the whole stay is charged.
+ * @param {Record<string, unknown> | null | undefined} pricing
+ * @param {ParkingVisit} visit — with **`arriveAt`**
+ * @returns {number | null}
+ */
+export function parkingPricingPaidHoursForVisit(pricing, visit) {
+  if (!pricing || typeof pricing !== "object") return null;
+  const { arriveAt, timeZone } = visit;
+  const leaveAt =
+    visit.leaveAt instanceof Date && visit.leaveAt > arriveAt
+      ? visit.leaveAt
+      : new Date(arriveAt.getTime() + visitStayHours(visit) * 3600000);
+  const enforcement = parseOpeningHours(pricing.enforcement);
+  let readable = Boolean(enforcement);
+  /** @type {Array<[number, number]>} */
+  let paid = enforcement
+    ? openSpansDuring(enforcement, arriveAt, leaveAt, timeZone)
+    : [[0, Math.ceil((leaveAt.getTime() - arriveAt.getTime()) / 60000)]];
+  for (const key of ["free", "hourlyFreeWhen"]) {
+    const text = typeof pricing[key] === "string" ? pricing[key].trim() : "";
+    const hours = text ? freeRuleHours(text) : null;
+    if (!hours) continue;
+    readable = true;
+    paid = spansWithout(
+      paid,
+      openSpansDuring(hours, arriveAt, leaveAt, timeZone),
+    );
+  }
+  return readable ? spanMinutes(paid) / 60 : null;
+}
+
+/**
+ * Whether the whole visit parks free — no minute of it is charged
+ * ({@link parkingPricingPaidHoursForVisit}). Null when the pricing has no readable rule.
+ * @param {Record<string, unknown> | null | undefined} pricing
+ * @param {ParkingVisit} visit
+ * @returns {boolean | null}
+ */
+export function parkingPricingFreeForVisit(pricing, visit) {
+  const paid = parkingPricingPaidHoursForVisit(pricing, visit);
+  return paid == null ? null : paid === 0;
+}
 
-function tierValueLooksLikeHourlyCap(key) {
-  return key === "hourly";
+/** Whether the visit starts in the evening ({@link PARKING_EVENING_STARTS_HOUR} or later, local). */
+function isEveningArrival(visit) {
+  return (
+    zonedParts(visit.arriveAt, visit.timeZone).hour >=
+    PARKING_EVENING_STARTS_HOUR
+  );
 }
 
 /**
+ * The tiers that apply to `visit`, or null when it parks free. **`events`** only for venue visits,
+ * **`evening`** only for evening arrivals (and then instead of **`daily`**); a tier is kept when it
+ * is the only price listed. A readable free rule that does not cover the visit is dropped.
+ * @param {Record<string, unknown>} pricing
+ * @param {ParkingVisit} visit
+ * @param {number | null} [paidHours] — {@link parkingPricingPaidHoursForVisit}, when already known
+ * @returns {Record<string, unknown> | null}
+ */
+function pricingTiersForVisit(
+  pricing,
+  visit,
+  paidHours = parkingPricingPaidHoursForVisit(pricing, visit),
+) {
+  if (paidHours === 0) return null;
+  const out = { ...pricing };
+  const dropUnlessOnly = (key) => {
+    if (
+      tierPresent(out[key]) &&
+      PRICING_AMOUNT_KEYS.some((k) => k !== key && tierPresent(out[k]))
+    )
+      delete out[key];
+  };
+  if (!visit.event) dropUnlessOnly("events");
+  if (!isEveningArrival(visit)) dropUnlessOnly("evening");
+  else if (tierPresent(out.evening)) dropUnlessOnly("daily");
+  if (paidHours != null) delete out.hourlyFreeWhen;
+  return out;
+}
+
+/** @param {unknown} visit — whether it names an arrival time (tiers then follow the clock) */
+function hasVisitArrival(visit) {
+  return (
+    visit != null &&
+    typeof visit === "object" &&
+    visit.arriveAt instanceof Date &&
+    !Number.isNaN(visit.arriveAt.getTime())
+  );
+}
+
+/**
+ * The tier a pin is charged by ({@link estimateParkingCost}). Without an arrival time, the
+ * evening-event assumption: **`events`**, then **`evening`**, …. With one, only the tiers
+ * {@link pricingTiersForVisit} keeps — and **`{ key: "free" }`** when the visit falls in a free window.
  * @param {Record<string, unknown>} pricing
  * @param {string} categoryKey
+ * @param {ParkingVisit | null} [visit]
  * @returns {{ key: string, value: unknown } | null}
  */
-export function pickEveningTierForCap(pricing, categoryKey) {
+export function pickEveningTierForCap(pricing, categoryKey, visit) {
+  pricing = pricingForEvent(pricing, visit);
+  if (hasVisitArrival(visit)) {
+    const tiers = pricingTiersForVisit(pricing, visit);
+    if (!tiers) return { key: "free", value: "Free" };
+    pricing = tiers;
+  }
   const isPublic =
     categoryKey === "public-garage" || categoryKey === "public-lot";
   const order = isPublic
@@ -226,76 +517,292 @@ export function pickEveningTierForCap(pricing, categoryKey) {
 }
 
 /**
- * @param {unknown} tierValue
- * @param {string} tierKey
+ * What produced an estimate: a free window, a flat **`events`** / **`evening`** / **`daily`** /
+ * **`rate`** charge, **`hourly`** × the stay, **`daily-max`** (hourly capped at the daily maximum), or
+ * **`unknown`** when the applicable tier has no parseable dollars.
+ * @typedef {"free" | "events" | "evening" | "daily" | "daily-max" | "hourly" | "rate" | "unknown"} ParkingCostRule
+ * **`hours`** is the stay; **`paidHours`** the part of it that is charged (outside free windows and
+ * inside meter enforcement — {@link parkingPricingPaidHoursForVisit}), what **`hourly`** bills.
+ * @typedef {{
+ *   dollars: PricingAmount | null,
+ *   rule: ParkingCostRule,
+ *   hours: number,
+ *   paidHours: number,
+ *   text: string,
+ * }} ParkingCostEstimate
+ */
+
+/** Hours parked: **`stayHours`**, else **`arriveAt`** → **`leaveAt`**, else {@link PARKING_DEFAULT_STAY_HOURS}. */
+function visitStayHours(visit) {
+  const h = visit?.stayHours;
+  if (typeof h === "number" && Number.isFinite(h) && h > 0) return h;
+  if (hasVisitArrival(visit) && visit.leaveAt instanceof Date) {
+    const ms = visit.leaveAt.getTime() - visit.arriveAt.getTime();
+    if (ms > 0) return ms / 3600000;
+  }
+  return PARKING_DEFAULT_STAY_HOURS;
+}
+
+/** Cents-rounded amount; a range whose ends meet collapses to a number. */
+function roundAmount(lo, hi) {
+  const r = (n) => Math.round(n * 100) / 100;
+  return r(lo) === r(hi) ? r(lo) : [r(lo), r(hi)];
+}
+
+/** @param {PricingAmount} a */
+function amountEnds(a) {
+  return typeof a === "number" ? [a, a] : a;
+}
+
+/** @param {PricingAmount} a @param {number} k */
+function scaleAmount(a, k) {
+  const [lo, hi] = amountEnds(a);
+  return roundAmount(lo * k, hi * k);
+}
+
+/** Whichever charge is lower at the high end (what the pay filter judges). */
+function cheaperCharge(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return amountEnds(b.dollars)[1] < amountEnds(a.dollars)[1] ? b : a;
+}
+
+/**
+ * Prose tiers read by {@link parseRateExpression} into amounts: the tier keeps its flat charge (or
+ * its own unit — per hour for **`hourly`**, per day for **`daily`**), and the rates, caps and free
+ * periods it also names fill **`hourly`**, **`daily`** and **`freeFirstHours`** when those are not
+ * listed. `"$1.25 per 30 min, first hour free, $12 max"` → `{ hourly: 2.5, daily: 12,
+ * freeFirstHours: 1 }`. Prose limited to a time goes where the engine keeps that time
+ * ({@link timedProseTier}) or stays as it is. Prose it cannot read stays as it is.
  * @param {Record<string, unknown>} pricing
- * @returns {number | null}
+ * @returns {Record<string, unknown>}
  */
-export function ceilingFromPricingTier(tierValue, tierKey, pricing) {
-  if (
-    tierKey === "hourlyFreeWhen" &&
-    typeof tierValue === "string" &&
-    parkingPriceTextImpliesEveningFree(tierValue)
-  ) {
-    return 0;
-  }
-  if (typeof tierValue === "string") {
-    if (parkingPriceTextImpliesEveningFree(tierValue)) return 0;
-    const nums = parseDollarAmountsFromPriceText(tierValue);
-    if (nums.length === 0) return null;
-    const base = Math.max(...nums);
-    const multiply =
-      tierKey === "hourly" || /\b(per\s+hour|\/hr|hourly)\b/i.test(tierValue);
-    if (multiply) return base * PARKING_EVENING_HOURLY_ASSUMED_HOURS;
-    return base;
-  }
-  const nums = tierDollarAmounts(tierValue);
-  if (nums.length === 0) return null;
-  const base = Math.max(...nums);
-  if (tierValueLooksLikeHourlyCap(tierKey)) {
-    return base * PARKING_EVENING_HOURLY_ASSUMED_HOURS;
+function expandProseTiers(pricing) {
+  if (!pricing || typeof pricing !== "object") return pricing;
+  /** @type {Record<string, unknown>} */
+  let out = pricing;
+  for (const key of PRICING_AMOUNT_KEYS) {
+    if (typeof pricing[key] !== "string") continue;
+    const parsed = parseRateExpression(pricing[key]);
+    if (!parsed) continue;
+    if (parsed.after != null || parsed.evening) {
+      const timed = timedProseTier(parsed, out, key);
+      if (!timed) continue;
+      if (out === pricing) out = { ...pricing };
+      delete out[key];
+      out[timed.key] = timed.value;
+      continue;
+    }
+    if (out === pricing) out = { ...pricing };
+    delete out[key];
+    const own =
+      parsed.flat ??
+      (key === "hourly"
+        ? parsed.hourly
+        : key === "daily"
+          ? parsed.daily
+          : null);
+    if (parsed.free) out[key] = 0;
+    else if (own != null) out[key] = own;
+    const fill = (k, v) => {
+      if (v != null && !isPricingAmount(out[k])) out[k] = v;
+    };
+    fill("hourly", parsed.hourly);
+    fill("daily", parsed.daily);
+    if (parsed.freeFirstHours != null && out.freeFirstHours == null)
+      out.freeFirstHours = parsed.freeFirstHours;
   }
-  return base;
+  return out;
 }
 
-/** @param {Record<string, unknown> | null | undefined} pricing */
-export function parkingSpotEveningPriceCeilingOrAbsent(pricing, categoryKey) {
-  if (!pricing || typeof pricing !== "object")
-    return PARKING_EVENING_PRICE_ABSENT;
-  if (!pricingObjectHasAnyKnownTierField(pricing))
-    return PARKING_EVENING_PRICE_ABSENT;
+/** Minutes after midnight → `"after 6pm"` / `"after 6:30pm"`, as {@link freeRuleHours} reads it. */
+function afterClockText(minutes) {
+  const h = Math.floor(minutes / 60) % 24;
+  const m = minutes % 60;
+  const h12 = h % 12 || 12;
+  return `after ${h12}${m ? `:${String(m).padStart(2, "0")}` : ""}${h < 12 ? "am" : "pm"}`;
+}
 
-  const picked = pickEveningTierForCap(pricing, categoryKey);
-  const hourlyOnly =
-    isPricingAmount(pricing.hourly) ||
-    (typeof pricing.hourly === "string" && pricing.hourly.trim());
-  const hourlyFree =
-    typeof pricing.hourlyFreeWhen === "string" && pricing.hourlyFreeWhen.trim();
+/**
+ * Where time-limited prose from {@link parseRateExpression} goes: free after a time → the
+ * **`hourlyFreeWhen`** window; a flat charge in the evening (from {@link PARKING_EVENING_STARTS_HOUR}
+ * on, or just `evening`) → **`evening`**, and free evenings → **`evening`** $0. Null when the
+ * pricing already lists that tier under another key or no tier holds the time (`"$5 after 8am"`,
+ * `"$2/hr after 6pm"`), so the prose stays ambiguous instead of pricing every visit.
+ * @param {import("./rate-expression.mjs").RateExpression} parsed
+ * @param {Record<string, unknown>} pricing
+ * @param {string} key — the tier the prose was listed under
+ * @returns {{ key: string, value: unknown } | null}
+ */
+function timedProseTier(parsed, pricing, key) {
+  const taken = (k) => k !== key && tierPresent(pricing[k]);
+  if (parsed.free && parsed.after != null) {
+    return taken("hourlyFreeWhen")
+      ? null
+      : { key: "hourlyFreeWhen", value: afterClockText(parsed.after) };
+  }
+  const evening =
+    parsed.evening || parsed.after >= PARKING_EVENING_STARTS_HOUR * 60;
+  if (!evening || taken("evening")) return null;
+  if (parsed.free) return { key: "evening", value: 0 };
+  return parsed.flat != null ? { key: "evening", value: parsed.flat } : null;
+}
 
-  if (picked) {
-    const c = ceilingFromPricingTier(picked.value, picked.key, pricing);
-    if (c != null) return c;
-    return PARKING_EVENING_PRICE_AMBIGUOUS_PROSE;
+/**
+ * One tier's charge for `hours`: amounts as listed (×hours for **`hourly`**, ×days for **`daily`**);
+ * prose left after {@link expandProseTiers} is **$0** when it reads as free, else null.
+ * @returns {PricingAmount | null}
+ */
+function tierCharge(key, value, hours) {
+  const days = Math.max(1, Math.ceil(hours / 24 - 1e-9));
+  if (isPricingAmount(value)) {
+    if (key === "hourly") return scaleAmount(value, hours);
+    if (key === "daily") return scaleAmount(value, days);
+    return roundAmount(...amountEnds(value));
   }
+  return typeof value === "string" && parkingPriceTextImpliesEveningFree(value)
+    ? 0
+    : null;
+}
+
+/** @param {Record<string, unknown>} pricing */
+function freeFirstHours(pricing) {
+  const h = pricing.freeFirstHours;
+  return typeof h === "number" && Number.isFinite(h) && h > 0 ? h : 0;
+}
 
-  if (hourlyOnly) {
-    const raw = pricing.hourly ?? pricing.hourlyFreeWhen ?? "";
-    const c = ceilingFromPricingTier(raw, "hourly", pricing);
-    if (c != null) return c;
-    return PARKING_EVENING_PRICE_AMBIGUOUS_PROSE;
+/**
+ * **`hourly`** × the `paidHours` past **`freeFirstHours`**, capped per day of the `hours` stay by
+ * **`daily`** when listed.
+ */
+function hourlyCharge(pricing, hours, paidHours = hours) {
+  const billed = Math.max(0, paidHours - freeFirstHours(pricing));
+  const dollars = tierPresent(pricing.hourly)
+    ? tierCharge("hourly", pricing.hourly, billed)
+    : null;
+  if (dollars == null) return null;
+  const cap = tierPresent(pricing.daily)
+    ? tierCharge("daily", pricing.daily, hours)
+    : null;
+  /** @type {{ dollars: PricingAmount, rule: ParkingCostRule }} */
+  const hourly = { dollars, rule: "hourly" };
+  return cap == null
+    ? hourly
+    : cheaperCharge(hourly, { dollars: cap, rule: "daily-max" });
+}
+
+function hoursLabel(hours) {
+  const h = Math.round(hours * 100) / 100;
+  return `${h} ${h === 1 ? "hour" : "hours"}`;
+}
+
+/** `"$12 for 3 hours"`, `"$12–$15 event rate"`, `"$24 daily max"`, … (empty for **`unknown`**). */
+function costEstimateText(dollars, rule, hours, paidHours, pricing) {
+  if (rule === "free") return "Free";
+  if (dollars == null) return "";
+  const amount = formatPricingAmount(dollars);
+  switch (rule) {
+    case "events":
+      return `${amount} event rate`;
+    case "evening":
+      return `${amount} evening rate`;
+    case "daily":
+      return hours > 24
+        ? `${amount} for ${Math.ceil(hours / 24 - 1e-9)} days`
+        : `${amount} daily rate`;
+    case "daily-max":
+      return `${amount} daily max`;
+    case "rate": {
+      const label =
+        typeof pricing.rateLabel === "string" && pricing.rateLabel.trim()
+          ? pricing.rateLabel.trim().toLowerCase()
+          : "flat";
+      return `${amount} ${label} rate`;
+    }
+    default:
+      return `${amount} for ${hoursLabel(paidHours)}`;
   }
+}
 
-  if (hourlyFree) {
-    const c = ceilingFromPricingTier(
-      pricing.hourlyFreeWhen,
-      "hourlyFreeWhen",
-      pricing,
-    );
-    if (c != null) return c;
-    return PARKING_EVENING_PRICE_AMBIGUOUS_PROSE;
+function costEstimate(dollars, rule, hours, paidHours, pricing) {
+  return {
+    dollars,
+    rule,
+    hours,
+    paidHours,
+    text: costEstimateText(dollars, rule, hours, paidHours, pricing),
+  };
+}
+
+/**
+ * Expected charge for parking through `visit` and the rule that produced it. The tier comes from
+ * {@link pickEveningTierForCap} (time-aware with **`arriveAt`**); **`hourly`** is charged for the
+ * paid part of the stay — not the minutes a free window or unenforced meter hours cover — and capped
+ * by **`daily`**, and a flat **`evening`** / **`daily`** tier gives way to hourly
+ * when the stay is short enough to cost less. **`events`** and **`rate`** are flat. `[low, high]`
+ * ranges stay ranges. Null when the pricing lists no tier at all.
+ * @param {Record<string, unknown> | null | undefined} pricing
+ * @param {string} categoryKey
+ * @param {ParkingVisit | null} [visit] — default: a {@link PARKING_DEFAULT_STAY_HOURS}-hour evening event
+ * @returns {ParkingCostEstimate | null}
+ */
+export function estimateParkingCost(pricing, categoryKey, visit) {
+  if (!pricingObjectHasAnyKnownTierField(pricing)) return null;
+  pricing = expandProseTiers(pricingForEvent(pricing, visit));
+  const hours = visitStayHours(visit);
+  let paidHours = hours;
+  let tiers = pricing;
+  if (hasVisitArrival(visit)) {
+    const paid = parkingPricingPaidHoursForVisit(pricing, visit);
+    if (paid != null) paidHours = paid;
+    tiers = pricingTiersForVisit(pricing, visit, paid);
+  }
+  const estimate = (dollars, rule) =>
+    costEstimate(dollars, rule, hours, paidHours, pricing);
+  if (!tiers) return estimate(0, "free");
+  /** Only a free window that does not cover the visit: paid, but the price is not listed. */
+  if (!pricingObjectHasAnyKnownTierField(tiers))
+    return estimate(null, "unknown");
+  const picked = pickEveningTierForCap(tiers, categoryKey);
+  if (!picked) return estimate(null, "unknown");
+  if (picked.key === "hourlyFreeWhen") {
+    return parkingPriceTextImpliesEveningFree(String(picked.value))
+      ? estimate(0, "free")
+      : estimate(null, "unknown");
+  }
+  if (picked.key === "hourly") {
+    const c = hourlyCharge(tiers, hours, paidHours);
+    if (!c) return estimate(null, "unknown");
+    return c.dollars === 0 ? estimate(0, "free") : estimate(c.dollars, c.rule);
   }
+  const flat = tierCharge(picked.key, picked.value, hours);
+  if (flat == null) return estimate(null, "unknown");
+  if (flat === 0) return estimate(0, "free");
+  /** @type {{ dollars: PricingAmount, rule: ParkingCostRule }} */
+  let charge = { dollars: flat, rule: picked.key };
+  if (picked.key === "evening" || picked.key === "daily")
+    charge = cheaperCharge(charge, hourlyCharge(tiers, hours, paidHours));
+  if (charge.dollars === 0) return estimate(0, "free");
+  return estimate(charge.dollars, charge.rule);
+}
 
-  return PARKING_EVENING_PRICE_ABSENT;
+/**
+ * Pay-filter dollars for a pin: the high end of {@link estimateParkingCost};
+ * {@link PARKING_EVENING_PRICE_AMBIGUOUS_PROSE} when the applicable tier has no dollars and
+ * {@link PARKING_EVENING_PRICE_ABSENT} when no tier is listed.
+ * @param {Record<string, unknown> | null | undefined} pricing
+ * @param {string} categoryKey
+ * @param {ParkingVisit | null} [visit]
+ */
+export function parkingSpotEveningPriceCeilingOrAbsent(
+  pricing,
+  categoryKey,
+  visit,
+) {
+  const estimate = estimateParkingCost(pricing, categoryKey, visit);
+  if (!estimate) return PARKING_EVENING_PRICE_ABSENT;
+  if (estimate.dollars == null) return PARKING_EVENING_PRICE_AMBIGUOUS_PROSE;
+  return amountEnds(estimate.dollars)[1];
 }
 
 /**
@@ -304,10 +811,11 @@ export function parkingSpotEveningPriceCeilingOrAbsent(pricing, categoryKey) {
  * @returns {string}
  */
 export function formatParkingPrice(pricing, categoryKey) {
-  const privateOsm = isPrivateParkingCategory(categoryKey);
+  const privateOsm = isPrivateDriveParkingCategory(categoryKey);
   if (!pricing || typeof pricing !== "object") {
     return privateOsm ? PARKING_PRICE_NOT_LISTED_LABEL : "Free";
   }
+  pricing = pricingForEvent(pricing, null);
   for (const key of ["events", "daily", "evening", "rate", "hourly"]) {
     if (key === "hourly" && pricing.hourlyFreeWhen) {
       return formatPricingTierForDisplay(
@@ -404,9 +912,10 @@ function mapCostDisplayResult(text) {
 /**
  * @param {Record<string, unknown> | null | undefined} pricing
  * @param {string} categoryKey
+ * @param {ParkingVisit | null} [visit] — show the tier that applies when the car is parked
  */
-export function getParkingMapCostDisplay(pricing, categoryKey) {
-  const privateOsm = isPrivateParkingCategory(categoryKey);
+export function getParkingMapCostDisplay(pricing, categoryKey, visit) {
+  const privateOsm = isPrivateDriveParkingCategory(categoryKey);
 
   if (!pricing || typeof pricing !== "object") {
     return {
@@ -415,6 +924,21 @@ export function getParkingMapCostDisplay(pricing, categoryKey) {
     };
   }
 
+  pricing = pricingForEvent(pricing, visit);
+  if (hasVisitArrival(visit)) {
+    const tiers = pricingTiersForVisit(pricing, visit);
+    if (!tiers) return mapCostDisplayResult("Free");
+    if (!pricingObjectHasAnyKnownTierField(tiers)) {
+      const when = String(pricing.hourlyFreeWhen ?? "").trim();
+      return mapCostDisplayResult(
+        when && !/\bfree\b/i.test(when)
+          ? `Free ${when[0].toLowerCase()}${when.slice(1)}`
+          : when || PARKING_PRICE_NOT_LISTED_LABEL,
+      );
+    }
+    pricing = tiers;
+  }
+
   const eventsRaw = tierDisplayLine(pricing, "events");
   const hrRaw = tierDisplayLine(pricing, "hourly");
   const dailyRaw = tierDisplayLine(pricing, "daily");
@@ -480,13 +1004,79 @@ export function parkingSpotHasKnownCost(pricing, categoryKey) {
   return getParkingMapCostDisplay(pricing, categoryKey).text === "Free";
 }
 
+/**
+ * `#/data/parking` popup rows: pricing tiers (or a **Cost** fallback), then the operator rates and
+ * contacts parsed from the pin's availability line (Ellis monthly / residential rates, early bird,
+ * phone, description — see {@link getEllisAvailabilityRows}).
+ * @param {Record<string, unknown> | null | undefined} pricing
+ * @param {string} categoryKey
+ * @param {Record<string, unknown> | null} [item] the parking row, for its parsed availability fields
+ * @param {EventRateNames | null} [names] venue and event-type names for per-venue **`events`** rows
+ * @returns {{ label: string, value: string }[]}
+ */
+export function getDataViewParkingPricingRows(
+  pricing,
+  categoryKey,
+  item,
+  names,
+) {
+  return [
+    ...pricingTierRows(pricing, categoryKey, names),
+    ...getEllisAvailabilityRows(item),
+  ];
+}
+
+/**
+ * Where per-venue rate rows get their names: **`destinations`** (slug → name) and
+ * **`eventTypes`** (`config.eventTypes`) — an assembled `appData` carries both. Slugs and keys
+ * show as-is without them.
+ * @typedef {{
+ *   destinations?: Array<{ slug: string, name?: string }>,
+ *   eventTypes?: Record<string, string>,
+ * }} EventRateNames
+ */
+
+/**
+ * One `#/data/parking` row per {@link EventRate} (`Events (Van Andel Arena · Sports game)`), after the
+ * **`default`** row.
+ * @param {EventRates} events
+ * @param {string} label
+ * @param {EventRateNames | null} [names]
+ */
+function eventRateRows(events, label, names) {
+  const venueName = (slug) =>
+    names?.destinations?.find((d) => d.slug === slug)?.name ?? slug;
+  const typeName = (key) => names?.eventTypes?.[key] ?? key;
+  const rows = [];
+  if (isPricingAmount(events.default)) {
+    rows.push({
+      key: "events",
+      label: events.rates.length ? `${label} (other)` : label,
+      value: formatPricingAmount(events.default),
+    });
+  }
+  for (const rate of events.rates) {
+    const scope = [
+      ...(rate.venues ?? []).map(venueName),
+      ...(rate.eventTypes ?? []).map(typeName),
+    ].join(" · ");
+    rows.push({
+      key: "events",
+      label: scope ? `${label} (${scope})` : label,
+      value: formatPricingAmount(rate.amount),
+    });
+  }
+  return rows;
+}
+
 /**
  * @param {Record<string, unknown> | null | undefined} pricing
  * @param {string} categoryKey
+ * @param {EventRateNames | null} [names]
  * @returns {{ label: string, value: string }[]}
  */
-export function getDataViewParkingPricingRows(pricing, categoryKey) {
-  const privateOsm = isPrivateParkingCategory(categoryKey);
+function pricingTierRows(pricing, categoryKey, names) {
+  const privateOsm = isPrivateDriveParkingCategory(categoryKey);
   const fallbackValue = privateOsm ? PARKING_PRICE_NOT_LISTED_LABEL : "Free";
   if (!pricing || typeof pricing !== "object" || Array.isArray(pricing)) {
     return [{ label: "Cost", value: fallbackValue }];
@@ -531,6 +1121,10 @@ export function getDataViewParkingPricingRows(pricing, categoryKey) {
   for (const key of KEY_ORDER) {
     const rawVal = pricing[key];
     if (rawVal == null) continue;
+    if (key === "events" && isEventRates(rawVal)) {
+      entries.push(...eventRateRows(rawVal, KEY_LABELS.events, names));
+      continue;
+    }
     let value = "";
     if (isPricingAmount(rawVal) || typeof rawVal === "string") {
       value = formatPricingTierForDisplay(key, rawVal, pricing);
@@ -0,0 +1,183 @@
+/**
+ * Group visits: **`people`** on `#/visit` (default `config.defaults.people`). A parking fee is paid
+ * once per car and split across the party; The Rapid fares and Lime rides are paid by every person.
+ * Per-person prices come from `config.json` → **`fares`**:
+ *
+ * - **`transitDollars`** — one The Rapid ride
+ * - **`micromobilityUnlockDollars`** / **`micromobilityPerMinuteDollars`** — one Lime ride
+ * - **`micromobilityMilesPerHour`** — ride speed used to turn a distance into ride minutes
+ *
+ * Trips are priced there and back (two rides each); one parking fee covers the visit.
+ */
+
+import { formatPricingAmount } from "./parking-pricing.mjs";
+
+/** @typedef {import("./parking-pricing.mjs").PricingAmount} PricingAmount */
+
+/**
+ * @typedef {{
+ *   mode: "drive" | "transit" | "micromobility",
+ *   perPerson: PricingAmount,
+ *   total: PricingAmount,
+ * }} PartyTripCost
+ */
+
+/** Largest party the `people` select offers (and the hash accepts). */
+export const PARTY_MAX_PEOPLE = 8;
+
+/** When `config.json` omits **`fares`** or a field is invalid. */
+export const FALLBACK_TRANSIT_FARE_DOLLARS = 1.75;
+export const FALLBACK_MICROMOBILITY_UNLOCK_DOLLARS = 1;
+export const FALLBACK_MICROMOBILITY_PER_MINUTE_DOLLARS = 0.39;
+export const FALLBACK_MICROMOBILITY_MILES_PER_HOUR = 8;
+
+/** Rides each person pays for: there and back. */
+const RIDES_PER_VISIT = 2;
+
+/**
+ * `people=` value → whole people from 1 to {@link PARTY_MAX_PEOPLE}; null when missing or out of range.
+ * @param {unknown} raw
+ * @returns {number | null}
+ */
+export function parsePartySize(raw) {
+  if (raw == null || String(raw).trim() === "") return null;
+  const n = Number(String(raw).trim());
+  if (!Number.isInteger(n) || n < 1 || n > PARTY_MAX_PEOPLE) return null;
+  return n;
+}
+
+/** `config.defaults.people` when it is a valid party size, else **1**. */
+export function defaultPartySize(config) {
+  return parsePartySize(config?.defaults?.people) ?? 1;
+}
+
+/**
+ * @param {unknown} configObj — `appData.fares` or subset
+ * @returns {{ transitDollars: number; micromobilityUnlockDollars: number; micromobilityPerMinuteDollars: number; micromobilityMilesPerHour: number }}
+ */
+export function resolveTravelFares(configObj) {
+  const o = configObj && typeof configObj === "object" ? configObj : {};
+  const pick = (v, fallback, positive = false) =>
+    typeof v === "number" && Number.isFinite(v) && (positive ? v > 0 : v >= 0)
+      ? v
+      : fallback;
+  return {
+    transitDollars: pick(o.transitDollars, FALLBACK_TRANSIT_FARE_DOLLARS),
+    micromobilityUnlockDollars: pick(
+      o.micromobilityUnlockDollars,
+      FALLBACK_MICROMOBILITY_UNLOCK_DOLLARS,
+    ),
+    micromobilityPerMinuteDollars: pick(
+      o.micromobilityPerMinuteDollars,
+      FALLBACK_MICROMOBILITY_PER_MINUTE_DOLLARS,
+    ),
+    micromobilityMilesPerHour: pick(
+      o.micromobilityMilesPerHour,
+      FALLBACK_MICROMOBILITY_MILES_PER_HOUR,
+      true,
+    ),
+  };
+}
+
+/** @param {PricingAmount} a @param {(n: number) => number} f */
+function mapAmount(a, f) {
+  const r = (n) => Math.round(f(n) * 100) / 100;
+  if (typeof a === "number") return r(a);
+  const [lo, hi] = [r(a[0]), r(a[1])];
+  return lo === hi ? lo : [lo, hi];
+}
+
+/**
+ * What each person and the whole party pay for one cost: **`shared`** (a parking fee, split
+ * `people` ways) or **`each`** (a fare every person pays).
+ * @param {PricingAmount} amount
+ * @param {number} people
+ * @param {"shared" | "each"} basis
+ * @returns {{ perPerson: PricingAmount, total: PricingAmount }}
+ */
+export function splitPartyCost(amount, people, basis) {
+  const n = parsePartySize(people) ?? 1;
+  return basis === "shared"
+    ? {
+        perPerson: mapAmount(amount, (d) => d / n),
+        total: mapAmount(amount, (d) => d),
+      }
+    : {
+        perPerson: mapAmount(amount, (d) => d),
+        total: mapAmount(amount, (d) => d * n),
+      };
+}
+
+/**
+ * One Lime ride over `rideMiles`: whole **`minutes`** at **`micromobilityMilesPerHour`** (at least
+ * one, as Lime bills them) and **`dollars`** — the unlock plus those minutes at the per-minute rate.
+ * @param {number} rideMiles
+ * @param {ReturnType<typeof resolveTravelFares>} fares
+ * @returns {{ minutes: number, dollars: number }}
+ */
+export function micromobilityRide(rideMiles, fares) {
+  const minutes = Math.max(
+    1,
+    Math.ceil((rideMiles / fares.micromobilityMilesPerHour) * 60),
+  );
+  return {
+    minutes,
+    dollars:
+      Math.round(
+        (fares.micromobilityUnlockDollars +
+          minutes * fares.micromobilityPerMinuteDollars) *
+          100,
+      ) / 100,
+  };
+}
+
+/**
+ * The party's round-trip cost by mode: driving together (**`parkingDollars`** split; omitted when
+ * unknown), The Rapid (a fare per person each way), and Lime (a ride per person each way over
+ * **`rideMiles`**; omitted without a distance).
+ * @param {{ people: number, parkingDollars?: PricingAmount | null, rideMiles?: number | null, fares?: unknown }} args
+ * @returns {PartyTripCost[]}
+ */
+export function partyTripCosts({ people, parkingDollars, rideMiles, fares }) {
+  const f = resolveTravelFares(fares);
+  /** @type {PartyTripCost[]} */
+  const rows = [];
+  if (parkingDollars != null)
+    rows.push({
+      mode: "drive",
+      ...splitPartyCost(parkingDollars, people, "shared"),
+    });
+  rows.push({
+    mode: "transit",
+    ...splitPartyCost(f.transitDollars * RIDES_PER_VISIT, people, "each"),
+  });
+  if (typeof rideMiles === "number" && Number.isFinite(rideMiles))
+    rows.push({
+      mode: "micromobility",
+      ...splitPartyCost(
+        micromobilityRide(rideMiles, f).dollars * RIDES_PER_VISIT,
+        people,
+        "each",
+      ),
+    });
+  return rows;
+}
+
+/**
+ * `$4 each`.
+ * @param {{ perPerson: PricingAmount }} cost
+ */
+export function formatPerPersonCost(cost) {
+  return `${formatPricingAmount(cost.perPerson)} each`;
+}
+
+/**
+ * `$4 each · $12 total`; just the total for a party of one.
+ * @param {{ perPerson: PricingAmount, total: PricingAmount }} cost
+ * @param {number} people
+ */
+export function formatPartyCost(cost, people) {
+  if ((parsePartySize(people) ?? 1) === 1)
+    return formatPricingAmount(cost.total);
+  return `${formatPerPersonCost(cost)} · ${formatPricingAmount(cost.total)} total`;
+}
@@ -0,0 +1,178 @@
+/**
+ * Likely prices for private garages and lots that list none. A pin without a rate is priced from
+ * known-price pins of the same kind × shape (`private-lot` from private lots, …) nearby, each weighted
+ * by how close it is and by how alike its distance to the destination and to the nearest venue is
+ * (pins a block from an arena charge more than ones across the river). Tuned by `config.json` →
+ * **`parkingPrivateUnknown`**:
+ *
+ * - **`estimateRadiusMiles`** — neighbours farther than this are ignored
+ * - **`estimateMinNeighbours`** — fewer known pins than this falls back to the assumed dollars
+ * - **`lotAssumedDollars`** / **`garageAssumedDollars`** — that fallback (always **low** confidence)
+ * - **`cardCopy`** — the caution shown with every estimate
+ */
+
+import { haversineMiles } from "./data-loader.mjs";
+import { formatPricingAmount } from "./parking-pricing.mjs";
+
+/** @typedef {import("./parking-pricing.mjs").PricingAmount} PricingAmount */
+
+/**
+ * **`dollars`** — the likely band (middle half of the weighted neighbour prices, whole dollars);
+ * **`basis`** — **`neighbours`** or the config's **`assumed`** dollars; **`neighbours`** — how many
+ * known pins it used.
+ * @typedef {{
+ *   dollars: PricingAmount,
+ *   confidence: "high" | "medium" | "low",
+ *   basis: "neighbours" | "assumed",
+ *   neighbours: number,
+ * }} PriceEstimate
+ */
+
+/** When `config.json` omits **`parkingPrivateUnknown`** or a field is invalid. */
+export const FALLBACK_PRICE_ESTIMATE_RADIUS_MILES = 1;
+export const FALLBACK_PRICE_ESTIMATE_MIN_NEIGHBOURS = 2;
+
+/** Miles at which a neighbour's weight halves (distance apart, or a difference in distance to a venue). */
+const WEIGHT_HALF_MILES = 0.25;
+
+/**
+ * @param {unknown} configObj — `appData.parkingPrivateUnknown` or subset
+ * @returns {{ radiusMiles: number, minNeighbours: number, lotAssumedDollars: number | null, garageAssumedDollars: number | null, cardCopy: string }}
+ */
+export function resolvePriceEstimateConfig(configObj) {
+  const o = configObj && typeof configObj === "object" ? configObj : {};
+  const dollars = (v) =>
+    typeof v === "number" && Number.isFinite(v) && v >= 0 ? v : null;
+  return {
+    radiusMiles:
+      typeof o.estimateRadiusMiles === "number" && o.estimateRadiusMiles > 0
+        ? o.estimateRadiusMiles
+        : FALLBACK_PRICE_ESTIMATE_RADIUS_MILES,
+    minNeighbours:
+      Number.isInteger(o.estimateMinNeighbours) && o.estimateMinNeighbours > 0
+        ? o.estimateMinNeighbours
+        : FALLBACK_PRICE_ESTIMATE_MIN_NEIGHBOURS,
+    lotAssumedDollars: dollars(o.lotAssumedDollars),
+    garageAssumedDollars: dollars(o.garageAssumedDollars),
+    cardCopy: typeof o.cardCopy === "string" ? o.cardCopy.trim() : "",
+  };
+}
+
+/** `1 / (1 + (miles / WEIGHT_HALF_MILES)²)`: 1 at zero, ½ at {@link WEIGHT_HALF_MILES}. */
+function closeness(miles) {
+  const k = miles / WEIGHT_HALF_MILES;
+  return 1 / (1 + k * k);
+}
+
+/** Miles from a point to the nearest of `points`; null without any. */
+function nearestMiles(lat, lng, points) {
+  let best = null;
+  for (const [pLat, pLng] of points) {
+    const d = haversineMiles(lat, lng, pLat, pLng);
+    if (best == null || d < best) best = d;
+  }
+  return best;
+}
+
+/** Weighted `q` quantile of `[value, weight]` pairs sorted by value. */
+function weightedQuantile(pairs, q) {
+  const total = pairs.reduce((s, [, w]) => s + w, 0);
+  let seen = 0;
+  for (const [v, w] of pairs) {
+    seen += w;
+    if (seen >= q * total - 1e-9) return v;
+  }
+  return pairs[pairs.length - 1][0];
+}
+
+/**
+ * Likely price for an unpriced pin at `target` from `known` pins of the same kind × shape (each
+ * **`dollars`** is what the visit would cost there). **`destLl`** and **`venues`** (every destination's
+ * `[lat, lng]`) weight neighbours by how alike their distance to them is; either may be omitted.
+ * **`confidence`** is **high** with three or more close neighbours and one within a quarter mile,
+ * **medium** with two or more, a step lower when they disagree by over 2×. Null when too few
+ * neighbours are in range and `config` names no assumed dollars for the **`shape`**. Callers pricing
+ * many pins against the same `known` pass **`knownIndex`** (`createSpatialIndex(known)`) so each
+ * estimate only visits the pins within the radius.
+ * @param {{ lat: number, lng: number, shape: "garage" | "lot" }} target
+ * @param {Array<{ lat: number, lng: number, dollars: number }>} known
+ * @param {{ destLl?: [number, number] | null, venues?: Array<[number, number]>, config?: unknown, knownIndex?: import("./spatial-index.mjs").SpatialIndex }} [options]
+ * @returns {PriceEstimate | null}
+ */
+export function estimateUnknownParkingPrice(
+  target,
+  known,
+  { destLl = null, venues = [], config, knownIndex } = {},
+) {
+  const c = resolvePriceEstimateConfig(config);
+  const refs = [];
+  if (destLl) refs.push([destLl]);
+  if (venues.length) refs.push(venues);
+  const refMiles = (lat, lng) => refs.map((pts) => nearestMiles(lat, lng, pts));
+  const targetRefs = refMiles(target.lat, target.lng);
+
+  /** @type {Array<[number, number]>} */
+  const pairs = [];
+  let nearest = Infinity;
+  const inRange = knownIndex
+    ? knownIndex
+        .withinMiles(target.lat, target.lng, c.radiusMiles)
+        .map((i) => known[i])
+    : known;
+  for (const k of inRange) {
+    if (!(Number.isFinite(k.dollars) && k.dollars >= 0)) continue;
+    const d = haversineMiles(target.lat, target.lng, k.lat, k.lng);
+    if (d > c.radiusMiles) continue;
+    let w = closeness(d);
+    refMiles(k.lat, k.lng).forEach((m, i) => {
+      w *= closeness(Math.abs(m - targetRefs[i]));
+    });
+    pairs.push([k.dollars, w]);
+    nearest = Math.min(nearest, d);
+  }
+
+  if (pairs.length < c.minNeighbours) {
+    const assumed =
+      target.shape === "garage" ? c.garageAssumedDollars : c.lotAssumedDollars;
+    if (assumed == null) return null;
+    return {
+      dollars: assumed,
+      confidence: "low",
+      basis: "assumed",
+      neighbours: pairs.length,
+    };
+  }
+
+  pairs.sort((a, b) => a[0] - b[0]);
+  const lo = Math.floor(weightedQuantile(pairs, 0.25));
+  const hi = Math.ceil(weightedQuantile(pairs, 0.75));
+  const sum = pairs.reduce((s, [, w]) => s + w, 0);
+  const sumSq = pairs.reduce((s, [, w]) => s + w * w, 0);
+  /** Effective number of neighbours: a few close pins count for more than many far ones. */
+  const effective = (sum * sum) / sumSq;
+  let level =
+    effective >= 3 && nearest <= WEIGHT_HALF_MILES ? 2 : effective >= 2 ? 1 : 0;
+  /** Neighbours that disagree (the band's high end over twice its low) lower it a step. */
+  if (hi > 2 * lo && level > 0) level -= 1;
+  const confidence = ["low", "medium", "high"][level];
+  return {
+    dollars: lo === hi ? lo : [lo, hi],
+    confidence,
+    basis: "neighbours",
+    neighbours: pairs.length,
+  };
+}
+
+/** High end of an estimate's band — what the recommendation sort ranks it by. */
+export function priceEstimateCeiling(estimate) {
+  const d = estimate.dollars;
+  return typeof d === "number" ? d : d[1];
+}
+
+/**
+ * `~$12–$18 estimate (medium confidence)`.
+ * @param {PriceEstimate} estimate
+ */
+export function formatPriceEstimate(estimate) {
+  return `~${formatPricingAmount(estimate.dollars)} estimate (${estimate.confidence} confidence)`;
+}
@@ -0,0 +1,230 @@
+/**
+ * Posted parking rates as prose → structured tiers. Operators and older data files write rates as
+ * text (`"$1.25 per 30 min, first hour free, $12 max"`, `"1st 1/2 hour free $3.00 per half upto a
+ * $24.00 Max"`, `"$38.00 per 24 hour period"`); {@link parseRateExpression} reads them into the same
+ * units as `pricing` objects:
+ *
+ * - **`hourly`** — dollars per hour (per-30-minute and per-15-minute rates are scaled up)
+ * - **`daily`** — a per-day charge or the most one visit pays (`$12 max`, `per 24 hour period`)
+ * - **`flat`** — one charge per visit (`per use`, `per entry`, `flat`, or a bare `$10`)
+ * - **`freeFirstHours`** — hours free before the hourly rate starts (`first hour free`)
+ * - **`free`** — the whole text says parking is free
+ * - **`after`** — the rate (or free parking) only starts at this local time, minutes after midnight
+ *   (`$5 after 6pm` → `{ flat: 5, after: 1080 }`); **`evening`** — only in the evening, at no stated
+ *   time (`Evening rate $8`)
+ *
+ * Other time conditions — early bird, overnight, `in by 9am`, `until 2am`, `before 6pm` — have no
+ * tier to go in, so text naming one reads as null (ambiguous) rather than as an all-day rate; so
+ * does a time-limited text with more than one rate in it. `parking-pricing.mjs` expands prose tiers
+ * with it before pricing a visit, so text it reads no longer counts as ambiguous in the pay filter.
+ */
+
+/** @typedef {import("./parking-pricing.mjs").PricingAmount} PricingAmount */
+
+/**
+ * @typedef {{
+ *   hourly?: PricingAmount,
+ *   daily?: PricingAmount,
+ *   flat?: PricingAmount,
+ *   freeFirstHours?: number,
+ *   free?: true,
+ *   after?: number,
+ *   evening?: true,
+ * }} RateExpression
+ */
+
+const NUMBER_WORDS = {
+  a: 1,
+  an: 1,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  half: 0.5,
+  "1/2": 0.5,
+};
+
+const DOLLARS = String.raw`\$\s*(\d+(?:\.\d+)?)(?:\s*[-–—]\s*\$?\s*(\d+(?:\.\d+)?))?`;
+const COUNT = String.raw`(\d+(?:\.\d+)?|1\/2|a|an|one|two|three|four|five|six|half)`;
+const UNIT = String.raw`(half(?:[-\s]*(?:an?\s+)?hour)?|hours?|hrs?|h|minutes?|mins?|m|days?|use|entry|entries|visit|event|exit)\b`;
+
+const RATE_RE = new RegExp(
+  String.raw`${DOLLARS}\s*(?:per|\/|an?|each|every)\s*(?:${COUNT}\s*)?${UNIT}`,
+  "gi",
+);
+const MAX_RE = new RegExp(
+  String.raw`(?:${DOLLARS}\s*(?:daily\s+)?max(?:imum)?\b)|(?:max(?:imum)?(?:\s+(?:of|charge|rate))?\s*:?\s*${DOLLARS})`,
+  "gi",
+);
+const FREE_FIRST_RE = new RegExp(
+  String.raw`(?:first|1st)\s+(?:${COUNT}\s*)?(hours?|hrs?|minutes?|mins?)\b[^$,;]*?\bfree\b|\bfree\s+(?:for\s+)?(?:the\s+)?(?:first|1st)\s+(?:${COUNT}\s*)?(hours?|hrs?|minutes?|mins?)\b`,
+  "i",
+);
+const FLAT_RE = new RegExp(
+  String.raw`(?:flat(?:\s+rate)?\s*:?\s*${DOLLARS})|(?:${DOLLARS}\s*flat\b)`,
+  "gi",
+);
+const MONTHLY_RE = new RegExp(
+  String.raw`(?:monthly[^$]{0,24}${DOLLARS})|(?:${DOLLARS}\s*(?:per|\/|a)\s*(?:month|mo)\b)`,
+  "gi",
+);
+const ANY_DOLLARS_RE = new RegExp(DOLLARS, "gi");
+
+const CLOCK = String.raw`(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\b\.?|(noon|midnight)`;
+const AFTER_RE = new RegExp(String.raw`\b(?:after|from)\s+${CLOCK}`, "gi");
+/** Time conditions no pricing tier can hold. */
+const UNSUPPORTED_TIME_RE = new RegExp(
+  String.raw`\b(?:overnight|early[\s-]*bird|nightly|per night)\b|\b(?:by|before|until|till|til)\s+(?:${CLOCK})|\b(?:in|out)\s+by\b`,
+  "i",
+);
+const EVENING_RE = /\bevenings?\b/i;
+
+/** `"1/2"`, `"half"`, `"two"`, `"1.5"` → number; empty → 1. */
+function countValue(raw) {
+  if (raw == null || raw === "") return 1;
+  const k = raw.toLowerCase();
+  if (k in NUMBER_WORDS) return NUMBER_WORDS[k];
+  const n = Number(k);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/** Unit word → hours (**`day`** for per-day, **`visit`** for per-use charges). */
+function unitHours(unit) {
+  const u = unit.toLowerCase().replace(/\s+/g, " ");
+  if (u.startsWith("half")) return 0.5;
+  if (u.startsWith("day")) return "day";
+  if (/^(use|entry|entries|visit|event|exit)$/.test(u)) return "visit";
+  if (/^(minutes?|mins?|m)$/.test(u)) return 1 / 60;
+  return 1;
+}
+
+/** Dollar regex groups → amount (`[low, high]` for `$2.50–$4`). */
+function amountFrom(lo, hi) {
+  const a = Number(lo);
+  const b = hi == null ? a : Number(hi);
+  const r = (n) => Math.round(n * 100) / 100;
+  return a === b ? r(a) : [r(Math.min(a, b)), r(Math.max(a, b))];
+}
+
+/** @param {PricingAmount} a @param {number} k */
+function scale(a, k) {
+  return typeof a === "number"
+    ? Math.round(a * k * 100) / 100
+    : [Math.round(a[0] * k * 100) / 100, Math.round(a[1] * k * 100) / 100];
+}
+
+/** Span of two amounts for the same tier (`$2.50/hr … $4/hr` → `[2.5, 4]`). */
+function widen(prev, next) {
+  if (prev == null) return next;
+  const ends = (a) => (typeof a === "number" ? [a, a] : a);
+  const [a0, a1] = ends(prev);
+  const [b0, b1] = ends(next);
+  const lo = Math.min(a0, b0);
+  const hi = Math.max(a1, b1);
+  return lo === hi ? lo : [lo, hi];
+}
+
+/** Clock regex groups → minutes after midnight (`6pm` → 1080, `noon` → 720). */
+function clockMinutes(h, m, ap, word) {
+  if (word) return word.toLowerCase() === "noon" ? 12 * 60 : 0;
+  const hour = (Number(h) % 12) + (ap.toLowerCase() === "p" ? 12 : 0);
+  return hour * 60 + Number(m ?? 0);
+}
+
+/**
+ * The time the whole text is limited to: `{ after }` (latest `after 6pm` named), `{ evening }`,
+ * `{}` when it names none, or null for a condition {@link parseRateExpression} cannot represent.
+ * @param {string} s — normalized text
+ * @returns {{ after?: number, evening?: true } | null}
+ */
+function timeCondition(s) {
+  if (UNSUPPORTED_TIME_RE.test(s)) return null;
+  const afters = [...s.matchAll(AFTER_RE)].map((m) =>
+    clockMinutes(m[1], m[2], m[3], m[4]),
+  );
+  if (afters.length > 0) return { after: Math.max(...afters) };
+  return EVENING_RE.test(s) ? { evening: true } : {};
+}
+
+function normalizeRateText(text) {
+  return text
+    .replace(/&nbsp;?/gi, " ")
+    .replace(/\bup\s*to\b|\bupto\b/gi, " up to ")
+    .replace(/½/g, "1/2")
+    .replace(/\b24[-\s]*hours?(?:\s*period)?\b/gi, "day")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Posted-rate prose → {@link RateExpression}; null when it names no rate, cap, or free period, or
+ * limits it to a time it cannot represent (see the module notes). Text that only says parking is
+ * free (`"Free"`, `"No charge"`, `"$0"`) → `{ free: true }`; `"No charge after 6pm"` →
+ * `{ free: true, after: 1080 }`.
+ * @param {unknown} text
+ * @returns {RateExpression | null}
+ */
+export function parseRateExpression(text) {
+  if (typeof text !== "string") return null;
+  const s = normalizeRateText(text);
+  if (!s) return null;
+  const when = timeCondition(s);
+  if (!when) return null;
+  /** @type {RateExpression} */
+  const out = {};
+  /** Spans already read (or monthly rates, which never price a visit); later passes skip them. */
+  const used = [];
+  const mark = (m) => used.push([m.index, m.index + m[0].length]);
+  const isUsed = (m) =>
+    used.some(([a, b]) => m.index < b && a < m.index + m[0].length);
+  for (const m of s.matchAll(MONTHLY_RE)) mark(m);
+
+  for (const m of s.matchAll(MAX_RE)) {
+    if (isUsed(m)) continue;
+    out.daily = widen(out.daily, amountFrom(m[1] ?? m[3], m[2] ?? m[4]));
+    mark(m);
+  }
+  for (const m of s.matchAll(RATE_RE)) {
+    if (isUsed(m)) continue;
+    const amount = amountFrom(m[1], m[2]);
+    const count = countValue(m[3]);
+    const unit = unitHours(m[4]);
+    if (count == null) continue;
+    mark(m);
+    if (unit === "day") out.daily = widen(out.daily, amount);
+    else if (unit === "visit") out.flat = widen(out.flat, amount);
+    else out.hourly = widen(out.hourly, scale(amount, 1 / (count * unit)));
+  }
+  for (const m of s.matchAll(FLAT_RE)) {
+    if (isUsed(m)) continue;
+    out.flat = widen(out.flat, amountFrom(m[1] ?? m[3], m[2] ?? m[4]));
+    mark(m);
+  }
+  const freeFirst = FREE_FIRST_RE.exec(s);
+  if (freeFirst) {
+    const count = countValue(freeFirst[1] ?? freeFirst[3]);
+    const unit = unitHours(freeFirst[2] ?? freeFirst[4]);
+    if (count != null && typeof unit === "number")
+      out.freeFirstHours = Math.round(count * unit * 100) / 100;
+  }
+  if (Object.keys(out).length === 0) {
+    const bare = [...s.matchAll(ANY_DOLLARS_RE)].filter((m) => !isUsed(m));
+    const amounts = bare.map((m) => amountFrom(m[1], m[2]));
+    const paid = amounts.filter((a) => (typeof a === "number" ? a : a[1]) > 0);
+    if (paid.length > 0) out.flat = paid.reduce(widen);
+    else if (
+      amounts.length > 0 ||
+      /^(?:free|no (?:charge|fee)|complimentary)\b/i.test(s)
+    )
+      out.free = true;
+  }
+  if (Object.keys(out).length === 0) return null;
+  if (Object.keys(when).length === 0) return out;
+  /** A time-limited text must name one amount (or free) for the window to hold it. */
+  const charges = Object.keys(out).filter((k) => k !== "freeFirstHours");
+  if (charges.length !== 1 || out.freeFirstHours != null) return null;
+  if ((s.match(ANY_DOLLARS_RE) ?? []).length > 1) return null;
+  return { ...out, ...when };
+}
@@ -0,0 +1,196 @@
+/**
+ * Uniform lat/lng grid for nearest-neighbour and radius queries over map pins (parking, DASH stops).
+ * Built once per point set; queries only visit cells that can hold a match, so dedupe passes and
+ * `#/visit` slider drags stay sub-linear as datasets grow.
+ *
+ * Results are **input positions** (indexes into the array passed to {@link createSpatialIndex}) so
+ * callers can keep mutating their own arrays by position.
+ */
+
+import { haversineMiles } from "./data-loader.mjs";
+
+/** Default cell edge (mi) — a few downtown blocks; dedupe (0.06 mi) and DASH (0.75 mi) radii span 1–8 cells. */
+export const SPATIAL_INDEX_DEFAULT_CELL_MILES = 0.1;
+
+/** Miles per degree of latitude on the {@link haversineMiles} sphere (R = 3959 mi). */
+const MILES_PER_DEGREE_LAT = (3959 * Math.PI) / 180;
+
+/**
+ * @typedef {{
+ *   size: number,
+ *   withinMiles: (lat: number, lng: number, miles: number) => number[],
+ *   anyWithinMiles: (lat: number, lng: number, miles: number) => boolean,
+ *   nearest: (
+ *     lat: number,
+ *     lng: number,
+ *     distanceMiles?: (lat1: number, lng1: number, lat2: number, lng2: number) => number,
+ *   ) => { index: number, miles: number } | null,
+ * }} SpatialIndex
+ */
+
+/** `{ lat, lng }` or parking row `location` → `[lat, lng]`; null when either coordinate is missing. */
+export function spatialIndexLatLngOf(entry) {
+  const lat = entry?.location?.latitude ?? entry?.latitude ?? entry?.lat;
+  const lng = entry?.location?.longitude ?? entry?.longitude ?? entry?.lng;
+  if (typeof lat !== "number" || typeof lng !== "number") return null;
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return [lat, lng];
+}
+
+/**
+ * Index `entries` by position. Entries without coordinates are skipped (never returned).
+ *
+ * Cells are at least **`cellMiles`** on each side at every indexed latitude. A query farther from
+ * the equator than every point sees narrower columns (a degree of longitude is shorter there), so
+ * queries measure a ring at their own latitude: any point `k` rings out is at least `(k - 1) ×` that
+ * width away under {@link haversineMiles} or `gridWalkMiles` — the bound `nearest` uses to stop
+ * early and the radius queries use to know how far to look.
+ *
+ * @param {readonly unknown[]} entries
+ * @param {{ cellMiles?: number, latLngOf?: (entry: any) => [number, number] | null }} [opts]
+ * @returns {SpatialIndex}
+ */
+export function createSpatialIndex(entries, opts) {
+  const cellMiles =
+    Number.isFinite(opts?.cellMiles) && opts.cellMiles > 0
+      ? opts.cellMiles
+      : SPATIAL_INDEX_DEFAULT_CELL_MILES;
+  const latLngOf = opts?.latLngOf || spatialIndexLatLngOf;
+
+  /** @type {Array<[number, number, number]>} */
+  const points = [];
+  let maxAbsLat = 0;
+  (Array.isArray(entries) ? entries : []).forEach((entry, i) => {
+    const ll = latLngOf(entry);
+    if (!ll) return;
+    points.push([ll[0], ll[1], i]);
+    maxAbsLat = Math.max(maxAbsLat, Math.abs(ll[0]));
+  });
+
+  const cellLat = cellMiles / MILES_PER_DEGREE_LAT;
+  const cellLng =
+    cellMiles /
+    (MILES_PER_DEGREE_LAT *
+      Math.max(Math.cos((Math.min(maxAbsLat, 89) * Math.PI) / 180), 1e-6));
+  const rowOf = (lat) => Math.floor(lat / cellLat);
+  const colOf = (lng) => Math.floor(lng / cellLng);
+  /** Narrowest cell side (mi) between a query at `lat` and any indexed point. */
+  const ringMilesAt = (lat) =>
+    Math.min(
+      cellMiles,
+      cellLng *
+        MILES_PER_DEGREE_LAT *
+        Math.max(Math.cos((Math.min(Math.abs(lat), 89) * Math.PI) / 180), 1e-6),
+    );
+
+  /** @type {Map<string, Array<[number, number, number]>>} */
+  const cells = new Map();
+  let minRow = Infinity;
+  let maxRow = -Infinity;
+  let minCol = Infinity;
+  let maxCol = -Infinity;
+  for (const p of points) {
+    const r = rowOf(p[0]);
+    const c = colOf(p[1]);
+    const key = `${r},${c}`;
+    const bucket = cells.get(key);
+    if (bucket) bucket.push(p);
+    else cells.set(key, [p]);
+    minRow = Math.min(minRow, r);
+    maxRow = Math.max(maxRow, r);
+    minCol = Math.min(minCol, c);
+    maxCol = Math.max(maxCol, c);
+  }
+
+  /** Calls `visit` for every point in the square ring `k` cells out from (`row`, `col`). */
+  function forEachInRing(row, col, k, visit) {
+    const visitCell = (r, c) => {
+      const bucket = cells.get(`${r},${c}`);
+      if (bucket) for (const p of bucket) visit(p);
+    };
+    for (
+      let r = Math.max(row - k, minRow);
+      r <= Math.min(row + k, maxRow);
+      r++
+    ) {
+      if (r === row - k || r === row + k) {
+        const cEnd = Math.min(col + k, maxCol);
+        for (let c = Math.max(col - k, minCol); c <= cEnd; c++) visitCell(r, c);
+      } else {
+        if (col - k >= minCol) visitCell(r, col - k);
+        if (col + k <= maxCol) visitCell(r, col + k);
+      }
+    }
+  }
+
+  /** First ring from (`row`, `col`) that can hold an occupied cell. */
+  function firstRingToCover(row, col) {
+    return Math.max(minRow - row, row - maxRow, minCol - col, col - maxCol, 0);
+  }
+
+  /** Rings needed from (`row`, `col`) to reach every occupied cell. */
+  function ringsToCover(row, col) {
+    return Math.max(row - minRow, maxRow - row, col - minCol, maxCol - col, 0);
+  }
+
+  function withinMiles(lat, lng, miles) {
+    if (!points.length || !(miles >= 0)) return [];
+    const row = rowOf(lat);
+    const col = colOf(lng);
+    const rings = Math.min(
+      Math.ceil(miles / ringMilesAt(lat)),
+      ringsToCover(row, col),
+    );
+    const out = [];
+    for (let k = firstRingToCover(row, col); k <= rings; k++) {
+      forEachInRing(row, col, k, (p) => {
+        if (haversineMiles(lat, lng, p[0], p[1]) <= miles) out.push(p[2]);
+      });
+    }
+    return out.sort((a, b) => a - b);
+  }
+
+  function anyWithinMiles(lat, lng, miles) {
+    if (!points.length || !(miles >= 0)) return false;
+    const row = rowOf(lat);
+    const col = colOf(lng);
+    const rings = Math.min(
+      Math.ceil(miles / ringMilesAt(lat)),
+      ringsToCover(row, col),
+    );
+    for (let k = firstRingToCover(row, col); k <= rings; k++) {
+      let hit = false;
+      forEachInRing(row, col, k, (p) => {
+        if (!hit && haversineMiles(lat, lng, p[0], p[1]) <= miles) hit = true;
+      });
+      if (hit) return true;
+    }
+    return false;
+  }
+
+  function nearest(lat, lng, distanceMiles = haversineMiles) {
+    if (!points.length) return null;
+    const row = rowOf(lat);
+    const col = colOf(lng);
+    const rings = ringsToCover(row, col);
+    const ringMiles = ringMilesAt(lat);
+    let best = null;
+    for (let k = firstRingToCover(row, col); k <= rings; k++) {
+      forEachInRing(row, col, k, (p) => {
+        const miles = distanceMiles(lat, lng, p[0], p[1]);
+        if (
+          best == null ||
+          miles < best.miles ||
+          (miles === best.miles && p[2] < best.index)
+        ) {
+          best = { index: p[2], miles };
+        }
+      });
+      // Anything past ring k is at least k full cells away.
+      if (best != null && best.miles < k * ringMiles) break;
+    }
+    return best;
+  }
+
+  return { size: points.length, withinMiles, anyWithinMiles, nearest };
+}
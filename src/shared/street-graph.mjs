@@ -0,0 +1,212 @@
+/**
+ * Offline street routing over a graph built from OpenStreetMap by `scripts/fetch_street_graph.py`
+ * (`data/walk/graph.json` for pedestrians, `data/drive/graph.json` for cars with one-way streets).
+ * The app loads a graph only once the script has published it in the manifest's **`streetGraphs`**
+ * (see `publishedStreetGraphFile`); until then legs are drawn as straight lines. The format:
+ *
+ * - **`nodes`** — `[lat, lng]` per intersection or dead end
+ * - **`edges`** — `[from, to, miles, shape?]`: node indexes, the way's length, and the `[lat, lng]`
+ *   points between them (omitted when the way is straight)
+ * - **`directed`** — edges run `from` → `to` only (two-way ways are listed both ways); otherwise
+ *   every edge is walkable both ways
+ *
+ * {@link streetGraphRoute} snaps both ends to the nearest node and runs A* with a straight-line
+ * heuristic, so routes follow bridges over the Grand River and the few crossings of US-131 instead of
+ * cutting through them.
+ */
+
+import { haversineMiles } from "./data-loader.mjs";
+import { createSpatialIndex } from "./spatial-index.mjs";
+
+/** Ends farther than this from any node (off the graph's area) are not routed. */
+export const STREET_GRAPH_MAX_SNAP_MILES = 0.15;
+
+/**
+ * **`adjacency`** — per node, `[edge index, direction]` pairs (**1** along the edge, **-1** against it).
+ * @typedef {{
+ *   nodes: Array<[number, number]>,
+ *   edges: Array<[number, number, number, Array<[number, number]>]>,
+ *   adjacency: Array<Array<[number, number]>>,
+ *   index: import("./spatial-index.mjs").SpatialIndex,
+ *   directed: boolean,
+ * }} StreetGraph
+ */
+
+/** @typedef {{ miles: number, latLngs: Array<[number, number]> }} StreetRoute */
+
+/** @param {unknown} p */
+function isLatLng(p) {
+  return (
+    Array.isArray(p) &&
+    p.length >= 2 &&
+    typeof p[0] === "number" &&
+    typeof p[1] === "number" &&
+    Number.isFinite(p[0]) &&
+    Number.isFinite(p[1])
+  );
+}
+
+/**
+ * Graph file contents → {@link StreetGraph}; edges naming missing nodes are skipped. Null without
+ * nodes or edges (file not fetched yet).
+ * @param {unknown} data
+ * @returns {StreetGraph | null}
+ */
+export function createStreetGraph(data) {
+  const o = data && typeof data === "object" ? data : {};
+  if (!Array.isArray(o.nodes) || !Array.isArray(o.edges)) return null;
+  const nodes = o.nodes.map((p) => (isLatLng(p) ? [p[0], p[1]] : null));
+  /** @type {StreetGraph["edges"]} */
+  const edges = [];
+  /** @type {StreetGraph["adjacency"]} */
+  const adjacency = nodes.map(() => []);
+  const directed = o.directed === true;
+  for (const e of o.edges) {
+    if (!Array.isArray(e)) continue;
+    const [a, b, miles, shape] = e;
+    if (!nodes[a] || !nodes[b] || a === b) continue;
+    if (!(typeof miles === "number" && Number.isFinite(miles) && miles >= 0))
+      continue;
+    const i = edges.length;
+    edges.push([
+      a,
+      b,
+      miles,
+      Array.isArray(shape) ? shape.filter(isLatLng) : [],
+    ]);
+    adjacency[a].push([i, 1]);
+    if (!directed) adjacency[b].push([i, -1]);
+  }
+  if (edges.length === 0) return null;
+  return {
+    nodes,
+    edges,
+    adjacency,
+    index: createSpatialIndex(nodes, { latLngOf: (p) => p }),
+    directed,
+  };
+}
+
+/** Min-heap of `[priority, node]`. */
+function createHeap() {
+  /** @type {Array<[number, number]>} */
+  const items = [];
+  return {
+    get size() {
+      return items.length;
+    },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const up = (i - 1) >> 1;
+        if (items[up][0] <= items[i][0]) break;
+        [items[up], items[i]] = [items[i], items[up]];
+        i = up;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let m = i;
+          if (l < items.length && items[l][0] < items[m][0]) m = l;
+          if (r < items.length && items[r][0] < items[m][0]) m = r;
+          if (m === i) break;
+          [items[m], items[i]] = [items[i], items[m]];
+          i = m;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/**
+ * A* from node `start` to node `goal`: the edges taken as `[edge index, direction]`, or null when
+ * `goal` cannot be reached.
+ * @param {StreetGraph} graph
+ * @param {number} start
+ * @param {number} goal
+ */
+function shortestEdgePath(graph, start, goal) {
+  const { nodes, edges, adjacency } = graph;
+  const [gLat, gLng] = nodes[goal];
+  const h = (n) => haversineMiles(nodes[n][0], nodes[n][1], gLat, gLng);
+  /** @type {Map<number, number>} */
+  const dist = new Map([[start, 0]]);
+  /** @type {Map<number, [number, number, number]>} node → [previous node, edge, direction] */
+  const via = new Map();
+  const done = new Set();
+  const open = createHeap();
+  open.push([h(start), start]);
+  while (open.size > 0) {
+    const [, n] = open.pop();
+    if (n === goal) break;
+    if (done.has(n)) continue;
+    done.add(n);
+    const dn = dist.get(n);
+    for (const [i, dir] of adjacency[n]) {
+      const [a, b, miles] = edges[i];
+      const next = dir === 1 ? b : a;
+      if (done.has(next)) continue;
+      const d = dn + miles;
+      if (d < (dist.get(next) ?? Infinity)) {
+        dist.set(next, d);
+        via.set(next, [n, i, dir]);
+        open.push([d + h(next), next]);
+      }
+    }
+  }
+  if (!dist.has(goal)) return null;
+  /** @type {Array<[number, number]>} */
+  const path = [];
+  for (let n = goal; n !== start;) {
+    const [prev, i, dir] = via.get(n);
+    path.push([i, dir]);
+    n = prev;
+  }
+  return path.reverse();
+}
+
+/**
+ * Shortest route between two points along the graph: the miles (including the short legs from each
+ * point to its nearest node) and the polyline. Null when either point is more than `maxSnapMiles`
+ * from the graph or the two are not connected.
+ * @param {StreetGraph | null} graph
+ * @param {{ maxSnapMiles?: number }} [opts]
+ * @returns {StreetRoute | null}
+ */
+export function streetGraphRoute(
+  graph,
+  fromLat,
+  fromLng,
+  toLat,
+  toLng,
+  { maxSnapMiles = STREET_GRAPH_MAX_SNAP_MILES } = {},
+) {
+  if (!graph) return null;
+  const start = graph.index.nearest(fromLat, fromLng);
+  const goal = graph.index.nearest(toLat, toLng);
+  if (!start || !goal) return null;
+  if (start.miles > maxSnapMiles || goal.miles > maxSnapMiles) return null;
+  const path = shortestEdgePath(graph, start.index, goal.index);
+  if (!path) return null;
+
+  /** @type {Array<[number, number]>} */
+  const latLngs = [[fromLat, fromLng], graph.nodes[start.index]];
+  let miles = start.miles + goal.miles;
+  for (const [i, dir] of path) {
+    const [a, b, edgeMiles, shape] = graph.edges[i];
+    miles += edgeMiles;
+    const inner = dir === 1 ? shape : [...shape].reverse();
+    latLngs.push(...inner, graph.nodes[dir === 1 ? b : a]);
+  }
+  latLngs.push([toLat, toLng]);
+  return { miles, latLngs };
+}
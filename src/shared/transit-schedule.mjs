@@ -0,0 +1,114 @@
+/**
+ * Scheduled departures at transit stops. `scripts/fetch_bus_routes.py` writes each DASH stop's
+ * **`departures`** from GTFS `stop_times.txt`: minutes after midnight of the service day, by the
+ * kind of day the service runs —
+ *
+ * - **`weekday`** — Monday to Friday
+ * - **`saturday`** / **`sunday`**
+ *
+ * Values past **1440** are trips after midnight that still belong to the previous service day
+ * (`25:10` → 1510). Times are wall-clock in the city's **`timeZone`**.
+ */
+
+import { zonedDateTime, zonedParts } from "./opening-hours.mjs";
+
+/** @typedef {{ weekday?: number[], saturday?: number[], sunday?: number[] }} StopDepartures */
+
+export const TRANSIT_SERVICE_DAYS = ["weekday", "saturday", "sunday"];
+
+/** Monday-first weekday index (`zonedParts`) → service-day kind. */
+function serviceDayKind(weekday) {
+  if (weekday === 5) return "saturday";
+  if (weekday === 6) return "sunday";
+  return "weekday";
+}
+
+/**
+ * A stop's **`departures`** → sorted whole minutes per service-day kind; null when it lists none
+ * (feed without a calendar, or an older `bus/routes.json`).
+ * @param {unknown} raw
+ * @returns {StopDepartures | null}
+ */
+export function parseStopDepartures(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  /** @type {StopDepartures} */
+  const out = {};
+  for (const kind of TRANSIT_SERVICE_DAYS) {
+    const list = raw[kind];
+    if (!Array.isArray(list)) continue;
+    const minutes = list
+      .filter((m) => Number.isInteger(m) && m >= 0)
+      .sort((a, b) => a - b);
+    if (minutes.length) out[kind] = minutes;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/**
+ * Every scheduled instant of the service day before the one `at` falls on (its after-midnight trips
+ * can still be running) and of that day, one sorted list per service day.
+ * @param {StopDepartures} departures
+ * @param {Date} at
+ * @param {string} timeZone
+ * @returns {Date[][]} the previous service day, then `at`'s calendar day
+ */
+function serviceDaysAround(departures, at, timeZone) {
+  const p = zonedParts(at, timeZone);
+  return [-1, 0].map((offset) => {
+    const day = new Date(Date.UTC(p.year, p.month - 1, p.day + offset));
+    const start = zonedDateTime(
+      `${day.toISOString().slice(0, 10)}T00:00`,
+      timeZone,
+    );
+    const kind = serviceDayKind((p.weekday + offset + 7) % 7);
+    return (departures[kind] ?? []).map(
+      (m) => new Date(start.getTime() + m * 60000),
+    );
+  });
+}
+
+/**
+ * The next `limit` departures at or after `at` on the same service day; empty after the last one.
+ * @param {StopDepartures | null | undefined} departures
+ * @param {Date} at
+ * @param {string} timeZone
+ * @returns {Date[]}
+ */
+export function upcomingDepartures(departures, at, timeZone, limit = 3) {
+  if (!departures || !(at instanceof Date)) return [];
+  return serviceDaysAround(departures, at, timeZone)
+    .flat()
+    .filter((d) => d.getTime() >= at.getTime())
+    .sort((a, b) => a.getTime() - b.getTime())
+    .slice(0, limit);
+}
+
+/**
+ * The latest departure before `at` on the service day `at` belongs to; null when none ran yet. That
+ * is the previous day's service while its after-midnight trips are still to come, else `at`'s own
+ * day — so a morning query does not report last night's bus.
+ * @param {StopDepartures | null | undefined} departures
+ * @param {Date} at
+ * @param {string} timeZone
+ * @returns {Date | null}
+ */
+export function lastDepartureBefore(departures, at, timeZone) {
+  if (!departures || !(at instanceof Date)) return null;
+  const [previous, today] = serviceDaysAround(departures, at, timeZone);
+  const previousLast = previous[previous.length - 1];
+  const serviceDay =
+    previousLast && previousLast.getTime() >= at.getTime() ? previous : today;
+  const before = serviceDay.filter((d) => d.getTime() < at.getTime());
+  return before.length ? before[before.length - 1] : null;
+}
+
+/**
+ * `7:05 PM` in the city's time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ */
+export function formatTransitTime(date, timeZone) {
+  const { hour, minute } = zonedParts(date, timeZone);
+  const h12 = hour % 12 === 0 ? 12 : hour % 12;
+  return `${h12}:${String(minute).padStart(2, "0")} ${hour < 12 ? "AM" : "PM"}`;
+}
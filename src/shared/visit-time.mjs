@@ -0,0 +1,135 @@
+/**
+ * When the visit happens: the **`arrive`** (city-local `YYYY-MM-DDTHH:MM`) and **`stay`** (hours)
+ * params of `#/visit`, plus the legacy **`time`** param old planner links carry (`time=830` → 8:30pm
+ * today). Times are wall-clock in the city's **`timeZone`** (see `cityTimeZone()`), so a link shared
+ * from another zone still means the same evening in Grand Rapids.
+ *
+ * `parking-recommendation.mjs` turns the window into **`arriveAt`** / **`leaveAt`** for opening hours
+ * and time-aware pricing (`pickEveningTierForCap`).
+ */
+
+import { zonedDateTime, zonedParts } from "./opening-hours.mjs";
+
+/**
+ * Expected stay when `#/visit` has no `stay` — a show or game plus getting out of the garage. Prices
+ * use it with or without `arrive`, so they match the stay `<select>`; it replaces the 6 hours
+ * hourly-only pins were priced at before there was a stay to choose.
+ */
+export const PARKING_DEFAULT_STAY_HOURS = 3;
+/** Longest stay the hash accepts; overnight parking is out of scope for `#/visit`. */
+export const PARKING_MAX_STAY_HOURS = 24;
+/** Stay `<select>` choices on `#/visit` (hours). */
+export const PARKING_STAY_HOUR_OPTIONS = [1, 2, 3, 4, 5, 6, 8, 10, 12];
+
+const VISIT_ARRIVAL_RE = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+// Convert time from HMM or HHMM (12-hour) to HH:MM (24-hour) from URL
+// All times are PM since the dropdown only has 5pm-10pm
+export function timeFromUrl(urlTime) {
+  // Handle formats like "830" (8:30 PM = 20:30) or "500" (5:00 PM = 17:00) or "1000" (10:00 PM = 22:00)
+  if (urlTime.length === 3) {
+    // Format: HMM (e.g., "830" = 8:30 PM = 20:30)
+    const hour12 = parseInt(urlTime[0], 10);
+    const minutes = urlTime.slice(1);
+    // All times are PM (5pm-10pm range)
+    const hour24 = hour12 + 12;
+    return hour24.toString().padStart(2, "0") + ":" + minutes;
+  } else if (urlTime.length === 4) {
+    // Format: HHMM (e.g., "1000" = 10:00 PM = 22:00)
+    // Handle both 12-hour format (10-12) and 24-hour format (17-22) for backwards compatibility
+    const hourPart = parseInt(urlTime.slice(0, 2), 10);
+    const minutes = urlTime.slice(2);
+    let hour24;
+    if (hourPart >= 17 && hourPart <= 22) {
+      // Already in 24-hour format (for backwards compatibility)
+      hour24 = hourPart;
+    } else if (hourPart >= 10 && hourPart <= 12) {
+      // 10pm-12pm in 12-hour format
+      hour24 = hourPart === 12 ? 12 : hourPart + 12;
+    } else {
+      // 5-9 in 12-hour format (should use 3-digit format, but handle 2-digit here too)
+      hour24 = hourPart + 12;
+    }
+    return hour24.toString().padStart(2, "0") + ":" + minutes;
+  }
+  return urlTime; // Fallback if already in HH:MM format
+}
+
+/**
+ * `arrive=` value → canonical `YYYY-MM-DDTHH:MM` (seconds from a `datetime-local` input are dropped);
+ * null when missing or not a real calendar date and clock time.
+ * @param {unknown} raw
+ * @returns {string | null}
+ */
+export function parseVisitArrival(raw) {
+  if (typeof raw !== "string") return null;
+  const m = raw.trim().slice(0, 16).match(VISIT_ARRIVAL_RE);
+  if (!m) return null;
+  const [, y, mo, d, h, mi] = m.map(Number);
+  const day = new Date(Date.UTC(y, mo - 1, d));
+  if (
+    day.getUTCFullYear() !== y ||
+    day.getUTCMonth() !== mo - 1 ||
+    day.getUTCDate() !== d ||
+    h > 23 ||
+    mi > 59
+  )
+    return null;
+  return m[0];
+}
+
+/**
+ * `stay=` value → hours, snapped to the half hour; null when missing, not positive, or longer than
+ * {@link PARKING_MAX_STAY_HOURS}.
+ * @param {unknown} raw
+ * @returns {number | null}
+ */
+export function parseVisitStayHours(raw) {
+  if (raw == null || String(raw).trim() === "") return null;
+  const n = Number(String(raw).trim());
+  if (!Number.isFinite(n)) return null;
+  const snapped = Math.round(n * 2) / 2;
+  if (snapped <= 0 || snapped > PARKING_MAX_STAY_HOURS) return null;
+  return snapped;
+}
+
+/**
+ * Legacy `time=830` → today's date (in `timeZone`) at 20:30, as an `arrive=` value.
+ * @param {unknown} time
+ * @param {Date} now
+ * @param {string} timeZone
+ * @returns {string | null}
+ */
+export function legacyVisitArrival(time, now, timeZone) {
+  if (
+    typeof time !== "string" ||
+    !/^\d{3,4}$|^\d{1,2}:\d{2}$/.test(time.trim())
+  )
+    return null;
+  const hhmm = timeFromUrl(time.trim()).padStart(5, "0");
+  const p = zonedParts(now, timeZone);
+  const date = [
+    String(p.year),
+    String(p.month).padStart(2, "0"),
+    String(p.day).padStart(2, "0"),
+  ].join("-");
+  return parseVisitArrival(`${date}T${hhmm}`);
+}
+
+/**
+ * The instants the car is parked and picked up for an `arrive` / `stay` pair; null without a valid
+ * arrival. A missing stay uses {@link PARKING_DEFAULT_STAY_HOURS}.
+ * @param {unknown} arrive — `YYYY-MM-DDTHH:MM`, city-local
+ * @param {number | null | undefined} stayHours
+ * @param {string} timeZone
+ * @returns {{ arriveAt: Date, leaveAt: Date } | null}
+ */
+export function visitWindow(arrive, stayHours, timeZone) {
+  const arriveAt = zonedDateTime(parseVisitArrival(arrive), timeZone);
+  if (!arriveAt) return null;
+  const hours = parseVisitStayHours(stayHours) ?? PARKING_DEFAULT_STAY_HOURS;
+  return {
+    arriveAt,
+    leaveAt: new Date(arriveAt.getTime() + hours * 3600000),
+  };
+}
@@ -0,0 +1,537 @@
+/**
+ * DASH shuttle geometry for `#/visit` trips — stops near the city center, the loop ring from the
+ * primary GTFS shape, and the park → walk → ride → walk path. Pure: everything is read from an
+ * assembled **`appData`** (see `loadData` / `assembleAppData`), so Node scripts get the same
+ * stops, legs, and minutes as the map.
+ *
+ * **Pattern key** (`dashKey`): **`event`** — venue with **`useDashEventRoute`** + a feed tagged with
+ * `dash_pattern`; **`regular`** — tagged feed, normal venue (regular loop only, no amphitheater detour);
+ * **`all`** — legacy union when the feed has no event/regular tags.
+ */
+
+import { gridWalkMiles, haversineMiles } from "../shared/data-loader.mjs";
+import {
+  compareParkingWalkVersusDashMinutes,
+  parkingWalkLeg,
+  resolveParkingRoutePace,
+} from "./route-planning.mjs";
+import { createSpatialIndex } from "../shared/spatial-index.mjs";
+import {
+  lastDepartureBefore,
+  parseStopDepartures,
+  upcomingDepartures,
+} from "../shared/transit-schedule.mjs";
+
+/**
+ * When first/last GTFS shape vertices differ numerically but lie within this chain distance, treat the
+ * DASH polyline as a closed loop (The Rapid event-route shapes often end ~10 ft from the start).
+ */
+const PARKING_DASH_SHAPE_CLOSURE_GAP_MI = 0.02;
+
+/**
+ * Longest scheduled wait that still counts as the shuttle running; past it (the overnight gap) the
+ * trip is not offered, or the ride back is flagged.
+ */
+export const PARKING_DASH_MAX_SCHEDULED_WAIT_MINUTES = 60;
+
+/** Per-`appData` memos (`dashKey` → value); `busRoutes` is static for one load, so a new load starts fresh. */
+const dashMapDataMemo = new WeakMap();
+const dashLoopRingMemo = new WeakMap();
+
+function memoized(memo, appData, dashKey, build) {
+  let byKey = memo.get(appData);
+  if (!byKey) {
+    byKey = new Map();
+    memo.set(appData, byKey);
+  }
+  if (!byKey.has(dashKey)) byKey.set(dashKey, build());
+  return byKey.get(dashKey);
+}
+
+/** DASH routes from `bus/routes.json` — `dash_routes`, else legacy `routes`. */
+function parkingDashRoutes(appData) {
+  const bus = appData?.busRoutes;
+  const dashList = Array.isArray(bus?.dash_routes) ? bus.dash_routes : [];
+  const legacyList = Array.isArray(bus?.routes) ? bus.routes : [];
+  return dashList.length > 0 ? dashList : legacyList;
+}
+
+/** City shuttle name (`DASH`) for route steps, tooltips, and stop labels. */
+export function parkingShuttleName(appData) {
+  return appData?.city?.shuttle?.name || "Shuttle";
+}
+
+/** True when GTFS-derived `dash_pattern` / `dash_patterns` exist on DASH (event vs regular split). */
+function parkingDashEventPatternAvailable(appData) {
+  const dashList = Array.isArray(appData?.busRoutes?.dash_routes)
+    ? appData.busRoutes.dash_routes
+    : [];
+  for (const r of dashList) {
+    for (const sh of r.shapes || []) {
+      if (sh.dash_pattern === "event") return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Pattern key for trips to a venue (see module doc).
+ * @param {object | null} appData
+ * @param {string} destinationSlug — `""` when no venue is chosen
+ * @returns {"event" | "regular" | "all"}
+ */
+export function parkingDashDataKey(appData, destinationSlug) {
+  if (!parkingDashEventPatternAvailable(appData)) return "all";
+  const dest = destinationSlug
+    ? appData?.destinations?.find((d) => d.slug === destinationSlug)
+    : null;
+  if (dest?.useDashEventRoute) return "event";
+  return "regular";
+}
+
+/**
+ * DASH polylines + stops (same source as modes page shuttle map), plus a spatial index over the stops.
+ * Stops beyond the city's **`transitStopRadiusMiles`** from its center are left out. Stops carry
+ * their GTFS **`departures`** (see `transit-schedule.mjs`) when the feed had a calendar.
+ * @param {object | null} appData
+ * @param {"event" | "regular" | "all"} dashKey — from {@link parkingDashDataKey}
+ * @returns {{ points: Array<{lat:number,lng:number,label:string,address:string,departures:import("../shared/transit-schedule.mjs").StopDepartures|null}>, polylines: Array<{latLngs:number[][], color:string, weight?:number}>, stopIndex: import("../shared/spatial-index.mjs").SpatialIndex }}
+ */
+export function getParkingDashMapData(appData, dashKey) {
+  if (!appData) {
+    return { points: [], polylines: [], stopIndex: createSpatialIndex([]) };
+  }
+  return memoized(dashMapDataMemo, appData, dashKey, () =>
+    buildParkingDashMapData(appData, dashKey),
+  );
+}
+
+function buildParkingDashMapData(appData, dashKey) {
+  const routes = parkingDashRoutes(appData);
+  const city = appData.city;
+  if (routes.length === 0 || !city) {
+    return { points: [], polylines: [], stopIndex: createSpatialIndex([]) };
+  }
+
+  const defaultLineColor = city.shuttle.color;
+  const cLat = city.center.latitude;
+  const cLon = city.center.longitude;
+  const stopRadiusMiles = city.transitStopRadiusMiles;
+  const colorForRoute = (hex, fallbackHex) => {
+    if (typeof hex === "string" && hex.trim() !== "") {
+      const h = hex.trim();
+      if (h.startsWith("#")) return h;
+      if (/^[0-9A-Fa-f]{6}$/.test(h)) return `#${h}`;
+    }
+    return fallbackHex;
+  };
+
+  const points = [];
+  const polylines = [];
+  const groupLabel = city.shuttle.name;
+
+  for (const r of routes) {
+    const lineLabel = [r.route_short_name, r.route_long_name]
+      .filter((x) => typeof x === "string" && x.trim() !== "")
+      .join(" · ");
+    const rlabel = [groupLabel, lineLabel]
+      .filter((x) => typeof x === "string" && x.trim() !== "")
+      .join(" · ");
+    const col = colorForRoute(r.route_color, defaultLineColor);
+    for (const sh of r.shapes || []) {
+      if (dashKey === "event" && sh.dash_pattern !== "event") continue;
+      if (dashKey === "regular" && sh.dash_pattern === "event") continue;
+      const coords = sh.coordinates || [];
+      const latLngs = [];
+      for (const c of coords) {
+        const la = c.latitude;
+        const lo = c.longitude;
+        if (typeof la === "number" && typeof lo === "number")
+          latLngs.push([la, lo]);
+      }
+      if (latLngs.length >= 2)
+        polylines.push({ latLngs, color: col, weight: 4 });
+    }
+    for (const s of r.stops || []) {
+      if (typeof s.latitude !== "number" || typeof s.longitude !== "number")
+        continue;
+      if (dashKey === "event") {
+        const pats = s.dash_patterns;
+        if (!Array.isArray(pats) || !pats.includes("event")) continue;
+      } else if (dashKey === "regular") {
+        const pats = s.dash_patterns;
+        if (
+          Array.isArray(pats) &&
+          pats.length > 0 &&
+          !pats.includes("regular")
+        ) {
+          continue;
+        }
+      }
+      if (haversineMiles(cLat, cLon, s.latitude, s.longitude) > stopRadiusMiles)
+        continue;
+      points.push({
+        lat: s.latitude,
+        lng: s.longitude,
+        label: typeof s.name === "string" ? s.name : s.stop_id || "Stop",
+        address: rlabel,
+        color: col,
+        departures: parseStopDepartures(s.departures),
+      });
+    }
+  }
+  return { points, polylines, stopIndex: createSpatialIndex(points) };
+}
+
+/** Shortest grid-walk miles from a point to any DASH stop (walk slider vs chosen venue). */
+export function nearestDashStopWalkMiles(lat, lng, dashStops) {
+  if (!dashStops || dashStops.size === 0) return Number.POSITIVE_INFINITY;
+  return dashStops.nearest(lat, lng, gridWalkMiles)?.miles ?? Infinity;
+}
+
+/**
+ * Closed-loop vertices from the primary DASH shape (first route, first matching shape), dropping the duplicate closing point when GTFS closes the ring.
+ * @returns {{ verts: Array<{ lat: number; lng: number }>; segMi: number[]; perimeterMi: number } | null}
+ */
+function getParkingDashLoopRingGeometry(appData, dashKey) {
+  return memoized(dashLoopRingMemo, appData, dashKey, () =>
+    buildParkingDashLoopRingGeometry(appData, dashKey),
+  );
+}
+
+function buildParkingDashLoopRingGeometry(appData, dashKey) {
+  const r = parkingDashRoutes(appData)[0];
+  const shapes = Array.isArray(r?.shapes) ? r.shapes : [];
+  let coords = null;
+  if (dashKey === "event") {
+    coords = shapes.find((sh) => sh.dash_pattern === "event")?.coordinates;
+  } else if (dashKey === "regular") {
+    coords =
+      shapes.find((sh) => sh.dash_pattern === "regular")?.coordinates ??
+      shapes[0]?.coordinates;
+  } else {
+    coords = shapes[0]?.coordinates;
+  }
+  if (!Array.isArray(coords) || coords.length < 3) return null;
+  const last = coords[coords.length - 1];
+  const first = coords[0];
+  const latOk =
+    typeof first?.latitude === "number" &&
+    typeof first?.longitude === "number" &&
+    typeof last?.latitude === "number" &&
+    typeof last?.longitude === "number";
+  const explicitClosed =
+    latOk &&
+    first.latitude === last.latitude &&
+    first.longitude === last.longitude;
+  const softClosed =
+    latOk &&
+    !explicitClosed &&
+    haversineMiles(
+      first.latitude,
+      first.longitude,
+      last.latitude,
+      last.longitude,
+    ) <= PARKING_DASH_SHAPE_CLOSURE_GAP_MI;
+  const ring =
+    explicitClosed || softClosed ? coords.slice(0, -1) : coords.slice();
+  const verts = [];
+  for (const c of ring) {
+    if (typeof c.latitude !== "number" || typeof c.longitude !== "number") {
+      return null;
+    }
+    verts.push({ lat: c.latitude, lng: c.longitude });
+  }
+  if (verts.length < 3) return null;
+  const n = verts.length;
+  const segMi = [];
+  let perimeterMi = 0;
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    const mi = haversineMiles(
+      verts[i].lat,
+      verts[i].lng,
+      verts[j].lat,
+      verts[j].lng,
+    );
+    segMi.push(mi);
+    perimeterMi += mi;
+  }
+  return { verts, segMi, perimeterMi };
+}
+
+/** @param {Array<{ lat: number; lng: number }>} verts */
+function closestParkingDashRingVertexIndex(lat, lng, verts) {
+  let bi = 0;
+  let bd = Infinity;
+  for (let i = 0; i < verts.length; i++) {
+    const d = haversineMiles(lat, lng, verts[i].lat, verts[i].lng);
+    if (d < bd) {
+      bd = d;
+      bi = i;
+    }
+  }
+  return bi;
+}
+
+function dashRingForwardDistanceMi(iFrom, iTo, segMi, n) {
+  if (iFrom === iTo) return 0;
+  let d = 0;
+  let i = iFrom;
+  while (i !== iTo) {
+    d += segMi[i];
+    i = (i + 1) % n;
+  }
+  return d;
+}
+
+function buildDashRingForwardLatLngs(verts, iFrom, iTo) {
+  const n = verts.length;
+  const out = [];
+  let i = iFrom;
+  out.push([verts[i].lat, verts[i].lng]);
+  while (i !== iTo) {
+    i = (i + 1) % n;
+    out.push([verts[i].lat, verts[i].lng]);
+  }
+  return out;
+}
+
+/**
+ * Shuttle segment along the DASH loop following **GTFS shape vertex order** (same direction as
+ * `shapes.txt` / animated base route). Not the geometrically shorter arc — buses follow one-way
+ * loop circulation; the shorter arc can trace the ring backward vs actual traffic.
+ * @returns {{ latLngs: number[][]; shuttleMi: number }}
+ */
+function dashShuttleAlongGtfsRing(geom, iBoard, iAlight) {
+  const { verts, segMi } = geom;
+  const n = verts.length;
+  const shuttleMi = dashRingForwardDistanceMi(iBoard, iAlight, segMi, n);
+  let latLngs = buildDashRingForwardLatLngs(verts, iBoard, iAlight);
+  if (latLngs.length < 2) latLngs = [latLngs[0], latLngs[0]];
+  return { latLngs, shuttleMi };
+}
+
+/**
+ * Nearest stop by grid walk, via the memoized stop index.
+ * @param {ReturnType<typeof getParkingDashMapData>} dashMap
+ * @param {string} shuttleName — label fallback for unnamed stops
+ */
+function nearestParkingDashStop(lat, lng, dashMap, shuttleName) {
+  const hit = dashMap.stopIndex.nearest(lat, lng, gridWalkMiles);
+  if (!hit) return null;
+  const best = dashMap.points[hit.index];
+  return {
+    lat: best.lat,
+    lng: best.lng,
+    label: typeof best.label === "string" ? best.label : `${shuttleName} stop`,
+    walkMi: hit.miles,
+    departures: best.departures ?? null,
+  };
+}
+
+/**
+ * Geometry + pace for a park → DASH → venue trip when the user’s max walk is **not** enough for the
+ * full door-to-door grid walk but **is** enough to reach a DASH stop (`w1` ≤ `walkCapMiles`).
+ *
+ * Returns **`null`** when DASH data/geometry is missing, when the approach walk exceeds the cap, or
+ * when door-to-door already fits the cap (caller should show a single walk only).
+ *
+ * **`useDashOverlay`** is true when the linear time model says DASH is strictly faster than walking
+ * door-to-door; callers may use that for ranking. The map and route panel still draw this multimodal
+ * path whenever the object is non-null so listed pins match what is shown.
+ *
+ * The alight→venue leg uses the nearest stop to the destination and is **not** capped by
+ * `walkCapMiles` for geometry (venues off the loop); pin filtering still requires both walk legs ≤ cap.
+ *
+ * The cap checks use grid-walk miles, like pin filtering; the minutes, **`walk1Mi`** / **`walk2Mi`**,
+ * and **`walk1`** / **`walk2`** follow the street graph where {@link parkingWalkLeg} can route them
+ * (**`walk1Routed`** / **`walk2Routed`**; unrouted legs are two-point chords).
+ *
+ * With a **`visit`** time and stop **`departures`**, the wait is the gap to the next scheduled DASH
+ * after walking to the stop (**`dashDepartsAt`**); no departure within
+ * {@link PARKING_DASH_MAX_SCHEDULED_WAIT_MINUTES} ⇒ **`null`** (the shuttle is not running then).
+ * **`dashReturnAfterLast`** is set when no DASH leaves the venue's stop soon enough for the ride back
+ * to reach the car by **`leaveAt`** (**`lastAt`** — the last one earlier that service day, if any;
+ * see {@link lastDepartureBefore}). Without either, the wait is
+ * `parkingRoutePace.dashBoardingWaitMinutes`.
+ *
+ * @param {object | null} appData
+ * @param {"event" | "regular" | "all"} dashKey — from {@link parkingDashDataKey}
+ * @param {number} walkCapMiles — must be **> 0** (slider above minimum); **0** / invalid ⇒ no multimodal trip (cannot reach DASH without walking).
+ * @param {{ arriveAt?: Date | null, leaveAt?: Date | null, timeZone?: string }} [visit] — e.g. the {@link import("./parking-recommendation.mjs").ParkingPlan}
+ */
+export function tryParkingDashMultimodalPath(
+  appData,
+  dashKey,
+  startLat,
+  startLng,
+  destLat,
+  destLng,
+  walkCapMiles,
+  visit,
+) {
+  if (
+    typeof walkCapMiles !== "number" ||
+    !Number.isFinite(walkCapMiles) ||
+    walkCapMiles <= 0
+  ) {
+    return null;
+  }
+
+  const dashMap = getParkingDashMapData(appData, dashKey);
+  if (dashMap.points.length === 0) return null;
+
+  const geom = getParkingDashLoopRingGeometry(appData, dashKey);
+  if (!geom) return null;
+
+  const shuttleName = parkingShuttleName(appData);
+  const board = nearestParkingDashStop(
+    startLat,
+    startLng,
+    dashMap,
+    shuttleName,
+  );
+  const alight = nearestParkingDashStop(destLat, destLng, dashMap, shuttleName);
+  if (!board || !alight) return null;
+
+  const w1 = board.walkMi;
+
+  const walkCapFinite =
+    typeof walkCapMiles === "number" &&
+    walkCapMiles > 0 &&
+    Number.isFinite(walkCapMiles);
+  /** Cap applies to approach to DASH only; see JSDoc — `w2` can exceed cap when the venue is far from stops. */
+  if (walkCapFinite && w1 > walkCapMiles) return null;
+
+  /** Finite max-walk and grid-walk parking→venue distance already fits — prefer direct walk overlay only. */
+  if (
+    walkCapFinite &&
+    gridWalkMiles(startLat, startLng, destLat, destLng) <= walkCapMiles + 1e-9
+  )
+    return null;
+
+  const walk1 = parkingWalkLeg(
+    appData,
+    startLat,
+    startLng,
+    board.lat,
+    board.lng,
+  );
+  const walk2 = parkingWalkLeg(
+    appData,
+    alight.lat,
+    alight.lng,
+    destLat,
+    destLng,
+  );
+  const directMi = parkingWalkLeg(
+    appData,
+    startLat,
+    startLng,
+    destLat,
+    destLng,
+  ).miles;
+
+  const pace = resolveParkingRoutePace(appData?.parkingRoutePace);
+
+  const iBoard = closestParkingDashRingVertexIndex(
+    board.lat,
+    board.lng,
+    geom.verts,
+  );
+  const iAlight = closestParkingDashRingVertexIndex(
+    alight.lat,
+    alight.lng,
+    geom.verts,
+  );
+  const { latLngs: shuttleLatLngs, shuttleMi } = dashShuttleAlongGtfsRing(
+    geom,
+    iBoard,
+    iAlight,
+  );
+
+  const shuttleRideMinutes = Math.max(
+    1,
+    Math.round((shuttleMi * 60) / pace.dashMilesPerHour),
+  );
+
+  const timeZone = visit?.timeZone;
+  const minutesMs = 60000;
+  let waitMinutes = pace.dashBoardingWaitMinutes;
+  let dashDepartsAt = null;
+  if (visit?.arriveAt instanceof Date && timeZone && board.departures) {
+    const atStop = new Date(
+      visit.arriveAt.getTime() +
+        walk1.miles * pace.walkMinutesPerMile * minutesMs,
+    );
+    const [next] = upcomingDepartures(board.departures, atStop, timeZone, 1);
+    const wait = next ? (next.getTime() - atStop.getTime()) / minutesMs : null;
+    if (wait == null || wait > PARKING_DASH_MAX_SCHEDULED_WAIT_MINUTES)
+      return null;
+    waitMinutes = Math.round(wait);
+    dashDepartsAt = next;
+  }
+  let dashReturnAfterLast = null;
+  if (visit?.leaveAt instanceof Date && timeZone && alight.departures) {
+    /** At the venue's stop for the ride back: `leaveAt` less the ride and the walk to the car. */
+    const returnAt = new Date(
+      visit.leaveAt.getTime() -
+        (shuttleRideMinutes + walk1.miles * pace.walkMinutesPerMile) *
+          minutesMs,
+    );
+    const [back] = upcomingDepartures(alight.departures, returnAt, timeZone, 1);
+    if (
+      !back ||
+      back.getTime() - returnAt.getTime() >
+        PARKING_DASH_MAX_SCHEDULED_WAIT_MINUTES * minutesMs
+    )
+      dashReturnAfterLast = {
+        lastAt: lastDepartureBefore(alight.departures, returnAt, timeZone),
+      };
+  }
+
+  const { tDirectMin, tDashMin, useDashOverlay } =
+    compareParkingWalkVersusDashMinutes({
+      directMi,
+      w1: walk1.miles,
+      w2: walk2.miles,
+      shuttleMi,
+      walkMinutesPerMile: pace.walkMinutesPerMile,
+      dashMilesPerHour: pace.dashMilesPerHour,
+      dashBoardingWaitMinutes: waitMinutes,
+    });
+
+  return {
+    walk1: walk1.latLngs,
+    walk1Routed: walk1.routed,
+    shuttle: shuttleLatLngs,
+    walk2: walk2.latLngs,
+    walk2Routed: walk2.routed,
+    boardStop: {
+      lat: board.lat,
+      lng: board.lng,
+      label: board.label,
+    },
+    alightStop: {
+      lat: alight.lat,
+      lng: alight.lng,
+      label: alight.label,
+    },
+    walk1Mi: walk1.miles,
+    walk2Mi: walk2.miles,
+    shuttleMi,
+    /** On-board time along the DASH loop (excludes the wait at the stop). */
+    shuttleMinutes: shuttleRideMinutes,
+    dashBoardingWaitMinutes: waitMinutes,
+    dashDepartsAt,
+    dashReturnAfterLast,
+    tDirectMin,
+    tDashMin,
+    useDashOverlay,
+    tooltip:
+      walk1.routed && walk2.routed
+        ? `Walking + ${shuttleName} route`
+        : `Approximate walking + ${shuttleName} route`,
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * Lime trips for `#/visit`: walk from a starting point (the chosen parking, or where the user is) to
+ * the nearest Lime zone, ride to the zone nearest the venue, and walk the rest. Zones are the pins of
+ * manifest datasets with the **`micromobility`** mode (`scripts/fetch_lime_parking.py`). Pure like
+ * `rapid-transit.mjs`: everything is read from an assembled **`appData`**.
+ *
+ * The ride takes the same leg as a drive ({@link parkingDriveLeg}): along the one-way-aware road graph
+ * once the manifest publishes one — scooters and bikes ride with traffic, not along footpaths — else
+ * the straight line between the zones. Its whole minutes (at `fares.micromobilityMilesPerHour`)
+ * and price (the unlock + per-minute model in `config.json` → **`fares`**) both come from
+ * {@link micromobilityRide}.
+ */
+
+import {
+  getParkingDatasetIndex,
+  gridWalkMiles,
+} from "../shared/data-loader.mjs";
+import {
+  micromobilityRide,
+  resolveTravelFares,
+} from "../shared/party-cost.mjs";
+import { getParkingDatasets } from "../shared/parking-datasets.mjs";
+import { spatialIndexLatLngOf } from "../shared/spatial-index.mjs";
+import {
+  parkingDriveLeg,
+  parkingWalkLeg,
+  resolveParkingRoutePace,
+} from "./route-planning.mjs";
+
+/** Farthest grid walk to a Lime zone at either end of a ride. */
+export const MICROMOBILITY_MAX_ZONE_WALK_MILES = 0.5;
+
+/** @typedef {{ lat: number, lng: number, label: string }} MicromobilityZone */
+
+/**
+ * **`rideMinutes`** are whole minutes, as Lime bills them; **`fareDollars`** is one ride — the
+ * unlock plus **`rideMinutes`** at the per-minute rate.
+ * @typedef {{
+ *   pickup: MicromobilityZone,
+ *   dropoff: MicromobilityZone,
+ *   walk1: Array<[number, number]>,
+ *   walk1Routed: boolean,
+ *   walk1Mi: number,
+ *   ride: Array<[number, number]>,
+ *   rideRouted: boolean,
+ *   rideMi: number,
+ *   rideMinutes: number,
+ *   walk2: Array<[number, number]>,
+ *   walk2Routed: boolean,
+ *   walk2Mi: number,
+ *   totalMinutes: number,
+ *   directWalkMinutes: number,
+ *   fareDollars: number,
+ * }} MicromobilityTrip
+ */
+
+/** Per-`appData` zone list; parking is static for one load, so a new load starts fresh. */
+const zoneMemo = new WeakMap();
+
+/**
+ * Every Lime zone in the `micromobility` datasets, and the zone nearest a point (grid walk) found
+ * through each dataset's shared pin index ({@link getParkingDatasetIndex}).
+ * @param {object | null} appData
+ * @returns {{
+ *   zones: MicromobilityZone[],
+ *   nearest: (lat: number, lng: number) => { zone: MicromobilityZone, miles: number } | null,
+ * }}
+ */
+export function getMicromobilityZones(appData) {
+  if (!appData || typeof appData !== "object")
+    return { zones: [], nearest: () => null };
+  if (!zoneMemo.has(appData)) {
+    /** @type {MicromobilityZone[]} */
+    const zones = [];
+    /** Per dataset: its pin index and pin position → zone. */
+    const sources = [];
+    for (const d of getParkingDatasets()) {
+      if (!d.modes.includes("micromobility")) continue;
+      const items = appData.parking?.[d.key];
+      if (!Array.isArray(items)) continue;
+      /** @type {Map<number, MicromobilityZone>} */
+      const zoneAt = new Map();
+      items.forEach((item, i) => {
+        const latLng = spatialIndexLatLngOf(item);
+        if (!latLng) return;
+        const zone = {
+          lat: latLng[0],
+          lng: latLng[1],
+          label:
+            typeof item.name === "string" && item.name.trim() !== ""
+              ? item.name.trim()
+              : "Lime zone",
+        };
+        zones.push(zone);
+        zoneAt.set(i, zone);
+      });
+      sources.push({ index: getParkingDatasetIndex(appData, d.key), zoneAt });
+    }
+    const nearest = (lat, lng) => {
+      let best = null;
+      for (const { index, zoneAt } of sources) {
+        const hit = index.nearest(lat, lng, gridWalkMiles);
+        if (hit && (!best || hit.miles < best.miles))
+          best = { zone: zoneAt.get(hit.index), miles: hit.miles };
+      }
+      return best;
+    };
+    zoneMemo.set(appData, { zones, nearest });
+  }
+  return zoneMemo.get(appData);
+}
+
+/**
+ * Walk → Lime → walk from `(fromLat, fromLng)` to `(toLat, toLng)` through the zone nearest each end
+ * (grid walk), or null when either end has no zone within `maxZoneWalkMiles` or both ends share one.
+ * **`directWalkMinutes`** is walking the whole way, for the panel to say when that is quicker.
+ * @param {object | null} appData
+ * @param {{ maxZoneWalkMiles?: number }} [opts]
+ * @returns {MicromobilityTrip | null}
+ */
+export function planMicromobilityTrip(
+  appData,
+  fromLat,
+  fromLng,
+  toLat,
+  toLng,
+  { maxZoneWalkMiles = MICROMOBILITY_MAX_ZONE_WALK_MILES } = {},
+) {
+  const { nearest } = getMicromobilityZones(appData);
+  const pickupHit = nearest(fromLat, fromLng);
+  const dropoffHit = nearest(toLat, toLng);
+  if (!pickupHit || !dropoffHit) return null;
+  if (pickupHit.miles > maxZoneWalkMiles || dropoffHit.miles > maxZoneWalkMiles)
+    return null;
+  if (pickupHit.zone === dropoffHit.zone) return null;
+
+  const pace = resolveParkingRoutePace(appData?.parkingRoutePace);
+  const fares = resolveTravelFares(appData?.fares);
+  const pickup = pickupHit.zone;
+  const dropoff = dropoffHit.zone;
+  const walk1 = parkingWalkLeg(
+    appData,
+    fromLat,
+    fromLng,
+    pickup.lat,
+    pickup.lng,
+  );
+  const ride = parkingDriveLeg(
+    appData,
+    pickup.lat,
+    pickup.lng,
+    dropoff.lat,
+    dropoff.lng,
+  );
+  const walk2 = parkingWalkLeg(appData, dropoff.lat, dropoff.lng, toLat, toLng);
+  const direct = parkingWalkLeg(appData, fromLat, fromLng, toLat, toLng);
+  const { minutes: rideMinutes, dollars: fareDollars } = micromobilityRide(
+    ride.miles,
+    fares,
+  );
+  return {
+    pickup: { ...pickup },
+    dropoff: { ...dropoff },
+    walk1: walk1.latLngs,
+    walk1Routed: walk1.routed,
+    walk1Mi: walk1.miles,
+    ride: ride.latLngs,
+    rideRouted: ride.routed,
+    rideMi: ride.miles,
+    rideMinutes,
+    walk2: walk2.latLngs,
+    walk2Routed: walk2.routed,
+    walk2Mi: walk2.miles,
+    totalMinutes: Math.round(
+      (walk1.miles + walk2.miles) * pace.walkMinutesPerMile + rideMinutes,
+    ),
+    directWalkMinutes: Math.round(direct.miles * pace.walkMinutesPerMile),
+    fareDollars,
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Park and ride for `#/visit`: drive to a lot outside downtown, park, take The Rapid in, and walk to
+ * the venue. Lots come from manifest datasets flagged **`parkAndRide`** — designated park-and-ride
+ * lots and outer lots near Rapid stops (`scripts/fetch_car_parking_osm.py`), which the downtown
+ * filters would otherwise drop. The bus legs are {@link planRapidTransitTrip} from the lot.
+ */
+
+import { haversineMiles } from "../shared/data-loader.mjs";
+import { parkAndRideDatasets } from "../shared/parking-datasets.mjs";
+import { estimateParkingCost } from "../shared/parking-pricing.mjs";
+import { parkingPlanVisit } from "./parking-recommendation.mjs";
+import { planRapidTransitTrip } from "./rapid-transit.mjs";
+import { parkingDriveLeg, resolveParkingRoutePace } from "./route-planning.mjs";
+
+/**
+ * **`parkingDollars`** — the stay at the lot: its pricing for the visit, **0** for `fee=no`, else
+ * null (not listed).
+ * @typedef {{
+ *   id: string,
+ *   label: string,
+ *   lat: number,
+ *   lng: number,
+ *   dataKey: string,
+ *   parkingDollars: import("../shared/parking-pricing.mjs").PricingAmount | null,
+ * }} ParkAndRideLot
+ */
+
+/**
+ * **`drive`** is null without a starting point. **`totalMinutes`** adds the drive (when known) to
+ * the bus trip's door-to-door minutes; **`faresDollars`** is one person's Rapid fare both ways.
+ * @typedef {{
+ *   lot: ParkAndRideLot,
+ *   trip: import("./rapid-transit.mjs").RapidTransitTrip,
+ *   drive: { miles: number, minutes: number, latLngs: Array<[number, number]>, routed: boolean } | null,
+ *   totalMinutes: number,
+ *   faresDollars: number,
+ * }} ParkAndRideTrip
+ */
+
+/**
+ * Whether park and ride can be planned at all: a park-and-ride dataset has a located lot and
+ * `bus/routes.json` lists Rapid routes. Both come from fetch scripts, so a fresh checkout has
+ * neither and `#/visit` leaves the mode out instead of offering a trip it can never find.
+ * @param {object | null} appData
+ */
+export function parkAndRideAvailable(appData) {
+  const routes = appData?.busRoutes?.rapid_routes;
+  if (!Array.isArray(routes) || routes.length === 0) return false;
+  return parkAndRideDatasets().some(({ key }) => {
+    const items = appData?.parking?.[key];
+    return (
+      Array.isArray(items) &&
+      items.some(
+        (item) =>
+          typeof item?.location?.latitude === "number" &&
+          typeof item?.location?.longitude === "number",
+      )
+    );
+  });
+}
+
+/**
+ * Every lot in the park-and-ride datasets, priced for the plan's visit.
+ * @param {import("./parking-recommendation.mjs").ParkingPlan} plan
+ * @returns {ParkAndRideLot[]}
+ */
+export function getParkAndRideLots(plan) {
+  const parking = plan?.appData?.parking;
+  if (!parking) return [];
+  const visit = parkingPlanVisit(plan);
+  const out = [];
+  for (const { key } of parkAndRideDatasets()) {
+    const items = Array.isArray(parking[key]) ? parking[key] : [];
+    items.forEach((item, i) => {
+      const lat = item?.location?.latitude;
+      const lng = item?.location?.longitude;
+      if (typeof lat !== "number" || typeof lng !== "number") return;
+      const estimate = estimateParkingCost(item.pricing, key, visit);
+      out.push({
+        id:
+          typeof item.id === "string" && item.id ? item.id : `${key}:${i + 1}`,
+        label:
+          typeof item.name === "string" && item.name.trim() !== ""
+            ? item.name.trim()
+            : "Park & ride lot",
+        lat,
+        lng,
+        dataKey: key,
+        parkingDollars: estimate
+          ? estimate.dollars
+          : item.fee === false
+            ? 0
+            : null,
+      });
+    });
+  }
+  return out;
+}
+
+/**
+ * The quickest park-and-ride trip to the plan's venue: null without a destination or when no lot has
+ * a Rapid route to a stop near the venue.
+ *
+ * Lots are ranked on the straight-line drive at `parkingRoutePace.driveMilesPerHour` (from `from`,
+ * when given) plus the bus trip; only the chosen lot's drive is routed with {@link parkingDriveLeg}.
+ * @param {import("./parking-recommendation.mjs").ParkingPlan} plan
+ * @param {{ from?: { lat: number, lng: number } | null }} [opts]
+ * @returns {ParkAndRideTrip | null}
+ */
+export function planParkAndRideTrip(plan, { from = null } = {}) {
+  const appData = plan?.appData;
+  const destLl = plan?.destLl;
+  if (!appData || !destLl) return null;
+  const pace = resolveParkingRoutePace(appData.parkingRoutePace);
+
+  let best = null;
+  for (const lot of getParkAndRideLots(plan)) {
+    const trip = planRapidTransitTrip(
+      appData,
+      lot.lat,
+      lot.lng,
+      destLl[0],
+      destLl[1],
+    );
+    if (!trip) continue;
+    const driveMinutes = from
+      ? (haversineMiles(from.lat, from.lng, lot.lat, lot.lng) * 60) /
+        pace.driveMilesPerHour
+      : 0;
+    const minutes = driveMinutes + trip.totalMinutes;
+    if (!best || minutes < best.minutes) best = { lot, trip, minutes };
+  }
+  if (!best) return null;
+
+  const drive = from
+    ? parkingDriveLeg(appData, from.lat, from.lng, best.lot.lat, best.lot.lng)
+    : null;
+  return {
+    lot: best.lot,
+    trip: best.trip,
+    drive,
+    totalMinutes: Math.round((drive?.minutes ?? 0) + best.trip.totalMinutes),
+    faresDollars: best.trip.fareDollars * 2,
+  };
+}
+
+/**
+ * What the party pays for a park-and-ride trip: the lot (one car) plus everyone's fares both ways.
+ * Null when the lot's price is not listed.
+ * @param {ParkAndRideTrip} pnr
+ * @returns {import("../shared/parking-pricing.mjs").PricingAmount | null}
+ */
+export function parkAndRideCostDollars(pnr, people = 1) {
+  const fares = pnr.faresDollars * Math.max(1, people);
+  const parking = pnr.lot.parkingDollars;
+  if (parking == null) return null;
+  return Array.isArray(parking)
+    ? [parking[0] + fares, parking[1] + fares]
+    : parking + fares;
+}
@@ -0,0 +1,1208 @@
+/**
+ * `#/visit` parking pins and auto-recommendations without the page: eligible pins for the
+ * **`pay`** / **`walk`** / category filters, the muted-green suggestion pool, and the
+ * **best** / **farthest** / **expensive** picks. Every function reads a {@link ParkingPlan}
+ * built from an assembled **`appData`** instead of the hash, sliders, or venue `<select>`,
+ * so `visit.mjs` and Node scripts (`scripts/plan_parking.mjs`) share one code path.
+ */
+
+import { cityTimeZone } from "../shared/city-profile.mjs";
+import {
+  gridWalkMiles,
+  isDestinationHiddenFromPublicMaps,
+} from "../shared/data-loader.mjs";
+import {
+  dataFreshnessStaleAfterMonths,
+  parkingItemVerifiedAt,
+  parkingPriceFreshness,
+} from "../shared/data-freshness.mjs";
+import { getEllisAvailabilityRows } from "../shared/ellis-availability.mjs";
+import { openingHoursConflict } from "../shared/opening-hours.mjs";
+import { parkingAccessRestrictionLabel } from "../shared/osm-availability.mjs";
+import {
+  isPrivateDriveParkingCategory,
+  parkingDataKeysForVisitCategory,
+  parkingDatasetByKey,
+  parkingKindForCategory,
+  primaryParkingDataKeyForVisitCategory,
+  visitFilterCategoryIdFor,
+  visitFilterCategoryIds,
+  visitMarkerCategoriesForFilter,
+  visitMarkerCategoryIds,
+} from "../shared/parking-datasets.mjs";
+import {
+  estimateParkingCost,
+  getParkingMapCostDisplay,
+  PARKING_EVENING_PRICE_ABSENT,
+  PARKING_EVENING_PRICE_AMBIGUOUS_PROSE,
+  parkingSpotEveningPriceCeilingOrAbsent,
+  parseDollarAmountsFromPriceText,
+} from "../shared/parking-pricing.mjs";
+import {
+  estimateUnknownParkingPrice,
+  formatPriceEstimate,
+  priceEstimateCeiling,
+} from "../shared/price-estimate.mjs";
+import { createSpatialIndex } from "../shared/spatial-index.mjs";
+import { PARKING_DEFAULT_STAY_HOURS } from "../shared/visit-time.mjs";
+import {
+  getParkingDashMapData,
+  nearestDashStopWalkMiles,
+  parkingDashDataKey,
+  tryParkingDashMultimodalPath,
+} from "./dash-shuttle.mjs";
+import { parkingWalkLeg } from "./route-planning.mjs";
+
+/** `#/visit` — slider max (50) means no evening price cap; scale is 0–50 in $5 steps. */
+export const PARKING_MAX_EVENING_SLIDER_CEILING = 50;
+
+/**
+ * **`walk=0`** / slider index **0**: pin filter uses this grid-walk distance to nearest DASH (~**100 ft** ≈ **0.019** mi),
+ * not unlimited and not a literal **0** mi cut.
+ */
+export const PARKING_WALK_ZERO_EFFECTIVE_FEET = 100;
+
+/** `#/visit` — hide parking pins farther than this from any shown DASH stop. */
+export const PARKING_MAX_MILES_FROM_DASH_STOP = 0.75;
+
+/** Minimum {@link parseTotalSpacesFromAvailability} count for the **best** (star) auto-pick only. */
+export const PARKING_BEST_RECOMMENDATION_MIN_SPACES = 120;
+
+/**
+ * Maximum number of muted-green suggestion pins shown when **`park=`** is omitted (one per
+ * {@link ParkingRecommendationRole}). Duplicates collapse so the visible count is between **0** and **3**.
+ */
+const PARKING_RECOMMENDATION_PIN_LIMIT = 3;
+
+/**
+ * Everything the pin filters and recommendation sort read — what `#/visit` takes from the hash,
+ * sliders, and venue `<select>`.
+ * @typedef {{
+ *   appData: object | null,
+ *   destinationSlug: string,
+ *   destLl: [number, number] | null,
+ *   walkCapMiles: number,
+ *   budgetCap: number | null,
+ *   dashKey: "event" | "regular" | "all",
+ *   dashStops: import("../shared/spatial-index.mjs").SpatialIndex,
+ *   arriveAt: Date | null,
+ *   leaveAt: Date | null,
+ *   stayHours: number,
+ *   eventType: string | null,
+ *   timeZone: string,
+ * }} ParkingPlan
+ */
+
+/**
+ * @param {object | null} appData — assembled data (`loadData` / `assembleAppData`)
+ * @param {{ destinationSlug?: string, walkCapMiles?: number, budgetCap?: number | null, arriveAt?: Date | null, leaveAt?: Date | null, stayHours?: number, eventType?: string | null }} [options]
+ *   **`walkCapMiles`** — max walk (**0** = `walk=0`; default **0.8**). **`budgetCap`** — dollars for the
+ *   visit, **null** = any price (default **40**, the `pay` default). **`arriveAt`** / **`leaveAt`** — when
+ *   the car is parked and picked up; with **`arriveAt`**, pins whose **`openingHours`** are closed for the
+ *   visit are never suggested and prices follow the tiers that apply then (default **null**: hours are
+ *   ignored and prices assume an evening event). **`stayHours`** — hours parked for hourly charges
+ *   (default **3**; taken from **`arriveAt`** → **`leaveAt`** when both are set). **`eventType`** — a
+ *   `config.eventTypes` key; with the destination it picks per-venue **`events`** rates (default **null**).
+ * @returns {ParkingPlan}
+ */
+export function createParkingPlan(
+  appData,
+  {
+    destinationSlug = "",
+    walkCapMiles = 0.8,
+    budgetCap = 40,
+    arriveAt = null,
+    leaveAt = null,
+    stayHours = PARKING_DEFAULT_STAY_HOURS,
+    eventType = null,
+  } = {},
+) {
+  const dest = destinationSlug
+    ? appData?.destinations?.find((d) => d.slug === destinationSlug)
+    : null;
+  const dashKey = parkingDashDataKey(appData, destinationSlug);
+  return {
+    appData,
+    destinationSlug,
+    destLl: parkingLatLngFromDestinationRecord(dest),
+    walkCapMiles,
+    budgetCap,
+    dashKey,
+    dashStops: getParkingDashMapData(appData, dashKey).stopIndex,
+    arriveAt,
+    leaveAt,
+    stayHours:
+      arriveAt && leaveAt > arriveAt
+        ? (leaveAt.getTime() - arriveAt.getTime()) / 3600000
+        : stayHours,
+    eventType,
+    timeZone: cityTimeZone(),
+  };
+}
+
+/**
+ * The plan's visit for pricing (`estimateParkingCost`): the stay length always, and with
+ * **`arriveAt`** the clock that picks tiers (without it prices keep the evening-event assumption).
+ * Every `#/visit` destination is a venue, so choosing one means **`events`** rates apply — the ones
+ * listed for that venue and **`eventType`** when the garage lists several.
+ * @param {ParkingPlan} plan
+ * @returns {import("../shared/parking-pricing.mjs").ParkingVisit}
+ */
+export function parkingPlanVisit(plan) {
+  return {
+    arriveAt: plan?.arriveAt ?? null,
+    leaveAt: plan?.leaveAt ?? null,
+    stayHours: plan?.stayHours,
+    timeZone: plan?.timeZone,
+    event: Boolean(plan?.destinationSlug),
+    venue: plan?.destinationSlug || null,
+    eventType: plan?.eventType ?? null,
+  };
+}
+
+/** @returns {[number, number]|null} lat, lng from a destination record */
+export function parkingLatLngFromDestinationRecord(dest) {
+  if (!dest) return null;
+  const lat = dest.latitude ?? dest.location?.latitude;
+  const lng = dest.longitude ?? dest.location?.longitude;
+  if (typeof lat !== "number" || typeof lng !== "number") return null;
+  return [lat, lng];
+}
+
+/** Spaces from an availability line (`"450 spaces"`, `"Capacity: 80"`); null when absent. */
+export function parseTotalSpacesFromAvailability(raw) {
+  if (typeof raw !== "string" || raw.trim() === "") return null;
+  const s = raw.trim();
+  let m = s.match(/(\d+)\s*spaces?\b/i);
+  if (m) {
+    const n = parseInt(m[1], 10);
+    return Number.isFinite(n) ? n : null;
+  }
+  m = s.match(/Capacity:\s*(\d+)/i);
+  if (m) {
+    const n = parseInt(m[1], 10);
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+}
+
+/**
+ * Coordinate id for a parking circle (category + coordinates to 6 decimals) — the **`park=`** id of
+ * pins without a durable **`id`** (see {@link parkingSpotIdForItem}), and the form older links use.
+ * Canonical form: `category:lat,lng` (comma between lat/lng). Legacy: `category~lat~lng`.
+ * @param {string} categoryKey
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string}
+ */
+export function encodeParkingSpotId(categoryKey, lat, lng) {
+  if (!visitMarkerCategoryIds().includes(categoryKey)) return "";
+  if (
+    typeof lat !== "number" ||
+    typeof lng !== "number" ||
+    !Number.isFinite(lat) ||
+    !Number.isFinite(lng)
+  )
+    return "";
+  return `${categoryKey}:${lat.toFixed(6)},${lng.toFixed(6)}`;
+}
+
+/**
+ * **`park=`** id for a pin: its durable **`id`** (`osm:way/…`, `ellis:…`, `arcgis:…`, or assigned in the
+ * data) when it has one, so coordinate fixes and category moves keep links working; else
+ * {@link encodeParkingSpotId}.
+ * @param {string} categoryKey
+ * @param {object} item — `appData.parking` row
+ * @param {number} lat
+ * @param {number} lng
+ */
+export function parkingSpotIdForItem(categoryKey, item, lat, lng) {
+  return typeof item?.id === "string" && item.id.trim() !== ""
+    ? item.id.trim()
+    : encodeParkingSpotId(categoryKey, lat, lng);
+}
+
+/**
+ * Coordinate id (`category:lat,lng` / legacy `category~lat~lng`) → where it points, read as-is.
+ * @param {string} s
+ * @returns {{ categoryKey: string, lat: number, lng: number } | null}
+ */
+function parseCoordinateParkingSpotId(s) {
+  const categoryKeys = visitMarkerCategoryIds();
+  const colon = s.indexOf(":");
+  if (colon > 0) {
+    const cat = s.slice(0, colon);
+    const rest = s.slice(colon + 1);
+    const comma = rest.indexOf(",");
+    if (comma <= 0 || comma >= rest.length - 1) return null;
+    const la = rest.slice(0, comma);
+    const lo = rest.slice(comma + 1);
+    if (!categoryKeys.includes(cat)) return null;
+    const lat = Number(la);
+    const lng = Number(lo);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    return { categoryKey: cat, lat, lng };
+  }
+
+  const parts = s.split("~");
+  if (parts.length !== 3) return null;
+  const [cat, la, lo] = parts;
+  if (!categoryKeys.includes(cat)) return null;
+  const lat = Number(la);
+  const lng = Number(lo);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return { categoryKey: cat, lat, lng };
+}
+
+/** Coordinate ids in their canonical {@link encodeParkingSpotId} form; other ids trimmed. */
+function canonicalParkingSpotId(raw) {
+  const s = String(raw ?? "").trim();
+  const p = parseCoordinateParkingSpotId(s);
+  return p ? encodeParkingSpotId(p.categoryKey, p.lat, p.lng) : s;
+}
+
+/** @type {WeakMap<object, { locations: Map<string, { categoryKey: string, lat: number, lng: number }>, durableIdByCoordinateId: Map<string, string>, aliases: Map<string, string> }>} */
+const parkingSpotIdIndexMemo = new WeakMap();
+
+/**
+ * Every durable pin id in the marker categories → where it is, each one's coordinate id → its durable
+ * id (old coordinate links land on the durable id), and `data/parking-aliases.json` as a map.
+ */
+function parkingSpotIdIndex(appData) {
+  const cached = parkingSpotIdIndexMemo.get(appData);
+  if (cached) return cached;
+  const locations = new Map();
+  const durableIdByCoordinateId = new Map();
+  for (const categoryKey of visitMarkerCategoryIds()) {
+    for (const item of parkingItemsForVisitCategory(appData, categoryKey)) {
+      const lat = item?.location?.latitude ?? item?.latitude;
+      const lng = item?.location?.longitude ?? item?.longitude;
+      if (typeof lat !== "number" || typeof lng !== "number") continue;
+      const id = parkingSpotIdForItem(categoryKey, item, lat, lng);
+      const coordinateId = encodeParkingSpotId(categoryKey, lat, lng);
+      if (!id || id === coordinateId) continue;
+      locations.set(id, { categoryKey, lat, lng });
+      durableIdByCoordinateId.set(coordinateId, id);
+    }
+  }
+  const aliases = new Map();
+  for (const a of Array.isArray(appData?.parkingSpotAliases)
+    ? appData.parkingSpotAliases
+    : []) {
+    if (typeof a?.from === "string" && typeof a?.to === "string")
+      aliases.set(canonicalParkingSpotId(a.from), canonicalParkingSpotId(a.to));
+  }
+  const index = { locations, durableIdByCoordinateId, aliases };
+  if (appData && typeof appData === "object")
+    parkingSpotIdIndexMemo.set(appData, index);
+  return index;
+}
+
+/**
+ * Where a **`park=`** id points: a durable pin id, or a coordinate id (`category:lat,lng` /
+ * `category~lat~lng`) read as-is.
+ * @param {object | null} appData
+ * @param {string} raw
+ * @returns {{ categoryKey: string, lat: number, lng: number } | null}
+ */
+export function parseParkingSpotId(appData, raw) {
+  const s = String(raw ?? "").trim();
+  if (!s) return null;
+  const durable = parkingSpotIdIndex(appData).locations.get(s);
+  return durable ? { ...durable } : parseCoordinateParkingSpotId(s);
+}
+
+/**
+ * Canonical **`park=`** id for a link: follows `data/parking-aliases.json` (a few hops, so aliases can
+ * chain), then prefers a pin's durable id when one sits at a coordinate id.
+ * @param {object | null} appData
+ * @param {string} raw
+ * @returns {string | null} null when `raw` is neither a known durable id nor a coordinate id
+ */
+export function normalizeParkingSpotId(appData, raw) {
+  const { locations, durableIdByCoordinateId, aliases } =
+    parkingSpotIdIndex(appData);
+  let id = canonicalParkingSpotId(raw);
+  for (let hop = 0; hop < 8 && aliases.has(id); hop++) id = aliases.get(id);
+  if (locations.has(id)) return id;
+  if (!parseCoordinateParkingSpotId(id)) return null;
+  return durableIdByCoordinateId.get(id) ?? id;
+}
+
+/**
+ * Filter toggle ids → marker category ids to draw (`private-lot` also draws **`ellis-lot`**, etc.).
+ * @param {string[]} baseKeys
+ */
+export function expandParkingVisitMarkerCategoryKeys(baseKeys) {
+  const out = [];
+  for (const k of baseKeys) {
+    if (typeof k !== "string") continue;
+    for (const c of visitMarkerCategoriesForFilter(k)) {
+      if (!out.includes(c)) out.push(c);
+    }
+  }
+  return out;
+}
+
+/**
+ * Every pin for a marker category — e.g. OSM private lots plus AirGarage-only buckets (split in
+ * `loadData` for the data map) share **`private-lot`**.
+ * @param {object | null} appData
+ * @param {string} categoryId
+ * @returns {unknown[]}
+ */
+export function parkingItemsForVisitCategory(appData, categoryId) {
+  const p = appData?.parking;
+  if (!p || typeof categoryId !== "string") return [];
+  const out = [];
+  for (const key of parkingDataKeysForVisitCategory(categoryId)) {
+    if (Array.isArray(p[key])) out.push(...p[key]);
+  }
+  return out;
+}
+
+/** `appData.parking` bucket each pin of a marker category came from (its dataset **`generatedAt`**). */
+function parkingSourceKeyByItemForVisitCategory(appData, categoryId) {
+  const byItem = new Map();
+  for (const key of parkingDataKeysForVisitCategory(categoryId)) {
+    const arr = appData?.parking?.[key];
+    if (Array.isArray(arr)) for (const item of arr) byItem.set(item, key);
+  }
+  return byItem;
+}
+
+/** Card subheading label (singular) for parking category names. */
+export function singularizeParkingCategoryLabel(label) {
+  const raw = String(label || "").trim();
+  if (!raw) return "";
+  if (/\bGarages\b/.test(raw)) return raw.replace(/\bGarages\b/g, "Garage");
+  if (/\bLots\b/.test(raw)) return raw.replace(/\bLots\b/g, "Lot");
+  return raw;
+}
+
+/**
+ * Pin filtering only: **`walk=0`** resolves to {@link PARKING_WALK_ZERO_EFFECTIVE_FEET} ft grid-walk to the
+ * nearest DASH stop. Other features keep raw **0** (no overlay, no auto **`start`**).
+ * @param {number} resolvedCapMiles — the plan's **`walkCapMiles`**
+ */
+export function effectiveWalkCapMilesForParkingPins(resolvedCapMiles) {
+  if (!Number.isFinite(resolvedCapMiles)) return resolvedCapMiles;
+  if (resolvedCapMiles <= 0) return PARKING_WALK_ZERO_EFFECTIVE_FEET / 5280;
+  return resolvedCapMiles;
+}
+
+/**
+ * **`pay`** filter: the pin's price for the visit fits **`budgetCapDollars`**; every pin passes at
+ * the slider's maximum. A private pin that lists no price fails any lower cap — its
+ * {@link unknownParkingPriceEstimate} is a guess, so it only ranks the pin in the sort and never
+ * promises it fits the budget.
+ */
+function parkingSpotPassesEveningBudget(
+  pricing,
+  categoryKey,
+  budgetCapDollars,
+  visit,
+) {
+  if (
+    budgetCapDollars == null ||
+    typeof budgetCapDollars !== "number" ||
+    !Number.isFinite(budgetCapDollars) ||
+    budgetCapDollars >= PARKING_MAX_EVENING_SLIDER_CEILING
+  ) {
+    return true;
+  }
+  const ceil = parkingSpotEveningPriceCeilingOrAbsent(
+    pricing,
+    categoryKey,
+    visit,
+  );
+  if (ceil === PARKING_EVENING_PRICE_ABSENT) return false;
+  if (ceil === PARKING_EVENING_PRICE_AMBIGUOUS_PROSE)
+    return budgetCapDollars > 0;
+  return ceil <= budgetCapDollars;
+}
+
+/** If there are no DASH stops (missing data), keep all parking so the map still loads. */
+export function isParkingWithinDashStopRadius(lat, lng, dashStops) {
+  if (dashStops.size === 0) return true;
+  return dashStops.anyWithinMiles(lat, lng, PARKING_MAX_MILES_FROM_DASH_STOP);
+}
+
+/**
+ * Pin list filter when a **destination** is selected and **`walk` &gt; 0**:
+ * the spot is allowed if **either** the door-to-door grid walk fits the cap **or** a DASH trip exists
+ * where **park→stop** and **alight→venue** grid walks both fit (independent of whether DASH is faster
+ * than walking door-to-door).
+ *
+ * **`walk=0`** uses {@link effectiveWalkCapMilesForParkingPins} outside this helper (strict feet-to-DASH only).
+ *
+ * @param {ParkingPlan} plan
+ * @param {number} resolvedWalkCapMiles — raw cap (**not** effective snap for pin radius).
+ */
+export function parkingSpotEveryDisplayedWalkLegWithinCap(
+  plan,
+  lat,
+  lng,
+  destLat,
+  destLng,
+  resolvedWalkCapMiles,
+) {
+  const eps = 1e-9;
+  if (
+    typeof resolvedWalkCapMiles !== "number" ||
+    !Number.isFinite(resolvedWalkCapMiles) ||
+    resolvedWalkCapMiles <= 0
+  ) {
+    return true;
+  }
+  const doorMi = gridWalkMiles(lat, lng, destLat, destLng);
+  if (doorMi <= resolvedWalkCapMiles + eps) return true;
+  const mm = tryParkingDashMultimodalPath(
+    plan.appData,
+    plan.dashKey,
+    lat,
+    lng,
+    destLat,
+    destLng,
+    resolvedWalkCapMiles,
+    plan,
+  );
+  if (
+    mm &&
+    mm.walk1Mi <= resolvedWalkCapMiles + eps &&
+    mm.walk2Mi <= resolvedWalkCapMiles + eps
+  ) {
+    return true;
+  }
+  return false;
+}
+
+/** Pin `[lat, lng]` from `location` or top-level fields; null without both. */
+function parkingItemLatLng(item) {
+  const loc = item?.location;
+  const lat = loc?.latitude ?? item?.latitude;
+  const lng = loc?.longitude ?? item?.longitude;
+  return typeof lat === "number" && typeof lng === "number" ? [lat, lng] : null;
+}
+
+/**
+ * Every pin of a filter toggle (`private-lot` → OSM, AirGarage and Ellis lots) whose price for the
+ * visit is known — the neighbours `estimateUnknownParkingPrice` reads. Not narrowed by the plan's
+ * filters: a priced lot outside the walk cap still says what lots nearby charge.
+ * @param {ParkingPlan} plan
+ * @param {string} filterId
+ * @returns {Array<{ lat: number, lng: number, dollars: number }>}
+ */
+function knownPriceNeighboursForFilter(plan, filterId) {
+  const visit = parkingPlanVisit(plan);
+  const out = [];
+  for (const categoryId of visitMarkerCategoriesForFilter(filterId)) {
+    for (const item of parkingItemsForVisitCategory(plan.appData, categoryId)) {
+      const ll = parkingItemLatLng(item);
+      if (!ll) continue;
+      const ceil = parkingSpotEveningPriceCeilingOrAbsent(
+        item.pricing,
+        categoryId,
+        visit,
+      );
+      if (typeof ceil === "number" && ceil >= 0)
+        out.push({ lat: ll[0], lng: ll[1], dollars: ceil });
+    }
+  }
+  return out;
+}
+
+/**
+ * Per-call state for {@link unknownParkingPriceEstimate}: the public venues' `[lat, lng]`, and per
+ * filter toggle its priced pins ({@link knownPriceNeighboursForFilter}) with one spatial index over
+ * them, built the first time a pin of that toggle needs an estimate.
+ * @param {ParkingPlan} plan
+ */
+function createUnknownPriceContext(plan) {
+  return {
+    venues: (plan.appData?.destinations ?? [])
+      .filter((d) => !isDestinationHiddenFromPublicMaps(d))
+      .map(parkingLatLngFromDestinationRecord)
+      .filter(Boolean),
+    /** @type {Map<string, { known: Array<{ lat: number, lng: number, dollars: number }>, index: import("../shared/spatial-index.mjs").SpatialIndex }>} */
+    neighboursByFilter: new Map(),
+  };
+}
+
+/**
+ * Likely price for a private pin that lists none (see `price-estimate.mjs`); null for public pins,
+ * priced pins, and when nothing nearby is priced and the config assumes no dollars.
+ * @param {ParkingPlan} plan
+ * @param {string} categoryId
+ * @param {number} lat
+ * @param {number} lng
+ * @param {ReturnType<typeof createUnknownPriceContext>} context
+ */
+function unknownParkingPriceEstimate(plan, categoryId, lat, lng, context) {
+  if (!isPrivateDriveParkingCategory(categoryId)) return null;
+  const filterId = visitFilterCategoryIdFor(categoryId);
+  const shape = parkingDatasetByKey(
+    primaryParkingDataKeyForVisitCategory(categoryId),
+  )?.shape;
+  if (!filterId || !shape) return null;
+  if (!context.neighboursByFilter.has(filterId)) {
+    const known = knownPriceNeighboursForFilter(plan, filterId);
+    context.neighboursByFilter.set(filterId, {
+      known,
+      index: createSpatialIndex(known),
+    });
+  }
+  const { known, index } = context.neighboursByFilter.get(filterId);
+  return estimateUnknownParkingPrice({ lat, lng, shape }, known, {
+    destLl: plan.destLl,
+    venues: context.venues,
+    config: plan.appData?.parkingPrivateUnknown,
+    knownIndex: index,
+  });
+}
+
+/**
+ * Pins that pass the plan's **`pay`** / **`walk`** / DASH-radius filters for the given toggles.
+ * @param {ParkingPlan} plan
+ * @param {string[]} [filterIds] — filter toggle ids (default: all on)
+ * @returns {Array<{ lat: number, lng: number, name: string, address: string, categoryKey: string, categoryName: string, owner?: string, price: string, costHourlyHint: boolean, costEstimate: string, costEstimateDollars: import("../shared/parking-pricing.mjs").PricingAmount | null, priceFreshness: { text: string, stale: boolean } | null, priceEstimate: import("../shared/price-estimate.mjs").PriceEstimate | null, priceEstimateText: string, totalSpaces: number | null, accessRestriction: string | null, openingHours: string | null, spotId: string }>}
+ */
+export function parkingSpotCandidates(
+  plan,
+  filterIds = visitFilterCategoryIds(),
+) {
+  const keys = expandParkingVisitMarkerCategoryKeys(filterIds);
+  const { appData, budgetCap, destLl, dashStops } = plan;
+  const visit = parkingPlanVisit(plan);
+  const resolvedWalkRaw = plan.walkCapMiles;
+  const walkCapMiles = effectiveWalkCapMilesForParkingPins(resolvedWalkRaw);
+  /**
+   * **`walk`** omitted from URL defaults to **0.8** mi — never **0** unless explicit **`walk=0`**.
+   * **`walk=0`** uses {@link PARKING_WALK_ZERO_EFFECTIVE_FEET} ft (~**0.019** mi) grid-walk for this filter only.
+   */
+  const applyWalkCap =
+    destLl != null &&
+    dashStops.size > 0 &&
+    Number.isFinite(walkCapMiles) &&
+    walkCapMiles > 0;
+
+  const out = [];
+  const parking = appData?.parking;
+  if (!parking) return out;
+  const staleAfterMonths = dataFreshnessStaleAfterMonths(appData);
+  const now = new Date();
+  const unknownPrices = createUnknownPriceContext(plan);
+  for (const categoryId of keys) {
+    const dataKey = primaryParkingDataKeyForVisitCategory(categoryId);
+    const items = parkingItemsForVisitCategory(appData, categoryId);
+    if (!items.length) continue;
+    const sourceKeyByItem = parkingSourceKeyByItemForVisitCategory(
+      appData,
+      categoryId,
+    );
+    const categoryName = singularizeParkingCategoryLabel(
+      parking.categoryNames?.[dataKey] || categoryId,
+    );
+    for (const item of items) {
+      const loc = item?.location;
+      const lat = loc?.latitude ?? item?.latitude;
+      const lng = loc?.longitude ?? item?.longitude;
+      if (typeof lat !== "number" || typeof lng !== "number") continue;
+      if (!isParkingWithinDashStopRadius(lat, lng, dashStops)) continue;
+      if (
+        !parkingSpotPassesEveningBudget(
+          item.pricing,
+          categoryId,
+          budgetCap,
+          visit,
+        )
+      )
+        continue;
+      if (applyWalkCap) {
+        if (Number.isFinite(resolvedWalkRaw) && resolvedWalkRaw > 0) {
+          if (
+            !parkingSpotEveryDisplayedWalkLegWithinCap(
+              plan,
+              lat,
+              lng,
+              destLl[0],
+              destLl[1],
+              resolvedWalkRaw,
+            )
+          ) {
+            continue;
+          }
+        } else {
+          const walkToStopMi = nearestDashStopWalkMiles(lat, lng, dashStops);
+          if (
+            !Number.isFinite(walkToStopMi) ||
+            walkToStopMi > walkCapMiles + 1e-9
+          ) {
+            continue;
+          }
+        }
+      }
+      const cost = getParkingMapCostDisplay(item.pricing, categoryId, visit);
+      const ceil = parkingSpotEveningPriceCeilingOrAbsent(
+        item.pricing,
+        categoryId,
+        visit,
+      );
+      let eveningSortDollars = Number.POSITIVE_INFINITY;
+      if (typeof ceil === "number") eveningSortDollars = ceil;
+      const estimate = estimateParkingCost(item.pricing, categoryId, visit);
+      const priceEstimate =
+        ceil === PARKING_EVENING_PRICE_ABSENT
+          ? unknownParkingPriceEstimate(
+              plan,
+              categoryId,
+              lat,
+              lng,
+              unknownPrices,
+            )
+          : null;
+
+      const ownerRaw = item?.owner ?? item?.manager;
+      const owner =
+        typeof ownerRaw === "string" && ownerRaw.trim() !== ""
+          ? ownerRaw.trim()
+          : "";
+
+      out.push({
+        lat,
+        lng,
+        name: item.name || "—",
+        address:
+          typeof item.address === "string" && item.address.trim() !== ""
+            ? item.address.trim()
+            : "",
+        categoryKey: categoryId,
+        categoryName,
+        owner,
+        price: cost.text,
+        costHourlyHint: cost.costHourlyHint,
+        priceSupplement:
+          typeof cost.costSupplement === "string"
+            ? cost.costSupplement.trim()
+            : "",
+        priceSupplementHint: cost.costSupplementHint === true,
+        costEstimate: estimate?.text ?? "",
+        costEstimateDollars: estimate?.dollars ?? null,
+        priceFreshness: parkingPriceFreshness(
+          parkingItemVerifiedAt(
+            item,
+            parking,
+            sourceKeyByItem.get(item) ?? dataKey,
+          ),
+          staleAfterMonths,
+          now,
+        ),
+        eveningSortDollars,
+        priceEstimate,
+        priceEstimateText: priceEstimate
+          ? formatPriceEstimate(priceEstimate)
+          : "",
+        totalSpaces:
+          typeof item.capacity === "number"
+            ? item.capacity
+            : parseTotalSpacesFromAvailability(item.availability),
+        accessRestriction: parkingAccessRestrictionLabel(item),
+        openingHours:
+          typeof item.openingHours === "string" ? item.openingHours : null,
+        availabilityRows: getEllisAvailabilityRows(item, { details: false }),
+        spotId: parkingSpotIdForItem(categoryId, item, lat, lng),
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Total walk miles the user is expected to put on their feet for this pin — sum of **walk1**
+ * (park → board stop) **and walk2** (alight stop → venue) when the trip uses DASH, otherwise the
+ * door-to-door walk from park to venue ({@link parkingWalkLeg}: along the street graph when loaded,
+ * else grid walk). Matches what the route panel + map walk overlay draw
+ * for the pin (see {@link tryParkingDashMultimodalPath}: it returns **`null`** when the direct
+ * walk already fits the cap, in which case a single direct-walk leg is drawn).
+ *
+ * Result is cached on the marker via **`_estimatedTotalWalkMilesCached`** because the multimodal
+ * path call is comparatively expensive (ring geometry / nearest-stop search) and the sort
+ * comparators invoke this per pair.
+ *
+ * Returns **`null`** when no destination is selected (no trip exists to measure).
+ *
+ * @param {ParkingPlan} plan
+ * @param {{ lat: number; lng: number, _estimatedTotalWalkMilesCached?: number | null }} m
+ * @returns {number | null}
+ */
+export function parkingMarkerEstimatedTotalWalkMiles(plan, m) {
+  if (!m) return null;
+  if (m._estimatedTotalWalkMilesCached !== undefined) {
+    return m._estimatedTotalWalkMilesCached;
+  }
+  const { destLl } = plan;
+  if (!Array.isArray(destLl) || destLl.length < 2) {
+    m._estimatedTotalWalkMilesCached = null;
+    return null;
+  }
+  const dLat = destLl[0];
+  const dLng = destLl[1];
+  const mm = tryParkingDashMultimodalPath(
+    plan.appData,
+    plan.dashKey,
+    m.lat,
+    m.lng,
+    dLat,
+    dLng,
+    plan.walkCapMiles,
+    plan,
+  );
+  /** **`mm`** is non-null only when DASH multimodal is the drawn path (direct walk exceeds the
+   *  cap but both DASH walk legs fit) — see {@link tryParkingDashMultimodalPath}. Otherwise the
+   *  pin draws a single direct-walk leg, so total walk = that leg's distance to venue. */
+  const v = mm
+    ? mm.walk1Mi + mm.walk2Mi
+    : parkingWalkLeg(plan.appData, m.lat, m.lng, dLat, dLng).miles;
+  m._estimatedTotalWalkMilesCached = v;
+  return v;
+}
+
+/**
+ * Highest dollar amount appearing in the **displayed popup** price text — what the user perceives
+ * as "more expensive" when comparing pins side by side. Many GR public garages list
+ * `evening: "$51"` (a posted overnight max) but show `events: "$8–9"` in the popup; this returns
+ * **9** for them so the **expensive** suggestion role lines up with the visible price instead of
+ * the hidden evening-cap ceiling. **`null`** when the line has no parseable dollars (placeholder
+ * **`—`** / **`Not listed`**); **`Free`** maps to **0**.
+ *
+ * @param {{ price?: string } | undefined | null} marker — row from {@link parkingSpotCandidates}.
+ * @returns {number | null}
+ */
+export function parkingMarkerDisplayedPriceCeiling(marker) {
+  if (!marker) return null;
+  const text = typeof marker.price === "string" ? marker.price.trim() : "";
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  if (lower === "free") return 0;
+  if (text === "—" || lower === "not listed") return null;
+  const nums = parseDollarAmountsFromPriceText(text);
+  if (nums.length === 0) return null;
+  return Math.max(...nums);
+}
+
+/**
+ * Higher score = prefer for auto-recommendation — **most expensive** inferred evening/event dollars
+ * the user’s **pay** cap still allows (product assumption: pricier spots are typically less crowded at
+ * events). An unpriced private pin scores by the high end of its **`priceEstimate`**; other unknown /
+ * ambiguous tiers rank below known dollar amounts.
+ *
+ * @param {{ eveningSortDollars: number, priceEstimate?: import("../shared/price-estimate.mjs").PriceEstimate | null }} marker — {@link parkingSpotCandidates} row
+ */
+function eveningPricePickScoreForRecommendation(marker) {
+  const { eveningSortDollars, priceEstimate } = marker;
+  if (eveningSortDollars === Number.POSITIVE_INFINITY)
+    return priceEstimate ? priceEstimateCeiling(priceEstimate) : -1e9;
+  if (!Number.isFinite(eveningSortDollars)) return -1e9;
+  if (eveningSortDollars === PARKING_EVENING_PRICE_AMBIGUOUS_PROSE) return -1e6;
+  return eveningSortDollars;
+}
+
+/** Parseable dollar ceiling on the marker (including **$0** free); excludes unknown and ambiguous prose. */
+function parkingMarkerHasKnownEveningDollars(eveningSortDollars) {
+  if (eveningSortDollars === Number.POSITIVE_INFINITY) return false;
+  if (eveningSortDollars === PARKING_EVENING_PRICE_AMBIGUOUS_PROSE)
+    return false;
+  return Number.isFinite(eveningSortDollars);
+}
+
+/** Paid (~$) > free ($0 known) > unknown/ambiguous — used when tie-breaking after distance. */
+function parkingMarkerPaidTierRank(eveningSortDollars) {
+  if (!parkingMarkerHasKnownEveningDollars(eveningSortDollars)) return 0;
+  if (eveningSortDollars > 0) return 2;
+  return 1;
+}
+
+/**
+ * Why the pin's **`openingHours`** rule it out for the plan's visit — **`closed`** at **`arriveAt`** or
+ * **`closes-early`** before **`leaveAt`** — or null when open, the hours are unknown, or the plan has
+ * no arrival time.
+ * @param {ParkingPlan | null | undefined} plan
+ * @param {{ openingHours?: string | null }} marker
+ * @returns {"closed" | "closes-early" | null}
+ */
+export function parkingMarkerHoursConflict(plan, marker) {
+  if (!plan?.arriveAt) return null;
+  return openingHoursConflict(
+    marker.openingHours,
+    plan.arriveAt,
+    plan.leaveAt,
+    plan.timeZone,
+  );
+}
+
+/**
+ * Auto-recommendation pool: keep only markers with parseable known dollars (including `$0`) that are
+ * open for the plan's visit ({@link parkingMarkerHoursConflict}; skipped without a **`plan`**).
+ * {@link buildParkingRecommendationMarkerPool} uses this first, then falls back to all eligible
+ * markers when every visible pin is unknown / ambiguous-priced.
+ *
+ * @param {Array<{ eveningSortDollars: number, openingHours?: string | null }>} markers
+ * @param {ParkingPlan} [plan]
+ */
+export function filterParkingMarkersForRecommendation(markers, plan) {
+  if (!Array.isArray(markers) || markers.length === 0) return [];
+  return markers.filter(
+    (m) =>
+      parkingMarkerHasKnownEveningDollars(m.eveningSortDollars) &&
+      !parkingMarkerHoursConflict(plan, m),
+  );
+}
+
+/**
+ * Markers eligible for the muted green auto-pick: prefer known-dollar ceilings (including **$0**
+ * free); if none, use unknown / ambiguous so private-only filters still get a suggestion.
+ * {@link filterParkingMarkersExcludeFreeWhenPaidExists} drops known-free pins when **some other**
+ * eligible pin has a paid ceiling so ranking prefers farther paid lots (e.g. Acrisure default); when
+ * every qualifying pin is free (tight **`pay`**), free pins stay in the pool (e.g. GLC + **`pay=5`**).
+ * Pins with an **`accessRestriction`** (OSM `access=private` / `customers` / …) are never suggested;
+ * they stay on the map with the restriction flagged in the popup. Neither are pins closed for the
+ * plan's arrival or that close before it ends ({@link parkingMarkerHoursConflict}).
+ *
+ * @param {ParkingPlan} plan
+ * @param {Array<{ eveningSortDollars: number, accessRestriction?: string | null, openingHours?: string | null }>} markers — already pay / walk / category filtered
+ */
+export function buildParkingRecommendationMarkerPool(plan, markers) {
+  if (!Array.isArray(markers) || markers.length === 0) return [];
+  markers = markers.filter(
+    (m) => !m.accessRestriction && !parkingMarkerHoursConflict(plan, m),
+  );
+  let pool = filterParkingMarkersForRecommendation(markers, plan);
+  pool = filterParkingMarkersExcludeFreeWhenPaidExists(plan, pool);
+  if (pool.length > 0) return pool;
+  return filterParkingMarkersExcludeFreeWhenPaidExists(plan, markers);
+}
+
+/**
+ * **Best**-role pool: markers with known capacity at least {@link PARKING_BEST_RECOMMENDATION_MIN_SPACES}.
+ * Pins without parseable spaces are excluded from the star pick.
+ *
+ * @param {Array<{ totalSpaces: number | null }>} markers
+ */
+export function filterParkingMarkersForBestRecommendationMinSpaces(markers) {
+  if (!Array.isArray(markers) || markers.length === 0) return [];
+  return markers.filter(
+    (m) =>
+      typeof m.totalSpaces === "number" &&
+      Number.isFinite(m.totalSpaces) &&
+      m.totalSpaces >= PARKING_BEST_RECOMMENDATION_MIN_SPACES,
+  );
+}
+
+/**
+ * When the user is willing to pay and **any** eligible marker has a known paid (**> $0**) ceiling,
+ * exclude known-free **`$0`** markers so auto-pick matches farther paid lots. If only free pins fit the
+ * **`pay`** cap, keep them so low-budget links still get a suggestion.
+ *
+ * @param {ParkingPlan} plan
+ * @param {Array<{ eveningSortDollars: number }>} markers
+ */
+export function filterParkingMarkersExcludeFreeWhenPaidExists(plan, markers) {
+  if (!Array.isArray(markers) || markers.length === 0) return markers;
+  const cap = plan.budgetCap;
+  const userWillingToPay = cap == null || cap > 0;
+  if (!userWillingToPay) return markers;
+
+  const hasPaidPin = markers.some(
+    (m) =>
+      typeof m.eveningSortDollars === "number" &&
+      Number.isFinite(m.eveningSortDollars) &&
+      m.eveningSortDollars > 0,
+  );
+  if (!hasPaidPin) return markers;
+
+  return markers.filter(
+    (m) =>
+      !(
+        typeof m.eveningSortDollars === "number" &&
+        Number.isFinite(m.eveningSortDollars) &&
+        m.eveningSortDollars === 0
+      ),
+  );
+}
+
+/**
+ * Whether this spot’s DASH multimodal trip is **faster** than walking door-to-door (same
+ * {@link compareParkingWalkVersusDashMinutes} rule as **`useDashOverlay`** on the path object).
+ * Used for recommendation sort only — pins can still list when DASH is slower but both walk legs fit.
+ *
+ * @param {ParkingPlan} plan
+ * @param {{ lat: number; lng: number }} m
+ */
+export function markerUsesDashMultimodalForRecommendation(plan, m) {
+  if (m._usesDashMultimodalCached !== undefined)
+    return m._usesDashMultimodalCached;
+  const { destLl, walkCapMiles } = plan;
+  let v = false;
+  if (
+    Array.isArray(destLl) &&
+    destLl.length >= 2 &&
+    typeof walkCapMiles === "number" &&
+    Number.isFinite(walkCapMiles) &&
+    walkCapMiles > 0
+  ) {
+    const mm = tryParkingDashMultimodalPath(
+      plan.appData,
+      plan.dashKey,
+      m.lat,
+      m.lng,
+      destLl[0],
+      destLl[1],
+      walkCapMiles,
+      plan,
+    );
+    v = mm != null && mm.useDashOverlay === true;
+  }
+  m._usesDashMultimodalCached = v;
+  return v;
+}
+
+/**
+ * Lower = preferred when sorting **public** (city) drive parking before **private** (OSM) — garages and
+ * lots share the same tier so distance / DASH / price rules still pick among public options.
+ */
+function parkingCategoryRecommendationBiasRank(categoryKey) {
+  const kind = parkingKindForCategory(categoryKey);
+  if (kind === "public") return 0;
+  if (kind === "private") return 1;
+  return 2;
+}
+
+/** Stable fine ordering on full ties after public-vs-private split (manifest order: garage before lot within each side). */
+function parkingGarageLotFineRankForTie(categoryKey) {
+  const keys = visitMarkerCategoryIds();
+  const i = keys.indexOf(categoryKey);
+  return i === -1 ? keys.length : i;
+}
+
+/**
+ * Final tie-break for {@link compareParkingMarkersForRecommendation}: **public-garage** → **public-lot** →
+ * **private-garage** → **private-lot** → **ellis-garage** → **ellis-lot**, then **`spotId`** (only reached when higher-order keys tie).
+ * @returns {number}
+ */
+function compareParkingMarkersCategoryPreference(a, b) {
+  const ra = parkingGarageLotFineRankForTie(a?.categoryKey);
+  const rb = parkingGarageLotFineRankForTie(b?.categoryKey);
+  if (ra !== rb) return ra - rb;
+  return String(a.spotId).localeCompare(String(b.spotId));
+}
+
+/**
+ * Sort key for auto-recommended parking follows **`AGENTS.md`**:
+ *
+ * - **Short** max walk (≤ **0.5** mi): prefer spots whose estimated trip **uses DASH** (multimodal overlay)
+ *   over door-to-door walks to the venue when both are eligible; among multimodal picks use **farther**
+ *   grid-walk miles from the venue first (same tie order as generous walk). Door-to-door-only picks
+ *   stay **closest** to the venue first, then evening dollars, then longest walk to DASH.
+ * - **Generous** max walk (&gt; **0.5** mi): **farther** grid-walk miles from the venue first (paid lots away from
+ *   the entrance), **then** longest walk to nearest DASH among ties (use approach distance), then paid-tier rank,
+ *   then dollars (still paid / within walk-to-stop cap).
+ * - **Category** (primary): all **public** (`public-garage` / `public-lot`) before **private** OSM and **Ellis**
+ *   pins (`private-garage` / `private-lot` / `ellis-garage` / `ellis-lot`), then distance / DASH / price keys within each tier.
+ *
+ * Eligibility (pay + walk + category toggles) is already applied by {@link parkingSpotCandidates}.
+ *
+ * @param {ParkingPlan} plan
+ * @returns {number}
+ */
+export function compareParkingMarkersForRecommendation(plan, a, b) {
+  const { destLl } = plan;
+  if (!destLl) {
+    return compareParkingMarkersCategoryPreference(a, b);
+  }
+
+  const da = gridWalkMiles(a.lat, a.lng, destLl[0], destLl[1]);
+  const db = gridWalkMiles(b.lat, b.lng, destLl[0], destLl[1]);
+
+  const catA = parkingCategoryRecommendationBiasRank(a.categoryKey);
+  const catB = parkingCategoryRecommendationBiasRank(b.categoryKey);
+  if (catA !== catB) return catA - catB;
+
+  const walkCap = plan.walkCapMiles;
+  const shortWalk =
+    Number.isFinite(walkCap) && walkCap > 0 && walkCap <= 0.5 + 1e-9;
+
+  const { dashStops } = plan;
+  const scoreA = eveningPricePickScoreForRecommendation(a);
+  const scoreB = eveningPricePickScoreForRecommendation(b);
+
+  if (shortWalk) {
+    const usesA = markerUsesDashMultimodalForRecommendation(plan, a);
+    const usesB = markerUsesDashMultimodalForRecommendation(plan, b);
+    if (usesA !== usesB) return usesA ? -1 : 1;
+
+    const wda = nearestDashStopWalkMiles(a.lat, a.lng, dashStops);
+    const wdb = nearestDashStopWalkMiles(b.lat, b.lng, dashStops);
+
+    if (usesA && usesB) {
+      if (Math.abs(da - db) > 1e-9) return db - da;
+      if (dashStops.size === 0) {
+        if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
+        return compareParkingMarkersCategoryPreference(a, b);
+      }
+      if (Math.abs(wda - wdb) > 1e-9) return wdb - wda;
+      const rankA = parkingMarkerPaidTierRank(a.eveningSortDollars);
+      const rankB = parkingMarkerPaidTierRank(b.eveningSortDollars);
+      if (rankA !== rankB) return rankB - rankA;
+      if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
+      return compareParkingMarkersCategoryPreference(a, b);
+    }
+
+    if (Math.abs(da - db) > 1e-9) return da - db;
+    if (dashStops.size === 0) {
+      if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
+      return compareParkingMarkersCategoryPreference(a, b);
+    }
+    if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
+    if (Math.abs(wda - wdb) > 1e-9) return wdb - wda;
+    return compareParkingMarkersCategoryPreference(a, b);
+  }
+
+  if (dashStops.size === 0) {
+    if (Math.abs(da - db) > 1e-9) return da - db;
+    if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
+    return compareParkingMarkersCategoryPreference(a, b);
+  }
+
+  const wda = nearestDashStopWalkMiles(a.lat, a.lng, dashStops);
+  const wdb = nearestDashStopWalkMiles(b.lat, b.lng, dashStops);
+
+  if (Math.abs(da - db) > 1e-9) return db - da;
+  if (Math.abs(wda - wdb) > 1e-9) return wdb - wda;
+  const rankA = parkingMarkerPaidTierRank(a.eveningSortDollars);
+  const rankB = parkingMarkerPaidTierRank(b.eveningSortDollars);
+  if (rankA !== rankB) return rankB - rankA;
+  if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
+  return compareParkingMarkersCategoryPreference(a, b);
+}
+
+/**
+ * Best parking pin for auto **`start`** — {@link buildParkingRecommendationMarkerPool}, then
+ * {@link filterParkingMarkersForBestRecommendationMinSpaces}, then
+ * {@link compareParkingMarkersForRecommendation}.
+ *
+ * @param {ParkingPlan} plan
+ * @param {ReturnType<typeof parkingSpotCandidates>} markers
+ * @returns {string | undefined}
+ */
+export function chooseBestParkingSpotId(plan, markers) {
+  const pool = buildParkingRecommendationMarkerPool(plan, markers);
+  const bestPool = filterParkingMarkersForBestRecommendationMinSpaces(pool);
+  if (bestPool.length === 0) return undefined;
+  const sorted = [...bestPool].sort((a, b) =>
+    compareParkingMarkersForRecommendation(plan, a, b),
+  );
+  return sorted[0].spotId;
+}
+
+/**
+ * Roles a single muted-green suggestion pin can carry. Each pin shows the glyph for the
+ * **highest-priority** role it matches: a **star** for the {@link compareParkingMarkersForRecommendation}
+ * best pick, a **person walking** for the farthest pin within walk + cost filters, and a **dollar
+ * sign** for the most expensive within those same filters.
+ *
+ * Priority order on dedup: **best** > **farthest** > **expensive**.
+ * @typedef {"best" | "farthest" | "expensive"} ParkingRecommendationRole
+ */
+
+/**
+ * Up to {@link PARKING_RECOMMENDATION_PIN_LIMIT} role-tagged candidates for muted-green suggestion
+ * pins. Each candidate already passes the **`pay`** / **`walk`** / category filters from
+ * {@link parkingSpotCandidates}, so "within costs" and "within walking preferences" follow the
+ * plan.
+ *
+ * - **best** — {@link compareParkingMarkersForRecommendation} winner (also drives walk-line + route panel).
+ * - **farthest** — top of a "max **total walk miles**" sort across the rest of the pool, where
+ *   total walk = **walk-to-DASH-stop + walk-from-alight-to-venue** for multimodal trips and the
+ *   door-to-door walk otherwise (see {@link parkingMarkerEstimatedTotalWalkMiles}). This
+ *   matches the actual feet-on-the-ground distance the user would log for the trip the map draws,
+ *   so DASH-using pins (typically up to **walkCap × 2** miles total) outrank pure direct-walk
+ *   pins (capped at **walkCap**). When **best** already covers the pool's max total walk, this
+ *   role falls through to the next-highest pin instead of collapsing — so e.g. GLC Live still
+ *   gets a walking-person pin even though its best pick is also the most-walking pin in the pool.
+ * - **expensive** — top of a "max popup-displayed dollars" sort across the rest of the pool
+ *   (premium spot the user is still willing to pay for); same fall-through semantics so this role
+ *   prefers a distinct pin from **best** + **farthest** whenever the pool has one.
+ *
+ * Each role only goes empty when the eligible pool has no pin left for it (e.g. only one
+ * candidate left after **best**), so the returned array length stays between **0** and **3**.
+ *
+ * @param {ParkingPlan} plan
+ * @param {ReturnType<typeof parkingSpotCandidates>} markers
+ * @returns {Array<{ spotId: string, role: ParkingRecommendationRole }>}
+ */
+export function chooseTopParkingSpotIds(plan, markers) {
+  const pool = buildParkingRecommendationMarkerPool(plan, markers);
+  if (pool.length === 0) return [];
+
+  const { destLl } = plan;
+  /** @type {Array<{ spotId: string, role: ParkingRecommendationRole }>} */
+  const picks = [];
+  const takenIds = new Set();
+  const pickRole = (sortedRows, role) => {
+    if (picks.length >= PARKING_RECOMMENDATION_PIN_LIMIT) return;
+    for (const row of sortedRows) {
+      if (!row || typeof row.spotId !== "string") continue;
+      if (takenIds.has(row.spotId)) continue;
+      picks.push({ spotId: row.spotId, role });
+      takenIds.add(row.spotId);
+      return;
+    }
+  };
+
+  const bestPool = filterParkingMarkersForBestRecommendationMinSpaces(pool);
+  if (bestPool.length > 0) {
+    pickRole(
+      [...bestPool].sort((a, b) =>
+        compareParkingMarkersForRecommendation(plan, a, b),
+      ),
+      "best",
+    );
+  }
+
+  if (Array.isArray(destLl) && destLl.length >= 2) {
+    /** Use estimated **total walk miles** (walk-to-DASH-stop + walk-from-alight) so the
+     *  walking-person glyph reflects the actual foot-miles the trip the map draws will log —
+     *  not just the door-to-door grid walk that ignores DASH. */
+    const farthestSorted = [...pool].sort((a, b) => {
+      const da = parkingMarkerEstimatedTotalWalkMiles(plan, a) ?? 0;
+      const db = parkingMarkerEstimatedTotalWalkMiles(plan, b) ?? 0;
+      if (Math.abs(da - db) > 1e-9) return db - da;
+      return compareParkingMarkersCategoryPreference(a, b);
+    });
+    pickRole(farthestSorted, "farthest");
+  }
+
+  /**
+   * Use {@link parkingMarkerDisplayedPriceCeiling} (popup-displayed price) instead of the
+   * **`eveningSortDollars`** ceiling so the **`$`** pin matches the price the user sees: GR
+   * public spots often list **`evening: "$51"`** (overnight max) but display **`events: "$8–9"`**,
+   * and the user judges expensiveness by what's in the popup.
+   */
+  const expensiveSorted = [...pool].sort((a, b) => {
+    const ca = parkingMarkerDisplayedPriceCeiling(a);
+    const cb = parkingMarkerDisplayedPriceCeiling(b);
+    const sa = ca == null ? -Infinity : ca;
+    const sb = cb == null ? -Infinity : cb;
+    if (Math.abs(sa - sb) > 1e-9) return sb - sa;
+    /** Same-dollar tie: prefer the farther one so this role rarely sits on the same pin as **best**. */
+    if (Array.isArray(destLl) && destLl.length >= 2) {
+      const da = gridWalkMiles(a.lat, a.lng, destLl[0], destLl[1]);
+      const db = gridWalkMiles(b.lat, b.lng, destLl[0], destLl[1]);
+      if (Math.abs(da - db) > 1e-9) return db - da;
+    }
+    return compareParkingMarkersCategoryPreference(a, b);
+  });
+  pickRole(expensiveSorted, "expensive");
+
+  return picks;
+}
@@ -0,0 +1,317 @@
+/**
+ * The Rapid fixed-route trips for `#/visit`: walk from a starting point to a stop, ride one bus
+ * route, and walk from its stop to the venue. Pure like `dash-shuttle.mjs`: everything is read from
+ * an assembled **`appData`**.
+ *
+ * Each shape of a `rapid_routes` entry in `bus/routes.json` is a **pattern** — one direction of one
+ * route — with its stops in travel order: the shape's **`stop_ids`** from
+ * `scripts/fetch_bus_routes.py`, or, in files without them, the route's stops lying on the shape,
+ * ordered along it. A trip boards and alights on the same pattern, alighting farther along it, so
+ * it never rides a route the wrong way.
+ */
+
+import { gridWalkMiles, haversineMiles } from "../shared/data-loader.mjs";
+import { resolveTravelFares } from "../shared/party-cost.mjs";
+import { createSpatialIndex } from "../shared/spatial-index.mjs";
+import { parkingWalkLeg, resolveParkingRoutePace } from "./route-planning.mjs";
+
+/** Farthest grid walk to a stop at either end of a bus trip. */
+export const RAPID_TRANSIT_MAX_STOP_WALK_MILES = 0.5;
+
+/** Route stops this close to a shape are on it (files without **`stop_ids`**). */
+const RAPID_STOP_ON_SHAPE_MILES = 0.03;
+
+/**
+ * **`name`** — the rider-facing label (`Route 2 · Kalamazoo`).
+ * @typedef {{ id: string, name: string, color: string }} RapidRoute
+ */
+
+/**
+ * **`vertex`** — index of the shape point nearest the stop; **`along`** — miles along the shape there.
+ * @typedef {{ label: string, lat: number, lng: number, vertex: number, along: number }} RapidPatternStop
+ */
+
+/** @typedef {{ route: RapidRoute, latLngs: Array<[number, number]>, stops: RapidPatternStop[] }} RapidPattern */
+
+/**
+ * **`stops`** — every pattern stop as `{ pattern, position }` (index into **`patterns`** and into
+ * that pattern's **`stops`**), indexed by **`stopIndex`**.
+ * @typedef {{
+ *   patterns: RapidPattern[],
+ *   stops: Array<{ pattern: number, position: number, lat: number, lng: number }>,
+ *   stopIndex: import("../shared/spatial-index.mjs").SpatialIndex,
+ * }} RapidTransitNetwork
+ */
+
+/**
+ * @typedef {{
+ *   route: RapidRoute,
+ *   boardStop: { lat: number, lng: number, label: string },
+ *   alightStop: { lat: number, lng: number, label: string },
+ *   stopsRidden: number,
+ *   walk1: Array<[number, number]>,
+ *   walk1Routed: boolean,
+ *   walk1Mi: number,
+ *   ride: Array<[number, number]>,
+ *   rideMi: number,
+ *   rideMinutes: number,
+ *   walk2: Array<[number, number]>,
+ *   walk2Routed: boolean,
+ *   walk2Mi: number,
+ *   waitMinutes: number,
+ *   totalMinutes: number,
+ *   directWalkMinutes: number,
+ *   fareDollars: number,
+ * }} RapidTransitTrip
+ */
+
+/** Per-`appData` network; `busRoutes` is static for one load, so a new load starts fresh. */
+const rapidNetworkMemo = new WeakMap();
+
+/** `route_color` → `#rrggbb`, else the city's transit color. */
+function rapidRouteColor(hex, fallbackHex) {
+  if (typeof hex === "string" && hex.trim() !== "") {
+    const h = hex.trim();
+    if (h.startsWith("#")) return h;
+    if (/^[0-9A-Fa-f]{6}$/.test(h)) return `#${h}`;
+  }
+  return fallbackHex;
+}
+
+/** `Route 2 · Kalamazoo`; the long name alone when the route has no number. */
+function rapidRouteName(r) {
+  const short =
+    typeof r.route_short_name === "string" ? r.route_short_name.trim() : "";
+  const long =
+    typeof r.route_long_name === "string" ? r.route_long_name.trim() : "";
+  return (
+    [short && `Route ${short}`, long].filter(Boolean).join(" · ") ||
+    `Route ${r.route_id ?? ""}`.trim()
+  );
+}
+
+/** Index of the vertex nearest `(lat, lng)` from `from` on, and how far it is. */
+function nearestShapeVertex(latLngs, lat, lng, from = 0) {
+  let best = -1;
+  let bestMi = Infinity;
+  for (let i = from; i < latLngs.length; i++) {
+    const d = haversineMiles(lat, lng, latLngs[i][0], latLngs[i][1]);
+    if (d < bestMi) {
+      best = i;
+      bestMi = d;
+    } else if (
+      bestMi <= RAPID_STOP_ON_SHAPE_MILES &&
+      d > RAPID_STOP_ON_SHAPE_MILES
+    ) {
+      /** The first pass by the stop, not a later one (loops, out-and-back shapes). */
+      break;
+    }
+  }
+  return { vertex: best, miles: bestMi };
+}
+
+/**
+ * One pattern's stops in travel order. With **`stop_ids`**, each stop is matched to the shape from
+ * the previous stop's vertex on; without, route stops within {@link RAPID_STOP_ON_SHAPE_MILES} of
+ * the shape are sorted by vertex.
+ * @returns {RapidPatternStop[]}
+ */
+function patternStops(shape, latLngs, cumMi, routeStops) {
+  /** @type {RapidPatternStop[]} */
+  const out = [];
+  const add = (s, vertex) =>
+    out.push({
+      label: typeof s.name === "string" ? s.name : s.stop_id || "Stop",
+      lat: s.latitude,
+      lng: s.longitude,
+      vertex,
+      along: cumMi[vertex],
+    });
+  if (Array.isArray(shape.stop_ids)) {
+    const byId = new Map(routeStops.map((s) => [s.stop_id, s]));
+    let from = 0;
+    for (const id of shape.stop_ids) {
+      const s = byId.get(id);
+      if (!s) continue;
+      const { vertex } = nearestShapeVertex(
+        latLngs,
+        s.latitude,
+        s.longitude,
+        from,
+      );
+      if (vertex < 0) continue;
+      add(s, vertex);
+      from = vertex;
+    }
+    return out;
+  }
+  for (const s of routeStops) {
+    const { vertex, miles } = nearestShapeVertex(
+      latLngs,
+      s.latitude,
+      s.longitude,
+    );
+    if (vertex >= 0 && miles <= RAPID_STOP_ON_SHAPE_MILES) add(s, vertex);
+  }
+  return out.sort((a, b) => a.vertex - b.vertex);
+}
+
+function buildRapidTransitNetwork(appData) {
+  const routes = Array.isArray(appData?.busRoutes?.rapid_routes)
+    ? appData.busRoutes.rapid_routes
+    : [];
+  const fallbackColor = appData?.city?.transit?.color ?? "#2563eb";
+  /** @type {RapidPattern[]} */
+  const patterns = [];
+  for (const r of routes) {
+    const route = {
+      id: String(r.route_id ?? ""),
+      name: rapidRouteName(r),
+      color: rapidRouteColor(r.route_color, fallbackColor),
+    };
+    const routeStops = (r.stops || []).filter(
+      (s) => typeof s.latitude === "number" && typeof s.longitude === "number",
+    );
+    for (const sh of r.shapes || []) {
+      /** @type {Array<[number, number]>} */
+      const latLngs = [];
+      for (const c of sh.coordinates || []) {
+        if (typeof c.latitude === "number" && typeof c.longitude === "number")
+          latLngs.push([c.latitude, c.longitude]);
+      }
+      if (latLngs.length < 2) continue;
+      const cumMi = [0];
+      for (let i = 1; i < latLngs.length; i++)
+        cumMi.push(
+          cumMi[i - 1] + haversineMiles(...latLngs[i - 1], ...latLngs[i]),
+        );
+      const stops = patternStops(sh, latLngs, cumMi, routeStops);
+      if (stops.length >= 2) patterns.push({ route, latLngs, stops });
+    }
+  }
+  const stops = patterns.flatMap((p, pattern) =>
+    p.stops.map((s, position) => ({
+      pattern,
+      position,
+      lat: s.lat,
+      lng: s.lng,
+    })),
+  );
+  return { patterns, stops, stopIndex: createSpatialIndex(stops) };
+}
+
+/**
+ * Rapid patterns and a spatial index over their stops (memoized per `appData`).
+ * @param {object | null} appData
+ * @returns {RapidTransitNetwork}
+ */
+export function getRapidTransitNetwork(appData) {
+  if (!appData || typeof appData !== "object")
+    return { patterns: [], stops: [], stopIndex: createSpatialIndex([]) };
+  if (!rapidNetworkMemo.has(appData))
+    rapidNetworkMemo.set(appData, buildRapidTransitNetwork(appData));
+  return rapidNetworkMemo.get(appData);
+}
+
+/** Pattern index → `[position, grid-walk miles]` for every pattern stop within `maxMiles`. */
+function stopsWithinWalk(network, lat, lng, maxMiles) {
+  /** @type {Map<number, Array<[number, number]>>} */
+  const out = new Map();
+  for (const i of network.stopIndex.withinMiles(lat, lng, maxMiles)) {
+    const s = network.stops[i];
+    const walkMi = gridWalkMiles(lat, lng, s.lat, s.lng);
+    if (walkMi > maxMiles) continue;
+    if (!out.has(s.pattern)) out.set(s.pattern, []);
+    out.get(s.pattern).push([s.position, walkMi]);
+  }
+  return out;
+}
+
+/**
+ * Quickest walk → one Rapid bus → walk trip from `(fromLat, fromLng)` to `(toLat, toLng)`, or null
+ * when no route has a stop within `maxStopWalkMiles` of both ends in the right order.
+ *
+ * Candidates are ranked on grid-walk miles plus the ride along the shape at
+ * `parkingRoutePace.transitMilesPerHour`, and every trip adds the configured wait
+ * (`parkingRoutePace.transitBoardingWaitMinutes`); the chosen trip's walk legs then follow the street graph
+ * where {@link parkingWalkLeg} can route them. **`directWalkMinutes`** is walking the whole way, for
+ * the panel to say when that is quicker. **`fareDollars`** is one ride (`fares.transitDollars`).
+ * @param {object | null} appData
+ * @param {{ maxStopWalkMiles?: number }} [opts]
+ * @returns {RapidTransitTrip | null}
+ */
+export function planRapidTransitTrip(
+  appData,
+  fromLat,
+  fromLng,
+  toLat,
+  toLng,
+  { maxStopWalkMiles = RAPID_TRANSIT_MAX_STOP_WALK_MILES } = {},
+) {
+  const network = getRapidTransitNetwork(appData);
+  if (network.patterns.length === 0) return null;
+  const pace = resolveParkingRoutePace(appData?.parkingRoutePace);
+  const boards = stopsWithinWalk(network, fromLat, fromLng, maxStopWalkMiles);
+  const alights = stopsWithinWalk(network, toLat, toLng, maxStopWalkMiles);
+
+  let best = null;
+  for (const [p, boardList] of boards) {
+    const alightList = alights.get(p);
+    if (!alightList) continue;
+    const { stops } = network.patterns[p];
+    for (const [bi, w1] of boardList) {
+      for (const [ai, w2] of alightList) {
+        if (ai <= bi) continue;
+        const rideMi = stops[ai].along - stops[bi].along;
+        const minutes =
+          (w1 + w2) * pace.walkMinutesPerMile +
+          (rideMi * 60) / pace.transitMilesPerHour;
+        if (!best || minutes < best.minutes)
+          best = { pattern: p, bi, ai, rideMi, minutes };
+      }
+    }
+  }
+  if (!best) return null;
+
+  const pattern = network.patterns[best.pattern];
+  const board = pattern.stops[best.bi];
+  const alight = pattern.stops[best.ai];
+  const walk1 = parkingWalkLeg(appData, fromLat, fromLng, board.lat, board.lng);
+  const walk2 = parkingWalkLeg(appData, alight.lat, alight.lng, toLat, toLng);
+  const direct = parkingWalkLeg(appData, fromLat, fromLng, toLat, toLng);
+  const rideMinutes = Math.max(
+    1,
+    Math.round((best.rideMi * 60) / pace.transitMilesPerHour),
+  );
+  let ride = pattern.latLngs.slice(board.vertex, alight.vertex + 1);
+  if (ride.length < 2)
+    ride = [
+      [board.lat, board.lng],
+      [alight.lat, alight.lng],
+    ];
+  const waitMinutes = pace.transitBoardingWaitMinutes;
+  const stopOf = (s) => ({ lat: s.lat, lng: s.lng, label: s.label });
+  return {
+    route: pattern.route,
+    boardStop: stopOf(board),
+    alightStop: stopOf(alight),
+    stopsRidden: best.ai - best.bi,
+    walk1: walk1.latLngs,
+    walk1Routed: walk1.routed,
+    walk1Mi: walk1.miles,
+    ride,
+    rideMi: best.rideMi,
+    rideMinutes,
+    walk2: walk2.latLngs,
+    walk2Routed: walk2.routed,
+    walk2Mi: walk2.miles,
+    waitMinutes,
+    totalMinutes: Math.round(
+      (walk1.miles + walk2.miles) * pace.walkMinutesPerMile +
+        waitMinutes +
+        rideMinutes,
+    ),
+    directWalkMinutes: Math.round(direct.miles * pace.walkMinutesPerMile),
+    fareDollars: resolveTravelFares(appData?.fares).transitDollars,
+  };
+}
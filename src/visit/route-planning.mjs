@@ -1,8 +1,19 @@
 /**
  * Parking map route overlay — walking pace vs DASH pace for comparing
- * straight-line walk to park + DASH + walk (same formulas as `#/visit` overlays).
+ * walk to park + DASH + walk (same formulas as `#/visit` overlays), and The Rapid's pace for bus
+ * trips (`rapid-transit.mjs`). Walk legs follow the street
+ * graph in `data/walk/graph.json` when it is loaded ({@link parkingWalkLeg}), else grid walk; the
+ * drive from the user's location follows `data/drive/graph.json` ({@link parkingDriveLeg}), one-way
+ * streets included, else a straight line. Each graph loads only once the manifest publishes it
+ * (**`streetGraphs`**, see `scripts/fetch_street_graph.py`); until then every leg takes the fallback.
  */
 
+import { gridWalkMiles, haversineMiles } from "../shared/data-loader.mjs";
+import {
+  createStreetGraph,
+  streetGraphRoute,
+} from "../shared/street-graph.mjs";
+
 /** When `config.json` omits `parkingRoutePace` or a field is invalid. */
 export const FALLBACK_PARKING_WALK_MINUTES_PER_MILE = 24;
 export const FALLBACK_PARKING_DASH_MILES_PER_HOUR = 12;
@@ -10,10 +21,14 @@ export const FALLBACK_PARKING_DASH_MILES_PER_HOUR = 12;
 export const FALLBACK_PARKING_DASH_BOARDING_WAIT_MINUTES = 5;
 /** Urban driving pace for `#/visit` drive-step estimates from the user's location. */
 export const FALLBACK_PARKING_DRIVE_MILES_PER_HOUR = 25;
+/** Average Rapid bus pace between stops, dwell included. */
+export const FALLBACK_PARKING_TRANSIT_MILES_PER_HOUR = 12;
+/** Typical wait at the stop before the next Rapid bus (about half a 20-minute headway). */
+export const FALLBACK_PARKING_TRANSIT_BOARDING_WAIT_MINUTES = 10;
 
 /**
  * @param {unknown} configObj — `appData.parkingRoutePace` or subset
- * @returns {{ walkMinutesPerMile: number; dashMilesPerHour: number; dashBoardingWaitMinutes: number; driveMilesPerHour: number }}
+ * @returns {{ walkMinutesPerMile: number; dashMilesPerHour: number; dashBoardingWaitMinutes: number; driveMilesPerHour: number; transitMilesPerHour: number; transitBoardingWaitMinutes: number }}
  */
 export function resolveParkingRoutePace(configObj) {
   const o = configObj != null && typeof configObj === "object" ? configObj : {};
@@ -24,6 +39,10 @@ export function resolveParkingRoutePace(configObj) {
     .dashBoardingWaitMinutes;
   const drive = /** @type {{ driveMilesPerHour?: unknown }} */ (o)
     .driveMilesPerHour;
+  const bus = /** @type {{ transitMilesPerHour?: unknown }} */ (o)
+    .transitMilesPerHour;
+  const busWait = /** @type {{ transitBoardingWaitMinutes?: unknown }} */ (o)
+    .transitBoardingWaitMinutes;
   return {
     walkMinutesPerMile:
       typeof w === "number" && Number.isFinite(w) && w > 0
@@ -41,12 +60,20 @@ export function resolveParkingRoutePace(configObj) {
       typeof drive === "number" && Number.isFinite(drive) && drive > 0
         ? drive
         : FALLBACK_PARKING_DRIVE_MILES_PER_HOUR,
+    transitMilesPerHour:
+      typeof bus === "number" && Number.isFinite(bus) && bus > 0
+        ? bus
+        : FALLBACK_PARKING_TRANSIT_MILES_PER_HOUR,
+    transitBoardingWaitMinutes:
+      typeof busWait === "number" && Number.isFinite(busWait) && busWait >= 0
+        ? busWait
+        : FALLBACK_PARKING_TRANSIT_BOARDING_WAIT_MINUTES,
   };
 }
 
 /**
- * Compare grid-walk door-to-door vs walk + DASH shuttle + walk using the same
- * linear time model as `#/visit` (`directMi`, `w1`, `w2`: grid-walk miles, N–S + E–W).
+ * Compare walking door-to-door vs walk + DASH shuttle + walk using the same
+ * linear time model as `#/visit` (`directMi`, `w1`, `w2`: walk-leg miles from {@link parkingWalkLeg}).
  * `useDashOverlay` is true when DASH is strictly faster on that model — used for recommendation
  * sort; the parking map may still draw a multimodal path when both walk legs fit the user’s cap
  * even if this flag is false.
@@ -84,3 +111,92 @@ export function compareParkingWalkVersusDashMinutes(args) {
     useDashOverlay: tDashMin < tDirectMin - 1e-9,
   };
 }
+
+/** Per-`appData` street graphs and leg caches (`walkGraph` / `driveGraph` → memo); static for one load. */
+const streetGraphMemo = new WeakMap();
+
+/**
+ * One leg along `appData[graphKey]` (cached by rounded ends), or `fallbackMiles` and the straight
+ * chord when the graph is missing or cannot route it.
+ * @param {"walkGraph" | "driveGraph"} graphKey
+ * @param {(aLat: number, aLng: number, bLat: number, bLng: number) => number} fallbackMiles
+ * @returns {{ miles: number, latLngs: Array<[number, number]>, routed: boolean }}
+ */
+function streetGraphLeg(
+  appData,
+  graphKey,
+  fallbackMiles,
+  aLat,
+  aLng,
+  bLat,
+  bLng,
+) {
+  const fallback = () => ({
+    miles: fallbackMiles(aLat, aLng, bLat, bLng),
+    latLngs: [
+      [aLat, aLng],
+      [bLat, bLng],
+    ],
+    routed: false,
+  });
+  if (!appData || typeof appData !== "object") return fallback();
+  let byKey = streetGraphMemo.get(appData);
+  if (!byKey) {
+    byKey = new Map();
+    streetGraphMemo.set(appData, byKey);
+  }
+  if (!byKey.has(graphKey))
+    byKey.set(graphKey, {
+      graph: createStreetGraph(appData[graphKey]),
+      legs: new Map(),
+    });
+  const { graph, legs } = byKey.get(graphKey);
+  if (!graph) return fallback();
+  const key = [aLat, aLng, bLat, bLng].map((n) => n.toFixed(5)).join(",");
+  if (!legs.has(key)) {
+    const route = streetGraphRoute(graph, aLat, aLng, bLat, bLng);
+    legs.set(key, route ? { ...route, routed: true } : fallback());
+  }
+  return legs.get(key);
+}
+
+/**
+ * One walk leg: along the street graph when `appData.walkGraph` is loaded and both ends are on it
+ * (**`routed`**), else grid-walk miles (N–S + E–W) and the straight chord for the caller to draw.
+ * @param {object | null} appData
+ * @returns {{ miles: number, latLngs: Array<[number, number]>, routed: boolean }}
+ */
+export function parkingWalkLeg(appData, aLat, aLng, bLat, bLng) {
+  return streetGraphLeg(
+    appData,
+    "walkGraph",
+    gridWalkMiles,
+    aLat,
+    aLng,
+    bLat,
+    bLng,
+  );
+}
+
+/**
+ * The drive from the user's location to a parking spot: along the one-way-aware road graph when
+ * `appData.driveGraph` is loaded and both ends are on it (**`routed`**), else straight-line miles
+ * and the chord. **`minutes`** at `parkingRoutePace.driveMilesPerHour`.
+ * @param {object | null} appData
+ * @returns {{ miles: number, minutes: number, latLngs: Array<[number, number]>, routed: boolean }}
+ */
+export function parkingDriveLeg(appData, aLat, aLng, bLat, bLng) {
+  const leg = streetGraphLeg(
+    appData,
+    "driveGraph",
+    haversineMiles,
+    aLat,
+    aLng,
+    bLat,
+    bLng,
+  );
+  const mph = resolveParkingRoutePace(
+    appData?.parkingRoutePace,
+  ).driveMilesPerHour;
+  return { ...leg, minutes: (leg.miles / mph) * 60 };
+}
@@ -4,46 +4,110 @@ import {
   gridWalkMiles,
   haversineMiles,
   isDestinationHiddenFromPublicMaps,
-  MODES_PAGE_EMPTY_MAP_CENTER,
   PARKING_PRICE_NOT_LISTED_LABEL,
 } from "../shared/data-loader.mjs";
 import {
-  compareParkingWalkVersusDashMinutes,
+  cityMapCenter,
+  cityTimeZone,
+  cityVisitPath,
+  getActiveCityProfile,
+  parseCityVisitPath,
+} from "../shared/city-profile.mjs";
+import {
+  legacyVisitArrival,
+  PARKING_DEFAULT_STAY_HOURS,
+  PARKING_STAY_HOUR_OPTIONS,
+  parseVisitArrival,
+  parseVisitStayHours,
+  visitWindow,
+} from "../shared/visit-time.mjs";
+import {
+  defaultPartySize,
+  formatPartyCost,
+  formatPerPersonCost,
+  PARTY_MAX_PEOPLE,
+  parsePartySize,
+  partyTripCosts,
+  resolveTravelFares,
+  splitPartyCost,
+} from "../shared/party-cost.mjs";
+import { geocodeAddress, parseLatLngText } from "../shared/geocode.mjs";
+import {
+  formatDollarAmount,
+  formatPricingAmount,
+} from "../shared/parking-pricing.mjs";
+import { resolvePriceEstimateConfig } from "../shared/price-estimate.mjs";
+import {
+  formatTransitTime,
+  upcomingDepartures,
+} from "../shared/transit-schedule.mjs";
+import {
+  parkingDriveLeg,
+  parkingWalkLeg,
   resolveParkingRoutePace,
 } from "./route-planning.mjs";
+import {
+  getParkingDashMapData as getParkingDashMapDataForKey,
+  parkingDashDataKey,
+  tryParkingDashMultimodalPath as tryDashMultimodalPathForKey,
+} from "./dash-shuttle.mjs";
+import {
+  planRapidTransitTrip,
+  RAPID_TRANSIT_MAX_STOP_WALK_MILES,
+} from "./rapid-transit.mjs";
+import {
+  parkAndRideAvailable,
+  parkAndRideCostDollars,
+  planParkAndRideTrip,
+} from "./park-and-ride.mjs";
+import { planMicromobilityTrip } from "./micromobility-trip.mjs";
+import {
+  buildParkingRecommendationMarkerPool,
+  chooseBestParkingSpotId,
+  chooseTopParkingSpotIds,
+  compareParkingMarkersForRecommendation,
+  createParkingPlan,
+  expandParkingVisitMarkerCategoryKeys,
+  filterParkingMarkersExcludeFreeWhenPaidExists,
+  filterParkingMarkersForBestRecommendationMinSpaces,
+  filterParkingMarkersForRecommendation,
+  isParkingWithinDashStopRadius,
+  markerUsesDashMultimodalForRecommendation,
+  normalizeParkingSpotId as normalizeParkingSpotIdForData,
+  PARKING_BEST_RECOMMENDATION_MIN_SPACES,
+  PARKING_MAX_EVENING_SLIDER_CEILING,
+  parkingItemsForVisitCategory,
+  parkingLatLngFromDestinationRecord,
+  parkingMarkerDisplayedPriceCeiling,
+  parkingMarkerEstimatedTotalWalkMiles,
+  parkingSpotCandidates,
+  parkingSpotEveryDisplayedWalkLegWithinCap,
+  parseParkingSpotId,
+  singularizeParkingCategoryLabel,
+} from "./parking-recommendation.mjs";
 import {
   circleStyleForParkingCategoryKey,
   hexToRgba,
 } from "../shared/parking-map-marker-styles.mjs";
 import {
-  getParkingMapCostDisplay,
-  PARKING_EVENING_PRICE_ABSENT,
-  PARKING_EVENING_PRICE_AMBIGUOUS_PROSE,
-  parkingSpotEveningPriceCeilingOrAbsent,
-  parseDollarAmountsFromPriceText,
-} from "../shared/parking-pricing.mjs";
+  parkingDatasetByKey,
+  parkingKindForCategory,
+  primaryParkingDataKeyForVisitCategory,
+  visitFilterCategoryIdFor,
+  visitFilterCategoryIds,
+  visitMarkerCategoryPaintOrder,
+} from "../shared/parking-datasets.mjs";
 
 /**
- * Parking map filter toggle ids — same strings as `#/visit?location=` (not `appData.parking` JSON keys).
- * Ellis facilities use **`ellis-garage`** / **`ellis-lot`** in **`park=`** and marker styling; they appear when
- * **`private-garage`** / **`private-lot`** are enabled (see {@link expandParkingVisitMarkerCategoryKeys}).
+ * Parking map filter toggle ids — same strings as `#/visit?location=` (not `appData.parking` JSON keys):
+ * one per **`kind`** × **`shape`** in `data/manifest.json`. Operators with their own **`visitCategory`**
+ * (Ellis → **`ellis-garage`** / **`ellis-lot`** in **`park=`** and marker styling) appear when their
+ * toggle is enabled (see {@link expandParkingVisitMarkerCategoryKeys}).
  */
-const PARKING_MAP_ITEM_KEYS = [
-  "public-garage",
-  "public-lot",
-  "private-garage",
-  "private-lot",
-];
-
-/** Every `#/visit` parking `park=` token / marker `categoryKey` (includes Ellis). */
-const PARKING_SPOT_CATEGORY_KEYS = [
-  ...PARKING_MAP_ITEM_KEYS,
-  "ellis-garage",
-  "ellis-lot",
-];
-
-/** `#/visit` — slider max (50) means no evening price cap; scale is 0–50 in $5 steps. */
-const PARKING_MAX_EVENING_SLIDER_CEILING = 50;
+function parkingMapItemKeys() {
+  return visitFilterCategoryIds();
+}
+
 const PARKING_MAX_EVENING_SLIDER_STEP = 5;
 /** When `pay` is omitted from the URL, default to **$40** for a short `#/visit` link. */
 const PARKING_DEFAULT_MAX_EVENING_SLIDER_VALUE = 40;
@@ -63,6 +127,25 @@ const PARKING_MAX_WALK_SLIDER_CEILING_IDX = Math.round(
 const PARKING_DEFAULT_WALK_SLIDER_INDEX = 8;
 const PARKING_WALK_QUERY_KEY = "walk";
 const PARKING_WALK_QUERY_KEY_LEGACY = "maxWalk";
+/**
+ * Arrival (`arrive=2026-10-24T18:30`, city-local) and expected stay in hours (`stay=4`; omitted at
+ * {@link PARKING_DEFAULT_STAY_HOURS}; hourly charges use it with or without `arrive`). Without
+ * `arrive`, prices assume an evening event and opening hours are ignored. Legacy planner links
+ * carry `time=830` (8:30pm today).
+ */
+const PARKING_ARRIVE_QUERY_KEY = "arrive";
+const PARKING_ARRIVE_QUERY_KEY_LEGACY = "time";
+const PARKING_STAY_QUERY_KEY = "stay";
+/**
+ * Party size (`people=3`; omitted at `config.defaults.people`). The parking fee is split across the
+ * party; the route panel compares it with a Rapid fare or Lime ride for every person.
+ */
+const PARKING_PEOPLE_QUERY_KEY = "people";
+/**
+ * Kind of event (`event=sports`, a `config.eventTypes` key; omitted for any event). With the venue it
+ * picks the garage's per-venue **`events`** rate when one is listed.
+ */
+const PARKING_EVENT_TYPE_QUERY_KEY = "event";
 /** Show feet (with minute hint) when below this cap — slider **0.1–0.4 mi**; **0.5+** as miles. */
 const PARKING_WALK_FEET_BELOW_MI = 0.5;
 /**
@@ -70,12 +153,6 @@ const PARKING_WALK_FEET_BELOW_MI = 0.5;
  * {@link PARKING_WALK_FEET_BELOW_MI} stays **0.5** for the walk slider labels.
  */
 const PARKING_ROUTE_WALK_METRICS_FEET_BELOW_MI = 2000 / 5280;
-/**
- * **`walk=0`** / slider index **0**: pin filter uses this grid-walk distance to nearest DASH (~**100 ft** ≈ **0.019** mi),
- * not unlimited and not a literal **0** mi cut.
- */
-const PARKING_WALK_ZERO_EFFECTIVE_FEET = 100;
-
 function parkingWalkMinutesPerMileFromConfig() {
   return resolveParkingRoutePace(appData?.parkingRoutePace).walkMinutesPerMile;
 }
@@ -159,21 +236,24 @@ function parkingInstructionDashOnboardMetrics(multimodal) {
 /** Minimum drive badge when the user's location is on the map (e.g. **5+ min drive**). */
 const PARKING_DRIVE_ESTIMATE_DISPLAY_MIN_MINUTES = 5;
 
-/** Right-column copy: haversine drive from the user's location (`parkingRoutePace.driveMilesPerHour`). */
+/** Right-column copy: drive from the user's location ({@link parkingDriveLeg}: road graph, else straight line). */
 function parkingInstructionDriveEstimateMetrics(
   fromLat,
   fromLng,
   toLat,
   toLng,
 ) {
-  const miles = haversineMiles(fromLat, fromLng, toLat, toLng);
+  const { miles, minutes } = parkingDriveLeg(
+    appData,
+    fromLat,
+    fromLng,
+    toLat,
+    toLng,
+  );
   if (!Number.isFinite(miles) || miles <= 0) return "";
-  const mph = resolveParkingRoutePace(
-    appData?.parkingRoutePace,
-  ).driveMilesPerHour;
   const min = Math.max(
     PARKING_DRIVE_ESTIMATE_DISPLAY_MIN_MINUTES,
-    Math.round((miles / mph) * 60),
+    Math.round(minutes),
   );
   return `${min}+ min drive`;
 }
@@ -194,7 +274,7 @@ function parkingDriveStepMetricsForParkingSpot(parkingLat, parkingLng) {
  * One route step: main instruction (left) and optional badge(s) (right).
  * @param {string} mainHtml
  * @param {string[]} metricLines — plain text / escaped snippets (already safe HTML); ignored for **`drive`** unless non-empty (custom label)
- * @param {'drive' | 'walk' | 'wait' | 'dash' | undefined} badgeVariant — **`drive`** = green “15+ min drive” chip for park step; walk/wait/dash for metrics
+ * @param {'drive' | 'walk' | 'wait' | 'dash' | 'bus' | 'scooter' | undefined} badgeVariant — **`drive`** = green “15+ min drive” chip for park step; walk/wait/dash/bus/scooter for metrics
  * @param {{ omitListMarker?: boolean } | undefined} opts — **`omitListMarker: true`** skips the visible step index (DASH **Wait** row so the list reads 1, 2, blank, 3, 4).
  */
 function parkingRouteStepLi(mainHtml, metricLines, badgeVariant, opts) {
@@ -209,7 +289,9 @@ function parkingRouteStepLi(mainHtml, metricLines, badgeVariant, opts) {
     lines.length > 0 &&
     (badgeVariant === "walk" ||
       badgeVariant === "wait" ||
-      badgeVariant === "dash")
+      badgeVariant === "dash" ||
+      badgeVariant === "bus" ||
+      badgeVariant === "scooter")
   ) {
     variant = badgeVariant;
   }
@@ -290,17 +372,6 @@ function walkSliderIndexFromCapMiles(capMiles) {
   return Math.min(PARKING_MAX_WALK_SLIDER_CEILING_IDX, Math.max(0, ix));
 }
 
-/**
- * Pin filtering only: **`walk=0`** resolves to {@link PARKING_WALK_ZERO_EFFECTIVE_FEET} ft grid-walk to the
- * nearest DASH stop. Other features keep raw **0** (no overlay, no auto **`start`**).
- * @param {number} resolvedCapMiles — from {@link resolvedParkingWalkCapMiles}
- */
-function effectiveWalkCapMilesForParkingPins(resolvedCapMiles) {
-  if (!Number.isFinite(resolvedCapMiles)) return resolvedCapMiles;
-  if (resolvedCapMiles <= 0) return PARKING_WALK_ZERO_EFFECTIVE_FEET / 5280;
-  return resolvedCapMiles;
-}
-
 /** True when the parking URL explicitly sets **`walk`** / **`maxWalk`** (not merely defaults). */
 function parkingRouteHashHasExplicitWalkParam() {
   const params = getParkingRouteSearchParams();
@@ -403,89 +474,20 @@ function snapParkingEveningSliderSteps(raw) {
 
 /**
  * SVG overlap paint order (bottom → top): earlier categories are underneath when circles overlap.
- * Public garages (purple) render above Ellis and private garages (orange); Ellis lots stack with private lots (yellow).
+ * Derived from manifest **`paintOrder`** — public garages (purple) render above Ellis and private
+ * garages (orange); Ellis lots stack with private lots (yellow).
  */
-const PARKING_CATEGORY_PAINT_ORDER = [
-  "private-lot",
-  "ellis-lot",
-  "public-lot",
-  "private-garage",
-  "ellis-garage",
-  "public-garage",
-];
-
-/** Map category id → `appData.parking` / JSON merge key. */
-const PARKING_CATEGORY_DATA_KEY = {
-  "public-garage": "garages",
-  "public-lot": "lots",
-  "private-garage": "osmGarages",
-  "private-lot": "osmLots",
-  "ellis-garage": "ellisGarages",
-  "ellis-lot": "ellisLots",
-};
+function parkingCategoryPaintOrder() {
+  return visitMarkerCategoryPaintOrder();
+}
 
 function isVisitParkingPrivateStyleCategory(categoryKey) {
-  return (
-    categoryKey === "private-garage" ||
-    categoryKey === "private-lot" ||
-    categoryKey === "ellis-garage" ||
-    categoryKey === "ellis-lot"
-  );
+  return parkingKindForCategory(categoryKey) === "private";
 }
 
+/** Map category id → `appData.parking` key that names it (labels, owner lookups). */
 function parkingCategoryDataKey(categoryId) {
-  return PARKING_CATEGORY_DATA_KEY[categoryId];
-}
-
-/**
- * OSM private pins plus AirGarage-only buckets (split in `loadData` for the data map).
- * @param {string} dataKey — `osmGarages` or `osmLots`
- * @returns {unknown[]}
- */
-function parkingItemsForVisitDataKey(dataKey) {
-  const p = appData?.parking;
-  if (!p || typeof dataKey !== "string") return [];
-  if (dataKey === "osmGarages") {
-    const a = p.osmGarages;
-    const b = p.airGarageGarages;
-    return [...(Array.isArray(a) ? a : []), ...(Array.isArray(b) ? b : [])];
-  }
-  if (dataKey === "osmLots") {
-    const a = p.osmLots;
-    const b = p.airGarageLots;
-    return [...(Array.isArray(a) ? a : []), ...(Array.isArray(b) ? b : [])];
-  }
-  const a = p[dataKey];
-  return Array.isArray(a) ? a : [];
-}
-
-/** Card subheading label (singular) for parking category names. */
-function singularizeParkingCategoryLabel(label) {
-  const raw = String(label || "").trim();
-  if (!raw) return "";
-  if (/\bGarages\b/.test(raw)) return raw.replace(/\bGarages\b/g, "Garage");
-  if (/\bLots\b/.test(raw)) return raw.replace(/\bLots\b/g, "Lot");
-  return raw;
-}
-
-function parkingSpotPassesEveningBudget(
-  pricing,
-  categoryKey,
-  budgetCapDollars,
-) {
-  if (
-    budgetCapDollars == null ||
-    typeof budgetCapDollars !== "number" ||
-    !Number.isFinite(budgetCapDollars) ||
-    budgetCapDollars >= PARKING_MAX_EVENING_SLIDER_CEILING
-  ) {
-    return true;
-  }
-  const ceil = parkingSpotEveningPriceCeilingOrAbsent(pricing, categoryKey);
-  if (ceil === PARKING_EVENING_PRICE_ABSENT) return false;
-  if (ceil === PARKING_EVENING_PRICE_AMBIGUOUS_PROSE)
-    return budgetCapDollars > 0;
-  return ceil <= budgetCapDollars;
+  return primaryParkingDataKeyForVisitCategory(categoryId);
 }
 
 function getParkingEveningBudgetCapFromHash() {
@@ -583,49 +585,174 @@ function ensureParkingEveningBudgetDelegation() {
   });
 }
 
-/** Legacy `cats` tokens → canonical category id. */
-const PARKING_LEGACY_CAT_TOKEN = {
-  garages: "public-garage",
-  lots: "public-lot",
-  osmGarages: "private-garage",
-  osmLots: "private-lot",
-  ellisGarages: "private-garage",
-  ellisLots: "private-lot",
-};
+/** `arrive` / `stay` from the hash; no `arrive` (or legacy `time`) → `{ arrive: null }`. */
+function getParkingVisitTimeFromHash() {
+  const params = getParkingRouteSearchParams();
+  const arrive =
+    parseVisitArrival(params.get(PARKING_ARRIVE_QUERY_KEY)) ??
+    legacyVisitArrival(
+      params.get(PARKING_ARRIVE_QUERY_KEY_LEGACY),
+      new Date(),
+      cityTimeZone(),
+    );
+  return {
+    arrive,
+    stayHours:
+      parseVisitStayHours(params.get(PARKING_STAY_QUERY_KEY)) ??
+      PARKING_DEFAULT_STAY_HOURS,
+  };
+}
 
-function parkingCategoryIdFromUrlToken(token) {
-  const t = String(token).trim();
-  if (!t) return null;
-  if (t === "ellis-garage") return "private-garage";
-  if (t === "ellis-lot") return "private-lot";
-  if (PARKING_MAP_ITEM_KEYS.includes(t)) return t;
-  if (PARKING_LEGACY_CAT_TOKEN[t]) return PARKING_LEGACY_CAT_TOKEN[t];
-  return null;
+/** Arrival / stay inputs when the chrome is mounted, else the hash (same precedence as the sliders). */
+function resolvedParkingVisitTime() {
+  const input = document.getElementById("parkingArriveInput");
+  if (!input) return getParkingVisitTimeFromHash();
+  const stay = document.getElementById("parkingStaySelect");
+  return {
+    arrive: parseVisitArrival(input.value),
+    stayHours: parseVisitStayHours(stay?.value) ?? PARKING_DEFAULT_STAY_HOURS,
+  };
 }
 
-/**
- * Map filter keys (no Ellis toggles) to marker categories for {@link getAllParkingSpotMarkers}.
- * @param {string[]} baseKeys
- * @returns {string[]}
- */
-function expandParkingVisitMarkerCategoryKeys(baseKeys) {
-  const out = [];
-  const seen = new Set();
-  for (const k of baseKeys) {
-    if (typeof k !== "string") continue;
-    if (!seen.has(k)) {
-      seen.add(k);
-      out.push(k);
-    }
-    if (k === "private-garage" && !seen.has("ellis-garage")) {
-      seen.add("ellis-garage");
-      out.push("ellis-garage");
-    } else if (k === "private-lot" && !seen.has("ellis-lot")) {
-      seen.add("ellis-lot");
-      out.push("ellis-lot");
-    }
+/** `2.5` → `2.5 hours`; `1` → `1 hour`. */
+function parkingStayOptionLabel(hours) {
+  return `${hours} ${hours === 1 ? "hour" : "hours"}`;
+}
+
+function syncParkingVisitTimeFromHash() {
+  const input = document.getElementById("parkingArriveInput");
+  const stay = document.getElementById("parkingStaySelect");
+  if (!input) return;
+  const { arrive, stayHours } = getParkingVisitTimeFromHash();
+  input.value = arrive ?? "";
+  if (!stay) return;
+  const hours = [...new Set([...PARKING_STAY_HOUR_OPTIONS, stayHours])].sort(
+    (a, b) => a - b,
+  );
+  stay.replaceChildren(
+    ...hours.map((h) => new Option(parkingStayOptionLabel(h), String(h))),
+  );
+  stay.value = String(stayHours);
+}
+
+function ensureParkingVisitTimeDelegation() {
+  if (parkingVisitTimeDelegated) return;
+  const input = document.getElementById("parkingArriveInput");
+  const stay = document.getElementById("parkingStaySelect");
+  if (!input) return;
+  parkingVisitTimeDelegated = true;
+  input.addEventListener("change", commitParkingChromeToHash);
+  stay?.addEventListener("change", commitParkingChromeToHash);
+}
+
+/** Rewrite the hash from the visit chrome (arrival, stay, people, event type) and redraw. */
+function commitParkingChromeToHash() {
+  const keys = new Set(getEnabledParkingKeys());
+  const dest = getParkingDestinationSlugFromSelect();
+  window.location.hash = buildParkingHashFromState(
+    keys,
+    dest,
+    getParkingCommittedStartSpotIdForHashWrite(undefined),
+    undefined,
+    undefined,
+  );
+  if (parkingMap) syncParkingMapOverlays(parkingMap);
+}
+
+/** `people` from the hash, else `config.defaults.people`. */
+function getParkingPeopleFromHash() {
+  return (
+    parsePartySize(
+      getParkingRouteSearchParams().get(PARKING_PEOPLE_QUERY_KEY),
+    ) ?? defaultPartySize(appData)
+  );
+}
+
+/** People select when the chrome is mounted, else the hash. */
+function resolvedParkingPeople() {
+  const select = document.getElementById("parkingPeopleSelect");
+  if (!select) return getParkingPeopleFromHash();
+  return parsePartySize(select.value) ?? defaultPartySize(appData);
+}
+
+/** `1` → `1 person`; `3` → `3 people`. */
+function parkingPeopleOptionLabel(n) {
+  return `${n} ${n === 1 ? "person" : "people"}`;
+}
+
+function syncParkingPeopleFromHash() {
+  const select = document.getElementById("parkingPeopleSelect");
+  if (!select) return;
+  if (select.options.length !== PARTY_MAX_PEOPLE) {
+    select.replaceChildren(
+      ...Array.from(
+        { length: PARTY_MAX_PEOPLE },
+        (_, i) => new Option(parkingPeopleOptionLabel(i + 1), String(i + 1)),
+      ),
+    );
   }
-  return out;
+  select.value = String(getParkingPeopleFromHash());
+}
+
+function ensureParkingPeopleDelegation() {
+  if (parkingPeopleDelegated) return;
+  const select = document.getElementById("parkingPeopleSelect");
+  if (!select) return;
+  parkingPeopleDelegated = true;
+  select.addEventListener("change", commitParkingChromeToHash);
+}
+
+/** `config.eventTypes` as `[key, label]` pairs, in file order. */
+function parkingEventTypeEntries() {
+  const types = appData?.eventTypes;
+  if (!types || typeof types !== "object") return [];
+  return Object.entries(types).filter(
+    ([, label]) => typeof label === "string" && label.trim() !== "",
+  );
+}
+
+/** `event` from the hash when it names a `config.eventTypes` key, else null (any event). */
+function getParkingEventTypeFromHash() {
+  const raw = getParkingRouteSearchParams().get(PARKING_EVENT_TYPE_QUERY_KEY);
+  return parkingEventTypeEntries().some(([key]) => key === raw) ? raw : null;
+}
+
+/** Event-type select when the chrome is mounted, else the hash. */
+function resolvedParkingEventType() {
+  const select = document.getElementById("parkingEventTypeSelect");
+  if (!select) return getParkingEventTypeFromHash();
+  return select.value || null;
+}
+
+function syncParkingEventTypeFromHash() {
+  const select = document.getElementById("parkingEventTypeSelect");
+  if (!select) return;
+  const entries = parkingEventTypeEntries();
+  document
+    .getElementById("parkingEventTypeWrap")
+    ?.classList.toggle("hidden", entries.length === 0);
+  if (select.options.length !== entries.length + 1) {
+    select.replaceChildren(
+      new Option("Any event", ""),
+      ...entries.map(([key, label]) => new Option(label, key)),
+    );
+  }
+  select.value = getParkingEventTypeFromHash() ?? "";
+}
+
+function ensureParkingEventTypeDelegation() {
+  if (parkingEventTypeDelegated) return;
+  const select = document.getElementById("parkingEventTypeSelect");
+  if (!select) return;
+  parkingEventTypeDelegated = true;
+  select.addEventListener("change", commitParkingChromeToHash);
+}
+
+/** `location=` token (or legacy `cats` dataset key / operator id like `ellis-lot`) → filter toggle id. */
+function parkingCategoryIdFromUrlToken(token) {
+  const t = String(token).trim();
+  if (!t) return null;
+  return visitFilterCategoryIdFor(t);
 }
 
 const PARKING_DESTINATION_PLACEHOLDER = "Where are you going?";
@@ -635,10 +762,11 @@ const PARKING_SPOT_MARKER_RADIUS = 6;
 /** Transparent circleMarker radius (px) for touch / click; larger than {@link PARKING_SPOT_MARKER_RADIUS}. */
 const PARKING_SPOT_MARKER_HIT_RADIUS = 14;
 
-/** Index in overlap paint order (`PARKING_CATEGORY_PAINT_ORDER`, bottom → top). */
+/** Index in overlap paint order ({@link parkingCategoryPaintOrder}, bottom → top). */
 function parkingCategoryPaintIndex(categoryKey) {
-  const i = PARKING_CATEGORY_PAINT_ORDER.indexOf(categoryKey);
-  return i === -1 ? PARKING_CATEGORY_PAINT_ORDER.length : i;
+  const order = parkingCategoryPaintOrder();
+  const i = order.indexOf(categoryKey);
+  return i === -1 ? order.length : i;
 }
 
 /** `#/visit` — DASH routes + drive parking locations (garages/lots only). Legacy `#/parking` is rewritten on load. */
@@ -654,23 +782,15 @@ export function isParkingRoute() {
   );
 }
 
-/** Same downtown filter as `src/bootstrap.mjs` / `#/data/routes`. */
-const DATA_ROUTES_CITY_CENTER_LAT = 42.96333;
-const DATA_ROUTES_CITY_CENTER_LON = -85.66806;
-const DATA_ROUTES_STOP_MAX_MILES_FROM_CENTER = 1.5;
-
-/**
- * When first/last GTFS shape vertices differ numerically but lie within this chain distance, treat the
- * DASH polyline as a closed loop (The Rapid event-route shapes often end ~10 ft from the start).
- */
-const PARKING_DASH_SHAPE_CLOSURE_GAP_MI = 0.02;
-
-/** `#/visit` — hide parking pins farther than this from any shown DASH stop. */
-const PARKING_MAX_MILES_FROM_DASH_STOP = 0.75;
+/** Active city center; `[0, 0]` only while `hashchange` races the first `loadData()`. */
+function parkingCityCenter() {
+  return cityMapCenter() ?? [0, 0];
+}
 
-/** Grand Rapids region page in the Transit app (DASH, The Rapid, real-time). */
-const PARKING_TRANSIT_APP_GRAND_RAPIDS_URL =
-  "https://transitapp.com/en/region/grand-rapids";
+/** Active city's shuttle name (`DASH`) for route steps, tooltips, and stop labels. */
+function parkingShuttleName() {
+  return getActiveCityProfile()?.shuttle.name || "Shuttle";
+}
 
 /** Dashed estimated-walk polylines — Tailwind `blue-600`, same family as `#parkingMaxWalkSlider` (`accent-blue-600`). */
 const PARKING_WALK_OVERLAY_COLOR = "#2563eb";
@@ -723,7 +843,20 @@ function wavyApproxWalkChordLatLngs(a, b) {
 }
 
 /**
- * Single smooth swoop along a chord — for the drive line from the user's location (not the walk wiggle).
+ * Polyline for one walk leg from {@link parkingWalkLeg} or the DASH trip: the street route as-is,
+ * the wiggle for an unrouted chord.
+ * @param {number[][]} latLngs
+ * @param {boolean} routed
+ */
+function parkingWalkLegDrawLatLngs(latLngs, routed) {
+  return routed
+    ? latLngs
+    : wavyApproxWalkChordLatLngs(latLngs[0], latLngs[latLngs.length - 1]);
+}
+
+/**
+ * Single smooth swoop along a chord — for the drive line from the user's location when the road
+ * graph cannot route it (not the walk wiggle).
  * @param {[number, number]} a [lat, lng]
  * @param {[number, number]} b [lat, lng]
  * @returns {number[][]}
@@ -771,16 +904,27 @@ let parkingDestinationLayerGroup = null;
 let parkingSpotPickLayerGroup = null;
 let parkingStartFinishLineLayerGroup = null;
 let parkingUserLocationLayerGroup = null;
+let parkingTransitLayerGroup = null;
+let parkingParkAndRideLayerGroup = null;
+let parkingMicromobilityLayerGroup = null;
 /** @type {{ lat: number, lng: number } | null} */
 let parkingUserLocation = null;
 let parkingUserLocationIncluded = false;
 let parkingUserLocationError = "";
 let parkingLocateControlDelegated = false;
+/** Label for the typed `from=` point this session (`{ from, label }`); the link carries only coordinates. */
+let parkingTransitOriginLabel = null;
+/** Address lookup for the bus-trip form: `""`, `"pending"`, `"not-found"`, or `"error"`. */
+let parkingTransitGeocodeStatus = "";
+let parkingTransitDelegated = false;
 let parkingFilterBarDelegated = false;
 let parkingDestinationSelectDelegated = false;
 let parkingResetDelegated = false;
 let parkingEveningBudgetDelegated = false;
 let parkingWalkDelegated = false;
+let parkingVisitTimeDelegated = false;
+let parkingPeopleDelegated = false;
+let parkingEventTypeDelegated = false;
 let parkingOverlaySyncRaf = 0;
 
 function escapeHtml(s) {
@@ -826,12 +970,16 @@ function parkingRouteStepMapsLinkHtml(
   );
 }
 
-/** "DASH shuttle" in the route wait step -> Transit app (Grand Rapids). */
+/** "DASH shuttle" in the route wait step -> the city's Transit app region (plain text without **`transit.appUrl`**). */
 function parkingRouteDashShuttleTransitAppAnchorHtml() {
+  const city = getActiveCityProfile();
+  const label = `${parkingShuttleName()} shuttle`;
+  const url = city?.transit.appUrl;
+  if (!url) return escapeHtml(label);
   return (
-    `<a href="${escapeHtml(PARKING_TRANSIT_APP_GRAND_RAPIDS_URL)}" class="parking-route-transit-app-link" target="_blank" rel="noopener noreferrer" aria-label="${escapeHtml("Free DASH shuttle in the Transit app for Grand Rapids")}">` +
+    `<a href="${escapeHtml(url)}" class="parking-route-transit-app-link" target="_blank" rel="noopener noreferrer" aria-label="${escapeHtml(`Free ${label} in the Transit app for ${city.name}`)}">` +
     `<span class="parking-route-step-link-content">` +
-    `<span class="parking-route-step-link-label">DASH shuttle</span>` +
+    `<span class="parking-route-step-link-label">${escapeHtml(label)}</span>` +
     `<span class="parking-route-step-link-icon" aria-hidden="true">${parkingRouteStepLinkIconSvg()}</span>` +
     `</span></a>`
   );
@@ -869,22 +1017,6 @@ function darkenCssHex(hex, factor) {
   return `#${d(r)}${d(g)}${d(b)}`;
 }
 
-export function parseTotalSpacesFromAvailability(raw) {
-  if (typeof raw !== "string" || raw.trim() === "") return null;
-  const s = raw.trim();
-  let m = s.match(/(\d+)\s*spaces?\b/i);
-  if (m) {
-    const n = parseInt(m[1], 10);
-    return Number.isFinite(n) ? n : null;
-  }
-  m = s.match(/Capacity:\s*(\d+)/i);
-  if (m) {
-    const n = parseInt(m[1], 10);
-    return Number.isFinite(n) ? n : null;
-  }
-  return null;
-}
-
 /**
  * Query string for `#/visit?…` (empty when no `?` in hash).
  */
@@ -938,18 +1070,26 @@ const PARKING_PARK_QUERY_KEY = "park";
 
 /** Query param that mirrors the parking legend / help modal being open (`help=true`). Toggled via `history.replaceState`. */
 const PARKING_HELP_QUERY_KEY = "help";
+/** Start of the bus trip: `from=42.95,-85.71` (a typed address, looked up) or `from=here` (the device's location). */
+const PARKING_TRANSIT_FROM_QUERY_KEY = "from";
+const PARKING_TRANSIT_FROM_HERE = "here";
+/** Park-and-ride trip drawn on the map (`pnr=1`); the route panel offers it whenever a lot is served. */
+const PARKING_PARK_AND_RIDE_QUERY_KEY = "pnr";
+/** Lime trip drawn on the map (`lime=1`); the route panel itemizes it whenever there is a start. */
+const PARKING_MICROMOBILITY_QUERY_KEY = "lime";
+/** Lime ride line — the green of the Lime zone pins (`manifest.json` → `micromobility`). */
+const PARKING_MICROMOBILITY_RIDE_COLOR = "#00820e";
 const PARKING_HELP_QUERY_VALUE = "true";
 
+/** Venue slug from `#/visit/<venue>` or `#/visit/<city>/<venue>`; "" when the path names no venue. */
 function parseParkingRoutePathSlug() {
   const hash = window.location.hash.slice(1);
   const qIdx = hash.indexOf("?");
-  const path = (qIdx >= 0 ? hash.slice(0, qIdx) : hash).replace(/\/$/, "");
-  if (path === "/visit" || path === "/visit/") return "";
-  if (!path.startsWith("/visit/")) return "";
-  return path.slice("/visit/".length).trim();
+  const path = qIdx >= 0 ? hash.slice(0, qIdx) : hash;
+  return parseCityVisitPath(path).venueSlug;
 }
 
-/** Venue slug from `#/visit/<slug>` or legacy `finish=` / `venue` / `destination` / `dest`, or "" if absent / invalid. */
+/** Venue slug from `#/visit/[<city>/]<slug>` or legacy `finish=` / `venue` / `destination` / `dest`, or "" if absent / invalid. */
 function parseParkingDestSlugFromHash() {
   const pathSlug = parseParkingRoutePathSlug();
   if (pathSlug) {
@@ -974,77 +1114,20 @@ function parseParkingDestSlugFromHash() {
 }
 
 /**
- * Stable id for a parking circle (category + coordinates to 6 decimals).
- * Canonical form: `category:lat,lng` (comma between lat/lng). Legacy: `category~lat~lng`.
- * @param {string} categoryKey
- * @param {number} lat
- * @param {number} lng
- * @returns {string}
- */
-function encodeParkingSpotId(categoryKey, lat, lng) {
-  if (!PARKING_SPOT_CATEGORY_KEYS.includes(categoryKey)) return "";
-  if (
-    typeof lat !== "number" ||
-    typeof lng !== "number" ||
-    !Number.isFinite(lat) ||
-    !Number.isFinite(lng)
-  )
-    return "";
-  return `${categoryKey}:${lat.toFixed(6)},${lng.toFixed(6)}`;
-}
-
-/**
- * Ellis once filed **90 Market** as `lotType` 1 (garage); it is a surface lot. Old **`park=`** links may still use **`ellis-garage:`** at this centroid.
- */
-const LEGACY_ELLIS_GARAGE_SPOT_IDS_AS_LOT = new Map([
-  ["ellis-garage:42.961369,-85.674391", "ellis-lot:42.961369,-85.674391"],
-]);
-
-function rewriteLegacyEllisMisfiledGarageSpotId(id) {
-  if (typeof id !== "string" || id === "") return id;
-  return LEGACY_ELLIS_GARAGE_SPOT_IDS_AS_LOT.get(id) ?? id;
-}
-
-/**
+ * Where a **`park=`** id points — durable pin id or coordinate id (see {@link parseParkingSpotId}).
  * @param {string} raw
  * @returns {{ categoryKey: string, lat: number, lng: number } | null}
  */
 function parseParkingSpotIdToken(raw) {
-  const s = String(raw ?? "").trim();
-  if (!s) return null;
-
-  const colon = s.indexOf(":");
-  if (colon > 0) {
-    const cat = s.slice(0, colon);
-    const rest = s.slice(colon + 1);
-    const comma = rest.indexOf(",");
-    if (comma <= 0 || comma >= rest.length - 1) return null;
-    const la = rest.slice(0, comma);
-    const lo = rest.slice(comma + 1);
-    if (!PARKING_SPOT_CATEGORY_KEYS.includes(cat)) return null;
-    const lat = Number(la);
-    const lng = Number(lo);
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-    return { categoryKey: cat, lat, lng };
-  }
-
-  const parts = s.split("~");
-  if (parts.length !== 3) return null;
-  const [cat, la, lo] = parts;
-  if (!PARKING_SPOT_CATEGORY_KEYS.includes(cat)) return null;
-  const lat = Number(la);
-  const lng = Number(lo);
-  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-  return { categoryKey: cat, lat, lng };
+  return parseParkingSpotId(appData, raw);
 }
 
-/** @param {string} raw */
+/**
+ * Canonical **`park=`** id, following `data/parking-aliases.json` so old links keep resolving.
+ * @param {string} raw
+ */
 function normalizeParkingSpotId(raw) {
-  const p = parseParkingSpotIdToken(raw);
-  if (!p) return null;
-  const id = encodeParkingSpotId(p.categoryKey, p.lat, p.lng);
-  if (!id) return null;
-  return rewriteLegacyEllisMisfiledGarageSpotId(id);
+  return normalizeParkingSpotIdForData(appData, raw);
 }
 
 /** Normalized `park` / legacy `start` / `spot` token from the hash when syntactically valid (no marker filter). */
@@ -1139,13 +1222,13 @@ function parkingVisitBasePath(destSlug) {
     Array.isArray(appData?.destinations) &&
     appData.destinations.some((x) => x.slug === d)
   ) {
-    return `/visit/${d}`;
+    return cityVisitPath(d);
   }
-  return "/visit";
+  return cityVisitPath();
 }
 
 /**
- * @param {{ ignoreStickyPayWalk?: boolean } | undefined} opts — **`ignoreStickyPayWalk: true`** for full chrome reset so `#/visit` drops `pay`/`walk` even after prior explicit params.
+ * @param {{ ignoreStickyPayWalk?: boolean } | undefined} opts — **`ignoreStickyPayWalk: true`** for full chrome reset so `#/visit` drops `pay`/`walk` even after prior explicit params (and `arrive`/`stay`).
  */
 function buildParkingHashFromState(
   enabledKeys,
@@ -1172,7 +1255,7 @@ function buildParkingHashFromState(
       ? { pay: false, walk: false }
       : getParkingStickyPayWalkFromCurrentHash();
 
-  const allKeys = new Set(PARKING_MAP_ITEM_KEYS);
+  const allKeys = new Set(parkingMapItemKeys());
   const enabled =
     enabledKeys instanceof Set ? enabledKeys : new Set(enabledKeys);
   const isAll =
@@ -1216,6 +1299,27 @@ function buildParkingHashFromState(
       `${PARKING_WALK_QUERY_KEY}=${formatParkingMaxWalkHashValue(walkIx)}`,
     );
   }
+  if (opts?.ignoreStickyPayWalk !== true) {
+    const { arrive, stayHours } = resolvedParkingVisitTime();
+    if (arrive) parts.push(`${PARKING_ARRIVE_QUERY_KEY}=${arrive}`);
+    if (stayHours !== PARKING_DEFAULT_STAY_HOURS)
+      parts.push(`${PARKING_STAY_QUERY_KEY}=${stayHours}`);
+    const people = resolvedParkingPeople();
+    if (people !== defaultPartySize(appData))
+      parts.push(`${PARKING_PEOPLE_QUERY_KEY}=${people}`);
+    const eventType = resolvedParkingEventType();
+    if (eventType)
+      parts.push(
+        `${PARKING_EVENT_TYPE_QUERY_KEY}=${encodeURIComponent(eventType)}`,
+      );
+    const transitFrom = getParkingTransitFromParam();
+    if (transitFrom)
+      parts.push(`${PARKING_TRANSIT_FROM_QUERY_KEY}=${transitFrom}`);
+    if (isParkingParkAndRideShown())
+      parts.push(`${PARKING_PARK_AND_RIDE_QUERY_KEY}=1`);
+    if (isParkingMicromobilityShown())
+      parts.push(`${PARKING_MICROMOBILITY_QUERY_KEY}=1`);
+  }
   let spotNorm = "";
   if (walkIx !== 0 && typeof spotId === "string" && spotId.trim() !== "") {
     const n = normalizeParkingSpotId(spotId.trim());
@@ -1258,12 +1362,12 @@ function getParkingDestinationSlugFromSelect() {
 
 function getEnabledParkingKeys() {
   const wanted = parseParkingCatsFromHash();
-  if (wanted === null) return [...PARKING_MAP_ITEM_KEYS];
-  return PARKING_MAP_ITEM_KEYS.filter((k) => wanted.has(k));
+  if (wanted === null) return parkingMapItemKeys();
+  return parkingMapItemKeys().filter((k) => wanted.has(k));
 }
 
 function toggleParkingCategoryFilter(key) {
-  if (!PARKING_MAP_ITEM_KEYS.includes(key)) return;
+  if (!parkingMapItemKeys().includes(key)) return;
   const current = new Set(getEnabledParkingKeys());
   if (current.has(key)) current.delete(key);
   else current.add(key);
@@ -1284,7 +1388,7 @@ function toggleParkingCategoryFilter(key) {
 /** All parking categories on, no destination — `#/visit` with no query. */
 function resetParkingMapChromeToDefaults() {
   const nextHash = buildParkingHashFromState(
-    new Set(PARKING_MAP_ITEM_KEYS),
+    new Set(parkingMapItemKeys()),
     "",
     undefined,
     PARKING_DEFAULT_MAX_EVENING_SLIDER_VALUE,
@@ -1442,15 +1546,6 @@ function buildParkingDestinationSelect() {
   syncParkingDestinationSelectAppearance();
 }
 
-/** @returns {[number, number]|null} lat, lng from a destination record */
-function parkingLatLngFromDestinationRecord(dest) {
-  if (!dest) return null;
-  const lat = dest.latitude ?? dest.location?.latitude;
-  const lng = dest.longitude ?? dest.location?.longitude;
-  if (typeof lat !== "number" || typeof lng !== "number") return null;
-  return [lat, lng];
-}
-
 /** @returns {[number, number]|null} lat, lng for selected destination */
 function getParkingDestinationLatLng() {
   const sel = document.getElementById("parkingDestinationSelect");
@@ -1483,7 +1578,7 @@ function buildParkingFilterBar() {
   const parking = appData?.parking;
   const enabled = new Set(getEnabledParkingKeys());
   bar.innerHTML = "";
-  for (const categoryId of PARKING_MAP_ITEM_KEYS) {
+  for (const categoryId of parkingMapItemKeys()) {
     const dataKey = parkingCategoryDataKey(categoryId);
     const rawLabel = parking?.categoryNames?.[dataKey] || categoryId;
     const label = String(rawLabel)
@@ -1515,999 +1610,167 @@ function buildParkingFilterBar() {
 }
 
 /**
+ * Headless plan for the current hash, sliders, arrival inputs, and venue `<select>` — see `parking-recommendation.mjs`.
  * @param {number | undefined} eveningSliderValue — 0–50 in $5 steps from UI; 50 = no cap. Omit to use `pay` from the hash.
  * @param {number | undefined} walkSliderIndex — internal **0** = no distance; omit to use `walk` from the hash.
- * @returns {Array<{ lat: number, lng: number, name: string, address: string, categoryKey: string, categoryName: string, owner?: string, price: string, costHourlyHint: boolean, totalSpaces: number | null, spotId: string }>}
+ */
+function currentParkingPlan(eveningSliderValue, walkSliderIndex) {
+  const { arrive, stayHours } = resolvedParkingVisitTime();
+  const visit = visitWindow(arrive, stayHours, cityTimeZone());
+  return createParkingPlan(appData, {
+    destinationSlug: getParkingDestinationSlugFromSelect(),
+    walkCapMiles: resolvedParkingWalkCapMiles(walkSliderIndex),
+    budgetCap: resolvedParkingEveningBudgetCap(eveningSliderValue),
+    arriveAt: visit?.arriveAt ?? null,
+    leaveAt: visit?.leaveAt ?? null,
+    stayHours,
+    eventType: resolvedParkingEventType(),
+  });
+}
+
+/**
+ * Pins passing the current filters ({@link parkingSpotCandidates} for {@link currentParkingPlan}).
+ * @param {string[] | undefined} enabledKeys — filter toggles; omit to use `location=` from the hash.
+ * @param {number | undefined} eveningSliderValue
+ * @param {number | undefined} walkSliderIndex
  */
 function getAllParkingSpotMarkers(
   enabledKeys,
   eveningSliderValue,
   walkSliderIndex,
 ) {
-  const baseKeys = Array.isArray(enabledKeys)
-    ? enabledKeys
-    : getEnabledParkingKeys();
-  const keys = expandParkingVisitMarkerCategoryKeys(baseKeys);
-  const budgetCap = resolvedParkingEveningBudgetCap(
-    eveningSliderValue === undefined ? undefined : eveningSliderValue,
-  );
-  const resolvedWalkRaw = resolvedParkingWalkCapMiles(
-    walkSliderIndex === undefined ? undefined : walkSliderIndex,
+  return parkingSpotCandidates(
+    currentParkingPlan(eveningSliderValue, walkSliderIndex),
+    Array.isArray(enabledKeys) ? enabledKeys : getEnabledParkingKeys(),
   );
-  const walkCapMiles = effectiveWalkCapMilesForParkingPins(resolvedWalkRaw);
-  const destLl = getParkingDestinationLatLng();
-  const dashStops = getDashStopLatLngsForParkingProximity();
-  /**
-   * **`walk`** omitted from URL defaults to **0.8** mi — never **0** unless explicit **`walk=0`**.
-   * **`walk=0`** uses {@link PARKING_WALK_ZERO_EFFECTIVE_FEET} ft (~**0.019** mi) grid-walk for this filter only.
-   */
-  const applyWalkCap =
-    destLl != null &&
-    dashStops.length > 0 &&
-    Number.isFinite(walkCapMiles) &&
-    walkCapMiles > 0;
-
-  const out = [];
-  const parking = appData?.parking;
-  if (!parking) return out;
-  for (const categoryId of keys) {
-    const dataKey = parkingCategoryDataKey(categoryId);
-    const items = dataKey ? parkingItemsForVisitDataKey(dataKey) : [];
-    if (!items.length) continue;
-    const categoryName = singularizeParkingCategoryLabel(
-      parking.categoryNames?.[dataKey] || categoryId,
-    );
-    for (const item of items) {
-      const loc = item?.location;
-      const lat = loc?.latitude ?? item?.latitude;
-      const lng = loc?.longitude ?? item?.longitude;
-      if (typeof lat !== "number" || typeof lng !== "number") continue;
-      if (!isParkingWithinDashStopRadius(lat, lng, dashStops)) continue;
-      if (!parkingSpotPassesEveningBudget(item.pricing, categoryId, budgetCap))
-        continue;
-      if (applyWalkCap) {
-        if (Number.isFinite(resolvedWalkRaw) && resolvedWalkRaw > 0) {
-          if (
-            !parkingSpotEveryDisplayedWalkLegWithinResolvedCap(
-              lat,
-              lng,
-              destLl[0],
-              destLl[1],
-              resolvedWalkRaw,
-            )
-          ) {
-            continue;
-          }
-        } else {
-          const walkToStopMi = nearestDashStopWalkMiles(lat, lng, dashStops);
-          if (
-            !Number.isFinite(walkToStopMi) ||
-            walkToStopMi > walkCapMiles + 1e-9
-          ) {
-            continue;
-          }
-        }
-      }
-      const cost = getParkingMapCostDisplay(item.pricing, categoryId);
-      const ceil = parkingSpotEveningPriceCeilingOrAbsent(
-        item.pricing,
-        categoryId,
-      );
-      let eveningSortDollars = Number.POSITIVE_INFINITY;
-      if (typeof ceil === "number") eveningSortDollars = ceil;
-
-      const ownerRaw = item?.owner ?? item?.manager;
-      const owner =
-        typeof ownerRaw === "string" && ownerRaw.trim() !== ""
-          ? ownerRaw.trim()
-          : "";
-
-      out.push({
-        lat,
-        lng,
-        name: item.name || "—",
-        address:
-          typeof item.address === "string" && item.address.trim() !== ""
-            ? item.address.trim()
-            : "",
-        categoryKey: categoryId,
-        categoryName,
-        owner,
-        price: cost.text,
-        costHourlyHint: cost.costHourlyHint,
-        priceSupplement:
-          typeof cost.costSupplement === "string"
-            ? cost.costSupplement.trim()
-            : "",
-        priceSupplementHint: cost.costSupplementHint === true,
-        eveningSortDollars,
-        totalSpaces: parseTotalSpacesFromAvailability(item.availability),
-        spotId: encodeParkingSpotId(categoryId, lat, lng),
-      });
-    }
-  }
-  return out;
 }
 
-/**
- * Total walk miles the user is expected to put on their feet for this pin — sum of **walk1**
- * (park → board stop) **and walk2** (alight stop → venue) when the trip uses DASH, otherwise the
- * door-to-door grid walk from park to venue. Matches what the route panel + map walk overlay draw
- * for the pin (see {@link tryParkingDashMultimodalPath}: it returns **`null`** when the direct
- * walk already fits the cap, in which case a single direct-walk leg is drawn).
- *
- * Result is cached on the marker via **`_estimatedTotalWalkMilesCached`** because the multimodal
- * path call is comparatively expensive (ring geometry / nearest-stop search) and the sort
- * comparators invoke this per pair.
- *
- * Returns **`null`** when no destination is selected (no trip exists to measure).
- *
- * @param {{ lat: number; lng: number, _estimatedTotalWalkMilesCached?: number | null }} m
- * @returns {number | null}
- */
-function parkingMarkerEstimatedTotalWalkMiles(m) {
-  if (!m) return null;
-  if (m._estimatedTotalWalkMilesCached !== undefined) {
-    return m._estimatedTotalWalkMilesCached;
-  }
-  const destLl = getParkingDestinationLatLng();
-  if (!Array.isArray(destLl) || destLl.length < 2) {
-    m._estimatedTotalWalkMilesCached = null;
-    return null;
-  }
-  const dLat = destLl[0];
-  const dLng = destLl[1];
-  const walkCap = resolvedParkingWalkCapMiles();
-  const mm = tryParkingDashMultimodalPath(m.lat, m.lng, dLat, dLng, walkCap);
-  /** **`mm`** is non-null only when DASH multimodal is the drawn path (direct walk exceeds the
-   *  cap but both DASH walk legs fit) — see {@link tryParkingDashMultimodalPath}. Otherwise the
-   *  pin draws a single direct-walk leg, so total walk = grid-walk distance to venue. */
-  const v = mm
-    ? mm.walk1Mi + mm.walk2Mi
-    : gridWalkMiles(m.lat, m.lng, dLat, dLng);
-  m._estimatedTotalWalkMilesCached = v;
-  return v;
+/** @param {Set<string>|string[]|undefined} enabledKeysOverride */
+function parkingSpotMarkersForKeysOverride(enabledKeysOverride) {
+  return enabledKeysOverride instanceof Set
+    ? getAllParkingSpotMarkers([...enabledKeysOverride])
+    : getAllParkingSpotMarkers(enabledKeysOverride);
 }
 
 /**
- * Highest dollar amount appearing in the **displayed popup** price text — what the user perceives
- * as "more expensive" when comparing pins side by side. Many GR public garages list
- * `evening: "$51"` (a posted overnight max) but show `events: "$8–9"` in the popup; this returns
- * **9** for them so the **expensive** suggestion role lines up with the visible price instead of
- * the hidden evening-cap ceiling. **`null`** when the line has no parseable dollars (placeholder
- * **`—`** / **`Not listed`**); **`Free`** maps to **0**.
+ * Best parking pin for auto **`start`** ({@link chooseBestParkingSpotId}).
  *
- * @param {{ price?: string } | undefined | null} marker — row from {@link getAllParkingSpotMarkers}.
- * @returns {number | null}
+ * @param {Set<string>|string[]|undefined} enabledKeysOverride — when provided (e.g. category toggle **before** hash updates), use this instead of **`location=`** from the URL.
  */
-function parkingMarkerDisplayedPriceCeiling(marker) {
-  if (!marker) return null;
-  const text = typeof marker.price === "string" ? marker.price.trim() : "";
-  if (!text) return null;
-  const lower = text.toLowerCase();
-  if (lower === "free") return 0;
-  if (text === "—" || lower === "not listed") return null;
-  const nums = parseDollarAmountsFromPriceText(text);
-  if (nums.length === 0) return null;
-  return Math.max(...nums);
+function chooseBestParkingStartSpotId(enabledKeysOverride) {
+  return chooseBestParkingSpotId(
+    currentParkingPlan(),
+    parkingSpotMarkersForKeysOverride(enabledKeysOverride),
+  );
 }
 
 /**
- * Higher score = prefer for auto-recommendation — **most expensive** inferred evening/event dollars
- * the user’s **pay** cap still allows (product assumption: pricier spots are typically less crowded at
- * events). Unknown / ambiguous tiers rank below known dollar amounts.
+ * Role-tagged muted-green suggestion pins ({@link chooseTopParkingSpotIds}).
  *
- * @param {number} eveningSortDollars — from {@link getAllParkingSpotMarkers} rows
+ * @param {Set<string>|string[]|undefined} enabledKeysOverride — same override semantics as {@link chooseBestParkingStartSpotId}.
+ * @returns {Array<{ spotId: string, role: "best" | "farthest" | "expensive" }>}
  */
-function eveningPricePickScoreForRecommendation(eveningSortDollars) {
-  if (eveningSortDollars === Number.POSITIVE_INFINITY) return -1e9;
-  if (!Number.isFinite(eveningSortDollars)) return -1e9;
-  if (eveningSortDollars === PARKING_EVENING_PRICE_AMBIGUOUS_PROSE) return -1e6;
-  return eveningSortDollars;
-}
-
-/** Parseable dollar ceiling on the marker (including **$0** free); excludes unknown and ambiguous prose. */
-function parkingMarkerHasKnownEveningDollars(eveningSortDollars) {
-  if (eveningSortDollars === Number.POSITIVE_INFINITY) return false;
-  if (eveningSortDollars === PARKING_EVENING_PRICE_AMBIGUOUS_PROSE)
-    return false;
-  return Number.isFinite(eveningSortDollars);
+function chooseTopParkingStartSpotIds(enabledKeysOverride) {
+  return chooseTopParkingSpotIds(
+    currentParkingPlan(),
+    parkingSpotMarkersForKeysOverride(enabledKeysOverride),
+  );
 }
 
-/** Paid (~$) > free ($0 known) > unknown/ambiguous — used when tie-breaking after distance. */
-function parkingMarkerPaidTierRank(eveningSortDollars) {
-  if (!parkingMarkerHasKnownEveningDollars(eveningSortDollars)) return 0;
-  if (eveningSortDollars > 0) return 2;
-  return 1;
+if (typeof globalThis !== "undefined") {
+  globalThis.__chooseBestParkingStartSpotIdForTest =
+    chooseBestParkingStartSpotId;
+  globalThis.__chooseTopParkingStartSpotIdsForTest =
+    chooseTopParkingStartSpotIds;
+  globalThis.__parkingMarkerDisplayedPriceCeilingForTest =
+    parkingMarkerDisplayedPriceCeiling;
+  globalThis.__parkingMarkerEstimatedTotalWalkMilesForTest = (m) =>
+    parkingMarkerEstimatedTotalWalkMiles(currentParkingPlan(), m);
+  globalThis.__getAllParkingSpotMarkersForTest = getAllParkingSpotMarkers;
+  globalThis.__parseParkingSpotIdForTest = parseParkingSpotIdToken;
+  globalThis.__compareParkingMarkersForRecommendationForTest = (a, b) =>
+    compareParkingMarkersForRecommendation(currentParkingPlan(), a, b);
+  globalThis.__filterParkingMarkersForRecommendationForTest =
+    filterParkingMarkersForRecommendation;
+  globalThis.__buildParkingRecommendationMarkerPoolForTest = (markers) =>
+    buildParkingRecommendationMarkerPool(currentParkingPlan(), markers);
+  globalThis.__filterParkingMarkersForBestRecommendationMinSpacesForTest =
+    filterParkingMarkersForBestRecommendationMinSpaces;
+  globalThis.__PARKING_BEST_RECOMMENDATION_MIN_SPACES_FOR_TEST =
+    PARKING_BEST_RECOMMENDATION_MIN_SPACES;
+  globalThis.__filterParkingMarkersExcludeFreeWhenPaidExistsForTest = (
+    markers,
+  ) =>
+    filterParkingMarkersExcludeFreeWhenPaidExists(
+      currentParkingPlan(),
+      markers,
+    );
+  globalThis.__getParkingEffectiveStartSpotIdForTest =
+    getParkingEffectiveStartSpotId;
+  globalThis.__parkingTripStepNumbersHashReadyForTest =
+    parkingTripStepNumbersHashReady;
+  globalThis.__markerUsesDashMultimodalForRecommendationForTest = (m) =>
+    markerUsesDashMultimodalForRecommendation(currentParkingPlan(), m);
+  globalThis.__parkingInstructionDriveEstimateMetricsForTest =
+    parkingInstructionDriveEstimateMetrics;
+  globalThis.__setParkingUserLocationForTest = (lat, lng, included = true) => {
+    if (lat == null || lng == null) {
+      parkingUserLocation = null;
+      parkingUserLocationIncluded = false;
+      return;
+    }
+    parkingUserLocation = { lat: Number(lat), lng: Number(lng) };
+    parkingUserLocationIncluded = included !== false;
+  };
+  globalThis.__setParkingUserLocationIncludedForTest = (included) => {
+    parkingUserLocationIncluded = included === true;
+  };
+  globalThis.__syncParkingRouteInstructionsPanelForTest =
+    syncParkingRouteInstructionsPanel;
 }
 
 /**
- * Auto-recommendation pool: keep only markers with parseable known dollars (including `$0`).
- * {@link buildParkingRecommendationMarkerPool} uses this first, then falls back to all eligible
- * markers when every visible pin is unknown / ambiguous-priced.
- *
- * @param {Array<{ eveningSortDollars: number }>} markers
+ * DASH pattern for the selected venue (`event` / `regular` / `all`; see `dash-shuttle.mjs`).
+ * @returns {"event" | "regular" | "all"}
  */
-function filterParkingMarkersForRecommendation(markers) {
-  if (!Array.isArray(markers) || markers.length === 0) return [];
-  return markers.filter((m) =>
-    parkingMarkerHasKnownEveningDollars(m.eveningSortDollars),
-  );
+function getParkingEffectiveDashDataKey() {
+  return parkingDashDataKey(appData, getParkingDestinationSlugFromSelect());
 }
 
 /**
- * Markers eligible for the muted green auto-pick: prefer known-dollar ceilings (including **$0**
- * free); if none, use unknown / ambiguous so private-only filters still get a suggestion.
- * {@link filterParkingMarkersExcludeFreeWhenPaidExists} drops known-free pins when **some other**
- * eligible pin has a paid ceiling so ranking prefers farther paid lots (e.g. Acrisure default); when
- * every qualifying pin is free (tight **`pay`**), free pins stay in the pool (e.g. GLC + **`pay=5`**).
- *
- * @param {Array<{ eveningSortDollars: number }>} markers — already pay / walk / category filtered
+ * DASH polylines + stops for the selected venue's pattern, memoized per loaded `appData`.
+ * Bare URL → `#/visit` runs before `loadData()`; `hashchange` may call this with `appData` still null.
  */
-function buildParkingRecommendationMarkerPool(markers) {
-  if (!Array.isArray(markers) || markers.length === 0) return [];
-  let pool = filterParkingMarkersForRecommendation(markers);
-  pool = filterParkingMarkersExcludeFreeWhenPaidExists(pool);
-  if (pool.length > 0) return pool;
-  return filterParkingMarkersExcludeFreeWhenPaidExists(markers);
+function getParkingDashMapData() {
+  return getParkingDashMapDataForKey(appData, getParkingEffectiveDashDataKey());
 }
 
-/** Minimum {@link parseTotalSpacesFromAvailability} count for the **best** (star) auto-pick only. */
-const PARKING_BEST_RECOMMENDATION_MIN_SPACES = 120;
-
 /**
- * **Best**-role pool: markers with known capacity at least {@link PARKING_BEST_RECOMMENDATION_MIN_SPACES}.
- * Pins without parseable spaces are excluded from the star pick.
- *
- * @param {Array<{ totalSpaces: number | null }>} markers
+ * DASH stop + polyline vertices for map bounds (same geometry as the base route layer).
+ * @returns {Array<[number, number]>}
  */
-function filterParkingMarkersForBestRecommendationMinSpaces(markers) {
-  if (!Array.isArray(markers) || markers.length === 0) return [];
-  return markers.filter(
-    (m) =>
-      typeof m.totalSpaces === "number" &&
-      Number.isFinite(m.totalSpaces) &&
-      m.totalSpaces >= PARKING_BEST_RECOMMENDATION_MIN_SPACES,
-  );
+function getParkingDashLatLngsForMapBounds() {
+  const { points, polylines } = getParkingDashMapData();
+  const ll = [];
+  for (const p of points) ll.push([p.lat, p.lng]);
+  for (const pl of polylines) {
+    for (const pair of pl.latLngs || []) {
+      if (Array.isArray(pair) && pair.length >= 2) ll.push([pair[0], pair[1]]);
+    }
+  }
+  return ll;
 }
 
 /**
- * When the user is willing to pay and **any** eligible marker has a known paid (**> $0**) ceiling,
- * exclude known-free **`$0`** markers so auto-pick matches farther paid lots. If only free pins fit the
- * **`pay`** cap, keep them so low-budget links still get a suggestion.
- *
- * @param {Array<{ eveningSortDollars: number }>} markers
+ * Spatial index over the DASH stops used for parking proximity (same points as the map layer);
+ * built once per memoized stop set, so overlay syncs and slider drags only query it.
+ * @returns {import("../shared/spatial-index.mjs").SpatialIndex}
  */
-function filterParkingMarkersExcludeFreeWhenPaidExists(markers) {
-  if (!Array.isArray(markers) || markers.length === 0) return markers;
-  const cap = resolvedParkingEveningBudgetCap();
-  const userWillingToPay = cap == null || cap > 0;
-  if (!userWillingToPay) return markers;
-
-  const hasPaidPin = markers.some(
-    (m) =>
-      typeof m.eveningSortDollars === "number" &&
-      Number.isFinite(m.eveningSortDollars) &&
-      m.eveningSortDollars > 0,
-  );
-  if (!hasPaidPin) return markers;
-
-  return markers.filter(
-    (m) =>
-      !(
-        typeof m.eveningSortDollars === "number" &&
-        Number.isFinite(m.eveningSortDollars) &&
-        m.eveningSortDollars === 0
-      ),
-  );
+function getDashStopIndexForParkingProximity() {
+  return getParkingDashMapData().stopIndex;
 }
 
-/**
- * Whether this spot’s DASH multimodal trip is **faster** than walking door-to-door (same
- * {@link compareParkingWalkVersusDashMinutes} rule as **`useDashOverlay`** on the path object).
- * Used for recommendation sort only — pins can still list when DASH is slower but both walk legs fit.
- *
- * @param {{ lat: number; lng: number }} m
- * @param {[number, number]|null} destLl
- * @param {number} walkCapMiles — {@link resolvedParkingWalkCapMiles}
- */
-function markerUsesDashMultimodalForRecommendation(m, destLl, walkCapMiles) {
-  if (m._usesDashMultimodalCached !== undefined)
-    return m._usesDashMultimodalCached;
-  let v = false;
-  if (
-    Array.isArray(destLl) &&
-    destLl.length >= 2 &&
-    typeof walkCapMiles === "number" &&
-    Number.isFinite(walkCapMiles) &&
-    walkCapMiles > 0
-  ) {
-    const mm = tryParkingDashMultimodalPath(
-      m.lat,
-      m.lng,
-      destLl[0],
-      destLl[1],
-      walkCapMiles,
-    );
-    v = mm != null && mm.useDashOverlay === true;
-  }
-  m._usesDashMultimodalCached = v;
-  return v;
-}
-
-function markerUsesDashMultimodalForRecommendationFromPool(m) {
-  const destLl = getParkingDestinationLatLng();
-  const walkCap = resolvedParkingWalkCapMiles();
-  return markerUsesDashMultimodalForRecommendation(m, destLl, walkCap);
-}
-
-/**
- * Lower = preferred when sorting **public** (city) drive parking before **private** (OSM) — garages and
- * lots share the same tier so distance / DASH / price rules still pick among public options.
- */
-function parkingCategoryRecommendationBiasRank(categoryKey) {
-  const k = typeof categoryKey === "string" ? categoryKey : "";
-  if (k === "public-garage" || k === "public-lot") return 0;
-  if (
-    k === "private-garage" ||
-    k === "private-lot" ||
-    k === "ellis-garage" ||
-    k === "ellis-lot"
-  )
-    return 1;
-  return 2;
-}
-
-/** Stable fine ordering on full ties after public-vs-private split (garage before lot within each side). */
-function parkingGarageLotFineRankForTie(categoryKey) {
-  const k = typeof categoryKey === "string" ? categoryKey : "";
-  if (k === "public-garage") return 0;
-  if (k === "public-lot") return 1;
-  if (k === "private-garage") return 2;
-  if (k === "private-lot") return 3;
-  if (k === "ellis-garage") return 4;
-  if (k === "ellis-lot") return 5;
-  return 6;
-}
-
-/**
- * Final tie-break for {@link compareParkingMarkersForRecommendation}: **public-garage** → **public-lot** →
- * **private-garage** → **private-lot** → **ellis-garage** → **ellis-lot**, then **`spotId`** (only reached when higher-order keys tie).
- * @returns {number}
- */
-function compareParkingMarkersCategoryPreference(a, b) {
-  const ra = parkingGarageLotFineRankForTie(a?.categoryKey);
-  const rb = parkingGarageLotFineRankForTie(b?.categoryKey);
-  if (ra !== rb) return ra - rb;
-  return String(a.spotId).localeCompare(String(b.spotId));
-}
-
-/**
- * Sort key for auto-recommended parking follows **`AGENTS.md`**:
- *
- * - **Short** max walk (≤ **0.5** mi): prefer spots whose estimated trip **uses DASH** (multimodal overlay)
- *   over door-to-door walks to the venue when both are eligible; among multimodal picks use **farther**
- *   grid-walk miles from the venue first (same tie order as generous walk). Door-to-door-only picks
- *   stay **closest** to the venue first, then evening dollars, then longest walk to DASH.
- * - **Generous** max walk (&gt; **0.5** mi): **farther** grid-walk miles from the venue first (paid lots away from
- *   the entrance), **then** longest walk to nearest DASH among ties (use approach distance), then paid-tier rank,
- *   then dollars (still paid / within walk-to-stop cap).
- * - **Category** (primary): all **public** (`public-garage` / `public-lot`) before **private** OSM and **Ellis**
- *   pins (`private-garage` / `private-lot` / `ellis-garage` / `ellis-lot`), then distance / DASH / price keys within each tier.
- *
- * Eligibility (pay + walk + category toggles) is already applied by {@link getAllParkingSpotMarkers}.
- *
- * @returns {number}
- */
-function compareParkingMarkersForRecommendation(a, b) {
-  const destLl = getParkingDestinationLatLng();
-  if (!destLl) {
-    return compareParkingMarkersCategoryPreference(a, b);
-  }
-
-  const da = gridWalkMiles(a.lat, a.lng, destLl[0], destLl[1]);
-  const db = gridWalkMiles(b.lat, b.lng, destLl[0], destLl[1]);
-
-  const catA = parkingCategoryRecommendationBiasRank(a.categoryKey);
-  const catB = parkingCategoryRecommendationBiasRank(b.categoryKey);
-  if (catA !== catB) return catA - catB;
-
-  const walkCap = resolvedParkingWalkCapMiles();
-  const shortWalk =
-    Number.isFinite(walkCap) && walkCap > 0 && walkCap <= 0.5 + 1e-9;
-
-  const dashStops = getDashStopLatLngsForParkingProximity();
-  const scoreA = eveningPricePickScoreForRecommendation(a.eveningSortDollars);
-  const scoreB = eveningPricePickScoreForRecommendation(b.eveningSortDollars);
-
-  if (shortWalk) {
-    const usesA = markerUsesDashMultimodalForRecommendation(a, destLl, walkCap);
-    const usesB = markerUsesDashMultimodalForRecommendation(b, destLl, walkCap);
-    if (usesA !== usesB) return usesA ? -1 : 1;
-
-    const wda = nearestDashStopWalkMiles(a.lat, a.lng, dashStops);
-    const wdb = nearestDashStopWalkMiles(b.lat, b.lng, dashStops);
-
-    if (usesA && usesB) {
-      if (Math.abs(da - db) > 1e-9) return db - da;
-      if (dashStops.length === 0) {
-        if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
-        return compareParkingMarkersCategoryPreference(a, b);
-      }
-      if (Math.abs(wda - wdb) > 1e-9) return wdb - wda;
-      const rankA = parkingMarkerPaidTierRank(a.eveningSortDollars);
-      const rankB = parkingMarkerPaidTierRank(b.eveningSortDollars);
-      if (rankA !== rankB) return rankB - rankA;
-      if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
-      return compareParkingMarkersCategoryPreference(a, b);
-    }
-
-    if (Math.abs(da - db) > 1e-9) return da - db;
-    if (dashStops.length === 0) {
-      if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
-      return compareParkingMarkersCategoryPreference(a, b);
-    }
-    if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
-    if (Math.abs(wda - wdb) > 1e-9) return wdb - wda;
-    return compareParkingMarkersCategoryPreference(a, b);
-  }
-
-  if (dashStops.length === 0) {
-    if (Math.abs(da - db) > 1e-9) return da - db;
-    if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
-    return compareParkingMarkersCategoryPreference(a, b);
-  }
-
-  const wda = nearestDashStopWalkMiles(a.lat, a.lng, dashStops);
-  const wdb = nearestDashStopWalkMiles(b.lat, b.lng, dashStops);
-
-  if (Math.abs(da - db) > 1e-9) return db - da;
-  if (Math.abs(wda - wdb) > 1e-9) return wdb - wda;
-  const rankA = parkingMarkerPaidTierRank(a.eveningSortDollars);
-  const rankB = parkingMarkerPaidTierRank(b.eveningSortDollars);
-  if (rankA !== rankB) return rankB - rankA;
-  if (Math.abs(scoreA - scoreB) > 1e-9) return scoreB - scoreA;
-  return compareParkingMarkersCategoryPreference(a, b);
-}
-
-/**
- * Best parking pin for auto **`start`** — {@link buildParkingRecommendationMarkerPool}, then
- * {@link filterParkingMarkersForBestRecommendationMinSpaces}, then
- * {@link compareParkingMarkersForRecommendation}.
- *
- * @param {Set<string>|string[]|undefined} enabledKeysOverride — when provided (e.g. category toggle **before** hash updates), use this instead of **`location=`** from the URL.
- */
-function chooseBestParkingStartSpotId(enabledKeysOverride) {
-  let markers =
-    enabledKeysOverride instanceof Set
-      ? getAllParkingSpotMarkers([...enabledKeysOverride])
-      : Array.isArray(enabledKeysOverride)
-        ? getAllParkingSpotMarkers(enabledKeysOverride)
-        : getAllParkingSpotMarkers();
-  const pool = buildParkingRecommendationMarkerPool(markers);
-  const bestPool = filterParkingMarkersForBestRecommendationMinSpaces(pool);
-  if (bestPool.length === 0) return undefined;
-  const sorted = [...bestPool].sort(compareParkingMarkersForRecommendation);
-  return sorted[0].spotId;
-}
-
-/**
- * Roles a single muted-green suggestion pin can carry. Each pin shows the glyph for the
- * **highest-priority** role it matches: a **star** for the {@link compareParkingMarkersForRecommendation}
- * best pick, a **person walking** for the farthest pin within walk + cost filters, and a **dollar
- * sign** for the most expensive within those same filters.
- *
- * Priority order on dedup: **best** > **farthest** > **expensive**.
- * @typedef {"best" | "farthest" | "expensive"} ParkingRecommendationRole
- */
-
-/**
- * Maximum number of muted-green suggestion pins shown when **`park=`** is omitted (one per
- * {@link ParkingRecommendationRole}). Duplicates collapse so the visible count is between **0** and **3**.
- */
-const PARKING_RECOMMENDATION_PIN_LIMIT = 3;
-
-/**
- * Up to {@link PARKING_RECOMMENDATION_PIN_LIMIT} role-tagged candidates for muted-green suggestion
- * pins. Each candidate already passes the **`pay`** / **`walk`** / category filters from
- * {@link getAllParkingSpotMarkers}, so "within costs" and "within walking preferences" follow the
- * current sliders.
- *
- * - **best** — {@link compareParkingMarkersForRecommendation} winner (also drives walk-line + route panel).
- * - **farthest** — top of a "max **total walk miles**" sort across the rest of the pool, where
- *   total walk = **walk-to-DASH-stop + walk-from-alight-to-venue** for multimodal trips and the
- *   door-to-door grid walk otherwise (see {@link parkingMarkerEstimatedTotalWalkMiles}). This
- *   matches the actual feet-on-the-ground distance the user would log for the trip the map draws,
- *   so DASH-using pins (typically up to **walkCap × 2** miles total) outrank pure direct-walk
- *   pins (capped at **walkCap**). When **best** already covers the pool's max total walk, this
- *   role falls through to the next-highest pin instead of collapsing — so e.g. GLC Live still
- *   gets a walking-person pin even though its best pick is also the most-walking pin in the pool.
- * - **expensive** — top of a "max popup-displayed dollars" sort across the rest of the pool
- *   (premium spot the user is still willing to pay for); same fall-through semantics so this role
- *   prefers a distinct pin from **best** + **farthest** whenever the pool has one.
- *
- * Each role only goes empty when the eligible pool has no pin left for it (e.g. only one
- * candidate left after **best**), so the returned array length stays between **0** and **3**.
- *
- * @param {Set<string>|string[]|undefined} enabledKeysOverride — same override semantics as {@link chooseBestParkingStartSpotId}.
- * @returns {Array<{ spotId: string, role: ParkingRecommendationRole }>}
- */
-function chooseTopParkingStartSpotIds(enabledKeysOverride) {
-  const markers =
-    enabledKeysOverride instanceof Set
-      ? getAllParkingSpotMarkers([...enabledKeysOverride])
-      : Array.isArray(enabledKeysOverride)
-        ? getAllParkingSpotMarkers(enabledKeysOverride)
-        : getAllParkingSpotMarkers();
-  const pool = buildParkingRecommendationMarkerPool(markers);
-  if (pool.length === 0) return [];
-
-  const destLl = getParkingDestinationLatLng();
-  /** @type {Array<{ spotId: string, role: ParkingRecommendationRole }>} */
-  const picks = [];
-  const takenIds = new Set();
-  const pickRole = (sortedRows, role) => {
-    if (picks.length >= PARKING_RECOMMENDATION_PIN_LIMIT) return;
-    for (const row of sortedRows) {
-      if (!row || typeof row.spotId !== "string") continue;
-      if (takenIds.has(row.spotId)) continue;
-      picks.push({ spotId: row.spotId, role });
-      takenIds.add(row.spotId);
-      return;
-    }
-  };
-
-  const bestPool = filterParkingMarkersForBestRecommendationMinSpaces(pool);
-  if (bestPool.length > 0) {
-    pickRole(
-      [...bestPool].sort(compareParkingMarkersForRecommendation),
-      "best",
-    );
-  }
-
-  if (Array.isArray(destLl) && destLl.length >= 2) {
-    /** Use estimated **total walk miles** (walk-to-DASH-stop + walk-from-alight) so the
-     *  walking-person glyph reflects the actual foot-miles the trip the map draws will log —
-     *  not just the door-to-door grid walk that ignores DASH. */
-    const farthestSorted = [...pool].sort((a, b) => {
-      const da = parkingMarkerEstimatedTotalWalkMiles(a) ?? 0;
-      const db = parkingMarkerEstimatedTotalWalkMiles(b) ?? 0;
-      if (Math.abs(da - db) > 1e-9) return db - da;
-      return compareParkingMarkersCategoryPreference(a, b);
-    });
-    pickRole(farthestSorted, "farthest");
-  }
-
-  /**
-   * Use {@link parkingMarkerDisplayedPriceCeiling} (popup-displayed price) instead of the
-   * **`eveningSortDollars`** ceiling so the **`$`** pin matches the price the user sees: GR
-   * public spots often list **`evening: "$51"`** (overnight max) but display **`events: "$8–9"`**,
-   * and the user judges expensiveness by what's in the popup.
-   */
-  const expensiveSorted = [...pool].sort((a, b) => {
-    const ca = parkingMarkerDisplayedPriceCeiling(a);
-    const cb = parkingMarkerDisplayedPriceCeiling(b);
-    const sa = ca == null ? -Infinity : ca;
-    const sb = cb == null ? -Infinity : cb;
-    if (Math.abs(sa - sb) > 1e-9) return sb - sa;
-    /** Same-dollar tie: prefer the farther one so this role rarely sits on the same pin as **best**. */
-    if (Array.isArray(destLl) && destLl.length >= 2) {
-      const da = gridWalkMiles(a.lat, a.lng, destLl[0], destLl[1]);
-      const db = gridWalkMiles(b.lat, b.lng, destLl[0], destLl[1]);
-      if (Math.abs(da - db) > 1e-9) return db - da;
-    }
-    return compareParkingMarkersCategoryPreference(a, b);
-  });
-  pickRole(expensiveSorted, "expensive");
-
-  return picks;
-}
-
-if (typeof globalThis !== "undefined") {
-  globalThis.__chooseBestParkingStartSpotIdForTest =
-    chooseBestParkingStartSpotId;
-  globalThis.__chooseTopParkingStartSpotIdsForTest =
-    chooseTopParkingStartSpotIds;
-  globalThis.__parkingMarkerDisplayedPriceCeilingForTest =
-    parkingMarkerDisplayedPriceCeiling;
-  globalThis.__parkingMarkerEstimatedTotalWalkMilesForTest =
-    parkingMarkerEstimatedTotalWalkMiles;
-  globalThis.__getAllParkingSpotMarkersForTest = getAllParkingSpotMarkers;
-  globalThis.__compareParkingMarkersForRecommendationForTest =
-    compareParkingMarkersForRecommendation;
-  globalThis.__filterParkingMarkersForRecommendationForTest =
-    filterParkingMarkersForRecommendation;
-  globalThis.__buildParkingRecommendationMarkerPoolForTest =
-    buildParkingRecommendationMarkerPool;
-  globalThis.__filterParkingMarkersForBestRecommendationMinSpacesForTest =
-    filterParkingMarkersForBestRecommendationMinSpaces;
-  globalThis.__PARKING_BEST_RECOMMENDATION_MIN_SPACES_FOR_TEST =
-    PARKING_BEST_RECOMMENDATION_MIN_SPACES;
-  globalThis.__filterParkingMarkersExcludeFreeWhenPaidExistsForTest =
-    filterParkingMarkersExcludeFreeWhenPaidExists;
-  globalThis.__getParkingEffectiveStartSpotIdForTest =
-    getParkingEffectiveStartSpotId;
-  globalThis.__parkingTripStepNumbersHashReadyForTest =
-    parkingTripStepNumbersHashReady;
-  globalThis.__markerUsesDashMultimodalForRecommendationForTest =
-    markerUsesDashMultimodalForRecommendationFromPool;
-  globalThis.__parkingInstructionDriveEstimateMetricsForTest =
-    parkingInstructionDriveEstimateMetrics;
-  globalThis.__setParkingUserLocationForTest = (lat, lng, included = true) => {
-    if (lat == null || lng == null) {
-      parkingUserLocation = null;
-      parkingUserLocationIncluded = false;
-      return;
-    }
-    parkingUserLocation = { lat: Number(lat), lng: Number(lng) };
-    parkingUserLocationIncluded = included !== false;
-  };
-  globalThis.__setParkingUserLocationIncludedForTest = (included) => {
-    parkingUserLocationIncluded = included === true;
-  };
-  globalThis.__syncParkingRouteInstructionsPanelForTest =
-    syncParkingRouteInstructionsPanel;
-}
-
-/** Session memo — `appData.busRoutes` is static after load; key is `event` | `regular` | `all`. */
-let _parkingDashMapDataMemo = undefined;
-let _parkingDashMapDataMemoReady = false;
-let _parkingDashMapDataMemoKey = "";
-
-function parkingDestinationUsesDashEventRoute() {
-  const slug = getParkingDestinationSlugFromSelect();
-  if (!slug || !Array.isArray(appData?.destinations)) return false;
-  const d = appData.destinations.find((x) => x.slug === slug);
-  return Boolean(d?.useDashEventRoute);
-}
-
-/** True when GTFS-derived `dash_pattern` / `dash_patterns` exist on DASH (event vs regular split). */
-function parkingDashEventPatternAvailableInData() {
-  const dashList = Array.isArray(appData?.busRoutes?.dash_routes)
-    ? appData.busRoutes.dash_routes
-    : [];
-  for (const r of dashList) {
-    for (const sh of r.shapes || []) {
-      if (sh.dash_pattern === "event") return true;
-    }
-  }
-  return false;
-}
-
-/**
- * `event` — Acrisure (or any `useDashEventRoute`) + tagged feed.
- * `regular` — tagged feed but normal venue: regular loop only (no amphitheater detour on map / estimates).
- * `all` — legacy union when the feed has no event/regular tags.
- */
-function getParkingEffectiveDashDataKey() {
-  if (!parkingDashEventPatternAvailableInData()) return "all";
-  if (parkingDestinationUsesDashEventRoute()) return "event";
-  return "regular";
-}
-
-/**
- * DASH polylines + stops (same source as modes page shuttle map).
- * @returns {{ points: Array<{lat:number,lng:number,label:string,address:string}>, polylines: Array<{latLngs:number[][], color:string, weight?:number}> }}
- */
-function getParkingDashMapData() {
-  // Bare URL → `#/visit` runs before `loadData()`; `hashchange` may call this with `appData` still null.
-  if (!appData) {
-    return { points: [], polylines: [] };
-  }
-  const cacheKey = getParkingEffectiveDashDataKey();
-  if (_parkingDashMapDataMemoReady && _parkingDashMapDataMemoKey === cacheKey) {
-    return _parkingDashMapDataMemo;
-  }
-  _parkingDashMapDataMemoReady = true;
-  _parkingDashMapDataMemoKey = cacheKey;
-  const empty = { points: [], polylines: [] };
-  const bus = appData?.busRoutes;
-  const dashList = Array.isArray(bus?.dash_routes) ? bus.dash_routes : [];
-  const legacyList = Array.isArray(bus?.routes) ? bus.routes : [];
-  const routes = dashList.length > 0 ? dashList : legacyList;
-  if (routes.length === 0) {
-    _parkingDashMapDataMemo = empty;
-    return _parkingDashMapDataMemo;
-  }
-
-  const defaultLineColor = "#933145";
-  const colorForRoute = (hex, fallbackHex) => {
-    if (typeof hex === "string" && hex.trim() !== "") {
-      const h = hex.trim();
-      if (h.startsWith("#")) return h;
-      if (/^[0-9A-Fa-f]{6}$/.test(h)) return `#${h}`;
-    }
-    return fallbackHex;
-  };
-
-  const points = [];
-  const polylines = [];
-  const groupLabel = "DASH";
-
-  for (const r of routes) {
-    const lineLabel = [r.route_short_name, r.route_long_name]
-      .filter((x) => typeof x === "string" && x.trim() !== "")
-      .join(" · ");
-    const rlabel = [groupLabel, lineLabel]
-      .filter((x) => typeof x === "string" && x.trim() !== "")
-      .join(" · ");
-    const col = colorForRoute(r.route_color, defaultLineColor);
-    for (const sh of r.shapes || []) {
-      if (cacheKey === "event" && sh.dash_pattern !== "event") continue;
-      if (cacheKey === "regular" && sh.dash_pattern === "event") continue;
-      const coords = sh.coordinates || [];
-      const latLngs = [];
-      for (const c of coords) {
-        const la = c.latitude;
-        const lo = c.longitude;
-        if (typeof la === "number" && typeof lo === "number")
-          latLngs.push([la, lo]);
-      }
-      if (latLngs.length >= 2)
-        polylines.push({ latLngs, color: col, weight: 4 });
-    }
-    for (const s of r.stops || []) {
-      if (typeof s.latitude !== "number" || typeof s.longitude !== "number")
-        continue;
-      if (cacheKey === "event") {
-        const pats = s.dash_patterns;
-        if (!Array.isArray(pats) || !pats.includes("event")) continue;
-      } else if (cacheKey === "regular") {
-        const pats = s.dash_patterns;
-        if (
-          Array.isArray(pats) &&
-          pats.length > 0 &&
-          !pats.includes("regular")
-        ) {
-          continue;
-        }
-      }
-      if (
-        haversineMiles(
-          DATA_ROUTES_CITY_CENTER_LAT,
-          DATA_ROUTES_CITY_CENTER_LON,
-          s.latitude,
-          s.longitude,
-        ) > DATA_ROUTES_STOP_MAX_MILES_FROM_CENTER
-      )
-        continue;
-      points.push({
-        lat: s.latitude,
-        lng: s.longitude,
-        label: typeof s.name === "string" ? s.name : s.stop_id || "Stop",
-        address: rlabel,
-        color: col,
-      });
-    }
-  }
-  _parkingDashMapDataMemo = { points, polylines };
-  return _parkingDashMapDataMemo;
-}
-
-/**
- * DASH stop + polyline vertices for map bounds (same geometry as the base route layer).
- * @returns {Array<[number, number]>}
- */
-function getParkingDashLatLngsForMapBounds() {
-  const { points, polylines } = getParkingDashMapData();
-  const ll = [];
-  for (const p of points) ll.push([p.lat, p.lng]);
-  for (const pl of polylines) {
-    for (const pair of pl.latLngs || []) {
-      if (Array.isArray(pair) && pair.length >= 2) ll.push([pair[0], pair[1]]);
-    }
-  }
-  return ll;
-}
-
-/**
- * DASH stop coordinates used for parking proximity (same points as the map layer).
- * @returns {Array<{ lat: number, lng: number }>}
- */
-function getDashStopLatLngsForParkingProximity() {
-  return getParkingDashMapData().points.map((p) => ({
-    lat: p.lat,
-    lng: p.lng,
-  }));
-}
-
-/** Shortest grid-walk miles from a point to any DASH stop (walk slider vs chosen venue). */
-function nearestDashStopWalkMiles(lat, lng, dashStops) {
-  if (!Array.isArray(dashStops) || dashStops.length === 0)
-    return Number.POSITIVE_INFINITY;
-  let best = Infinity;
-  for (const s of dashStops) {
-    const d = gridWalkMiles(lat, lng, s.lat, s.lng);
-    if (d < best) best = d;
-  }
-  return best;
-}
-
-/** Session memo — loop geometry; invalidated when {@link getParkingEffectiveDashDataKey} changes. */
-let _parkingDashLoopRingGeometryMemo = undefined;
-let _parkingDashLoopRingGeometryMemoReady = false;
-let _parkingDashLoopRingGeometryMemoKey = "";
-
-/**
- * Closed-loop vertices from the primary DASH shape (first route, first matching shape), dropping the duplicate closing point when GTFS closes the ring.
- * @returns {{ verts: Array<{ lat: number; lng: number }>; segMi: number[]; perimeterMi: number } | null}
- */
-function getParkingDashLoopRingGeometry() {
-  if (!appData) {
-    return null;
-  }
-  const cacheKey = getParkingEffectiveDashDataKey();
-  if (
-    _parkingDashLoopRingGeometryMemoReady &&
-    _parkingDashLoopRingGeometryMemoKey === cacheKey
-  ) {
-    return _parkingDashLoopRingGeometryMemo;
-  }
-  _parkingDashLoopRingGeometryMemoReady = true;
-  _parkingDashLoopRingGeometryMemoKey = cacheKey;
-
-  const bus = appData?.busRoutes;
-  const dashList = Array.isArray(bus?.dash_routes) ? bus.dash_routes : [];
-  const legacyList = Array.isArray(bus?.routes) ? bus.routes : [];
-  const routes = dashList.length > 0 ? dashList : legacyList;
-  const r = routes[0];
-  const shapes = Array.isArray(r?.shapes) ? r.shapes : [];
-  let coords = null;
-  if (cacheKey === "event") {
-    coords = shapes.find((sh) => sh.dash_pattern === "event")?.coordinates;
-  } else if (cacheKey === "regular") {
-    coords =
-      shapes.find((sh) => sh.dash_pattern === "regular")?.coordinates ??
-      shapes[0]?.coordinates;
-  } else {
-    coords = shapes[0]?.coordinates;
-  }
-  if (!Array.isArray(coords) || coords.length < 3) {
-    _parkingDashLoopRingGeometryMemo = null;
-    return _parkingDashLoopRingGeometryMemo;
-  }
-  const last = coords[coords.length - 1];
-  const first = coords[0];
-  const latOk =
-    typeof first?.latitude === "number" &&
-    typeof first?.longitude === "number" &&
-    typeof last?.latitude === "number" &&
-    typeof last?.longitude === "number";
-  const explicitClosed =
-    latOk &&
-    first.latitude === last.latitude &&
-    first.longitude === last.longitude;
-  const softClosed =
-    latOk &&
-    !explicitClosed &&
-    haversineMiles(
-      first.latitude,
-      first.longitude,
-      last.latitude,
-      last.longitude,
-    ) <= PARKING_DASH_SHAPE_CLOSURE_GAP_MI;
-  const ring =
-    explicitClosed || softClosed ? coords.slice(0, -1) : coords.slice();
-  const verts = [];
-  for (const c of ring) {
-    if (typeof c.latitude !== "number" || typeof c.longitude !== "number") {
-      _parkingDashLoopRingGeometryMemo = null;
-      return _parkingDashLoopRingGeometryMemo;
-    }
-    verts.push({ lat: c.latitude, lng: c.longitude });
-  }
-  if (verts.length < 3) {
-    _parkingDashLoopRingGeometryMemo = null;
-    return _parkingDashLoopRingGeometryMemo;
-  }
-  const n = verts.length;
-  const segMi = [];
-  let perimeterMi = 0;
-  for (let i = 0; i < n; i++) {
-    const j = (i + 1) % n;
-    const mi = haversineMiles(
-      verts[i].lat,
-      verts[i].lng,
-      verts[j].lat,
-      verts[j].lng,
-    );
-    segMi.push(mi);
-    perimeterMi += mi;
-  }
-  _parkingDashLoopRingGeometryMemo = { verts, segMi, perimeterMi };
-  return _parkingDashLoopRingGeometryMemo;
-}
-
-/** @param {Array<{ lat: number; lng: number }>} verts */
-function closestParkingDashRingVertexIndex(lat, lng, verts) {
-  let bi = 0;
-  let bd = Infinity;
-  for (let i = 0; i < verts.length; i++) {
-    const d = haversineMiles(lat, lng, verts[i].lat, verts[i].lng);
-    if (d < bd) {
-      bd = d;
-      bi = i;
-    }
-  }
-  return bi;
-}
-
-function dashRingForwardDistanceMi(iFrom, iTo, segMi, n) {
-  if (iFrom === iTo) return 0;
-  let d = 0;
-  let i = iFrom;
-  while (i !== iTo) {
-    d += segMi[i];
-    i = (i + 1) % n;
-  }
-  return d;
-}
-
-function buildDashRingForwardLatLngs(verts, iFrom, iTo) {
-  const n = verts.length;
-  const out = [];
-  let i = iFrom;
-  out.push([verts[i].lat, verts[i].lng]);
-  while (i !== iTo) {
-    i = (i + 1) % n;
-    out.push([verts[i].lat, verts[i].lng]);
-  }
-  return out;
-}
-
-/**
- * Shuttle segment along the DASH loop following **GTFS shape vertex order** (same direction as
- * `shapes.txt` / animated base route). Not the geometrically shorter arc — buses follow one-way
- * loop circulation; the shorter arc can trace the ring backward vs actual traffic.
- * @returns {{ latLngs: number[][]; shuttleMi: number }}
- */
-function dashShuttleAlongGtfsRing(geom, iBoard, iAlight) {
-  const { verts, segMi } = geom;
-  const n = verts.length;
-  const shuttleMi = dashRingForwardDistanceMi(iBoard, iAlight, segMi, n);
-  let latLngs = buildDashRingForwardLatLngs(verts, iBoard, iAlight);
-  if (latLngs.length < 2) latLngs = [latLngs[0], latLngs[0]];
-  return { latLngs, shuttleMi };
-}
-
-/**
- * @param {Array<{ lat: number; lng: number; label: string }>} dashPoints — `getParkingDashMapData().points`
- */
-function nearestParkingDashStopFromPoints(lat, lng, dashPoints) {
-  let best = null;
-  let bestD = Infinity;
-  for (const p of dashPoints) {
-    const d = gridWalkMiles(lat, lng, p.lat, p.lng);
-    if (d < bestD) {
-      bestD = d;
-      best = p;
-    }
-  }
-  if (!best) return null;
-  return {
-    lat: best.lat,
-    lng: best.lng,
-    label: typeof best.label === "string" ? best.label : "DASH stop",
-    walkMi: bestD,
-  };
-}
-
-/**
- * Geometry + pace for a park → DASH → venue trip when the user’s max walk is **not** enough for the
- * full door-to-door grid walk but **is** enough to reach a DASH stop (`w1` ≤ `walkCapMiles`).
- *
- * Returns **`null`** when DASH data/geometry is missing, when the approach walk exceeds the cap, or
- * when door-to-door already fits the cap (caller should show a single walk only).
- *
- * **`useDashOverlay`** is true when the linear time model says DASH is strictly faster than walking
- * door-to-door; callers may use that for ranking. The map and route panel still draw this multimodal
- * path whenever the object is non-null so listed pins match what is shown.
- *
- * The alight→venue leg uses the nearest stop to the destination and is **not** capped by
- * `walkCapMiles` for geometry (venues off the loop); pin filtering still requires both walk legs ≤ cap.
- *
- * @param {number} walkCapMiles — must be **> 0** (slider above minimum); **0** / invalid ⇒ no multimodal trip (cannot reach DASH without walking).
- */
+/** Park → DASH → venue trip for the selected venue's pattern and visit time ({@link tryDashMultimodalPathForKey}). */
 function tryParkingDashMultimodalPath(
   startLat,
   startLng,
@@ -2515,166 +1778,36 @@ function tryParkingDashMultimodalPath(
   destLng,
   walkCapMiles,
 ) {
-  if (
-    typeof walkCapMiles !== "number" ||
-    !Number.isFinite(walkCapMiles) ||
-    walkCapMiles <= 0
-  ) {
-    return null;
-  }
-
-  const dashPoints = getParkingDashMapData().points;
-  if (dashPoints.length === 0) return null;
-
-  const geom = getParkingDashLoopRingGeometry();
-  if (!geom) return null;
-
-  const board = nearestParkingDashStopFromPoints(
+  const { arrive, stayHours } = resolvedParkingVisitTime();
+  const timeZone = cityTimeZone();
+  return tryDashMultimodalPathForKey(
+    appData,
+    getParkingEffectiveDashDataKey(),
     startLat,
     startLng,
-    dashPoints,
-  );
-  const alight = nearestParkingDashStopFromPoints(destLat, destLng, dashPoints);
-  if (!board || !alight) return null;
-
-  const w1 = board.walkMi;
-  const w2 = gridWalkMiles(alight.lat, alight.lng, destLat, destLng);
-
-  const walkCapFinite =
-    typeof walkCapMiles === "number" &&
-    walkCapMiles > 0 &&
-    Number.isFinite(walkCapMiles);
-  /** Cap applies to approach to DASH only; see JSDoc — `w2` can exceed cap when the venue is far from stops. */
-  if (walkCapFinite && w1 > walkCapMiles) return null;
-
-  const directMi = gridWalkMiles(startLat, startLng, destLat, destLng);
-  /** Finite max-walk and grid-walk parking→venue distance already fits — prefer direct walk overlay only. */
-  if (walkCapFinite && directMi <= walkCapMiles + 1e-9) return null;
-
-  const pace = resolveParkingRoutePace(appData?.parkingRoutePace);
-
-  const iBoard = closestParkingDashRingVertexIndex(
-    board.lat,
-    board.lng,
-    geom.verts,
-  );
-  const iAlight = closestParkingDashRingVertexIndex(
-    alight.lat,
-    alight.lng,
-    geom.verts,
-  );
-  const { latLngs: shuttleLatLngs, shuttleMi } = dashShuttleAlongGtfsRing(
-    geom,
-    iBoard,
-    iAlight,
-  );
-
-  const { tDirectMin, tDashMin, useDashOverlay } =
-    compareParkingWalkVersusDashMinutes({
-      directMi,
-      w1,
-      w2,
-      shuttleMi,
-      walkMinutesPerMile: pace.walkMinutesPerMile,
-      dashMilesPerHour: pace.dashMilesPerHour,
-      dashBoardingWaitMinutes: pace.dashBoardingWaitMinutes,
-    });
-
-  const shuttleRideMinutes = Math.max(
-    1,
-    Math.round((shuttleMi * 60) / pace.dashMilesPerHour),
+    destLat,
+    destLng,
+    walkCapMiles,
+    { ...visitWindow(arrive, stayHours, timeZone), timeZone },
   );
-
-  return {
-    walk1: [
-      [startLat, startLng],
-      [board.lat, board.lng],
-    ],
-    shuttle: shuttleLatLngs,
-    walk2: [
-      [alight.lat, alight.lng],
-      [destLat, destLng],
-    ],
-    boardStop: {
-      lat: board.lat,
-      lng: board.lng,
-      label: board.label,
-    },
-    alightStop: {
-      lat: alight.lat,
-      lng: alight.lng,
-      label: alight.label,
-    },
-    walk1Mi: w1,
-    walk2Mi: w2,
-    shuttleMi,
-    /** On-board time along the DASH loop (excludes typical wait at the stop). */
-    shuttleMinutes: shuttleRideMinutes,
-    dashBoardingWaitMinutes: pace.dashBoardingWaitMinutes,
-    tDirectMin,
-    tDashMin,
-    useDashOverlay,
-    tooltip: "Approximate walking + DASH route",
-  };
 }
 
-/**
- * Pin list filter when a **destination** is selected and **`walk` &gt; 0**:
- * the spot is allowed if **either** the door-to-door grid walk fits the cap **or** a DASH trip exists
- * where **park→stop** and **alight→venue** grid walks both fit (independent of whether DASH is faster
- * than walking door-to-door).
- *
- * **`walk=0`** uses {@link effectiveWalkCapMilesForParkingPins} outside this helper (strict feet-to-DASH only).
- *
- * @param {number} resolvedWalkCapMiles — {@link resolvedParkingWalkCapMiles} raw cap (**not** effective snap for pin radius).
- */
-function parkingSpotEveryDisplayedWalkLegWithinResolvedCap(
-  lat,
-  lng,
-  destLat,
-  destLng,
-  resolvedWalkCapMiles,
-) {
-  const eps = 1e-9;
-  if (
-    typeof resolvedWalkCapMiles !== "number" ||
-    !Number.isFinite(resolvedWalkCapMiles) ||
-    resolvedWalkCapMiles <= 0
-  ) {
-    return true;
-  }
-  const doorMi = gridWalkMiles(lat, lng, destLat, destLng);
-  if (doorMi <= resolvedWalkCapMiles + eps) return true;
-  const mm = tryParkingDashMultimodalPath(
+if (typeof globalThis !== "undefined") {
+  globalThis.__parkingSpotWalkLegsWithinCapForTest = (
     lat,
     lng,
     destLat,
     destLng,
     resolvedWalkCapMiles,
-  );
-  if (
-    mm &&
-    mm.walk1Mi <= resolvedWalkCapMiles + eps &&
-    mm.walk2Mi <= resolvedWalkCapMiles + eps
-  ) {
-    return true;
-  }
-  return false;
-}
-
-if (typeof globalThis !== "undefined") {
-  globalThis.__parkingSpotWalkLegsWithinCapForTest =
-    parkingSpotEveryDisplayedWalkLegWithinResolvedCap;
-}
-
-/** If there are no DASH stops (missing data), keep all parking so the map still loads. */
-function isParkingWithinDashStopRadius(lat, lng, dashStops) {
-  if (dashStops.length === 0) return true;
-  const maxMi = PARKING_MAX_MILES_FROM_DASH_STOP;
-  for (const s of dashStops) {
-    if (haversineMiles(lat, lng, s.lat, s.lng) <= maxMi) return true;
-  }
-  return false;
+  ) =>
+    parkingSpotEveryDisplayedWalkLegWithinCap(
+      currentParkingPlan(),
+      lat,
+      lng,
+      destLat,
+      destLng,
+      resolvedWalkCapMiles,
+    );
 }
 
 /** Leading icon: map pin (plan) / X-in-circle (clear selection); inherits `currentColor`. */
@@ -2780,9 +1913,22 @@ function parkingVisitPopupCategorySublineHtml(row) {
   return `${escapeHtml(catLine)}${tail}`;
 }
 
+/**
+ * "Price last verified …" for a row with a listed price; amber with a caution past
+ * `config.dataFreshness.staleAfterMonths`. Empty when the price or its date is unknown.
+ * @param {{ price?: string, priceFreshness?: { text: string, stale: boolean } | null }} row
+ */
+function parkingSpotPriceFreshnessText(row) {
+  const price = typeof row.price === "string" ? row.price.trim() : "";
+  if (!row.priceFreshness || price === "" || price === "—") return "";
+  if (price === PARKING_PRICE_NOT_LISTED_LABEL) return "";
+  const { text, stale } = row.priceFreshness;
+  return stale ? `${text} — may be out of date` : text;
+}
+
 /**
  * Shared Leaflet popup HTML for a parking spot row (circle or green start pin).
- * @param {{ name: string, categoryName: string, categoryKey?: string, owner?: string, price?: string, costHourlyHint?: boolean, priceSupplement?: string, priceSupplementHint?: boolean, totalSpaces?: number | null, address?: string }} row
+ * @param {{ name: string, categoryName: string, categoryKey?: string, owner?: string, price?: string, priceEstimateText?: string, costHourlyHint?: boolean, costEstimate?: string, costEstimateDollars?: import("../shared/parking-pricing.mjs").PricingAmount | null, priceSupplement?: string, priceSupplementHint?: boolean, priceFreshness?: { text: string, stale: boolean } | null, totalSpaces?: number | null, accessRestriction?: string | null, availabilityRows?: { label: string, value: string }[], address?: string }} row
  */
 function parkingSpotPopupHtml(row) {
   const costText =
@@ -2805,9 +1951,33 @@ function parkingSpotPopupHtml(row) {
     html += `<br><span style="color:#64748b">${parkingVisitPopupCategorySublineHtml(row)}</span>`;
   }
   if (row.address) html += `<br>${escapeHtml(row.address)}`;
-  html +=
-    `<br><span style="color:#475569">Cost:</span> ${escapeHtml(costText)}` +
-    `<br><span style="color:#475569">Size:</span> ${escapeHtml(sizeText)}`;
+  if (row.accessRestriction) {
+    html += `<br><span data-parking-access-flag style="color:#b91c1c;font-weight:600" title="Not suggested for event parking">${escapeHtml(row.accessRestriction)}</span>`;
+  }
+  html += `<br><span style="color:#475569">Cost:</span> ${escapeHtml(costText)}`;
+  if (row.priceEstimateText) {
+    const caution = resolvePriceEstimateConfig(
+      appData.parkingPrivateUnknown,
+    ).cardCopy;
+    html += `<br><span style="color:#475569">Likely:</span> <span data-parking-price-estimate style="color:#b45309" title="${escapeHtml(caution)}">${escapeHtml(row.priceEstimateText)}</span>`;
+  }
+  if (row.costEstimate) {
+    html += `<br><span style="color:#475569">Expected:</span> <span data-parking-cost-estimate>${escapeHtml(row.costEstimate)}</span>`;
+    const people = resolvedParkingPeople();
+    if (people > 1 && row.costEstimateDollars != null) {
+      const split = splitPartyCost(row.costEstimateDollars, people, "shared");
+      html += ` <span data-parking-cost-per-person style="color:#64748b">(${escapeHtml(formatPerPersonCost(split))} for ${people} people)</span>`;
+    }
+  }
+  const freshnessText = parkingSpotPriceFreshnessText(row);
+  if (freshnessText) {
+    const color = row.priceFreshness?.stale ? "#b45309" : "#64748b";
+    html += `<br><span data-parking-price-freshness style="color:${color}">${escapeHtml(freshnessText)}</span>`;
+  }
+  html += `<br><span style="color:#475569">Size:</span> ${escapeHtml(sizeText)}`;
+  for (const r of row.availabilityRows ?? []) {
+    html += `<br><span data-parking-availability-row style="color:#475569">${escapeHtml(r.label)}:</span> ${escapeHtml(r.value)}`;
+  }
   html +=
     `<div class="parking-spot-popup-actions" style="margin-top:10px;display:block;width:100%;clear:both">` +
     `<button type="button" data-parking-start-btn aria-pressed="false"` +
@@ -2877,16 +2047,7 @@ function attachParkingSpotStartButton(marker, row) {
 
 /** @param {string} categoryKey @param {number} lat @param {number} lng */
 function parkingOwnerFromDatasetItem(categoryKey, lat, lng) {
-  const dk = parkingCategoryDataKey(categoryKey);
-  const items =
-    categoryKey === "private-garage" || categoryKey === "private-lot"
-      ? dk
-        ? parkingItemsForVisitDataKey(dk)
-        : []
-      : dk
-        ? appData?.parking?.[dk]
-        : null;
-  if (!Array.isArray(items)) return "";
+  const items = parkingItemsForVisitCategory(appData, categoryKey);
   const lat6 = lat.toFixed(6);
   const lng6 = lng.toFixed(6);
   for (const item of items) {
@@ -2916,6 +2077,9 @@ function parkingSpotRowFallback(spotId, parsed) {
     owner: parkingOwnerFromDatasetItem(cat, parsed.lat, parsed.lng),
     price: "",
     costHourlyHint: false,
+    costEstimate: "",
+    costEstimateDollars: null,
+    priceFreshness: null,
     totalSpaces: null,
     address: "",
     categoryKey: cat,
@@ -2924,6 +2088,29 @@ function parkingSpotRowFallback(spotId, parsed) {
   };
 }
 
+/** How many upcoming departures a DASH stop popup lists. */
+const PARKING_DASH_POPUP_DEPARTURES = 3;
+
+/**
+ * `Next: 7:05 PM, 7:15 PM, 7:25 PM` from the chosen arrival (else now); `No more DASH today` after
+ * the last one. Empty when the stop has no schedule.
+ * @param {import("../shared/transit-schedule.mjs").StopDepartures | null | undefined} departures
+ */
+function parkingDashStopDeparturesText(departures) {
+  if (!departures) return "";
+  const timeZone = cityTimeZone();
+  const { arrive, stayHours } = resolvedParkingVisitTime();
+  const from = visitWindow(arrive, stayHours, timeZone)?.arriveAt ?? new Date();
+  const next = upcomingDepartures(
+    departures,
+    from,
+    timeZone,
+    PARKING_DASH_POPUP_DEPARTURES,
+  );
+  if (next.length === 0) return `No more ${parkingShuttleName()} today`;
+  return `Next: ${next.map((d) => formatTransitTime(d, timeZone)).join(", ")}`;
+}
+
 function syncParkingDashRoutes(map) {
   const L = globalThis.L;
   if (!map || !L) return;
@@ -2975,6 +2162,9 @@ function syncParkingDashRoutes(map) {
     });
     let html = `<div style="font-size:12px"><strong>${escapeHtml(p.label)}</strong>`;
     if (p.address) html += `<br>${escapeHtml(p.address)}`;
+    const departures = parkingDashStopDeparturesText(p.departures);
+    if (departures)
+      html += `<br><span data-parking-dash-departures style="color:#64748b;font-size:11px">${escapeHtml(departures)}</span>`;
     html += "</div>";
     m.bindPopup(html);
     m.addTo(g);
@@ -3015,7 +2205,8 @@ function syncParkingSpots(map) {
   globalThis.__parkingSpotsLayerForTest = g;
 
   const markersByCategory = {};
-  for (const k of PARKING_CATEGORY_PAINT_ORDER) markersByCategory[k] = [];
+  const paintOrder = parkingCategoryPaintOrder();
+  for (const k of paintOrder) markersByCategory[k] = [];
 
   for (const s of spots) {
     const style = circleStyleForParkingCategoryKey(s.categoryKey);
@@ -3044,8 +2235,8 @@ function syncParkingSpots(map) {
       markersByCategory[s.categoryKey].push(fg);
   }
 
-  // Paint order: see `PARKING_CATEGORY_PAINT_ORDER` (purple public garage above orange private garage).
-  for (const categoryId of PARKING_CATEGORY_PAINT_ORDER) {
+  // Paint order: see `parkingCategoryPaintOrder` (purple public garage above orange private garage).
+  for (const categoryId of paintOrder) {
     for (const m of markersByCategory[categoryId] || []) {
       if (typeof m.bringToFront === "function") m.bringToFront();
     }
@@ -3272,6 +2463,14 @@ function addParkingWalkDashedLineWithHalo(
   stampParkingEstimatedWalkLineAnimation(fg);
 }
 
+/** Sticky tooltips on walk, shuttle, and bus trip lines. */
+const PARKING_WALK_TOOLTIP_OPTIONS = {
+  sticky: true,
+  direction: "center",
+  opacity: 0.95,
+  className: "parking-estimated-walk-tooltip",
+};
+
 /** Highlighted DASH trip stops use pin markers (not circles) so they read as true map destinations. */
 const PARKING_DASH_TRIP_STOP_FILL = "#933145";
 
@@ -3279,7 +2478,7 @@ const PARKING_DASH_TRIP_STOP_FILL = "#933145";
  * @param {{ lat: number; lng: number; label: string }} boardStop
  * @param {{ lat: number; lng: number; label: string }} alightStop
  */
-function addParkingDashTripStopMarkers(g, L, boardStop, alightStop) {
+function addParkingDashTripStopMarkers(g, L, boardStop, alightStop, departsAt) {
   const fill = PARKING_DASH_TRIP_STOP_FILL;
   const sameTripStop =
     haversineMiles(
@@ -3335,7 +2534,7 @@ function addParkingDashTripStopMarkers(g, L, boardStop, alightStop) {
       boardStop.lat,
       boardStop.lng,
       glyphBoard,
-      "DASH (board & exit)",
+      `${parkingShuttleName()} (board & exit)`,
       boardStop.label,
       "Same stop for boarding and exiting on this trip.",
     );
@@ -3346,16 +2545,18 @@ function addParkingDashTripStopMarkers(g, L, boardStop, alightStop) {
     boardStop.lat,
     boardStop.lng,
     glyphBoard,
-    "Board DASH",
+    `Board ${parkingShuttleName()}`,
     boardStop.label,
-    "Walk here to catch the shuttle.",
+    departsAt instanceof Date
+      ? `Walk here to catch the shuttle at ${formatTransitTime(departsAt, cityTimeZone())}.`
+      : "Walk here to catch the shuttle.",
   );
 
   const alightM = makeStopPin(
     alightStop.lat,
     alightStop.lng,
     glyphAlight,
-    "Exit DASH",
+    `Exit ${parkingShuttleName()}`,
     alightStop.label,
     "Walk from here to the venue.",
   );
@@ -3416,17 +2617,12 @@ function syncParkingStartFinishWalkLine(map) {
     walkCap,
   );
 
-  const walkTooltipOpts = {
-    sticky: true,
-    direction: "center",
-    opacity: 0.95,
-    className: "parking-estimated-walk-tooltip",
-  };
+  const walkTooltipOpts = PARKING_WALK_TOOLTIP_OPTIONS;
 
   if (multimodal) {
-    const w1LL = wavyApproxWalkChordLatLngs(
-      multimodal.walk1[0],
-      multimodal.walk1[1],
+    const w1LL = parkingWalkLegDrawLatLngs(
+      multimodal.walk1,
+      multimodal.walk1Routed,
     );
     addParkingWalkDashedLineWithHalo(
       g,
@@ -3459,9 +2655,9 @@ function syncParkingStartFinishWalkLine(map) {
     shuttle.addTo(g);
     stampParkingDashTripSegmentAnimation(shuttle);
 
-    const w2LL = wavyApproxWalkChordLatLngs(
-      multimodal.walk2[0],
-      multimodal.walk2[1],
+    const w2LL = parkingWalkLegDrawLatLngs(
+      multimodal.walk2,
+      multimodal.walk2Routed,
     );
     addParkingWalkDashedLineWithHalo(
       g,
@@ -3476,20 +2672,24 @@ function syncParkingStartFinishWalkLine(map) {
       L,
       multimodal.boardStop,
       multimodal.alightStop,
+      multimodal.dashDepartsAt,
     );
     globalThis.__parkingWalkUsesDashOverlay = true;
     return;
   }
 
-  const directLL = wavyApproxWalkChordLatLngs(
-    [start.lat, start.lng],
-    [destLl[0], destLl[1]],
+  const direct = parkingWalkLeg(
+    appData,
+    start.lat,
+    start.lng,
+    destLl[0],
+    destLl[1],
   );
   addParkingWalkDashedLineWithHalo(
     g,
     L,
-    directLL,
-    "Approximate walking route",
+    parkingWalkLegDrawLatLngs(direct.latLngs, direct.routed),
+    direct.routed ? "Walking route" : "Approximate walking route",
     walkTooltipOpts,
   );
   globalThis.__parkingWalkUsesDashOverlay = false;
@@ -3675,6 +2875,9 @@ function updateParkingLocateButtonState() {
 function refreshParkingUserLocationOnMap() {
   if (!parkingMap) return;
   syncParkingUserLocationMarker(parkingMap);
+  syncParkingTransitTrip(parkingMap);
+  syncParkingParkAndRideTrip(parkingMap);
+  syncParkingMicromobilityTrip(parkingMap);
   syncParkingRouteInstructionsPanel();
 }
 
@@ -3719,85 +2922,504 @@ function requestParkingUserLocation(opts) {
   );
 }
 
-function setParkingUserLocationIncluded(next) {
-  const on = next === true;
-  if (on === parkingUserLocationIncluded) return;
-  parkingUserLocationIncluded = on;
-  parkingUserLocationError = "";
-  updateParkingLocateButtonState();
-  if (on && !parkingUserLocation) {
-    requestParkingUserLocation({ prefetch: false });
+function setParkingUserLocationIncluded(next) {
+  const on = next === true;
+  if (on === parkingUserLocationIncluded) return;
+  parkingUserLocationIncluded = on;
+  parkingUserLocationError = "";
+  updateParkingLocateButtonState();
+  if (on && !parkingUserLocation) {
+    requestParkingUserLocation({ prefetch: false });
+    return;
+  }
+  refreshParkingUserLocationOnMap();
+}
+
+function toggleParkingUserLocationIncluded() {
+  setParkingUserLocationIncluded(!parkingUserLocationIncluded);
+}
+
+function resolveParkingUserLocationLineEndLatLng() {
+  if (isParkingParkAndRideShown()) {
+    const pnr = currentParkAndRideTrip();
+    if (pnr) return [pnr.lot.lat, pnr.lot.lng];
+  }
+  const startId = getParkingEffectiveStartSpotId();
+  if (startId) {
+    const start = parseParkingSpotIdToken(startId);
+    if (start) return [start.lat, start.lng];
+  }
+  return getParkingDestinationLatLng();
+}
+
+function syncParkingUserLocationMarker(map) {
+  const L = globalThis.L;
+  if (!map || !L) return;
+
+  if (parkingUserLocationLayerGroup) {
+    try {
+      map.removeLayer(parkingUserLocationLayerGroup);
+    } catch {
+      /* ignore */
+    }
+    parkingUserLocationLayerGroup = null;
+  }
+
+  if (!parkingUserLocationIncluded || !parkingUserLocation) return;
+
+  const { lat, lng } = parkingUserLocation;
+  parkingUserLocationLayerGroup = L.layerGroup().addTo(map);
+
+  const endLl = resolveParkingUserLocationLineEndLatLng();
+  if (endLl) {
+    const drive = parkingDriveLeg(appData, lat, lng, endLl[0], endLl[1]);
+    const curveLl = drive.routed
+      ? drive.latLngs
+      : swoopedDriveChordLatLngs([lat, lng], endLl);
+    const line = L.polyline(curveLl, {
+      color: "#ca8a04",
+      weight: 2.5,
+      opacity: 0.55,
+      lineCap: "round",
+      lineJoin: "round",
+      interactive: false,
+    });
+    line.addTo(parkingUserLocationLayerGroup);
+  }
+
+  const marker = L.marker([lat, lng], {
+    icon: parkingUserLocationMarkerIcon(L),
+    zIndexOffset: 1200,
+  });
+  marker.bindPopup(
+    '<div style="font-size:12px;line-height:1.35"><strong>Your location</strong></div>',
+  );
+  marker.addTo(parkingUserLocationLayerGroup);
+}
+
+function ensureParkingLocateControl() {
+  if (parkingLocateControlDelegated) return;
+  const btn = document.getElementById("parkingLocateBtn");
+  if (!btn) return;
+  parkingLocateControlDelegated = true;
+  btn.innerHTML = parkingUserLocationSteeringWheelControlIconSvg();
+  updateParkingLocateButtonState();
+  btn.addEventListener("click", (e) => {
+    e.preventDefault();
+    toggleParkingUserLocationIncluded();
+  });
+}
+
+/** `from=` on the hash: **`here`**, `lat,lng` to 5 decimals, or `""` when absent or unreadable. */
+function getParkingTransitFromParam() {
+  const raw = getParkingRouteSearchParams().get(PARKING_TRANSIT_FROM_QUERY_KEY);
+  const v = typeof raw === "string" ? raw.trim() : "";
+  if (v === PARKING_TRANSIT_FROM_HERE) return v;
+  const ll = parseLatLngText(v);
+  return ll ? `${ll[0].toFixed(5)},${ll[1].toFixed(5)}` : "";
+}
+
+/** `pnr=1`: the park-and-ride trip is drawn on the map; ignored (and dropped) without lots or routes. */
+function isParkingParkAndRideShown() {
+  return (
+    getParkingRouteSearchParams().get(PARKING_PARK_AND_RIDE_QUERY_KEY) ===
+      "1" && parkAndRideAvailable(appData)
+  );
+}
+
+/** `lime=1`: the Lime trip is drawn on the map. */
+function isParkingMicromobilityShown() {
+  return (
+    getParkingRouteSearchParams().get(PARKING_MICROMOBILITY_QUERY_KEY) === "1"
+  );
+}
+
+/**
+ * Write (or, with `""`, drop) one route-panel param (`from=`, `pnr=`, `lime=`) as a history entry; `hashchange`
+ * redraws the view. An unchanged hash (e.g. "Use my location" again) just redraws the overlays.
+ */
+function setParkingRouteHashParam(key, value) {
+  const hash = window.location.hash.slice(1);
+  const qIdx = hash.indexOf("?");
+  const path = qIdx >= 0 ? hash.slice(0, qIdx) : hash;
+  const queryStr = qIdx >= 0 ? hash.slice(qIdx + 1) : "";
+  const parts = (queryStr ? queryStr.split("&").filter(Boolean) : []).filter(
+    (kv) => kv.split("=")[0] !== key,
+  );
+  if (value) parts.push(`${key}=${value}`);
+  const nextHash = parts.length ? `#${path}?${parts.join("&")}` : `#${path}`;
+  if (window.location.hash !== nextHash) window.location.hash = nextHash;
+  else if (parkingMap) syncParkingMapOverlays(parkingMap);
+}
+
+/**
+ * Where the bus trip starts: the device's location for `from=here` (once known), else the `from=`
+ * point with the address typed for it this session. Null without `from=`.
+ * @returns {{ lat: number, lng: number, label: string } | null}
+ */
+function resolvedParkingTransitOrigin() {
+  const from = getParkingTransitFromParam();
+  if (!from) return null;
+  if (from === PARKING_TRANSIT_FROM_HERE) {
+    return parkingUserLocation
+      ? { ...parkingUserLocation, label: "your location" }
+      : null;
+  }
+  const [lat, lng] = parseLatLngText(from);
+  const label =
+    parkingTransitOriginLabel?.from === from
+      ? parkingTransitOriginLabel.label
+      : "your starting point";
+  return { lat, lng, label };
+}
+
+/** {@link planRapidTransitTrip} from {@link resolvedParkingTransitOrigin} to the chosen venue. */
+function currentParkingTransitTrip() {
+  const origin = resolvedParkingTransitOrigin();
+  const destLl = getParkingDestinationLatLng();
+  if (!origin || !destLl) return null;
+  return planRapidTransitTrip(
+    appData,
+    origin.lat,
+    origin.lng,
+    destLl[0],
+    destLl[1],
+  );
+}
+
+/** {@link planParkAndRideTrip} to the chosen venue, driving from the user's location when it is on the map. */
+function currentParkAndRideTrip() {
+  if (!getParkingDestinationLatLng() || !parkAndRideAvailable(appData))
+    return null;
+  return planParkAndRideTrip(currentParkingPlan(), {
+    from: parkingUserLocationIncluded ? parkingUserLocation : null,
+  });
+}
+
+/**
+ * Where a Lime trip starts: the chosen parking spot, else the bus trip's `from=`, else the user's
+ * location when it is on the map. Null without any of them.
+ * @returns {{ lat: number, lng: number, label: string } | null}
+ */
+function resolvedParkingMicromobilityOrigin() {
+  const committedId = getParkingSpotIdForHash();
+  if (committedId) {
+    const { lat, lng } = parseParkingSpotIdToken(committedId);
+    return { lat, lng, label: "your parking" };
+  }
+  const transitOrigin = resolvedParkingTransitOrigin();
+  if (transitOrigin) return transitOrigin;
+  return parkingUserLocationIncluded && parkingUserLocation
+    ? { ...parkingUserLocation, label: "your location" }
+    : null;
+}
+
+/** {@link planMicromobilityTrip} from {@link resolvedParkingMicromobilityOrigin} to the chosen venue. */
+function currentParkingMicromobilityTrip() {
+  const origin = resolvedParkingMicromobilityOrigin();
+  const destLl = getParkingDestinationLatLng();
+  if (!origin || !destLl) return null;
+  return planMicromobilityTrip(
+    appData,
+    origin.lat,
+    origin.lng,
+    destLl[0],
+    destLl[1],
+  );
+}
+
+/** Look up a typed starting address and put it on the hash as `from=`; the panel shows misses. */
+async function planParkingTransitFromAddress(text) {
+  const query = String(text ?? "").trim();
+  if (!query) return;
+  const city = getActiveCityProfile();
+  if (!city) return;
+  parkingTransitGeocodeStatus = "pending";
+  syncParkingRouteInstructionsPanel();
+  let place = null;
+  try {
+    place = await geocodeAddress(query, { center: city.center });
+    parkingTransitGeocodeStatus = place ? "" : "not-found";
+  } catch {
+    parkingTransitGeocodeStatus = "error";
+  }
+  if (!place) {
+    syncParkingRouteInstructionsPanel();
     return;
   }
-  refreshParkingUserLocationOnMap();
+  const from = `${place.lat.toFixed(5)},${place.lng.toFixed(5)}`;
+  parkingTransitOriginLabel = { from, label: place.label };
+  setParkingRouteHashParam(PARKING_TRANSIT_FROM_QUERY_KEY, from);
 }
 
-function toggleParkingUserLocationIncluded() {
-  setParkingUserLocationIncluded(!parkingUserLocationIncluded);
+/**
+ * Bus-trip form and park-and-ride / Lime map toggles in the route panel (re-rendered on every sync, so
+ * delegated from its body).
+ */
+function ensureParkingTransitDelegation() {
+  if (parkingTransitDelegated) return;
+  const body = document.getElementById("parkingRouteInstructionsBody");
+  if (!body) return;
+  parkingTransitDelegated = true;
+  body.addEventListener("submit", (e) => {
+    const form = e.target.closest?.("[data-parking-transit-form]");
+    if (!form) return;
+    e.preventDefault();
+    void planParkingTransitFromAddress(form.elements.namedItem("from")?.value);
+  });
+  body.addEventListener("click", (e) => {
+    if (e.target.closest?.("[data-parking-transit-here]")) {
+      e.preventDefault();
+      parkingTransitGeocodeStatus = "";
+      setParkingRouteHashParam(
+        PARKING_TRANSIT_FROM_QUERY_KEY,
+        PARKING_TRANSIT_FROM_HERE,
+      );
+      setParkingUserLocationIncluded(true);
+      return;
+    }
+    if (e.target.closest?.("[data-parking-transit-clear]")) {
+      e.preventDefault();
+      parkingTransitGeocodeStatus = "";
+      setParkingRouteHashParam(PARKING_TRANSIT_FROM_QUERY_KEY, "");
+      return;
+    }
+    if (e.target.closest?.("[data-parking-pnr-toggle]")) {
+      e.preventDefault();
+      setParkingRouteHashParam(
+        PARKING_PARK_AND_RIDE_QUERY_KEY,
+        isParkingParkAndRideShown() ? "" : "1",
+      );
+      return;
+    }
+    if (e.target.closest?.("[data-parking-lime-toggle]")) {
+      e.preventDefault();
+      setParkingRouteHashParam(
+        PARKING_MICROMOBILITY_QUERY_KEY,
+        isParkingMicromobilityShown() ? "" : "1",
+      );
+    }
+  });
 }
 
-function resolveParkingUserLocationLineEndLatLng() {
-  const startId = getParkingEffectiveStartSpotId();
-  if (startId) {
-    const start = parseParkingSpotIdToken(startId);
-    if (start) return [start.lat, start.lng];
-  }
-  return getParkingDestinationLatLng();
+/**
+ * A Rapid trip's walk legs, ride (route color over a white halo), and board / exit stops into `g`.
+ * @param {import("./rapid-transit.mjs").RapidTransitTrip} trip
+ * @param {string} startLabel — where the walk to the stop starts
+ */
+function addParkingRapidTripLayers(g, L, trip, startLabel) {
+  const agency = getActiveCityProfile()?.transit.agency || "Transit";
+  const walkTooltip = (routed) =>
+    routed ? "Walking route" : "Approximate walking route";
+  addParkingWalkDashedLineWithHalo(
+    g,
+    L,
+    parkingWalkLegDrawLatLngs(trip.walk1, trip.walk1Routed),
+    walkTooltip(trip.walk1Routed),
+    PARKING_WALK_TOOLTIP_OPTIONS,
+  );
+  L.polyline(trip.ride, {
+    color: PARKING_DASH_TRIP_SHUTTLE_HALO_COLOR,
+    weight: PARKING_DASH_TRIP_SHUTTLE_HALO_WEIGHT,
+    opacity: 1,
+    lineCap: "round",
+    lineJoin: "round",
+    interactive: false,
+  }).addTo(g);
+  L.polyline(trip.ride, {
+    color: trip.route.color,
+    weight: PARKING_DASH_TRIP_SHUTTLE_FG_WEIGHT,
+    opacity: 0.95,
+    lineCap: "round",
+    lineJoin: "round",
+  })
+    .bindTooltip(`${agency} ${trip.route.name}`, PARKING_WALK_TOOLTIP_OPTIONS)
+    .addTo(g);
+  addParkingWalkDashedLineWithHalo(
+    g,
+    L,
+    parkingWalkLegDrawLatLngs(trip.walk2, trip.walk2Routed),
+    walkTooltip(trip.walk2Routed),
+    PARKING_WALK_TOOLTIP_OPTIONS,
+  );
+  const stopPin = (stop, title, detail) =>
+    L.circleMarker([stop.lat, stop.lng], {
+      radius: 6,
+      color: "#ffffff",
+      weight: 2,
+      fillColor: trip.route.color,
+      fillOpacity: 1,
+    })
+      .bindPopup(
+        `<div style="font-size:12px"><strong>${escapeHtml(title)}</strong><br>${escapeHtml(stop.label)}` +
+          `<br><span style="color:#64748b;font-size:11px">${escapeHtml(detail)}</span></div>`,
+      )
+      .addTo(g);
+  stopPin(
+    trip.boardStop,
+    `Board ${trip.route.name}`,
+    `Walk here from ${startLabel}.`,
+  );
+  stopPin(
+    trip.alightStop,
+    `Exit ${trip.route.name}`,
+    "Walk from here to the venue.",
+  );
 }
 
-function syncParkingUserLocationMarker(map) {
+/**
+ * The park-and-ride trip (`pnr=1`): the lot in its dataset's colors and the Rapid legs from it. The
+ * drive there is the user-location line ({@link resolveParkingUserLocationLineEndLatLng}).
+ */
+function syncParkingParkAndRideTrip(map) {
   const L = globalThis.L;
   if (!map || !L) return;
 
-  if (parkingUserLocationLayerGroup) {
+  if (parkingParkAndRideLayerGroup) {
     try {
-      map.removeLayer(parkingUserLocationLayerGroup);
+      map.removeLayer(parkingParkAndRideLayerGroup);
     } catch {
       /* ignore */
     }
-    parkingUserLocationLayerGroup = null;
-  }
-
-  if (!parkingUserLocationIncluded || !parkingUserLocation) return;
+    parkingParkAndRideLayerGroup = null;
+  }
+
+  if (!isParkingParkAndRideShown()) return;
+  const pnr = currentParkAndRideTrip();
+  if (!pnr) return;
+  parkingParkAndRideLayerGroup = L.layerGroup().addTo(map);
+  const g = parkingParkAndRideLayerGroup;
+  addParkingRapidTripLayers(g, L, pnr.trip, pnr.lot.label);
+  const style = parkingDatasetByKey(pnr.lot.dataKey)?.markerStyle;
+  L.circleMarker([pnr.lot.lat, pnr.lot.lng], {
+    radius: 8,
+    color: style?.color ?? "#0f766e",
+    weight: 2,
+    fillColor: style?.fillColor ?? "#5eead4",
+    fillOpacity: style?.fillOpacity ?? 0.8,
+  })
+    .bindPopup(
+      `<div style="font-size:12px"><strong>Park &amp; ride</strong><br>${escapeHtml(pnr.lot.label)}</div>`,
+    )
+    .addTo(g);
+}
 
-  const { lat, lng } = parkingUserLocation;
-  parkingUserLocationLayerGroup = L.layerGroup().addTo(map);
+/**
+ * The Lime trip (`lime=1`): dashed walks to and from the zones, the ride in Lime green over a white
+ * halo, and the pickup / drop-off zones. The start is already on the map (parking, `from=`, or the
+ * user's location).
+ */
+function syncParkingMicromobilityTrip(map) {
+  const L = globalThis.L;
+  if (!map || !L) return;
 
-  const endLl = resolveParkingUserLocationLineEndLatLng();
-  if (endLl) {
-    const curveLl = swoopedDriveChordLatLngs([lat, lng], endLl);
-    const line = L.polyline(curveLl, {
-      color: "#ca8a04",
-      weight: 2.5,
-      opacity: 0.55,
-      lineCap: "round",
-      lineJoin: "round",
-      interactive: false,
-    });
-    line.addTo(parkingUserLocationLayerGroup);
+  if (parkingMicromobilityLayerGroup) {
+    try {
+      map.removeLayer(parkingMicromobilityLayerGroup);
+    } catch {
+      /* ignore */
+    }
+    parkingMicromobilityLayerGroup = null;
   }
 
-  const marker = L.marker([lat, lng], {
-    icon: parkingUserLocationMarkerIcon(L),
-    zIndexOffset: 1200,
-  });
-  marker.bindPopup(
-    '<div style="font-size:12px;line-height:1.35"><strong>Your location</strong></div>',
+  if (!isParkingMicromobilityShown()) return;
+  const trip = currentParkingMicromobilityTrip();
+  if (!trip) return;
+  parkingMicromobilityLayerGroup = L.layerGroup().addTo(map);
+  const g = parkingMicromobilityLayerGroup;
+  const lime = appData?.modeLabels?.micromobility || "Lime";
+  const walkTooltip = (routed) =>
+    routed ? "Walking route" : "Approximate walking route";
+  addParkingWalkDashedLineWithHalo(
+    g,
+    L,
+    parkingWalkLegDrawLatLngs(trip.walk1, trip.walk1Routed),
+    walkTooltip(trip.walk1Routed),
+    PARKING_WALK_TOOLTIP_OPTIONS,
+  );
+  const rideLatLngs = parkingWalkLegDrawLatLngs(trip.ride, trip.rideRouted);
+  L.polyline(rideLatLngs, {
+    color: PARKING_DASH_TRIP_SHUTTLE_HALO_COLOR,
+    weight: PARKING_DASH_TRIP_SHUTTLE_HALO_WEIGHT,
+    opacity: 1,
+    lineCap: "round",
+    lineJoin: "round",
+    interactive: false,
+  }).addTo(g);
+  L.polyline(rideLatLngs, {
+    color: PARKING_MICROMOBILITY_RIDE_COLOR,
+    weight: PARKING_DASH_TRIP_SHUTTLE_FG_WEIGHT,
+    opacity: 0.95,
+    lineCap: "round",
+    lineJoin: "round",
+  })
+    .bindTooltip(
+      trip.rideRouted ? `${lime} ride` : `Approximate ${lime} ride`,
+      PARKING_WALK_TOOLTIP_OPTIONS,
+    )
+    .addTo(g);
+  addParkingWalkDashedLineWithHalo(
+    g,
+    L,
+    parkingWalkLegDrawLatLngs(trip.walk2, trip.walk2Routed),
+    walkTooltip(trip.walk2Routed),
+    PARKING_WALK_TOOLTIP_OPTIONS,
+  );
+  const zonePin = (zone, title, detail) =>
+    L.circleMarker([zone.lat, zone.lng], {
+      radius: 6,
+      color: "#ffffff",
+      weight: 2,
+      fillColor: PARKING_MICROMOBILITY_RIDE_COLOR,
+      fillOpacity: 1,
+    })
+      .bindPopup(
+        `<div style="font-size:12px"><strong>${escapeHtml(title)}</strong><br>${escapeHtml(zone.label)}` +
+          `<br><span style="color:#64748b;font-size:11px">${escapeHtml(detail)}</span></div>`,
+      )
+      .addTo(g);
+  zonePin(trip.pickup, `Pick up a ${lime}`, "Unlock a scooter here.");
+  zonePin(
+    trip.dropoff,
+    `End your ${lime} ride`,
+    "Park in the zone, then walk to the venue.",
   );
-  marker.addTo(parkingUserLocationLayerGroup);
 }
 
-function ensureParkingLocateControl() {
-  if (parkingLocateControlDelegated) return;
-  const btn = document.getElementById("parkingLocateBtn");
-  if (!btn) return;
-  parkingLocateControlDelegated = true;
-  btn.innerHTML = parkingUserLocationSteeringWheelControlIconSvg();
-  updateParkingLocateButtonState();
-  btn.addEventListener("click", (e) => {
-    e.preventDefault();
-    toggleParkingUserLocationIncluded();
-  });
+/**
+ * The bus trip from `from=` on the map: the starting point, dashed walk legs, the ride along the
+ * route's shape in its color, and the board / exit stops.
+ */
+function syncParkingTransitTrip(map) {
+  const L = globalThis.L;
+  if (!map || !L) return;
+
+  if (parkingTransitLayerGroup) {
+    try {
+      map.removeLayer(parkingTransitLayerGroup);
+    } catch {
+      /* ignore */
+    }
+    parkingTransitLayerGroup = null;
+  }
+
+  const origin = resolvedParkingTransitOrigin();
+  if (!origin || !getParkingDestinationLatLng()) return;
+  parkingTransitLayerGroup = L.layerGroup().addTo(map);
+  const g = parkingTransitLayerGroup;
+
+  const trip = currentParkingTransitTrip();
+  if (trip) addParkingRapidTripLayers(g, L, trip, origin.label);
+
+  L.circleMarker([origin.lat, origin.lng], {
+    radius: 7,
+    color: "#ffffff",
+    weight: 2,
+    fillColor: PARKING_WALK_OVERLAY_COLOR,
+    fillOpacity: 1,
+  })
+    .bindTooltip(`Bus trip starts at ${origin.label}`)
+    .addTo(g);
 }
 
 function syncParkingDestinationMarker(map) {
@@ -3905,6 +3527,36 @@ function fitParkingMapToAllContent(map) {
     return;
   }
 
+  /**
+   * A bus trip from `from=`, the park-and-ride trip (`pnr=1`), or the Lime trip (`lime=1`): frame its
+   * start, the ride, and the venue (plus any chosen parking and, for park and ride, the user's location).
+   */
+  if (destLl) {
+    /** @type {number[][]} */
+    const pts = [];
+    const transitOrigin = resolvedParkingTransitOrigin();
+    if (transitOrigin) {
+      pts.push([transitOrigin.lat, transitOrigin.lng]);
+      const trip = currentParkingTransitTrip();
+      if (trip) pts.push(...trip.ride);
+    }
+    const pnr = isParkingParkAndRideShown() ? currentParkAndRideTrip() : null;
+    if (pnr) {
+      pts.push([pnr.lot.lat, pnr.lot.lng], ...pnr.trip.ride);
+      if (pnr.drive) pts.push(pnr.drive.latLngs[0]);
+    }
+    const lime = isParkingMicromobilityShown()
+      ? currentParkingMicromobilityTrip()
+      : null;
+    if (lime) pts.push(...lime.walk1, ...lime.ride, ...lime.walk2);
+    if (pts.length > 0) {
+      pts.push(destLl);
+      if (startPt) pts.push([startPt.lat, startPt.lng]);
+      map.fitBounds(L.latLngBounds(pts), fitOpts);
+      return;
+    }
+  }
+
   /**
    * Finish selected, **no** `park=` yet: frame the **venue** plus the **muted-green recommendation**
    * pins (same pool as {@link chooseTopParkingStartSpotIds}), not every visible circle — fitting all
@@ -4031,8 +3683,327 @@ function fitParkingMapToAllContent(map) {
   } else if (dashBounds.length === 1) {
     cappedSetZoom(dashBounds[0], 15);
   } else {
-    cappedSetZoom(MODES_PAGE_EMPTY_MAP_CENTER, 12);
+    cappedSetZoom(parkingCityCenter(), 12);
+  }
+}
+
+/**
+ * Warning under the DASH route steps when the ride back would come after the last shuttle
+ * (`dashReturnAfterLast` from {@link tryDashMultimodalPathForKey}); empty otherwise.
+ * @param {{ dashReturnAfterLast?: { lastAt: Date | null } | null }} multimodal
+ * @param {string} stopName
+ */
+function parkingRouteDashReturnWarningHtml(multimodal, stopName) {
+  const late = multimodal.dashReturnAfterLast;
+  if (!late) return "";
+  const shuttle = escapeHtml(parkingShuttleName());
+  const stop = escapeHtml(stopName);
+  const when =
+    late.lastAt instanceof Date
+      ? `The last ${shuttle} from ${stop} leaves at ${escapeHtml(formatTransitTime(late.lastAt, cityTimeZone()))}, before your ride back to the car.`
+      : `No ${shuttle} leaves ${stop} in time for your ride back to the car.`;
+  return (
+    `<p class="parking-route-dash-warning" role="note" data-parking-dash-return-warning>` +
+    `${when} Plan to walk back or get a ride.</p>`
+  );
+}
+
+/**
+ * "For 3 people" under the route steps: the parking fee split across the party next to a Rapid fare
+ * and (with the user's location) a Lime ride for every person, both ways. Empty for a party of one.
+ * @param {{ costEstimateDollars?: import("../shared/parking-pricing.mjs").PricingAmount | null }} spot
+ * @param {[number, number]} destLl
+ */
+function parkingRoutePartyCostsHtml(spot, destLl) {
+  const people = resolvedParkingPeople();
+  if (people <= 1) return "";
+  const rideMiles =
+    parkingUserLocationIncluded && parkingUserLocation
+      ? gridWalkMiles(
+          parkingUserLocation.lat,
+          parkingUserLocation.lng,
+          destLl[0],
+          destLl[1],
+        )
+      : null;
+  const labels = {
+    drive: "Drive together, split parking",
+    transit: `${getActiveCityProfile()?.transit.agency || "Transit"} both ways`,
+    micromobility: `${appData?.modeLabels?.micromobility || "Scooter"} both ways`,
+  };
+  const rows = partyTripCosts({
+    people,
+    parkingDollars: spot.costEstimateDollars ?? null,
+    rideMiles,
+    fares: appData?.fares,
+  });
+  return (
+    `<div class="parking-route-party" data-parking-party-costs>` +
+    `<p class="parking-route-party-title">For ${people} people</p><ul>` +
+    rows
+      .map(
+        (r) =>
+          `<li data-parking-party-mode="${r.mode}"><span>${escapeHtml(labels[r.mode])}</span>` +
+          `<span class="parking-route-party-cost">${escapeHtml(formatPartyCost(r, people))}</span></li>`,
+      )
+      .join("") +
+    `</ul></div>`
+  );
+}
+
+/**
+ * Walk → wait → ride → walk steps for a Rapid trip (bus-trip form and park and ride).
+ * @param {import("./rapid-transit.mjs").RapidTransitTrip} trip
+ * @param {string} fromLabel — where the walk to the stop starts
+ * @param {string} destName
+ * @returns {string[]}
+ */
+function parkingRapidTripStepsHtml(trip, fromLabel, destName) {
+  const agency = escapeHtml(
+    getActiveCityProfile()?.transit.agency || "Transit",
+  );
+  const w1m = parkingInstructionWalkEstimateMetrics(trip.walk1Mi);
+  const w2m = parkingInstructionWalkEstimateMetrics(trip.walk2Mi);
+  const stopsTxt =
+    trip.stopsRidden === 1 ? "1 stop" : `${trip.stopsRidden} stops`;
+  return [
+    parkingRouteStepLi(
+      `<strong>Walk</strong> from ${escapeHtml(fromLabel)} to ${escapeHtml(trip.boardStop.label)}`,
+      w1m ? [w1m] : [],
+      "walk",
+    ),
+    parkingRouteStepLi(
+      `<strong>Wait</strong> for ${agency} ${escapeHtml(trip.route.name)}`,
+      [`${trip.waitMinutes} min wait`],
+      "wait",
+      { omitListMarker: true },
+    ),
+    parkingRouteStepLi(
+      `<strong>Ride</strong> to ${escapeHtml(trip.alightStop.label)}`,
+      [`${trip.rideMinutes} min ride · ${stopsTxt}`],
+      "bus",
+    ),
+    parkingRouteStepLi(
+      `<strong>Walk</strong> to ${escapeHtml(destName)}`,
+      w2m ? [w2m] : [],
+      "walk",
+    ),
+  ];
+}
+
+/**
+ * "Or park and ride" under the route steps: drive to the quickest lot outside downtown
+ * ({@link currentParkAndRideTrip}), park, and take The Rapid in — with its time and the party's cost
+ * next to the chosen downtown parking. Empty when no lot is served.
+ * @param {string} destName
+ * @param {{ minutes: number, dollars: import("../shared/parking-pricing.mjs").PricingAmount | null } | null} downtown
+ *   — the chosen downtown spot's door-to-door minutes (same starting point) and parking cost
+ */
+function parkingRouteParkAndRideHtml(destName, downtown) {
+  const pnr = currentParkAndRideTrip();
+  if (!pnr) return "";
+  const people = resolvedParkingPeople();
+  const drive = pnr.drive
+    ? `${Math.max(PARKING_DRIVE_ESTIMATE_DISPLAY_MIN_MINUTES, Math.round(pnr.drive.minutes))}+ min drive`
+    : "";
+  const lotPrice =
+    pnr.lot.parkingDollars == null
+      ? ""
+      : pnr.lot.parkingDollars === 0
+        ? "Free"
+        : `Expected ${formatPricingAmount(pnr.lot.parkingDollars)}`;
+  const steps = [
+    parkingRouteStepLi(
+      `<strong>Park</strong> at ${escapeHtml(pnr.lot.label)}` +
+        (lotPrice
+          ? `<span class="parking-route-park-cost">${escapeHtml(lotPrice)}</span>`
+          : ""),
+      drive ? [drive] : [],
+      "drive",
+    ),
+    ...parkingRapidTripStepsHtml(pnr.trip, pnr.lot.label, destName),
+  ];
+
+  const costText = (dollars) =>
+    dollars == null ? "price not listed" : formatPricingAmount(dollars);
+  const options = [
+    {
+      key: "park-and-ride",
+      label: "Park and ride",
+      minutes: pnr.totalMinutes,
+      cost: costText(parkAndRideCostDollars(pnr, people)),
+    },
+  ];
+  if (downtown) {
+    options.push({
+      key: "downtown",
+      label: "Park downtown",
+      minutes: Math.round(downtown.minutes),
+      cost: costText(downtown.dollars),
+    });
+  }
+  const note =
+    `${pnr.drive ? "Door to door from your location" : "Times start once you've parked"}. ` +
+    `Park and ride costs the lot plus ${people > 1 ? `${people} bus fares` : "the bus fare"} each way.`;
+  const shown = isParkingParkAndRideShown();
+
+  return (
+    `<section class="parking-route-transit" data-parking-park-and-ride>` +
+    `<p class="parking-route-transit-title">Or park and ride</p>` +
+    `<ol class="parking-route-steps">${steps.join("")}</ol>` +
+    `<ul class="parking-route-pnr-compare">` +
+    options
+      .map(
+        (o) =>
+          `<li data-parking-pnr-option="${o.key}"><span>${o.label}</span>` +
+          `<span class="parking-route-pnr-cost">~${o.minutes} min · ${escapeHtml(o.cost)}</span></li>`,
+      )
+      .join("") +
+    `</ul>` +
+    `<p class="parking-route-transit-note">${escapeHtml(note)}</p>` +
+    `<button type="button" class="parking-route-transit-btn" data-parking-pnr-toggle aria-pressed="${shown}">` +
+    `${shown ? "Hide on map" : "Show on map"}</button>` +
+    `</section>`
+  );
+}
+
+/**
+ * "Or ride Lime" under the route steps: walk from the start to the nearest Lime zone, ride to the
+ * zone nearest the venue, and walk in ({@link currentParkingMicromobilityTrip}), with the fare
+ * itemized as unlock + minutes. Empty without a start or a zone near both ends.
+ * @param {string} destName
+ * @param {string} [fromLabel] — the start as the panel names it (the parking spot's label)
+ */
+function parkingRouteMicromobilityHtml(destName, fromLabel) {
+  const origin = resolvedParkingMicromobilityOrigin();
+  const trip = currentParkingMicromobilityTrip();
+  if (!origin || !trip) return "";
+  const lime = appData?.modeLabels?.micromobility || "Lime";
+  const fares = resolveTravelFares(appData?.fares);
+  const people = resolvedParkingPeople();
+  const w1m = parkingInstructionWalkEstimateMetrics(trip.walk1Mi);
+  const w2m = parkingInstructionWalkEstimateMetrics(trip.walk2Mi);
+  const rideDistance = formatRouteDistanceMiles(trip.rideMi);
+  const steps = [
+    parkingRouteStepLi(
+      `<strong>Walk</strong> from ${escapeHtml(fromLabel || origin.label)} to ${escapeHtml(trip.pickup.label)}`,
+      w1m ? [w1m] : [],
+      "walk",
+    ),
+    parkingRouteStepLi(
+      `<strong>Ride</strong> ${escapeHtml(lime)} to ${escapeHtml(trip.dropoff.label)}`,
+      [
+        rideDistance
+          ? `${rideDistance} mi · ${trip.rideMinutes} min ride`
+          : `${trip.rideMinutes} min ride`,
+      ],
+      "scooter",
+    ),
+    parkingRouteStepLi(
+      `<strong>Walk</strong> to ${escapeHtml(destName)}`,
+      w2m ? [w2m] : [],
+      "walk",
+    ),
+  ];
+  const fare =
+    `${formatDollarAmount(fares.micromobilityUnlockDollars)} unlock + ` +
+    `${trip.rideMinutes} min × ${formatDollarAmount(fares.micromobilityPerMinuteDollars)} = ` +
+    `${formatDollarAmount(trip.fareDollars)} a ride` +
+    (people > 1
+      ? ` (${formatDollarAmount(trip.fareDollars * people)} for ${people} people)`
+      : "");
+  const shown = isParkingMicromobilityShown();
+  return (
+    `<section class="parking-route-transit" data-parking-lime>` +
+    `<p class="parking-route-transit-title">Or ride ${escapeHtml(lime)}</p>` +
+    `<ol class="parking-route-steps">${steps.join("")}</ol>` +
+    `<p class="parking-route-transit-summary">About ${trip.totalMinutes} min door to door` +
+    (trip.directWalkMinutes <= trip.totalMinutes
+      ? `. Walking the whole way (~${trip.directWalkMinutes} min) is as quick.`
+      : ".") +
+    `</p>` +
+    `<p class="parking-route-transit-note" data-parking-lime-fare>${escapeHtml(fare)}</p>` +
+    `<button type="button" class="parking-route-transit-btn" data-parking-lime-toggle aria-pressed="${shown}">` +
+    `${shown ? "Hide on map" : "Show on map"}</button>` +
+    `</section>`
+  );
+}
+
+/**
+ * "Or take The Rapid" under the route steps: a starting-address form and, once `from=` resolves,
+ * the walk → bus → walk plan drawn by {@link syncParkingTransitTrip}.
+ * @param {string} destName
+ */
+function parkingRouteTransitHtml(destName) {
+  const agency = escapeHtml(
+    getActiveCityProfile()?.transit.agency || "Transit",
+  );
+  const from = getParkingTransitFromParam();
+  const origin = resolvedParkingTransitOrigin();
+  const typed =
+    from === PARKING_TRANSIT_FROM_HERE
+      ? ""
+      : parkingTransitOriginLabel?.from === from
+        ? parkingTransitOriginLabel.label
+        : from;
+  const form =
+    `<form class="parking-route-transit-form" data-parking-transit-form>` +
+    `<input class="parking-route-transit-input" type="search" name="from" autocomplete="street-address" ` +
+    `placeholder="Starting address" aria-label="Starting address for the bus" value="${escapeHtml(typed)}">` +
+    `<button type="submit" class="parking-route-transit-btn">Plan</button>` +
+    `<button type="button" class="parking-route-transit-btn" data-parking-transit-here>Use my location</button>` +
+    (from
+      ? `<button type="button" class="parking-route-transit-btn" data-parking-transit-clear>Clear</button>`
+      : "") +
+    `</form>`;
+
+  const note = (text) =>
+    `<p class="parking-route-transit-note" role="status">${text}</p>`;
+  let result = "";
+  if (parkingTransitGeocodeStatus === "pending") {
+    result = note("Looking up that address…");
+  } else if (parkingTransitGeocodeStatus === "not-found") {
+    result = note(
+      "Couldn't find that address nearby. Try a street and number, or <code>lat, lng</code>.",
+    );
+  } else if (parkingTransitGeocodeStatus === "error") {
+    result = note(
+      "Address search isn't available right now. Try again, or use your location.",
+    );
+  } else if (from === PARKING_TRANSIT_FROM_HERE && !origin) {
+    result = note(
+      parkingUserLocationError
+        ? escapeHtml(parkingUserLocationError)
+        : "Finding your location…",
+    );
+  } else if (origin) {
+    const trip = currentParkingTransitTrip();
+    if (!trip) {
+      result = note(
+        `${agency} has no route with stops within ${formatRouteDistanceMiles(RAPID_TRANSIT_MAX_STOP_WALK_MILES)} mi of both ${escapeHtml(origin.label)} and ${escapeHtml(destName)}.`,
+      );
+    } else {
+      const steps = parkingRapidTripStepsHtml(trip, origin.label, destName);
+      const fare = formatDollarAmount(trip.fareDollars);
+      result =
+        `<ol class="parking-route-steps">${steps.join("")}</ol>` +
+        `<p class="parking-route-transit-summary">About ${trip.totalMinutes} min door to door` +
+        (fare ? ` · ${escapeHtml(fare)} fare each way` : "") +
+        `.` +
+        (trip.directWalkMinutes <= trip.totalMinutes
+          ? ` Walking the whole way (~${trip.directWalkMinutes} min) is as quick.`
+          : "") +
+        `</p>`;
+    }
   }
+
+  return (
+    `<section class="parking-route-transit" data-parking-transit>` +
+    `<p class="parking-route-transit-title">Or take ${agency}</p>` +
+    form +
+    result +
+    `</section>`
+  );
 }
 
 /** Text panel under the map — mirrors walk / DASH overlays from {@link syncParkingStartFinishWalkLine}. */
@@ -4070,6 +4041,8 @@ function syncParkingRouteInstructionsPanel() {
     return;
   }
 
+  const transitHtml = parkingRouteTransitHtml(destName);
+
   /**
    * **`walk=0`** / slider **No distance** ⇒ {@link resolvedParkingWalkCapMiles} is **0** — do not stop here.
    * Pin filtering uses ~100 ft to DASH for markers; with no pins the empty-state message below applies (e.g.
@@ -4079,7 +4052,11 @@ function syncParkingRouteInstructionsPanel() {
   const rawStartId = normalizeParkingSpotIdFromHashRaw();
   const committedId = getParkingSpotIdForHash();
   if (rawStartId && !committedId) {
-    body.innerHTML = `<p class="parking-route-instructions-placeholder">Your chosen parking isn't on the map with the current <strong class="font-semibold text-slate-800">To park in</strong> filters. Turn a category back on or pick another spot.</p>`;
+    body.innerHTML =
+      `<p class="parking-route-instructions-placeholder">Your chosen parking isn't on the map with the current <strong class="font-semibold text-slate-800">To park in</strong> filters. Turn a category back on or pick another spot.</p>` +
+      parkingRouteParkAndRideHtml(destName, null) +
+      parkingRouteMicromobilityHtml(destName) +
+      transitHtml;
     setParkingRouteUnverifiedNoteVisible(true);
     return;
   }
@@ -4090,14 +4067,21 @@ function syncParkingRouteInstructionsPanel() {
         `<p class="parking-route-instructions-placeholder parking-route-instructions-error parking-route-instructions-prompt" role="alert">` +
         `<span class="parking-route-prompt-icon" aria-hidden="true">${parkingRouteErrorIconSvg()}</span>` +
         `<span class="parking-route-prompt-msg">No parking suggestions match your current filters.</span>` +
-        `</p>`;
+        `</p>` +
+        parkingRouteParkAndRideHtml(destName, null) +
+        parkingRouteMicromobilityHtml(destName) +
+        transitHtml;
       setParkingRouteUnverifiedNoteVisible(true);
       return;
     }
-    body.innerHTML = routeNextHtml(
-      `Choose <strong class="font-semibold text-slate-800">where you'll park</strong> by clicking on one of the suggested map markers, which match your current filters.`,
-      true,
-    );
+    body.innerHTML =
+      routeNextHtml(
+        `Choose <strong class="font-semibold text-slate-800">where you'll park</strong> by clicking on one of the suggested map markers, which match your current filters.`,
+        true,
+      ) +
+      parkingRouteParkAndRideHtml(destName, null) +
+      parkingRouteMicromobilityHtml(destName) +
+      transitHtml;
     setParkingRouteUnverifiedNoteVisible(true);
     return;
   }
@@ -4121,11 +4105,30 @@ function syncParkingRouteInstructionsPanel() {
           parkLabelAria,
         )
       : escapeHtml(parkLabel);
-  const parkMainHtml = `<strong>Park</strong> at ${parkLabelHtml}`;
+  const parkFreshnessText = parkingSpotPriceFreshnessText(spot);
+  const parkMainHtml =
+    `<strong>Park</strong> at ${parkLabelHtml}` +
+    (spot.costEstimate
+      ? `<span class="parking-route-park-cost">Expected ${escapeHtml(spot.costEstimate)}</span>`
+      : "") +
+    (parkFreshnessText
+      ? `<span class="parking-route-price-freshness${spot.priceFreshness?.stale ? " parking-route-price-freshness--stale" : ""}">${escapeHtml(parkFreshnessText)}</span>`
+      : "");
   const driveMetrics = parkingDriveStepMetricsForParkingSpot(
     start.lat,
     start.lng,
   );
+  /** Same starting point as the park-and-ride comparison: the drive counts only with the user's location. */
+  const driveMinutes =
+    parkingUserLocationIncluded && parkingUserLocation
+      ? parkingDriveLeg(
+          appData,
+          parkingUserLocation.lat,
+          parkingUserLocation.lng,
+          start.lat,
+          start.lng,
+        ).minutes
+      : 0;
 
   const venueMapsHref = parkingGoogleMapsHref(
     destLl[0],
@@ -4175,7 +4178,8 @@ function syncParkingRouteInstructionsPanel() {
       typeof multimodal.boardStop.label === "string"
         ? multimodal.boardStop.label.trim()
         : "";
-    const boardDisplay = boardRaw !== "" ? boardRaw : "DASH stop";
+    const boardDisplay =
+      boardRaw !== "" ? boardRaw : `${parkingShuttleName()} stop`;
     const boardMapsHref = parkingGoogleMapsHref(
       multimodal.boardStop.lat,
       multimodal.boardStop.lng,
@@ -4193,7 +4197,8 @@ function syncParkingRouteInstructionsPanel() {
       typeof multimodal.alightStop.label === "string"
         ? multimodal.alightStop.label.trim()
         : "";
-    const alightDisplay = alightRaw !== "" ? alightRaw : "DASH stop";
+    const alightDisplay =
+      alightRaw !== "" ? alightRaw : `${parkingShuttleName()} stop`;
     const alightMapsHref = parkingGoogleMapsHref(
       multimodal.alightStop.lat,
       multimodal.alightStop.lng,
@@ -4219,7 +4224,10 @@ function syncParkingRouteInstructionsPanel() {
     );
     steps.push(
       parkingRouteStepLi(
-        `<strong>Wait</strong> for the free ${parkingRouteDashShuttleTransitAppAnchorHtml()}`,
+        `<strong>Wait</strong> for the free ${parkingRouteDashShuttleTransitAppAnchorHtml()}` +
+          (multimodal.dashDepartsAt instanceof Date
+            ? ` <span class="parking-route-dash-departure">at ${escapeHtml(formatTransitTime(multimodal.dashDepartsAt, cityTimeZone()))}</span>`
+            : ""),
         waitM ? [waitM] : [],
         "wait",
         { omitListMarker: true },
@@ -4228,7 +4236,7 @@ function syncParkingRouteInstructionsPanel() {
     if (sameTripStop) {
       steps.push(
         parkingRouteStepLi(
-          `<strong>Board</strong> DASH at ${boardLabelPlain}, same stop`,
+          `<strong>Board</strong> ${escapeHtml(parkingShuttleName())} at ${boardLabelPlain}, same stop`,
           onboardM ? [onboardM] : [],
           "dash",
         ),
@@ -4250,12 +4258,34 @@ function syncParkingRouteInstructionsPanel() {
       ),
     );
 
-    body.innerHTML = listOpen + steps.join("") + listClose;
+    body.innerHTML =
+      listOpen +
+      steps.join("") +
+      listClose +
+      parkingRouteDashReturnWarningHtml(multimodal, alightDisplay) +
+      parkingRoutePartyCostsHtml(spot, destLl) +
+      parkingRouteParkAndRideHtml(destName, {
+        minutes:
+          driveMinutes +
+          parkingWalkEstimateMinutesForMiles(multimodal.walk1Mi) +
+          (multimodal.dashBoardingWaitMinutes || 0) +
+          (multimodal.shuttleMinutes || 0) +
+          parkingWalkEstimateMinutesForMiles(multimodal.walk2Mi),
+        dollars: spot.costEstimateDollars ?? null,
+      }) +
+      parkingRouteMicromobilityHtml(destName, parkLabel) +
+      transitHtml;
     setParkingRouteUnverifiedNoteVisible(false);
     return;
   }
 
-  const doorMi = gridWalkMiles(start.lat, start.lng, destLl[0], destLl[1]);
+  const doorMi = parkingWalkLeg(
+    appData,
+    start.lat,
+    start.lng,
+    destLl[0],
+    destLl[1],
+  ).miles;
   const doorMetrics = parkingInstructionWalkEstimateMetrics(doorMi);
   const steps = [
     parkingRouteStepLi(parkMainHtml, driveMetrics, "drive"),
@@ -4265,7 +4295,17 @@ function syncParkingRouteInstructionsPanel() {
       "walk",
     ),
   ];
-  body.innerHTML = listOpen + steps.join("") + listClose;
+  body.innerHTML =
+    listOpen +
+    steps.join("") +
+    listClose +
+    parkingRoutePartyCostsHtml(spot, destLl) +
+    parkingRouteParkAndRideHtml(destName, {
+      minutes: driveMinutes + parkingWalkEstimateMinutesForMiles(doorMi),
+      dollars: spot.costEstimateDollars ?? null,
+    }) +
+    parkingRouteMicromobilityHtml(destName, parkLabel) +
+    transitHtml;
   setParkingRouteUnverifiedNoteVisible(false);
 }
 
@@ -4278,6 +4318,9 @@ function syncParkingMapOverlays(map, opts) {
   syncParkingSpots(map);
   syncParkingSpotPickMarker(map);
   syncParkingStartFinishWalkLine(map);
+  syncParkingTransitTrip(map);
+  syncParkingParkAndRideTrip(map);
+  syncParkingMicromobilityTrip(map);
   syncParkingDestinationMarker(map);
   syncParkingUserLocationMarker(map);
   syncParkingRouteInstructionsPanel();
@@ -4330,7 +4373,7 @@ function ensureParkingMap() {
     return parkingMap;
   }
 
-  const [lat, lng] = MODES_PAGE_EMPTY_MAP_CENTER;
+  const [lat, lng] = parkingCityCenter();
   parkingMap = L.map(el, { zoomControl: true, maxZoom: 19 }).setView(
     [lat, lng],
     12,
@@ -4367,23 +4410,15 @@ function disposeAllParkingLegendMiniMaps() {
 }
 
 /**
- * Lat/lng for legend maps: same regional pool as `#/visit` pins (within {@link PARKING_MAX_MILES_FROM_DASH_STOP}
+ * Lat/lng for legend maps: same regional pool as `#/visit` pins (within `PARKING_MAX_MILES_FROM_DASH_STOP`
  * of a DASH stop when stop data exists). Ignores evening/walk UI filters so each section shows the full category.
  * @returns {Array<[number, number]>}
  */
 function latLngsForParkingLegendCategory(categoryId) {
-  const dk = parkingCategoryDataKey(categoryId);
-  const parking = appData?.parking;
-  const items =
-    categoryId === "private-garage" || categoryId === "private-lot"
-      ? dk
-        ? parkingItemsForVisitDataKey(dk)
-        : []
-      : dk && parking
-        ? parking[dk]
-        : null;
-  if (!Array.isArray(items)) return [];
-  const dashStops = getDashStopLatLngsForParkingProximity();
+  const items = expandParkingVisitMarkerCategoryKeys([categoryId]).flatMap(
+    parkingItemsForVisitCategory,
+  );
+  const dashStops = getDashStopIndexForParkingProximity();
   const out = [];
   for (const item of items) {
     const lat = item?.location?.latitude ?? item?.latitude;
@@ -4416,7 +4451,7 @@ function fitParkingLegendCategoryMap(map, categoryId) {
   if (!L || !map) return;
   const pts = latLngsForParkingLegendCategory(categoryId);
   if (pts.length === 0) {
-    map.setView(MODES_PAGE_EMPTY_MAP_CENTER, PARKING_LEGEND_EMPTY_ZOOM);
+    map.setView(parkingCityCenter(), PARKING_LEGEND_EMPTY_ZOOM);
     return;
   }
   const bounds = L.latLngBounds([]);
@@ -4426,7 +4461,7 @@ function fitParkingLegendCategoryMap(map, categoryId) {
   if (bounds.isValid()) {
     map.fitBounds(bounds, parkingLegendFitPaddingOptions());
   } else {
-    map.setView(MODES_PAGE_EMPTY_MAP_CENTER, PARKING_LEGEND_EMPTY_ZOOM);
+    map.setView(parkingCityCenter(), PARKING_LEGEND_EMPTY_ZOOM);
   }
 }
 
@@ -4457,7 +4492,7 @@ function fitParkingLegendDashMap(map) {
   if (hasGeometry && bounds.isValid()) {
     map.fitBounds(bounds, parkingLegendFitPaddingOptions());
   } else {
-    map.setView(MODES_PAGE_EMPTY_MAP_CENTER, PARKING_LEGEND_EMPTY_ZOOM);
+    map.setView(parkingCityCenter(), PARKING_LEGEND_EMPTY_ZOOM);
   }
 }
 
@@ -4482,7 +4517,7 @@ function renderParkingLegendCategoryMiniMap(containerId, categoryId) {
 
   const pts = latLngsForParkingLegendCategory(categoryId);
   if (pts.length === 0) {
-    map.setView(MODES_PAGE_EMPTY_MAP_CENTER, PARKING_LEGEND_EMPTY_ZOOM);
+    map.setView(parkingCityCenter(), PARKING_LEGEND_EMPTY_ZOOM);
     map.__parkingLegendRefit = () =>
       fitParkingLegendCategoryMap(map, categoryId);
     invalidateParkingLegendMiniMapSoon(map);
@@ -4617,7 +4652,14 @@ function openParkingLegendModal() {
   }
 
   disposeAllParkingLegendMiniMaps();
-  for (const key of PARKING_MAP_ITEM_KEYS) {
+  const legendKeys = parkingMapItemKeys();
+  for (const section of modal.querySelectorAll(".parking-legend-section")) {
+    const mapEl = section.querySelector("[id^='parkingLegendMap-']");
+    const key = mapEl?.id.slice("parkingLegendMap-".length);
+    if (!key || key === "dash") continue;
+    section.classList.toggle("hidden", !legendKeys.includes(key));
+  }
+  for (const key of legendKeys) {
     renderParkingLegendCategoryMiniMap(`parkingLegendMap-${key}`, key);
   }
   renderParkingLegendDashMiniMap("parkingLegendMap-dash");
@@ -4699,10 +4741,17 @@ export function renderParkingView() {
   syncParkingEveningBudgetSliderFromHash();
   ensureParkingWalkDelegation();
   syncParkingWalkSliderFromHash();
+  ensureParkingVisitTimeDelegation();
+  syncParkingVisitTimeFromHash();
+  ensureParkingPeopleDelegation();
+  syncParkingPeopleFromHash();
+  ensureParkingEventTypeDelegation();
+  syncParkingEventTypeFromHash();
   syncParkingHashStripStartWhenWalkZero();
   ensureParkingResetDelegation();
   ensureParkingLegendModal();
   ensureParkingLocateControl();
+  ensureParkingTransitDelegation();
   document.getElementById("parkingMapChrome")?.classList.remove("hidden");
 
   applyParkingRouteLayoutShell();
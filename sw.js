@@ -0,0 +1,268 @@
+/**
+ * Offline service worker: precaches the app shell, `src/**`, and every `data/**` JSON file listed
+ * in `sw-precache.json` (see `scripts/build_precache.mjs`), plus downtown map tiles as the user views
+ * them. Everything is served cache-first so a `#/visit` plan survives a reload with no signal.
+ *
+ * Code lives in one cache per **`APP_VERSION`**, which `scripts/build_precache.mjs` stamps into this
+ * file: new code changes these bytes, so the browser installs the new worker, which takes over and
+ * drops the old app cache. Pages then get the "new version" prompt (see `src/offline.mjs`).
+ *
+ * Data lives in its own cache per **`dataVersion`**. When a page asks (`check-data`) and the
+ * published `sw-precache.json` has a new version, the new files are downloaded next to the old
+ * ones and pages get `data-update-ready`; the switch happens only on `activate-data` (the
+ * "new parking data available" prompt's reload button), so a plan never changes mid-visit. Data is
+ * only offered to the code it was published with: while `sw-precache.json` names another
+ * `appVersion`, `check-data` updates the worker instead.
+ *
+ * Classic script (not a module) so every browser with service workers can register it.
+ */
+
+/** `appVersion` from `sw-precache.json`, written by `scripts/build_precache.mjs`. */
+const APP_VERSION = "7228611c3e28";
+
+const CACHE_PREFIX = "plangr-";
+const META_CACHE = `${CACHE_PREFIX}meta`;
+const TILE_CACHE = `${CACHE_PREFIX}tiles`;
+const PRECACHE_URL = "sw-precache.json";
+/** Meta cache key holding the `dataVersion` pages are served from. */
+const ACTIVE_DATA_VERSION_KEY = "active-data-version";
+
+/** Leaflet and Tailwind from their CDNs — cached at install so the shell renders offline. */
+const CDN_URLS = [
+  "https://cdn.jsdelivr.net/npm/@tailwindcss/browser@4",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+];
+
+/** OpenStreetMap tiles kept at most (oldest evicted first); ~15 KB each. */
+const TILE_CACHE_MAX_ENTRIES = 1500;
+/** Tiles are cached when they overlap a city's downtown radius plus this margin (mi). */
+const TILE_DOWNTOWN_MARGIN_MILES = 1;
+
+const appCacheName = (version) => `${CACHE_PREFIX}app-${version}`;
+const dataCacheName = (version) => `${CACHE_PREFIX}data-${version}`;
+
+async function fetchPrecacheList() {
+  const res = await fetch(PRECACHE_URL, { cache: "no-store" });
+  if (!res.ok) throw new Error(`${PRECACHE_URL}: HTTP ${res.status}`);
+  return res.json();
+}
+
+async function getActiveDataVersion() {
+  const meta = await caches.open(META_CACHE);
+  const res = await meta.match(ACTIVE_DATA_VERSION_KEY);
+  return res ? res.text() : null;
+}
+
+async function setActiveDataVersion(version) {
+  const meta = await caches.open(META_CACHE);
+  await meta.put(ACTIVE_DATA_VERSION_KEY, new Response(version));
+}
+
+/** Download every data file for `precache.dataVersion` into its own cache (no-op when complete). */
+async function precacheData(precache) {
+  const cache = await caches.open(dataCacheName(precache.dataVersion));
+  const missing = [];
+  for (const file of precache.data) {
+    if (!(await cache.match(file))) missing.push(file);
+  }
+  await cache.addAll(
+    missing.map((file) => new Request(file, { cache: "reload" })),
+  );
+}
+
+/** Delete app and data caches other than the versions still in use. */
+async function deleteStaleCaches(keep) {
+  for (const name of await caches.keys()) {
+    if (!name.startsWith(CACHE_PREFIX) || keep.includes(name)) continue;
+    if (name === META_CACHE || name === TILE_CACHE) continue;
+    await caches.delete(name);
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const precache = await fetchPrecacheList();
+      const app = await caches.open(appCacheName(APP_VERSION));
+      await app.addAll([
+        "./",
+        ...precache.app.map((file) => new Request(file, { cache: "reload" })),
+      ]);
+      await app.put(PRECACHE_URL, new Response(JSON.stringify(precache)));
+      await Promise.all(
+        CDN_URLS.map(async (url) => {
+          try {
+            await app.put(url, await fetch(url, { mode: "cors" }));
+          } catch {
+            // CDN unreachable at install — fetched and cached on first use instead.
+          }
+        }),
+      );
+      if (!(await getActiveDataVersion())) {
+        await precacheData(precache);
+        await setActiveDataVersion(precache.dataVersion);
+      }
+      await self.skipWaiting();
+    })(),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const dataVersion = await getActiveDataVersion();
+      await deleteStaleCaches([
+        appCacheName(APP_VERSION),
+        dataVersion ? dataCacheName(dataVersion) : "",
+      ]);
+      await self.clients.claim();
+    })(),
+  );
+});
+
+/** Web Mercator tile → `[south, west, north, east]` degrees. */
+function tileBounds(z, x, y) {
+  const n = 2 ** z;
+  const lat = (ty) =>
+    (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / n))) * 180) / Math.PI;
+  return [lat(y + 1), (x / n) * 360 - 180, lat(y), ((x + 1) / n) * 360 - 180];
+}
+
+/** True when the tile overlaps any city's downtown (from the active `data/cities.json`). */
+async function isDowntownTile(z, x, y) {
+  const dataVersion = await getActiveDataVersion();
+  if (!dataVersion) return false;
+  const res = await (
+    await caches.open(dataCacheName(dataVersion))
+  ).match("data/cities.json");
+  const cities = res ? (await res.json()).cities : [];
+  const [s, w, n, e] = tileBounds(z, x, y);
+  return (Array.isArray(cities) ? cities : []).some((c) => {
+    const lat = c?.center?.latitude;
+    const lng = c?.center?.longitude;
+    if (typeof lat !== "number" || typeof lng !== "number") return false;
+    const mi = (c.downtownRadiusMiles || 0) + TILE_DOWNTOWN_MARGIN_MILES;
+    const dLat = mi / 69;
+    const dLng = mi / (69 * Math.cos((lat * Math.PI) / 180));
+    return (
+      s <= lat + dLat && n >= lat - dLat && w <= lng + dLng && e >= lng - dLng
+    );
+  });
+}
+
+async function trimTileCache(cache) {
+  const keys = await cache.keys();
+  for (const req of keys.slice(
+    0,
+    Math.max(0, keys.length - TILE_CACHE_MAX_ENTRIES),
+  )) {
+    await cache.delete(req);
+  }
+}
+
+/**
+ * One cache entry per tile whichever `{s}` subdomain Leaflet picked. Fetched with CORS (OSM sends
+ * `Access-Control-Allow-Origin: *`) so entries are not opaque, which browsers pad to megabytes of quota.
+ */
+async function serveTile(z, x, y) {
+  const key = `https://tile.openstreetmap.org/${z}/${x}/${y}.png`;
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(key);
+  if (cached) return cached;
+  const res = await fetch(key, { mode: "cors", credentials: "omit" });
+  if (res.ok && (await isDowntownTile(z, x, y))) {
+    await cache.put(key, res.clone());
+    await trimTileCache(cache);
+  }
+  return res;
+}
+
+/** Same-origin files: data from the active data cache, everything else from this worker's app cache. */
+async function serveLocal(request, url) {
+  const scopePath = new URL(self.registration.scope).pathname;
+  const path = url.pathname.slice(scopePath.length);
+  if (path.startsWith("data/")) {
+    const dataVersion = await getActiveDataVersion();
+    if (dataVersion) {
+      const cache = await caches.open(dataCacheName(dataVersion));
+      const hit = await cache.match(path, { ignoreSearch: true });
+      if (hit) return hit;
+    }
+    return fetch(request);
+  }
+  const key = request.mode === "navigate" ? "./" : request;
+  const app = await caches.open(appCacheName(APP_VERSION));
+  const hit = await app.match(key, { ignoreSearch: true });
+  if (hit) return hit;
+  return fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  const tile = url.hostname.endsWith("tile.openstreetmap.org")
+    ? url.pathname.match(/^\/(\d+)\/(\d+)\/(\d+)\.png$/)
+    : null;
+  if (tile) {
+    event.respondWith(serveTile(+tile[1], +tile[2], +tile[3]));
+    return;
+  }
+  if (url.origin === self.location.origin) {
+    if (
+      url.pathname.endsWith(`/${PRECACHE_URL}`) ||
+      url.pathname.endsWith("/sw.js")
+    )
+      return;
+    event.respondWith(serveLocal(request, url));
+    return;
+  }
+  if (CDN_URLS.includes(request.url)) {
+    event.respondWith(
+      caches.match(request.url).then((hit) => hit || fetch(request)),
+    );
+  }
+});
+
+self.addEventListener("message", (event) => {
+  const msg = event.data;
+  const reply = (body) => event.source?.postMessage(body);
+  if (msg?.type === "check-data") {
+    event.waitUntil(
+      (async () => {
+        let precache;
+        try {
+          precache = await fetchPrecacheList();
+        } catch {
+          return; // offline — keep serving the cached version
+        }
+        if (precache.appVersion !== APP_VERSION) {
+          // New code is published: install it first; its worker offers the new data.
+          await self.registration.update().catch(() => {});
+          return;
+        }
+        const active = await getActiveDataVersion();
+        if (!active || precache.dataVersion === active) return;
+        await precacheData(precache);
+        reply({ type: "data-update-ready", dataVersion: precache.dataVersion });
+      })(),
+    );
+  } else if (
+    msg?.type === "activate-data" &&
+    typeof msg.dataVersion === "string"
+  ) {
+    event.waitUntil(
+      (async () => {
+        const names = await caches.keys();
+        if (!names.includes(dataCacheName(msg.dataVersion))) return;
+        await setActiveDataVersion(msg.dataVersion);
+        await deleteStaleCaches([
+          appCacheName(APP_VERSION),
+          dataCacheName(msg.dataVersion),
+        ]);
+        reply({ type: "data-activated", dataVersion: msg.dataVersion });
+      })(),
+    );
+  }
+});
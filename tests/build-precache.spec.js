@@ -0,0 +1,83 @@
+import { test, expect } from "@playwright/test";
+import { execFileSync } from "node:child_process";
+import {
+  cpSync,
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const REPO = join(__dirname, "..");
+
+/** A tiny app tree with this repo's `sw.js` and `scripts/build_precache.mjs`. */
+function scratchTree() {
+  const root = mkdtempSync(join(tmpdir(), "plangr-precache-"));
+  mkdirSync(join(root, "scripts"));
+  mkdirSync(join(root, "src"));
+  mkdirSync(join(root, "images"));
+  mkdirSync(join(root, "data"));
+  cpSync(
+    join(REPO, "scripts", "build_precache.mjs"),
+    join(root, "scripts", "build_precache.mjs"),
+  );
+  cpSync(join(REPO, "sw.js"), join(root, "sw.js"));
+  writeFileSync(join(root, "index.html"), "<!doctype html>\n");
+  writeFileSync(join(root, "src", "app.mjs"), "export const a = 1;\n");
+  writeFileSync(join(root, "data", "config.json"), "{}\n");
+  return root;
+}
+
+function buildPrecache(root, ...args) {
+  execFileSync(
+    process.execPath,
+    [join(root, "scripts", "build_precache.mjs"), ...args],
+    { stdio: "pipe" },
+  );
+}
+
+/** What the registered worker installs: its stamped `APP_VERSION` and the precache list's. */
+function installedVersions(root) {
+  const sw = readFileSync(join(root, "sw.js"), "utf8");
+  const precache = JSON.parse(
+    readFileSync(join(root, "sw-precache.json"), "utf8"),
+  );
+  return {
+    worker: sw.match(/^const APP_VERSION = "([^"]*)";$/m)?.[1],
+    precache,
+  };
+}
+
+test.describe("Precache build", () => {
+  test("stamps the app version into sw.js so new code installs a new worker", () => {
+    const root = scratchTree();
+    try {
+      buildPrecache(root);
+      const first = installedVersions(root);
+      expect(first.worker).toBe(first.precache.appVersion);
+      expect(first.precache.app).toEqual(["index.html", "src/app.mjs"]);
+
+      writeFileSync(join(root, "src", "app.mjs"), "export const a = 2;\n");
+      expect(() => buildPrecache(root, "--check")).toThrow();
+      buildPrecache(root);
+      const second = installedVersions(root);
+      expect(second.worker).toBe(second.precache.appVersion);
+      expect(second.worker).not.toBe(first.worker);
+      expect(second.precache.dataVersion).toBe(first.precache.dataVersion);
+      buildPrecache(root, "--check");
+    } finally {
+      rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  test("the committed sw.js carries the committed app version", () => {
+    const precache = JSON.parse(
+      readFileSync(join(REPO, "sw-precache.json"), "utf8"),
+    );
+    const sw = readFileSync(join(REPO, "sw.js"), "utf8");
+    expect(sw).toContain(`const APP_VERSION = "${precache.appVersion}";`);
+  });
+});
@@ -0,0 +1,78 @@
+import { test, expect } from "@playwright/test";
+import { readCityProfiles } from "./helpers/data-manifest.js";
+import {
+  cityDataPath,
+  cityMapCenter,
+  cityTimeZone,
+  cityVisitPath,
+  getActiveCityProfile,
+  parseCityVisitPath,
+  setActiveCityProfile,
+  setCityProfiles,
+} from "../src/shared/city-profile.mjs";
+
+const CITIES = readCityProfiles();
+
+/** Grand Rapids plus a second city in its own data directory. */
+const TWO_CITIES = {
+  ...CITIES,
+  cities: [
+    ...CITIES.cities,
+    {
+      slug: "lansing",
+      name: "Lansing",
+      dataDir: "data/cities/lansing/",
+      center: { latitude: 42.7335, longitude: -84.5555 },
+      downtownRadiusMiles: 1.25,
+      transitStopRadiusMiles: 1,
+      transit: { agency: "CATA" },
+      shuttle: { name: "Entertainment Express" },
+    },
+  ],
+};
+
+test.describe("City profiles", () => {
+  test("the default city keeps data/ paths and short #/visit links", () => {
+    setCityProfiles(CITIES);
+    expect(getActiveCityProfile()?.slug).toBe("grand-rapids");
+    expect(cityMapCenter()).toEqual([42.96333, -85.66806]);
+    expect(cityDataPath("parking/public/meters.json")).toBe(
+      "data/parking/public/meters.json",
+    );
+    expect(cityVisitPath("van-andel-arena")).toBe("/visit/van-andel-arena");
+    expect(cityVisitPath()).toBe("/visit");
+  });
+
+  test("another city reads its own data directory and prefixes #/visit", () => {
+    setCityProfiles(TWO_CITIES);
+    setActiveCityProfile("lansing");
+    expect(cityDataPath("config.json")).toBe("data/cities/lansing/config.json");
+    expect(cityVisitPath("lugnuts")).toBe("/visit/lansing/lugnuts");
+    expect(cityVisitPath()).toBe("/visit/lansing");
+    expect(getActiveCityProfile()?.transit.color).toBe("#2563eb");
+    expect(cityTimeZone()).toBe("America/Detroit");
+
+    setActiveCityProfile("kalamazoo");
+    expect(getActiveCityProfile()?.slug).toBe("grand-rapids");
+  });
+
+  test("parses city and venue slugs from #/visit paths", () => {
+    setCityProfiles(TWO_CITIES);
+    expect(parseCityVisitPath("/visit/lansing/lugnuts")).toEqual({
+      citySlug: "lansing",
+      venueSlug: "lugnuts",
+    });
+    expect(parseCityVisitPath("/visit/lansing/")).toEqual({
+      citySlug: "lansing",
+      venueSlug: "",
+    });
+    expect(parseCityVisitPath("/visit/van-andel-arena")).toEqual({
+      citySlug: "",
+      venueSlug: "van-andel-arena",
+    });
+    expect(parseCityVisitPath("/visit")).toEqual({
+      citySlug: "",
+      venueSlug: "",
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { test, expect } from "@playwright/test";
+import {
+  DATA_FRESHNESS_DEFAULT_STALE_AFTER_MONTHS,
+  dataFreshnessStaleAfterMonths,
+  isDataFreshnessDate,
+  monthsSinceDataFreshnessDate,
+  parkingItemVerifiedAt,
+  parkingPriceFreshness,
+} from "../src/shared/data-freshness.mjs";
+
+const NOW = new Date("2025-06-15T12:00:00Z");
+
+test.describe("Data freshness", () => {
+  test("accepts ISO dates and timestamps only", () => {
+    expect(isDataFreshnessDate("2025-04-30")).toBe(true);
+    expect(isDataFreshnessDate("2025-04-30T18:02:11.5+00:00")).toBe(true);
+    expect(isDataFreshnessDate("2025-02-30")).toBe(false);
+    expect(isDataFreshnessDate("April 2025")).toBe(false);
+    expect(isDataFreshnessDate(20250430)).toBe(false);
+  });
+
+  test("an item or override verifiedAt wins over the dataset generatedAt", () => {
+    const parking = { generatedAt: { ellisGarages: "2025-01-10" } };
+    expect(parkingItemVerifiedAt({}, parking, "ellisGarages")).toBe(
+      "2025-01-10",
+    );
+    expect(
+      parkingItemVerifiedAt(
+        { verifiedAt: "2025-05-01" },
+        parking,
+        "ellisGarages",
+      ),
+    ).toBe("2025-05-01");
+    expect(parkingItemVerifiedAt({}, parking, "osmLots")).toBeNull();
+  });
+
+  test("counts whole months and flags prices past the threshold", () => {
+    expect(monthsSinceDataFreshnessDate("2025-06-01", NOW)).toBe(0);
+    expect(monthsSinceDataFreshnessDate("2025-05-15", NOW)).toBe(1);
+    expect(monthsSinceDataFreshnessDate("2025-05-16", NOW)).toBe(0);
+    expect(monthsSinceDataFreshnessDate("2024-01-20", NOW)).toBe(16);
+
+    expect(parkingPriceFreshness("2025-06-01", 12, NOW)).toEqual({
+      text: "Price last verified this month",
+      stale: false,
+    });
+    expect(parkingPriceFreshness("2025-03-02", 12, NOW)).toEqual({
+      text: "Price last verified 3 months ago",
+      stale: false,
+    });
+    expect(parkingPriceFreshness("2024-06-15", 12, NOW)).toEqual({
+      text: "Price last verified 12 months ago",
+      stale: true,
+    });
+    expect(parkingPriceFreshness(null, 12, NOW)).toBeNull();
+
+    expect(dataFreshnessStaleAfterMonths({})).toBe(
+      DATA_FRESHNESS_DEFAULT_STALE_AFTER_MONTHS,
+    );
+    expect(
+      dataFreshnessStaleAfterMonths({ dataFreshness: { staleAfterMonths: 6 } }),
+    ).toBe(6);
+  });
+});
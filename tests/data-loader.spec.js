@@ -0,0 +1,289 @@
+import { test, expect } from "@playwright/test";
+import { join } from "node:path";
+import { createFileDataReader } from "../scripts/lib/file-data-reader.mjs";
+import {
+  assembleAppData,
+  getParkingDatasetIndex,
+} from "../src/shared/data-loader.mjs";
+import {
+  installDataRegistries,
+  readDataManifest,
+} from "./helpers/data-manifest.js";
+
+const readRepoFile = createFileDataReader(join(__dirname, ".."));
+
+/** Repo reader with `data/overrides.json` replaced by `overrides`. */
+function readerWithOverrides(overrides) {
+  return async (file) =>
+    file === "data/overrides.json"
+      ? { file, data: overrides, loadError: null }
+      : readRepoFile(file);
+}
+
+/** Repo reader with `extra` merged into `data/parking/private/lots-osm.json`. */
+function readerWithOsmLots(extra) {
+  return async (file) => {
+    const read = await readRepoFile(file);
+    if (file !== "data/parking/private/lots-osm.json") return read;
+    return {
+      ...read,
+      data: {
+        ...read.data,
+        items: [...read.data.items, ...(extra.items || [])],
+        deduplicated: extra.deduplicated,
+      },
+    };
+  };
+}
+
+const WALK_GRAPH = {
+  nodes: [
+    [42.963, -85.668],
+    [42.964, -85.668],
+  ],
+  edges: [[0, 1, 0.07]],
+};
+
+/** Repo reader with {@link WALK_GRAPH} at `data/walk/graph.json`, recording every file requested. */
+function recordingReader(requested) {
+  return async (file) => {
+    requested.push(file);
+    if (file === "data/walk/graph.json") {
+      return { file, data: WALK_GRAPH, loadError: null };
+    }
+    return readRepoFile(file);
+  };
+}
+
+const OTTAWA_LOT = { latitude: 42.974095, longitude: -85.670505 };
+const CHERRY_COMMERCE = { latitude: 42.960041, longitude: -85.669489 };
+const ELLIS_100_GRANDVILLE = { latitude: 42.96016, longitude: -85.673232 };
+
+test.describe("Registries", () => {
+  test("assembles with the profiles and manifest the caller installed", async () => {
+    const requested = [];
+    const registries = installDataRegistries();
+    const data = await assembleAppData(recordingReader(requested), registries);
+    expect(requested).not.toContain("data/cities.json");
+    expect(requested).not.toContain("data/manifest.json");
+    expect(data.city.slug).toBe(registries.cities.data.defaultCity);
+    expect(data.dataHealth.files.map((f) => f.file)).toEqual(
+      expect.arrayContaining(["data/cities.json", "data/manifest.json"]),
+    );
+  });
+});
+
+test.describe("Override audit", () => {
+  test("reports one row per data/overrides.json entry", async () => {
+    const data = await assembleAppData(readRepoFile, installDataRegistries());
+    const audit = data.overrideAudit;
+    expect(audit.map((e) => e.index)).toEqual(audit.map((_, i) => i));
+    expect(audit.filter((e) => e.status === "invalid")).toEqual([]);
+    for (const orphan of audit.filter((e) => e.status === "orphan")) {
+      expect(orphan.pin).toBeNull();
+      expect(orphan.fix.override.category).toBeTruthy();
+    }
+  });
+
+  test("classifies matched, multiple, standalone, and orphaned entries", async () => {
+    const data = await assembleAppData(
+      readerWithOverrides([
+        {
+          category: "public-garage",
+          location: CHERRY_COMMERCE,
+          name: "Cherry Commerce",
+        },
+        {
+          category: "garages",
+          location: CHERRY_COMMERCE,
+          matchToleranceMiles: 1,
+        },
+        {
+          category: "private-lot",
+          location: {
+            latitude: ELLIS_100_GRANDVILLE.latitude + 0.0001,
+            longitude: ELLIS_100_GRANDVILLE.longitude,
+          },
+          name: "Church lot",
+          pricing: { events: 10 },
+          standalone: true,
+        },
+        {
+          category: "public-garage",
+          location: {
+            latitude: CHERRY_COMMERCE.latitude + 0.0002,
+            longitude: CHERRY_COMMERCE.longitude,
+          },
+          pricing: { events: 12 },
+        },
+        {
+          category: "private-lot",
+          location: { latitude: 42.99, longitude: -85.6 },
+          name: "Nowhere",
+        },
+        { category: "private-ramp", location: CHERRY_COMMERCE },
+      ]),
+      installDataRegistries(),
+    );
+    const audit = data.overrideAudit;
+    expect(audit.map((e) => e.status)).toEqual([
+      "matched",
+      "multiple",
+      "standalone",
+      "orphan",
+      "orphan",
+      "invalid",
+    ]);
+
+    expect(audit[0].pin.key).toBe("garages");
+    expect(data.parking.garages.some((g) => g.name === "Cherry Commerce")).toBe(
+      true,
+    );
+    expect(audit[1].candidates).toBeGreaterThan(1);
+
+    // Within the Ellis dedupe radius, but an editor placed it on purpose.
+    const church = data.parking.osmLots.find((l) => l.name === "Church lot");
+    expect(church.pricing).toEqual({ events: 10 });
+
+    expect(audit[3].nearby[0].key).toBe("garages");
+    expect(audit[3].fix.message).toMatch(/^Move the location onto/);
+    expect(audit[3].fix.override).toEqual({
+      category: "public-garage",
+      location: { latitude: 42.96004, longitude: -85.66949 },
+      pricing: { events: 12 },
+    });
+
+    expect(audit[4].nearby).toEqual([]);
+    expect(audit[4].fix.override).toMatchObject({
+      name: "Nowhere",
+      standalone: true,
+    });
+  });
+
+  test("suggests retargeting an orphan onto a pin from another dataset", async () => {
+    const data = await assembleAppData(
+      readerWithOverrides([
+        {
+          category: "private-lot",
+          latitude: ELLIS_100_GRANDVILLE.latitude + 0.0003,
+          longitude: ELLIS_100_GRANDVILLE.longitude,
+          name: "100 Grandville",
+          note: "posted rate",
+        },
+      ]),
+      installDataRegistries(),
+    );
+    const [orphan] = data.overrideAudit;
+    expect(orphan.status).toBe("orphan");
+    expect(orphan.fix.message).toMatch(/^Retarget to ellisLots pin/);
+    expect(orphan.fix.override).toEqual({
+      category: "ellisLots",
+      location: { latitude: 42.96016, longitude: -85.67323 },
+      name: "100 Grandville",
+      note: "posted rate",
+    });
+  });
+});
+
+test.describe("Parking index", () => {
+  test("publishes one pin index per dataset, standalone override pins included", async () => {
+    const church = { latitude: 42.99, longitude: -85.6 };
+    const data = await assembleAppData(
+      readerWithOverrides([
+        {
+          category: "private-lot",
+          location: church,
+          name: "Church lot",
+          standalone: true,
+        },
+      ]),
+      installDataRegistries(),
+    );
+    const index = getParkingDatasetIndex(data, "osmLots");
+    expect(index).toBe(data.parkingIndex.osmLots);
+    expect(index.size).toBe(data.parking.osmLots.length);
+    const near = index.nearest(church.latitude, church.longitude);
+    expect(near.miles).toBe(0);
+    expect(data.parking.osmLots[near.index].name).toBe("Church lot");
+  });
+});
+
+test.describe("Dedupe record", () => {
+  const near = ({ latitude, longitude }) => ({
+    latitude: latitude + 0.0003,
+    longitude,
+  });
+
+  test("lists dropped OSM pins with the pin that absorbed each", async () => {
+    const data = await assembleAppData(
+      readerWithOsmLots({
+        items: [
+          { name: "Ottawa OSM", location: near(OTTAWA_LOT) },
+          { name: "Grandville OSM", location: near(ELLIS_100_GRANDVILLE) },
+        ],
+        deduplicated: [
+          { name: "Skipped at fetch", location: near(OTTAWA_LOT) },
+          {
+            name: "Moved since",
+            location: { latitude: 42.99, longitude: -85.6 },
+          },
+        ],
+      }),
+      installDataRegistries(),
+    );
+    const names = data.parking.osmLots.map((l) => l.name);
+    expect(names).not.toContain("Ottawa OSM");
+    expect(names).not.toContain("Grandville OSM");
+
+    const byName = new Map(data.dedupeDropped.map((d) => [d.item.name, d]));
+    expect(byName.get("Ottawa OSM")).toMatchObject({
+      key: "osmLots",
+      reason: "official",
+      survivor: { key: "lots", name: "601 Ottawa Lot", ...OTTAWA_LOT },
+    });
+    expect(byName.get("Ottawa OSM").miles).toBeLessThan(0.06);
+    expect(byName.get("Grandville OSM")).toMatchObject({
+      reason: "operator",
+      survivor: { key: "ellisLots", name: "100 Grandville" },
+    });
+    expect(byName.get("Skipped at fetch")).toMatchObject({
+      reason: "official",
+      survivor: { key: "lots" },
+    });
+    expect(byName.get("Moved since")).toMatchObject({
+      reason: "fetch",
+      survivor: null,
+      miles: null,
+    });
+  });
+});
+
+test.describe("Street graphs", () => {
+  test("reads only the graphs the manifest publishes", async () => {
+    const requested = [];
+    const data = await assembleAppData(
+      recordingReader(requested),
+      installDataRegistries(),
+    );
+    expect(requested).not.toContain("data/walk/graph.json");
+    expect(requested).not.toContain("data/drive/graph.json");
+    expect(data.walkGraph).toBeNull();
+    expect(data.driveGraph).toBeNull();
+    expect(data.dataHealth.files.map((f) => f.file)).not.toContain(
+      "data/walk/graph.json",
+    );
+
+    requested.length = 0;
+    const published = await assembleAppData(
+      recordingReader(requested),
+      installDataRegistries({
+        ...readDataManifest(),
+        streetGraphs: { walk: "walk/graph.json" },
+      }),
+    );
+    expect(requested).toContain("data/walk/graph.json");
+    expect(requested).not.toContain("data/drive/graph.json");
+    expect(published.walkGraph).toEqual(WALK_GRAPH);
+    expect(published.driveGraph).toBeNull();
+  });
+});
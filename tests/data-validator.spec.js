@@ -0,0 +1,676 @@
+import { test, expect } from "@playwright/test";
+import { readCityProfiles, readDataManifest } from "./helpers/data-manifest.js";
+import {
+  validateBusRoutesJson,
+  validateCitiesJson,
+  validateConfigJson,
+  validateDataFiles,
+  validateDestinationsJson,
+  validateManifestJson,
+  validateOverridesJson,
+  validateParkingDatasetJson,
+  validateParkingSpotAliasesJson,
+  validateStreetGraphJson,
+} from "../src/shared/data-validator.mjs";
+import { setCityProfiles } from "../src/shared/city-profile.mjs";
+import { setParkingDatasetManifest } from "../src/shared/parking-datasets.mjs";
+
+const MANIFEST = readDataManifest();
+const CITIES = readCityProfiles();
+
+function emptyReport() {
+  return { files: [], errors: [], warnings: [] };
+}
+
+function paths(issues) {
+  return issues.map((i) => i.path);
+}
+
+test.describe("Data schema validator", () => {
+  test.beforeAll(() => {
+    setCityProfiles(CITIES);
+    setParkingDatasetManifest(MANIFEST);
+  });
+
+  test("accepts a minimal valid set of files", () => {
+    const report = validateDataFiles({
+      cities: { file: "data/cities.json", data: CITIES },
+      manifest: { file: "data/manifest.json", data: MANIFEST },
+      config: { file: "data/config.json", data: { validModes: ["drive"] } },
+      destinations: {
+        file: "data/destinations.json",
+        data: {
+          destinations: [
+            {
+              name: "Van Andel Arena",
+              slug: "van-andel-arena",
+              location: { latitude: 42.96244, longitude: -85.67163 },
+            },
+          ],
+        },
+      },
+      overrides: { file: "data/overrides.json", data: [] },
+      parking: [
+        {
+          file: "data/parking/public/garages-arcgis.json",
+          key: "garages",
+          data: {
+            name: "Public Parking Garages",
+            modes: ["drive"],
+            items: [
+              {
+                name: "Cherry Commerce Ramp",
+                location: { latitude: 42.960041, longitude: -85.669489 },
+                pricing: { hourly: 2.5, events: [10, 20] },
+              },
+            ],
+          },
+        },
+      ],
+    });
+    expect(report.errors).toEqual([]);
+    expect(report.warnings).toEqual([]);
+    expect(report.files.map((f) => f.file)).toEqual([
+      "data/cities.json",
+      "data/manifest.json",
+      "data/config.json",
+      "data/destinations.json",
+      "data/overrides.json",
+      "data/parking/public/garages-arcgis.json",
+    ]);
+  });
+
+  test("reports files that failed to load", () => {
+    const report = emptyReport();
+    validateConfigJson(report, {
+      file: "data/config.json",
+      data: null,
+      loadError: "Unexpected token } in JSON",
+    });
+    validateOverridesJson(report, {
+      file: "data/overrides.json",
+      data: null,
+      loadError: "HTTP 404",
+    });
+    expect(report.errors).toHaveLength(1);
+    expect(report.errors[0].message).toContain("Unexpected token");
+    expect(report.warnings).toHaveLength(1);
+    expect(report.warnings[0].file).toBe("data/overrides.json");
+  });
+
+  test("flags bad coordinates, duplicate slugs, and swapped latitude/longitude", () => {
+    const report = emptyReport();
+    validateDestinationsJson(report, {
+      file: "data/destinations.json",
+      data: {
+        destinations: [
+          {
+            name: "A",
+            slug: "a",
+            location: { latitude: "42.9", longitude: -85.6 },
+          },
+          {
+            name: "B",
+            slug: "a",
+            location: { latitude: 42.9, longitude: -85.6 },
+          },
+          {
+            name: "C",
+            slug: "c",
+            location: { latitude: -85.67, longitude: 42.96 },
+          },
+        ],
+      },
+    });
+    expect(paths(report.errors)).toEqual([
+      "destinations[0].location.latitude",
+      "destinations[1].slug",
+    ]);
+    expect(paths(report.warnings)).toEqual(["destinations[2].location"]);
+  });
+
+  test("checks pricing tiers against PRICING_AMOUNT_KEYS", () => {
+    const report = emptyReport();
+    validateParkingDatasetJson(report, {
+      file: "data/parking/public/lots-arcgis.json",
+      key: "lots",
+      data: {
+        name: "Public Parking Lots",
+        modes: ["drive"],
+        items: [
+          {
+            location: { latitude: 42.96, longitude: -85.67 },
+            pricing: {
+              hourly: -1,
+              daily: "free",
+              events: [20, 10],
+              evening: "$5 after 6pm",
+              monthly: 90,
+              freeFirstHours: "1",
+              rateNote: 3,
+            },
+          },
+        ],
+      },
+    });
+    expect(paths(report.errors)).toEqual([
+      "items[0].pricing.hourly",
+      "items[0].pricing.freeFirstHours",
+      "items[0].pricing.rateNote",
+    ]);
+    expect(paths(report.warnings)).toEqual([
+      "items[0].pricing.daily",
+      "items[0].pricing.events",
+      "items[0].pricing.evening",
+      "items[0].pricing.monthly",
+    ]);
+  });
+
+  test("checks per-venue event rates", () => {
+    const report = emptyReport();
+    validateParkingDatasetJson(report, {
+      file: "data/parking/public/garages-arcgis.json",
+      key: "garages",
+      data: {
+        name: "Public Parking Garages",
+        modes: ["drive"],
+        items: [
+          {
+            location: { latitude: 42.96, longitude: -85.67 },
+            pricing: {
+              events: {
+                default: [12, 25],
+                rates: [
+                  { venues: ["van-andel-arena"], amount: 20 },
+                  { eventTypes: "sports", amount: 15 },
+                  { venues: ["devos-performance-hall"], amount: "$12" },
+                  { amount: 10 },
+                ],
+              },
+            },
+          },
+          {
+            location: { latitude: 42.96, longitude: -85.67 },
+            pricing: { events: { default: 12 } },
+          },
+        ],
+      },
+    });
+    expect(paths(report.errors)).toEqual([
+      "items[0].pricing.events.rates[1].eventTypes",
+      "items[0].pricing.events.rates[2].amount",
+      "items[1].pricing.events.rates",
+    ]);
+    expect(paths(report.warnings)).toEqual([
+      "items[0].pricing.events.rates[3]",
+    ]);
+  });
+
+  test("warns about private pins the loader drops beyond downtown", () => {
+    const report = emptyReport();
+    validateParkingDatasetJson(
+      report,
+      {
+        file: "data/parking/private/lots-osm.json",
+        key: "osmLots",
+        data: {
+          name: "Private Parking Lots",
+          modes: ["drive", "hover"],
+          items: [{ location: { latitude: 42.93, longitude: -85.6 } }],
+        },
+      },
+      { validModes: ["drive"] },
+    );
+    expect(report.errors).toEqual([]);
+    expect(report.warnings.map((w) => w.message)).toEqual([
+      '"hover" is not in config.validModes',
+      "beyond 1.75 mi of downtown — dropped by loadData",
+    ]);
+  });
+
+  test("checks locations of deduplicated pins", () => {
+    const report = emptyReport();
+    validateParkingDatasetJson(report, {
+      file: "data/parking/private/lots-osm.json",
+      key: "osmLots",
+      data: {
+        name: "Private Parking Lots",
+        modes: ["drive"],
+        items: [],
+        deduplicated: [
+          { location: { latitude: 42.96, longitude: -85.67 } },
+          { location: { latitude: 142.96, longitude: -85.67 } },
+          "osm way 1",
+        ],
+      },
+    });
+    expect(paths(report.errors)).toEqual([
+      "deduplicated[1].location.latitude",
+      "deduplicated[2]",
+    ]);
+  });
+
+  test("rejects duplicate item ids and malformed park= aliases", () => {
+    const report = emptyReport();
+    validateParkingDatasetJson(report, {
+      file: "data/parking/private/lots-osm.json",
+      key: "osmLots",
+      data: {
+        name: "Private Parking Lots",
+        modes: ["drive"],
+        items: [
+          {
+            id: "osm:way/1",
+            location: { latitude: 42.96, longitude: -85.67 },
+          },
+          {
+            id: "osm:way/1",
+            location: { latitude: 42.961, longitude: -85.671 },
+          },
+          { id: 2, location: { latitude: 42.962, longitude: -85.672 } },
+        ],
+      },
+    });
+    expect(paths(report.errors)).toEqual(["items[1].id", "items[2].id"]);
+
+    const aliases = emptyReport();
+    validateParkingSpotAliasesJson(aliases, {
+      file: "data/parking-aliases.json",
+      data: [
+        { from: "ellis-garage:42.96,-85.67", to: "ellis-lot:42.96,-85.67" },
+        { from: "ellis-garage:42.96,-85.67", to: "osm:way/1" },
+        { from: "osm:way/1", to: "osm:way/1" },
+        { from: "private-lot:42.97,-85.68", to: "", why: "moved" },
+      ],
+    });
+    expect(paths(aliases.errors)).toEqual(["[1].from", "[2].to", "[3].to"]);
+    expect(paths(aliases.warnings)).toEqual(["[3].why"]);
+  });
+
+  test("rejects unknown override categories and tolerances", () => {
+    const report = emptyReport();
+    validateOverridesJson(report, {
+      file: "data/overrides.json",
+      data: [
+        {
+          category: "private-ramp",
+          location: { latitude: 42.96, longitude: -85.67 },
+          matchToleranceMiles: 0,
+          openingHours: "Mo-Fr 07:00-19:00",
+        },
+        {
+          category: "private-lot",
+          location: { lat: 42.96, lng: -85.67 },
+          pricing: { events: 30 },
+          openingHours: "when the Griffins play",
+          notes: "typo",
+        },
+      ],
+    });
+    expect(paths(report.errors)).toEqual([
+      "[0].category",
+      "[0].matchToleranceMiles",
+      "[1].openingHours",
+    ]);
+    expect(paths(report.warnings)).toEqual(["[1].location", "[1].notes"]);
+  });
+
+  test("requires a name on standalone overrides", () => {
+    const report = emptyReport();
+    validateOverridesJson(report, {
+      file: "data/overrides.json",
+      data: [
+        {
+          category: "private-lot",
+          location: { latitude: 42.96, longitude: -85.67 },
+          standalone: true,
+        },
+        {
+          category: "private-lot",
+          location: { latitude: 42.961, longitude: -85.671 },
+          name: "Church lot",
+          standalone: "yes",
+        },
+      ],
+    });
+    expect(paths(report.errors)).toEqual(["[0].name", "[1].standalone"]);
+    expect(report.warnings).toEqual([]);
+  });
+
+  test("checks generatedAt and verifiedAt dates", () => {
+    const report = emptyReport();
+    validateParkingDatasetJson(report, {
+      file: "data/parking/private/garages-ellis.json",
+      key: "ellisGarages",
+      data: {
+        name: "Ellis garages",
+        modes: ["drive"],
+        generatedAt: "2025-02-30",
+        items: [
+          {
+            location: { latitude: 42.96, longitude: -85.67 },
+            verifiedAt: "2999-01-01",
+          },
+        ],
+      },
+    });
+    validateOverridesJson(report, {
+      file: "data/overrides.json",
+      data: [
+        {
+          category: "private-lot",
+          location: { latitude: 42.96, longitude: -85.67 },
+          verifiedAt: "last spring",
+        },
+      ],
+    });
+    validateConfigJson(report, {
+      file: "data/config.json",
+      data: { validModes: ["drive"], dataFreshness: { staleAfterMonths: 0 } },
+    });
+    expect(paths(report.errors)).toEqual([
+      "generatedAt",
+      "[0].verifiedAt",
+      "dataFreshness.staleAfterMonths",
+    ]);
+    expect(paths(report.warnings)).toEqual(["items[0].verifiedAt"]);
+  });
+
+  test("checks manifest datasets for sources, kinds, and marker styles", () => {
+    const report = emptyReport();
+    validateManifestJson(report, {
+      file: "data/manifest.json",
+      data: {
+        parking: [
+          {
+            key: "acmeLots",
+            file: "private/lots-acme.json",
+            kind: "private",
+            shape: "lot",
+            modes: ["drive"],
+            availabilityFormat: "ellis",
+            markerStyle: { color: "#ca8a04", fillColor: "#fde047" },
+            paintOrder: 5,
+          },
+          {
+            key: "acmeValet",
+            splitFrom: "acmeLots",
+            kind: "operator",
+            shape: "valet",
+            modes: ["drive"],
+            availabilityFormat: "prose",
+            mergeInto: "acmeGarages",
+            markerStyle: { color: "orange", fillColor: "#fde047" },
+            paintOrder: 5,
+          },
+          { key: "acmeLots", file: "x.json", kind: "public", modes: [] },
+        ],
+      },
+    });
+    expect(paths(report.errors)).toEqual([
+      "parking[1].owner",
+      "parking[1].kind",
+      "parking[1].shape",
+      "parking[1].availabilityFormat",
+      "parking[1].mergeInto",
+      "parking[1].markerStyle",
+      "parking[2].key",
+      "parking[2].markerStyle",
+      "parking[2].paintOrder",
+    ]);
+    expect(paths(report.warnings)).toEqual(["parking[1].paintOrder"]);
+  });
+
+  test("keeps park-and-ride datasets out of downtown parking", () => {
+    const report = emptyReport();
+    const style = { color: "#0f766e", fillColor: "#5eead4" };
+    validateManifestJson(report, {
+      file: "data/manifest.json",
+      data: {
+        parking: [
+          {
+            key: "parkAndRide",
+            file: "public/park-and-ride.json",
+            kind: "public",
+            modes: ["transit"],
+            parkAndRide: true,
+            markerStyle: style,
+            paintOrder: 1,
+          },
+          {
+            key: "outerLots",
+            file: "public/outer-lots.json",
+            kind: "public",
+            shape: "lot",
+            modes: ["drive"],
+            parkAndRide: true,
+            markerStyle: style,
+            paintOrder: 2,
+          },
+          {
+            key: "commuterLots",
+            file: "public/commuter-lots.json",
+            kind: "public",
+            modes: ["transit"],
+            parkAndRide: "yes",
+            markerStyle: style,
+            paintOrder: 3,
+          },
+        ],
+      },
+    });
+    expect(paths(report.errors)).toEqual(["parking[2].parkAndRide"]);
+    expect(paths(report.warnings)).toEqual(["parking[1].parkAndRide"]);
+  });
+
+  test("checks the street graphs a manifest publishes", () => {
+    const report = emptyReport();
+    validateManifestJson(report, {
+      file: "data/manifest.json",
+      data: {
+        parking: [],
+        streetGraphs: {
+          walk: "walk/graph.json",
+          drive: "../graph.txt",
+          bike: "bike/graph.json",
+        },
+      },
+    });
+    expect(paths(report.errors)).toEqual(["streetGraphs.drive"]);
+    expect(paths(report.warnings)).toEqual(["streetGraphs.bike"]);
+  });
+
+  test("checks city profiles for slugs, data directories, and branding", () => {
+    const report = emptyReport();
+    validateCitiesJson(report, {
+      file: "data/cities.json",
+      data: {
+        defaultCity: "kalamazoo",
+        cities: [
+          CITIES.cities[0],
+          {
+            slug: "Lansing",
+            name: "Lansing",
+            dataDir: "data",
+            center: { latitude: 42.7335, longitude: -84.5555 },
+            downtownRadiusMiles: 0,
+            transitStopRadiusMiles: 1,
+            timeZone: "Michigan/Lansing",
+            transit: { agency: "CATA", appUrl: "http://example.com" },
+            shuttle: { name: "", color: "maroon" },
+          },
+        ],
+      },
+    });
+    expect(paths(report.errors)).toEqual([
+      "cities[1].slug",
+      "cities[1].dataDir",
+      "cities[1].downtownRadiusMiles",
+      "cities[1].timeZone",
+      "cities[1].shuttle.name",
+      "cities[1].shuttle.color",
+      "defaultCity",
+    ]);
+    expect(paths(report.warnings)).toEqual(["cities[1].transit.appUrl"]);
+  });
+
+  test("checks bus routes, stops, departures and shape stop order", () => {
+    const report = emptyReport();
+    const stop = (stop_id, extra = {}) => ({
+      stop_id,
+      name: stop_id,
+      latitude: 42.96,
+      longitude: -85.67,
+      ...extra,
+    });
+    const line = [
+      { latitude: 42.96, longitude: -85.67 },
+      { latitude: 42.97, longitude: -85.66 },
+    ];
+    validateBusRoutesJson(report, {
+      file: "data/bus/routes.json",
+      data: {
+        dash_routes: [
+          {
+            route_id: "DASH",
+            route_color: "red",
+            stops: [
+              stop("a", { departures: { weekday: [420, 400], holiday: [] } }),
+              stop("b", { departures: { saturday: [1510, 2900] } }),
+            ],
+            shapes: [{ shape_id: "s", coordinates: line }],
+          },
+        ],
+        rapid_routes: [
+          {
+            route_id: "DASH",
+            route_color: "0F766E",
+            stops: [
+              stop("a"),
+              stop("a"),
+              { stop_id: "c", latitude: "42.9", longitude: -85.6 },
+            ],
+            shapes: [
+              { shape_id: "t", coordinates: [line[0]] },
+              {
+                shape_id: "u",
+                coordinates: [line[0], { latitude: 142, longitude: -85 }],
+                stop_ids: ["a", "a", "z"],
+              },
+            ],
+          },
+        ],
+      },
+    });
+    expect(paths(report.errors)).toEqual([
+      "dash_routes[0].stops[1].departures.saturday[1]",
+      "rapid_routes[0].route_id",
+      "rapid_routes[0].stops[1].stop_id",
+      "rapid_routes[0].stops[2].latitude",
+      "rapid_routes[0].shapes[0].coordinates",
+      "rapid_routes[0].shapes[1].coordinates[1]",
+      "rapid_routes[0].shapes[1].stop_ids[2]",
+    ]);
+    expect(paths(report.warnings)).toEqual([
+      "dash_routes[0].route_color",
+      "dash_routes[0].stops[0].departures.weekday",
+      "dash_routes[0].stops[0].departures.holiday",
+      "rapid_routes[0].shapes[1].stop_ids[1]",
+    ]);
+  });
+
+  test("checks street graph nodes, edge ends and lengths, and the directed flag", () => {
+    const nodes = [
+      [42.96, -85.67],
+      [42.961, -85.67],
+      [42.96, "-85.68"],
+    ];
+    const report = emptyReport();
+    validateStreetGraphJson(
+      report,
+      {
+        file: "data/walk/graph.json",
+        data: {
+          directed: true,
+          nodes,
+          edges: [
+            [0, 1, 0.07],
+            [1, 0, 0.07],
+            [0, 2, 0.5],
+            [1, 7, 0.5],
+            [0, 1, 0.01],
+            [0, 1, Infinity],
+            [0, 1, 0.08, [[42.9605]]],
+            [1, 1, 0],
+          ],
+        },
+      },
+      { directed: false },
+    );
+    expect(paths(report.errors)).toEqual([
+      "directed",
+      "nodes[2]",
+      "edges[2]",
+      "edges[3]",
+      "edges[5][2]",
+      "edges[6][3]",
+    ]);
+    expect(paths(report.warnings)).toEqual([
+      "edges[1]",
+      "edges[4][2]",
+      "edges[7]",
+    ]);
+
+    const drive = emptyReport();
+    validateStreetGraphJson(
+      drive,
+      {
+        file: "data/drive/graph.json",
+        data: {
+          directed: true,
+          nodes: nodes.slice(0, 2),
+          edges: [
+            [0, 1, 0.07],
+            [1, 0, 0.07],
+          ],
+        },
+      },
+      { directed: true },
+    );
+    expect(drive.errors).toEqual([]);
+    expect(drive.warnings).toEqual([]);
+  });
+
+  test("leaves bus routes out until fetched but requires published street graphs", () => {
+    const report = validateDataFiles({
+      manifest: { file: "data/manifest.json", data: MANIFEST },
+      config: { file: "data/config.json", data: {} },
+      destinations: {
+        file: "data/destinations.json",
+        data: { destinations: [] },
+      },
+      overrides: { file: "data/overrides.json", data: [] },
+      parking: [],
+      busRoutes: {
+        file: "data/bus/routes.json",
+        data: null,
+        loadError: "HTTP 404",
+      },
+      walkGraph: {
+        file: "data/walk/graph.json",
+        data: null,
+        loadError: "ENOENT: no such file or directory",
+      },
+    });
+    expect(report.files.map((f) => f.file)).not.toContain(
+      "data/bus/routes.json",
+    );
+    expect(report.files.map((f) => f.file)).not.toContain(
+      "data/drive/graph.json",
+    );
+    expect(report.errors.map((e) => [e.file, e.message])).toContainEqual([
+      "data/walk/graph.json",
+      "could not load: ENOENT: no such file or directory",
+    ]);
+  });
+});
@@ -1,8 +1,23 @@
 import { test, expect } from "@playwright/test";
+import { existsSync } from "node:fs";
+import { join } from "node:path";
 import { installConsoleErrorAssertions } from "./helpers/console-errors.js";
+import { readDataManifest } from "./helpers/data-manifest.js";
 
 installConsoleErrorAssertions(test);
 
+const MANIFEST = readDataManifest();
+
+/**
+ * Rows on `#/data/health`: the cities, manifest, config, destinations, overrides, and aliases files,
+ * every file-backed parking dataset, the bus routes once fetched, and the published street graphs.
+ */
+const HEALTH_FILE_COUNT =
+  6 +
+  MANIFEST.parking.filter((d) => d.file).length +
+  (existsSync(join(__dirname, "..", "data", "bus", "routes.json")) ? 1 : 0) +
+  Object.keys(MANIFEST.streetGraphs ?? {}).length;
+
 test.describe("Data index and navigation", () => {
   async function waitForAppDataLoaded(page) {
     await page.waitForFunction(
@@ -25,7 +40,7 @@ test.describe("Data index and navigation", () => {
     await expect(page).toHaveURL(/#\/data\/destinations$/);
     await expect(page.locator("#dataView")).toBeVisible();
     await expect(page.locator("#dataViewTabs")).toBeVisible();
-    await expect(page.locator("#dataViewTabs .data-view-tab")).toHaveCount(3);
+    await expect(page.locator("#dataViewTabs .data-view-tab")).toHaveCount(5);
     await expect(
       page.locator('#dataViewTabs .data-view-tab[aria-selected="true"]'),
     ).toContainText("Destinations");
@@ -58,6 +73,59 @@ test.describe("Data index and navigation", () => {
       page.locator('#dataViewTabs .data-view-tab[aria-selected="true"]'),
     ).toContainText("Routes");
   });
+
+  test("health tab lists every data file with no schema errors", async ({
+    page,
+  }) => {
+    await page.goto("/#/visit");
+    await page.waitForSelector("#parkingDestinationSelect");
+    await waitForAppDataLoaded(page);
+    await page.goto("/#/data/health");
+
+    await expect(
+      page.locator('#dataViewTabs .data-view-tab[aria-selected="true"]'),
+    ).toContainText("Health");
+    await expect(page.locator("#dataViewHealth")).toBeVisible();
+    await expect(page.locator("#dataViewMap")).toBeHidden();
+    await expect(page.locator("#dataHealthSummary")).toContainText(
+      "All data files match their schemas.",
+    );
+    await expect(
+      page.locator("#dataViewHealth .data-health-files tbody tr"),
+    ).toHaveCount(HEALTH_FILE_COUNT);
+  });
+
+  test("overrides tab lists every override with orphans first", async ({
+    page,
+  }) => {
+    await page.goto("/#/visit");
+    await page.waitForSelector("#parkingDestinationSelect");
+    await waitForAppDataLoaded(page);
+    await page.goto("/#/data/overrides");
+
+    await expect(
+      page.locator('#dataViewTabs .data-view-tab[aria-selected="true"]'),
+    ).toContainText("Overrides");
+    await expect(page.locator("#dataViewOverrides")).toBeVisible();
+    await expect(page.locator("#dataViewMap")).toBeVisible();
+    const audit = await page.evaluate(() => window.appData.overrideAudit);
+    const orphans = audit.filter((e) => e.status === "orphan");
+    await expect(page.locator("#dataOverridesSummary")).toContainText(
+      `${audit.length} overrides`,
+    );
+    await expect(page.locator(".data-override-row")).toHaveCount(audit.length);
+    await expect(page.locator(".data-override-copy-fix")).toHaveCount(
+      orphans.length,
+    );
+    if (orphans.length > 0) {
+      await expect(page.locator(".data-override-row").first()).toHaveClass(
+        /data-override-row--orphan/,
+      );
+    }
+    await expect(
+      page.locator("#dataViewMap .data-view-parking-dot-marker"),
+    ).toHaveCount(audit.length);
+  });
 });
 
 test.describe("Data routes", () => {
@@ -391,6 +459,36 @@ test.describe("Data routes", () => {
     await expect(label).toHaveText("Known cost");
   });
 
+  test("show deduplicated toggle keeps dedup=1 and draws dropped pins", async ({
+    page,
+  }) => {
+    await page.goto("/#/visit");
+    await page.waitForSelector("#parkingDestinationSelect");
+    await waitForAppDataLoaded(page);
+    await page.goto("/#/data/parking?dataset=osmLots");
+    await page.waitForSelector("#data-parking-dataset", { state: "visible" });
+
+    const dropped = await page.evaluate(
+      () => window.appData.dedupeDropped.length,
+    );
+    const toggle = page.locator("#data-parking-dedup-toggle");
+    await expect(toggle).not.toBeChecked();
+    await expect(page.locator(".data-parking-dedup-label")).toContainText(
+      `Show deduplicated (${dropped})`,
+    );
+    await toggle.check();
+    await expect(page).toHaveURL(/#\/data\/parking\?dataset=osmLots&dedup=1$/);
+    await expect(page.locator("#data-parking-dedup-toggle")).toBeChecked();
+
+    await page.locator("#data-parking-known-cost-filter").click();
+    await expect(page).toHaveURL(/cost=known&dedup=1/);
+
+    await page.goto("/#/data/parking?dedup=1");
+    await expect(page.locator(".data-view-dedupe-dot-marker")).toHaveCount(
+      dropped,
+    );
+  });
+
   test("should filter parking markers by cost=known vs unknown", async ({
     page,
   }) => {
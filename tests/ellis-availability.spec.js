@@ -0,0 +1,105 @@
+import { test, expect } from "@playwright/test";
+import { join } from "node:path";
+import { createFileDataReader } from "../scripts/lib/file-data-reader.mjs";
+import { assembleAppData } from "../src/shared/data-loader.mjs";
+import {
+  cleanAvailabilityText,
+  getEllisAvailabilityRows,
+  parseEllisAvailability,
+} from "../src/shared/ellis-availability.mjs";
+import { getDataViewParkingPricingRows } from "../src/shared/parking-pricing.mjs";
+import { installDataRegistries } from "./helpers/data-manifest.js";
+
+const readRepoFile = createFileDataReader(join(__dirname, ".."));
+
+test.describe("Ellis availability", () => {
+  test("parses rates, hours, phone, and early bird out of the description", () => {
+    expect(
+      parseEllisAvailability(
+        "Grand Rapids; 204 spaces; Monthly from $210; North of Commerce Building corner of Lyon and Ionia Early Bird Discount program available, please call (616) 458-1179 for details. Residential Rate : $245 (24/7 access) Monthly Rate: $210 (Monday - Friday 6am - 6pm)&nbsp;",
+      ),
+    ).toEqual({
+      capacity: 204,
+      monthlyRates: [{ dollars: 210, hours: "Monday–Friday 6am–6pm" }],
+      residentialRate: { dollars: 245, hours: "24/7 access" },
+      earlyBird: true,
+      phones: ["(616) 458-1179"],
+      availabilityDetails:
+        "North of Commerce Building corner of Lyon and Ionia Early Bird Discount program available, please call (616) 458-1179 for details. Residential Rate : $245 (24/7 access) Monthly Rate: $210 (Monday - Friday 6am - 6pm)",
+    });
+  });
+
+  for (const [raw, expected] of [
+    [
+      "Grand Rapids; 240 spaces; Monthly from $100; Corner of Bridge and Scribner Monday - Friday Monthly rate $100 24/7 monthly rate $150.00",
+      {
+        monthlyRates: [
+          { dollars: 100, hours: "Monday–Friday" },
+          { dollars: 150, hours: "24/7" },
+        ],
+      },
+    ],
+    [
+      "Grand Rapids; 600 spaces; Monthly from $168.83; Please call to be added to the waitlist 616-458-1179",
+      {
+        monthlyRates: [{ dollars: 168.83 }],
+        monthlyWaitlist: true,
+        phones: ["(616) 458-1179"],
+      },
+    ],
+    [
+      "Grand Rapids; 145 spaces; Monthly from $0; On Louis-Campau across from Z&#39;s",
+      { availabilityDetails: "On Louis-Campau across from Z's" },
+    ],
+    [
+      "Grand Rapids; 665 spaces; Monthly from $240; Overnight Parking: &nbsp;$38.00 per 24 hour period &nbsp; Monthly Rate: $240 (Monda…",
+      { monthlyRates: [{ dollars: 240 }] },
+    ],
+    ["Grand Rapids; 1650 spaces", { capacity: 1650 }],
+  ]) {
+    test(`parses ${raw.slice(0, 60)}…`, () => {
+      expect(parseEllisAvailability(raw)).toMatchObject(expected);
+    });
+  }
+
+  test("cleans HTML entities and tags", () => {
+    expect(
+      cleanAvailabilityText("A&nbsp;&amp; B<br/>&#x27;C&#39;&bogus;"),
+    ).toBe("A & B 'C'&bogus;");
+    expect(parseEllisAvailability("  ")).toBeNull();
+    expect(parseEllisAvailability(undefined)).toBeNull();
+  });
+
+  test("shows the parsed fields as labelled rows", async () => {
+    const item = parseEllisAvailability(
+      "Grand Rapids; 180 spaces; Monthly from $220; Call for Monthly parking details 616-458-1179 Monthly parking is on a Waiting list",
+    );
+    expect(getEllisAvailabilityRows(item, { details: false })).toEqual([
+      { label: "Monthly", value: "$220/mo — waitlist" },
+      { label: "Phone", value: "(616) 458-1179" },
+    ]);
+
+    const data = await assembleAppData(readRepoFile, installDataRegistries());
+    const garage = data.parking.ellisGarages.find(
+      (g) => g.residentialRate?.dollars === 245,
+    );
+    expect(garage.capacity).toBe(204);
+    const rows = getDataViewParkingPricingRows(
+      garage.pricing,
+      "ellisGarages",
+      garage,
+    ).map((r) => r.label);
+    expect(rows).toEqual(
+      expect.arrayContaining([
+        "Monthly",
+        "Residential",
+        "Early bird",
+        "Phone",
+        "Details",
+      ]),
+    );
+    expect(data.parking.osmLots.every((l) => l.monthlyRates == null)).toBe(
+      true,
+    );
+  });
+});
@@ -0,0 +1,89 @@
+import { test, expect } from "@playwright/test";
+import {
+  geocodeAddress,
+  geocodeSearchUrl,
+  parseLatLngText,
+  GEOCODE_SEARCH_URL,
+} from "../src/shared/geocode.mjs";
+
+const CENTER = { latitude: 42.96333, longitude: -85.66806 };
+
+/** `fetch` stand-in answering every request with `body` (and recording the URLs). */
+function fakeFetch(body, { ok = true, status = 200 } = {}) {
+  const urls = [];
+  const fetchImpl = async (url) => {
+    urls.push(url);
+    return { ok, status, json: async () => body };
+  };
+  return { fetchImpl, urls };
+}
+
+test.describe("Starting-address lookup", () => {
+  test("reads typed coordinates and rejects anything else", () => {
+    expect(parseLatLngText(" 42.9634, -85.6681 ")).toEqual([42.9634, -85.6681]);
+    expect(parseLatLngText("42.9634,-85.6681")).toEqual([42.9634, -85.6681]);
+    expect(parseLatLngText("100 Monroe Center")).toBeNull();
+    expect(parseLatLngText("91, 10")).toBeNull();
+    expect(parseLatLngText("")).toBeNull();
+  });
+
+  test("searches a bounded box around the city center", () => {
+    const url = new URL(geocodeSearchUrl("100 Monroe Center", CENTER, 10));
+    expect(`${url.origin}${url.pathname}`).toBe(GEOCODE_SEARCH_URL);
+    expect(url.searchParams.get("q")).toBe("100 Monroe Center");
+    expect(url.searchParams.get("bounded")).toBe("1");
+    expect(url.searchParams.get("limit")).toBe("1");
+    const [west, north, east, south] = url.searchParams
+      .get("viewbox")
+      .split(",")
+      .map(Number);
+    expect(west).toBeLessThan(CENTER.longitude);
+    expect(east).toBeGreaterThan(CENTER.longitude);
+    expect(north - south).toBeCloseTo(20 / 69, 3);
+  });
+
+  test("returns the first match with a short label", async () => {
+    const { fetchImpl, urls } = fakeFetch([
+      {
+        lat: "42.9633",
+        lon: "-85.6713",
+        display_name:
+          "100, Monroe Center Street NW, Heartside, Grand Rapids, Kent County, Michigan",
+      },
+    ]);
+    const place = await geocodeAddress("100 Monroe Center", {
+      center: CENTER,
+      fetchImpl,
+    });
+    expect(place).toEqual({
+      lat: 42.9633,
+      lng: -85.6713,
+      label: "100 Monroe Center Street NW, Heartside, Grand Rapids",
+    });
+    expect(urls).toHaveLength(1);
+  });
+
+  test("skips the search for coordinates, and reports misses and failures", async () => {
+    const none = fakeFetch([]);
+    expect(
+      await geocodeAddress("42.97, -85.66", {
+        center: CENTER,
+        fetchImpl: none.fetchImpl,
+      }),
+    ).toEqual({ lat: 42.97, lng: -85.66, label: "42.97, -85.66" });
+    expect(none.urls).toHaveLength(0);
+    expect(
+      await geocodeAddress("nowhere", {
+        center: CENTER,
+        fetchImpl: none.fetchImpl,
+      }),
+    ).toBeNull();
+    const down = fakeFetch(null, { ok: false, status: 429 });
+    await expect(
+      geocodeAddress("100 Monroe Center", {
+        center: CENTER,
+        fetchImpl: down.fetchImpl,
+      }),
+    ).rejects.toThrow("HTTP 429");
+  });
+});
@@ -0,0 +1,44 @@
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { setCityProfiles } from "../../src/shared/city-profile.mjs";
+import { setParkingDatasetManifest } from "../../src/shared/parking-datasets.mjs";
+
+/**
+ * `data/manifest.json` for unit specs that run shared modules outside the page
+ * (the page installs it in `loadData()`).
+ *
+ * @returns {{ parking: object[] }}
+ */
+export function readDataManifest() {
+  return JSON.parse(
+    readFileSync(join(__dirname, "..", "..", "data", "manifest.json"), "utf8"),
+  );
+}
+
+/**
+ * `data/cities.json` — install with `setCityProfiles` so distance checks use the
+ * default city's center and downtown radius.
+ *
+ * @returns {{ defaultCity: string, cities: object[] }}
+ */
+export function readCityProfiles() {
+  return JSON.parse(
+    readFileSync(join(__dirname, "..", "..", "data", "cities.json"), "utf8"),
+  );
+}
+
+/**
+ * Install `data/cities.json` (default city) and `manifest` the way `loadData()` does, and return
+ * both as the `registries` argument of `assembleAppData`.
+ *
+ * @param {{ parking: object[] }} [manifest] — defaults to `data/manifest.json`
+ */
+export function installDataRegistries(manifest = readDataManifest()) {
+  const cities = readCityProfiles();
+  setCityProfiles(cities);
+  setParkingDatasetManifest(manifest);
+  return {
+    cities: { file: "data/cities.json", data: cities, loadError: null },
+    manifest: { file: "data/manifest.json", data: manifest, loadError: null },
+  };
+}
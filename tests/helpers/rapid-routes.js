@@ -0,0 +1,53 @@
+/**
+ * The Rapid fixture for unit specs that plan bus trips: Route 9 along one street at {@link LAT},
+ * with a stop every 0.02° of longitude (about a mile) from West End to East End.
+ */
+
+export const LAT = 42.96;
+
+export const ROUTE_9_STOPS = [
+  { stop_id: "a", name: "West End", latitude: LAT, longitude: -85.7 },
+  { stop_id: "b", name: "Mid West", latitude: LAT, longitude: -85.68 },
+  { stop_id: "c", name: "Mid East", latitude: LAT, longitude: -85.66 },
+  { stop_id: "d", name: "East End", latitude: LAT, longitude: -85.64 },
+];
+
+/** Shape vertices every 0.002° of longitude along the street, west → east. */
+function eastboundCoordinates() {
+  return Array.from({ length: 31 }, (_, i) => ({
+    latitude: LAT,
+    longitude: Number((-85.7 + i * 0.002).toFixed(3)),
+  }));
+}
+
+/**
+ * Route 9 as a `bus/routes.json` **`rapid_routes`** entry, each shape listing its stops in travel
+ * order.
+ *
+ * @param {{ westbound?: boolean, stopIds?: boolean }} [opts] — **`westbound`** adds the return
+ *   shape; **`stopIds: false`** leaves out the shapes' `stop_ids`, like an older feed
+ */
+export function route9({ westbound = false, stopIds = true } = {}) {
+  const east = eastboundCoordinates();
+  const shapes = [
+    {
+      shape_id: "e",
+      coordinates: east,
+      ...(stopIds && { stop_ids: ["a", "b", "c", "d"] }),
+    },
+  ];
+  if (westbound)
+    shapes.push({
+      shape_id: "w",
+      coordinates: [...east].reverse(),
+      ...(stopIds && { stop_ids: ["d", "c", "b", "a"] }),
+    });
+  return {
+    route_id: "9",
+    route_short_name: "9",
+    route_long_name: "Main Street",
+    route_color: "0F766E",
+    stops: ROUTE_9_STOPS,
+    shapes,
+  };
+}
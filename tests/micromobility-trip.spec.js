@@ -0,0 +1,129 @@
+import { test, expect } from "@playwright/test";
+import { readDataManifest } from "./helpers/data-manifest.js";
+import { LAT, ROUTE_9_STOPS } from "./helpers/rapid-routes.js";
+import { micromobilityRide } from "../src/shared/party-cost.mjs";
+import { setParkingDatasetManifest } from "../src/shared/parking-datasets.mjs";
+import {
+  getMicromobilityZones,
+  planMicromobilityTrip,
+} from "../src/visit/micromobility-trip.mjs";
+
+const MANIFEST = readDataManifest();
+
+/** A Lime zone at a Route 9 stop (`helpers/rapid-routes.js`). */
+const zone = (name, { latitude, longitude }) => ({
+  name,
+  location: { latitude, longitude },
+});
+
+/** Three zones at Route 9's first three stops, 0.02° of longitude (about a mile) apart. */
+function appDataWith(rest = {}) {
+  const [westEnd, midWest, midEast] = ROUTE_9_STOPS;
+  return {
+    parking: {
+      micromobility: [
+        zone("West zone", westEnd),
+        zone("", midWest),
+        zone("East zone", midEast),
+        { name: "No location" },
+      ],
+    },
+    ...rest,
+  };
+}
+
+test.describe("Lime trip planning", () => {
+  test.beforeEach(() => {
+    setParkingDatasetManifest(MANIFEST);
+  });
+
+  test("reads zones from micromobility datasets", () => {
+    const { zones } = getMicromobilityZones(appDataWith());
+    expect(zones.map((z) => z.label)).toEqual([
+      "West zone",
+      "Lime zone",
+      "East zone",
+    ]);
+  });
+
+  test("walks to the nearest zone, rides to the zone nearest the venue, and walks in", () => {
+    const trip = planMicromobilityTrip(
+      appDataWith(),
+      LAT + 0.001,
+      -85.701,
+      LAT - 0.001,
+      -85.659,
+    );
+    expect(trip.pickup.label).toBe("West zone");
+    expect(trip.dropoff.label).toBe("East zone");
+    expect(trip.rideRouted).toBe(false);
+    expect(trip.rideMi).toBeGreaterThan(2);
+    /** 2+ mi at the default 8 mph, billed in whole minutes. */
+    expect(trip.rideMinutes).toBe(Math.ceil((trip.rideMi / 8) * 60));
+    expect(trip.fareDollars).toBe(
+      Math.round((1 + trip.rideMinutes * 0.39) * 100) / 100,
+    );
+    expect(trip.totalMinutes).toBeLessThan(trip.directWalkMinutes);
+  });
+
+  test("rides the drive graph with traffic once one is loaded", () => {
+    // One-way west → east around a block north of the zones' street.
+    const driveGraph = {
+      directed: true,
+      nodes: [
+        [LAT, -85.7],
+        [LAT + 0.01, -85.7],
+        [LAT + 0.01, -85.66],
+        [LAT, -85.66],
+      ],
+      edges: [
+        [0, 1, 0.7],
+        [1, 2, 2.04],
+        [2, 3, 0.7],
+      ],
+    };
+    const appData = appDataWith({ driveGraph });
+    const east = planMicromobilityTrip(appData, LAT, -85.7, LAT, -85.66);
+    expect(east.rideRouted).toBe(true);
+    expect(east.rideMi).toBeCloseTo(3.44, 6);
+    expect(east.ride).toContainEqual([LAT + 0.01, -85.66]);
+    expect(east.rideMinutes).toBe(Math.ceil((3.44 / 8) * 60));
+
+    const west = planMicromobilityTrip(appData, LAT, -85.66, LAT, -85.7);
+    expect(west.rideRouted).toBe(false);
+    expect(west.rideMi).toBeLessThan(2.1);
+  });
+
+  test("prices the ride with the configured unlock and per-minute fares", () => {
+    const fares = {
+      micromobilityUnlockDollars: 0,
+      micromobilityPerMinuteDollars: 0.5,
+      micromobilityMilesPerHour: 12,
+    };
+    const trip = planMicromobilityTrip(
+      appDataWith({ fares }),
+      LAT,
+      -85.7,
+      LAT,
+      -85.66,
+    );
+    expect(trip.rideMinutes).toBe(Math.ceil((trip.rideMi / 12) * 60));
+    expect(
+      micromobilityRide(trip.rideMi, { ...fares, transitDollars: 0 }),
+    ).toEqual({ minutes: trip.rideMinutes, dollars: trip.fareDollars });
+    expect(trip.fareDollars).toBe(trip.rideMinutes * 0.5);
+  });
+
+  test("is null when an end has no zone within the walk or both share one", () => {
+    const appData = appDataWith();
+    expect(
+      planMicromobilityTrip(appData, LAT + 0.05, -85.7, LAT, -85.66),
+    ).toBeNull();
+    expect(
+      planMicromobilityTrip(appData, LAT, -85.7005, LAT, -85.6995),
+    ).toBeNull();
+    expect(
+      planMicromobilityTrip({ parking: {} }, LAT, -85.7, LAT, -85.66),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+import { test, expect } from "@playwright/test";
+
+// No console-error assertions: offline map tiles outside the cache log failed requests by design.
+
+test.describe("Offline service worker", () => {
+  test("?sw registers sw.js and a reload with no network still loads data", async ({
+    page,
+    context,
+  }) => {
+    await page.goto("/?sw#/visit");
+    await page.waitForFunction(
+      async () => Boolean(await navigator.serviceWorker?.ready),
+      null,
+      { timeout: 20_000 },
+    );
+    await page.reload();
+    await page.waitForFunction(
+      () => navigator.serviceWorker.controller !== null,
+    );
+
+    await context.setOffline(true);
+    await page.reload();
+    await page.waitForFunction(
+      () =>
+        Array.isArray(window.appData?.parking?.garages) &&
+        window.appData.parking.garages.length > 0,
+      null,
+      { timeout: 20_000 },
+    );
+    await expect(page.locator("#dataUpdatePrompt")).toBeHidden();
+    await context.setOffline(false);
+  });
+
+  test("is not registered on localhost without ?sw", async ({ page }) => {
+    await page.goto("/#/visit");
+    await page.waitForFunction(() => window.appData != null, null, {
+      timeout: 20_000,
+    });
+    expect(
+      await page.evaluate(
+        async () => (await navigator.serviceWorker.getRegistrations()).length,
+      ),
+    ).toBe(0);
+  });
+});
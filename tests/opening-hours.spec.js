@@ -0,0 +1,164 @@
+import { test, expect } from "@playwright/test";
+import {
+  isOpenDuring,
+  isOpenThrough,
+  openingHoursConflict,
+  openSpansDuring,
+  parseOpeningHours,
+  zonedDateTime,
+} from "../src/shared/opening-hours.mjs";
+
+const TZ = "America/Detroit";
+/** Local Detroit wall-clock time → Date. */
+const at = (local) => zonedDateTime(local, TZ);
+
+// 2026-10-19 is a Monday; 2026-10-24 a Saturday; 2026-10-25 a Sunday.
+const MON_NOON = "2026-10-19T12:00";
+const MON_EVENING = "2026-10-19T19:30";
+const SAT_EVENING = "2026-10-24T18:30";
+const SUN_MORNING = "2026-10-25T09:00";
+
+test.describe("Opening hours", () => {
+  test("parses OSM opening_hours rules into per-day spans", () => {
+    expect(
+      parseOpeningHours("Mo-Fr 08:00-12:00,13:00-17:00; Sa 10:00-14:00; Su off")
+        .days,
+    ).toEqual([
+      [
+        [480, 720],
+        [780, 1020],
+      ],
+      [
+        [480, 720],
+        [780, 1020],
+      ],
+      [
+        [480, 720],
+        [780, 1020],
+      ],
+      [
+        [480, 720],
+        [780, 1020],
+      ],
+      [
+        [480, 720],
+        [780, 1020],
+      ],
+      [[600, 840]],
+      [],
+    ]);
+    expect(parseOpeningHours("Fr-Mo 22:00-02:00").days[4]).toEqual([
+      [1320, 1560],
+    ]);
+    expect(parseOpeningHours("24/7").alwaysOpen).toBe(true);
+    expect(parseOpeningHours("Mo-Su 00:00-24:00").alwaysOpen).toBe(true);
+  });
+
+  for (const [text, open, closed] of [
+    ["Monday-Friday 8am-7pm", [MON_NOON], [MON_EVENING, SAT_EVENING]],
+    ["Monday - Friday 6am - 6pm", [MON_NOON], [MON_EVENING, SUN_MORNING]],
+    ["24/7 access", [MON_NOON, SAT_EVENING, SUN_MORNING], []],
+    ["Weekdays after 5 pm", [MON_EVENING], [MON_NOON, SAT_EVENING]],
+    [
+      "Mo-Fr 07:00-18:00, Sa 10:00-20:00",
+      [MON_NOON, SAT_EVENING],
+      [MON_EVENING, SUN_MORNING],
+    ],
+    ["Mo-Su 08:00-22:00; Su 12:00-18:00", [SAT_EVENING], [SUN_MORNING]],
+    ["Sat & Sun 9:00 am to noon", [SUN_MORNING], [MON_NOON, SAT_EVENING]],
+    ["Mo-Sa 08:00-22:00; PH off", [MON_EVENING, SAT_EVENING], [SUN_MORNING]],
+  ]) {
+    test(`evaluates "${text}" in Detroit time`, () => {
+      const hours = parseOpeningHours(text);
+      expect(hours).not.toBeNull();
+      for (const t of open)
+        expect(isOpenThrough(hours, at(t), null, TZ)).toBe(true);
+      for (const t of closed)
+        expect(isOpenThrough(hours, at(t), null, TZ)).toBe(false);
+    });
+  }
+
+  test("rejects hours it cannot read instead of guessing", () => {
+    for (const text of [
+      "",
+      "sunrise-sunset",
+      "Mo-Fr 25:00-26:00",
+      "By appointment",
+      "Event Parking Only",
+    ]) {
+      expect(parseOpeningHours(text)).toBeNull();
+    }
+  });
+
+  test("reports closed and closes-early for a visit window", () => {
+    const hours = "Mo-Sa 06:00-22:00";
+    expect(
+      openingHoursConflict(hours, at(SAT_EVENING), at("2026-10-24T21:30"), TZ),
+    ).toBeNull();
+    expect(
+      openingHoursConflict(hours, at(SAT_EVENING), at("2026-10-24T23:00"), TZ),
+    ).toBe("closes-early");
+    expect(openingHoursConflict(hours, at(SUN_MORNING), null, TZ)).toBe(
+      "closed",
+    );
+    // Overnight spans carry into the next day.
+    expect(
+      openingHoursConflict(
+        "Mo-Su 18:00-03:00",
+        at(SAT_EVENING),
+        at("2026-10-25T01:00"),
+        TZ,
+      ),
+    ).toBeNull();
+    // Unknown hours and missing arrivals never rule a pin out.
+    expect(
+      openingHoursConflict("Event Parking Only", at(MON_NOON), null, TZ),
+    ).toBeNull();
+    expect(openingHoursConflict(hours, null, null, TZ)).toBeNull();
+  });
+
+  test("checks whether any part of a visit falls in the hours", () => {
+    const enforcement = parseOpeningHours("Monday-Friday 8am-7pm");
+    expect(
+      isOpenDuring(
+        enforcement,
+        at("2026-10-19T18:00"),
+        at("2026-10-19T21:00"),
+        TZ,
+      ),
+    ).toBe(true);
+    expect(
+      isOpenDuring(enforcement, at(MON_EVENING), at("2026-10-19T22:00"), TZ),
+    ).toBe(false);
+    expect(isOpenDuring(enforcement, at(SAT_EVENING), null, TZ)).toBe(false);
+    expect(isOpenDuring(enforcement, at(MON_NOON), null, TZ)).toBe(true);
+  });
+
+  test("lists the parts of a visit that fall in the hours", () => {
+    const enforcement = parseOpeningHours("Monday-Friday 8am-7pm");
+    const spans = (from, to) =>
+      openSpansDuring(enforcement, at(from), at(to), TZ);
+    expect(spans("2026-10-19T17:30", "2026-10-19T19:30")).toEqual([[0, 90]]);
+    expect(spans("2026-10-19T06:00", "2026-10-20T09:00")).toEqual([
+      [120, 780],
+      [1560, 1620],
+    ]);
+    expect(spans("2026-10-23T20:00", "2026-10-24T20:00")).toEqual([]);
+    expect(spans(MON_NOON, MON_NOON)).toEqual([]);
+  });
+
+  test("reads local times in the city's zone across DST", () => {
+    expect(at("2026-10-24T18:30").toISOString()).toBe(
+      "2026-10-24T22:30:00.000Z",
+    );
+    expect(at("2026-01-10T18:30").toISOString()).toBe(
+      "2026-01-10T23:30:00.000Z",
+    );
+    expect(zonedDateTime("2026-10-24 6:30pm", TZ)).toBeNull();
+    // Chicago is an hour behind: 18:30 there is 19:30 in Detroit.
+    const chicago = zonedDateTime("2026-10-19T18:30", "America/Chicago");
+    const hours = parseOpeningHours("Mo-Fr 08:00-19:00");
+    expect(isOpenThrough(hours, chicago, null, TZ)).toBe(false);
+    expect(isOpenThrough(hours, chicago, null, "America/Chicago")).toBe(true);
+  });
+});
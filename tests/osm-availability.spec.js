@@ -0,0 +1,66 @@
+import { test, expect } from "@playwright/test";
+import {
+  getDataViewOsmAvailabilityRows,
+  parkingAccessRestrictionLabel,
+  parseOsmAvailability,
+} from "../src/shared/osm-availability.mjs";
+
+test.describe("OSM availability", () => {
+  test("parses the fetch script's Label: value parts", () => {
+    expect(
+      parseOsmAvailability(
+        "Operator: Cakabakery; Type: surface; Access: customers; Fee: no; Capacity: 8; Surface: asphalt; Operator type: business; OSM way/1346431226",
+      ),
+    ).toEqual({
+      osmId: "way/1346431226",
+      operator: "Cakabakery",
+      parkingType: "surface",
+      access: "customers",
+      fee: false,
+      capacity: 8,
+      surface: "asphalt",
+      operatorType: "business",
+    });
+    expect(
+      parseOsmAvailability(
+        "Access: Private; Fee: donation; Capacity: ~40; Hours: Mo-Fr 07:00-18:00; OSM node/7",
+      ),
+    ).toEqual({
+      osmId: "node/7",
+      access: "private",
+      fee: "donation",
+      openingHours: "Mo-Fr 07:00-18:00",
+    });
+  });
+
+  test("ignores availability text that is not from OSM", () => {
+    expect(parseOsmAvailability("80 spaces; DASH: Circulator")).toBeNull();
+    expect(parseOsmAvailability("Capacity: 6")).toBeNull();
+    expect(parseOsmAvailability(undefined)).toBeNull();
+  });
+
+  test("flags access values that keep event visitors out", () => {
+    expect(parkingAccessRestrictionLabel({ access: "customers" })).toBe(
+      "Customers only",
+    );
+    expect(parkingAccessRestrictionLabel({ access: "Private" })).toBe(
+      "Private — no public access",
+    );
+    for (const access of ["yes", "public", "destination", undefined]) {
+      expect(parkingAccessRestrictionLabel({ access })).toBeNull();
+    }
+    expect(parkingAccessRestrictionLabel({ access: "constructor" })).toBeNull();
+
+    expect(
+      getDataViewOsmAvailabilityRows({
+        access: "permit",
+        fee: true,
+        osmId: "way/1",
+      }),
+    ).toEqual([
+      { label: "Access", value: "permit (Permit holders only)" },
+      { label: "Fee", value: "Yes" },
+      { label: "OSM", value: "way/1" },
+    ]);
+  });
+});
@@ -0,0 +1,135 @@
+import { test, expect } from "@playwright/test";
+import { readDataManifest } from "./helpers/data-manifest.js";
+import { LAT, route9 } from "./helpers/rapid-routes.js";
+import { setParkingDatasetManifest } from "../src/shared/parking-datasets.mjs";
+import {
+  getParkAndRideLots,
+  parkAndRideAvailable,
+  parkAndRideCostDollars,
+  planParkAndRideTrip,
+} from "../src/visit/park-and-ride.mjs";
+import { createParkingPlan } from "../src/visit/parking-recommendation.mjs";
+
+const MANIFEST = readDataManifest();
+
+/** Route 9 eastbound (see `helpers/rapid-routes.js`). */
+const RAPID_ROUTES = [route9()];
+
+const lot = (id, name, longitude, extra = {}) => ({
+  id,
+  name,
+  location: { latitude: LAT + 0.001, longitude },
+  ...extra,
+});
+
+function planWith(lots) {
+  return createParkingPlan(
+    {
+      destinations: [
+        {
+          slug: "venue",
+          name: "Venue",
+          latitude: LAT - 0.002,
+          longitude: -85.641,
+        },
+      ],
+      busRoutes: { rapid_routes: RAPID_ROUTES },
+      parking: { parkAndRide: lots },
+    },
+    { destinationSlug: "venue" },
+  );
+}
+
+test.describe("Park and ride", () => {
+  test.beforeEach(() => {
+    setParkingDatasetManifest(MANIFEST);
+  });
+
+  test("lists lots from park-and-ride datasets, free ones at $0", () => {
+    const lots = getParkAndRideLots(
+      planWith([
+        lot("osm-way-1", "West End Park & Ride", -85.7, { fee: false }),
+        lot("osm-way-2", "", -85.68),
+        { id: "no-location", name: "Nowhere" },
+      ]),
+    );
+    expect(lots.map((l) => [l.id, l.label, l.parkingDollars])).toEqual([
+      ["osm-way-1", "West End Park & Ride", 0],
+      ["osm-way-2", "Park & ride lot", null],
+    ]);
+  });
+
+  test("is available only with located lots and Rapid routes", () => {
+    const busRoutes = { rapid_routes: RAPID_ROUTES };
+    expect(
+      parkAndRideAvailable({
+        busRoutes,
+        parking: { parkAndRide: [lot("a", "West End", -85.7)] },
+      }),
+    ).toBe(true);
+    expect(
+      parkAndRideAvailable({ busRoutes, parking: { parkAndRide: [] } }),
+    ).toBe(false);
+    expect(
+      parkAndRideAvailable({
+        busRoutes,
+        parking: { parkAndRide: [{ id: "no-location" }] },
+      }),
+    ).toBe(false);
+    expect(
+      parkAndRideAvailable({
+        busRoutes: null,
+        parking: { parkAndRide: [lot("a", "West End", -85.7)] },
+      }),
+    ).toBe(false);
+  });
+
+  test("picks the lot with the quickest bus trip and counts fares both ways", () => {
+    const pnr = planParkAndRideTrip(
+      planWith([
+        lot("far", "West End", -85.7, { fee: false }),
+        lot("near", "Mid West", -85.68, { fee: false }),
+      ]),
+    );
+    expect(pnr.lot.id).toBe("near");
+    expect(pnr.trip.boardStop.label).toBe("Mid West");
+    expect(pnr.trip.alightStop.label).toBe("East End");
+    expect(pnr.drive).toBeNull();
+    expect(pnr.totalMinutes).toBe(pnr.trip.totalMinutes);
+    expect(pnr.faresDollars).toBe(pnr.trip.fareDollars * 2);
+  });
+
+  test("adds the drive to the lot when there is a starting point", () => {
+    const pnr = planParkAndRideTrip(
+      planWith([lot("near", "Mid West", -85.68)]),
+      { from: { lat: LAT + 0.05, lng: -85.68 } },
+    );
+    expect(pnr.drive.routed).toBe(false);
+    expect(pnr.drive.miles).toBeGreaterThan(3);
+    expect(pnr.totalMinutes).toBe(
+      Math.round(pnr.drive.minutes + pnr.trip.totalMinutes),
+    );
+  });
+
+  test("is null when no lot is near a stop on a route to the venue", () => {
+    expect(
+      planParkAndRideTrip(planWith([lot("off", "Off route", -85.9)])),
+    ).toBeNull();
+    expect(planParkAndRideTrip(planWith([]))).toBeNull();
+  });
+
+  test("costs the lot once plus everyone's fares, unknown when the lot is not priced", () => {
+    const pnr = {
+      lot: { parkingDollars: 5 },
+      faresDollars: 3.5,
+    };
+    expect(parkAndRideCostDollars(pnr)).toBe(8.5);
+    expect(parkAndRideCostDollars(pnr, 3)).toBe(15.5);
+    expect(
+      parkAndRideCostDollars({ ...pnr, lot: { parkingDollars: [2, 4] } }, 2),
+    ).toEqual([9, 11]);
+    expect(
+      parkAndRideCostDollars({ ...pnr, lot: { parkingDollars: null } }),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,307 @@
+import { test, expect } from "@playwright/test";
+import {
+  estimateParkingCost,
+  eventRateFor,
+  formatPricingTierForDisplay,
+  getDataViewParkingPricingRows,
+  getParkingMapCostDisplay,
+} from "../src/shared/parking-pricing.mjs";
+import {
+  PARKING_DEFAULT_STAY_HOURS,
+  visitWindow,
+} from "../src/shared/visit-time.mjs";
+
+const TZ = "America/Detroit";
+/** A visit arriving at local `arrive` for `stay` hours; `event` = going to a venue. */
+const visit = (arrive, stay = 3, event = false) => ({
+  ...visitWindow(arrive, stay, TZ),
+  stayHours: stay,
+  timeZone: TZ,
+  event,
+});
+/** `{ dollars, rule }` of an estimate, for compact expectations. */
+const charge = (pricing, v, cat = "public-garage") => {
+  const e = estimateParkingCost(pricing, cat, v);
+  return e && { dollars: e.dollars, rule: e.rule };
+};
+
+// 2026-10-21 is a Wednesday; 2026-10-24 a Saturday.
+const WEEKDAY_NOON = "2026-10-21T12:00";
+const SATURDAY_EVENING = "2026-10-24T19:00";
+
+test.describe("Parking cost", () => {
+  test("charges hourly rates for the stay, capped by the daily max", () => {
+    const pricing = { hourly: 4, daily: 10 };
+    expect(charge(pricing, visit(WEEKDAY_NOON, 2))).toEqual({
+      dollars: 8,
+      rule: "hourly",
+    });
+    expect(charge(pricing, visit(WEEKDAY_NOON, 4))).toEqual({
+      dollars: 10,
+      rule: "daily-max",
+    });
+    expect(charge({ hourly: 2.5 }, visit(WEEKDAY_NOON, 1.5))).toEqual({
+      dollars: 3.75,
+      rule: "hourly",
+    });
+    expect(
+      estimateParkingCost(pricing, "public-garage", visit(WEEKDAY_NOON, 2))
+        .text,
+    ).toBe("$8 for 2 hours");
+  });
+
+  test("uses a flat evening rate only when hourly would cost more", () => {
+    const pricing = { hourly: 2, evening: 10 };
+    expect(charge(pricing, visit(SATURDAY_EVENING, 2))).toEqual({
+      dollars: 4,
+      rule: "hourly",
+    });
+    expect(charge(pricing, visit(SATURDAY_EVENING, 6))).toEqual({
+      dollars: 10,
+      rule: "evening",
+    });
+  });
+
+  test("charges event rates flat, whatever the stay", () => {
+    const pricing = { hourly: 4, daily: 24, events: 15 };
+    for (const stay of [1, 3, 8])
+      expect(charge(pricing, visit(SATURDAY_EVENING, stay, true))).toEqual({
+        dollars: 15,
+        rule: "events",
+      });
+    expect(
+      estimateParkingCost(
+        pricing,
+        "public-garage",
+        visit(SATURDAY_EVENING, 3, true),
+      ).text,
+    ).toBe("$15 event rate");
+  });
+
+  test("keeps [low, high] ranges as ranges", () => {
+    const meter = { hourly: [2.5, 4], enforcement: "Monday-Friday 8am-7pm" };
+    const e = estimateParkingCost(meter, "meter", visit(WEEKDAY_NOON, 3));
+    expect(e.dollars).toEqual([7.5, 12]);
+    expect(e.text).toBe("$7.5–$12 for 3 hours");
+    expect(
+      charge({ events: [12, 15] }, visit(SATURDAY_EVENING, 3, true)),
+    ).toEqual({ dollars: [12, 15], rule: "events" });
+  });
+
+  test("is free inside hourlyFreeWhen windows and unknown outside them", () => {
+    const pricing = { hourlyFreeWhen: "Weekends and Weekdays after 7pm" };
+    expect(charge(pricing, visit(SATURDAY_EVENING), "public-lot")).toEqual({
+      dollars: 0,
+      rule: "free",
+    });
+    expect(charge(pricing, visit(WEEKDAY_NOON), "public-lot")).toEqual({
+      dollars: null,
+      rule: "unknown",
+    });
+    expect(
+      estimateParkingCost({}, "public-lot", visit(WEEKDAY_NOON)),
+    ).toBeNull();
+  });
+
+  test("bills only the part of a stay outside free windows and inside enforcement", () => {
+    const meter = {
+      hourly: [2.5, 4],
+      enforcement: "Monday-Friday 8am-7pm",
+      free: "After 5pm or 6pm and on weekends",
+    };
+    const lot = { hourlyFreeWhen: "Weekends and Weekdays after 7pm" };
+    const cases = [
+      // [pricing, arrive, stay, dollars, rule, paid hours]
+      [meter, "2026-10-21T17:30", 2, [1.25, 2], "hourly", 0.5],
+      [meter, "2026-10-21T16:00", 3, [5, 8], "hourly", 2],
+      [meter, "2026-10-21T07:00", 2, [2.5, 4], "hourly", 1],
+      [meter, "2026-10-21T12:00", 2, [5, 8], "hourly", 2],
+      [meter, "2026-10-21T18:30", 2, 0, "free", 0],
+      [meter, "2026-10-23T16:00", 12, [5, 8], "hourly", 2],
+      [{ ...lot, hourly: 2 }, "2026-10-21T18:00", 3, 2, "hourly", 1],
+      [{ ...lot, hourly: 2, daily: 3 }, "2026-10-21T12:00", 8, 3, "daily", 7],
+      [lot, "2026-10-21T18:00", 3, null, "unknown", 1],
+      [lot, "2026-10-21T19:00", 3, 0, "free", 0],
+    ];
+    for (const [pricing, arrive, stay, dollars, rule, paidHours] of cases) {
+      expect(
+        estimateParkingCost(pricing, "meter", visit(arrive, stay)),
+        `${arrive} for ${stay}h`,
+      ).toMatchObject({ dollars, rule, hours: stay, paidHours });
+    }
+    expect(
+      estimateParkingCost(meter, "meter", visit("2026-10-21T17:30", 2)).text,
+    ).toBe("$1.25–$2 for 0.5 hours");
+  });
+
+  test("prices the default evening event without an arrival", () => {
+    expect(charge({ hourly: 4, daily: 24, events: [12, 15] }, null)).toEqual({
+      dollars: [12, 15],
+      rule: "events",
+    });
+    expect(charge({ hourly: 4, daily: 10 }, { stayHours: 5 })).toEqual({
+      dollars: 10,
+      rule: "daily-max",
+    });
+  });
+
+  test("prices hourly-only pins for the default 3-hour stay without a visit", () => {
+    expect(PARKING_DEFAULT_STAY_HOURS).toBe(3);
+    for (const v of [null, {}, { event: true }]) {
+      expect(estimateParkingCost({ hourly: 4 }, "public-garage", v)).toEqual(
+        expect.objectContaining({ dollars: 12, rule: "hourly", hours: 3 }),
+      );
+    }
+    expect(charge({ hourly: 4, daily: 10 }, null)).toEqual({
+      dollars: 10,
+      rule: "daily-max",
+    });
+  });
+
+  test("prices posted-rate prose with free periods and caps", () => {
+    const posted = { hourly: "$1.25 per 30 min, first hour free, $12 max" };
+    expect(charge(posted, visit(WEEKDAY_NOON, 3))).toEqual({
+      dollars: 5,
+      rule: "hourly",
+    });
+    expect(charge(posted, visit(WEEKDAY_NOON, 8))).toEqual({
+      dollars: 12,
+      rule: "daily-max",
+    });
+    expect(charge(posted, visit(WEEKDAY_NOON, 1))).toEqual({
+      dollars: 0,
+      rule: "free",
+    });
+    expect(charge({ hourly: 2, freeFirstHours: 2 }, { stayHours: 3 })).toEqual({
+      dollars: 2,
+      rule: "hourly",
+    });
+    expect(charge({ daily: "$38.00 per 24 hour period" }, null)).toEqual({
+      dollars: 38,
+      rule: "daily",
+    });
+    expect(charge({ evening: "Event Parking Only" }, null)).toEqual({
+      dollars: null,
+      rule: "unknown",
+    });
+  });
+
+  test("keeps time-limited prose to its hours", () => {
+    const freeEvenings = { hourly: 2, daily: 12, rate: "No charge after 6pm" };
+    expect(charge(freeEvenings, visit(WEEKDAY_NOON, 3))).toEqual({
+      dollars: 6,
+      rule: "hourly",
+    });
+    expect(charge(freeEvenings, visit(SATURDAY_EVENING, 3))).toEqual({
+      dollars: 0,
+      rule: "free",
+    });
+    const eveningFlat = { hourly: 3, rate: "$5 after 6pm" };
+    expect(charge(eveningFlat, visit(WEEKDAY_NOON, 3))).toEqual({
+      dollars: 9,
+      rule: "hourly",
+    });
+    expect(charge(eveningFlat, visit(SATURDAY_EVENING, 3))).toEqual({
+      dollars: 5,
+      rule: "evening",
+    });
+    for (const rate of [
+      "Early bird $8 in by 9am",
+      "Overnight Parking: $38.00 per 24 hour period (must leave by 9am)",
+      "$5 after 8am",
+    ]) {
+      expect(charge({ rate }, visit(WEEKDAY_NOON, 3))).toEqual({
+        dollars: null,
+        rule: "unknown",
+      });
+    }
+  });
+
+  test.describe("per-venue event rates", () => {
+    const events = {
+      default: [12, 25],
+      rates: [
+        { venues: ["van-andel-arena"], amount: 20 },
+        { venues: ["van-andel-arena"], eventTypes: ["sports"], amount: 15 },
+        { venues: ["devos-performance-hall"], amount: 10 },
+        { eventTypes: ["festival"], amount: 8 },
+      ],
+    };
+    const pricing = { hourly: 4, daily: 24, events };
+    /** A venue visit with no arrival time: the evening-event assumption. */
+    const show = (venue, eventType = null) => ({
+      event: true,
+      venue,
+      eventType,
+    });
+
+    test("picks the most specific rate, then the default", () => {
+      expect(eventRateFor(events, "van-andel-arena", "sports")).toBe(15);
+      expect(eventRateFor(events, "van-andel-arena", "concert")).toBe(20);
+      expect(eventRateFor(events, "devos-performance-hall", null)).toBe(10);
+      expect(eventRateFor(events, "studio-park", "festival")).toBe(8);
+      expect(eventRateFor(events, "studio-park", null)).toEqual([12, 25]);
+      expect(eventRateFor({ rates: events.rates }, null, null)).toEqual([
+        8, 20,
+      ]);
+      expect(eventRateFor([12, 15], "van-andel-arena", "sports")).toEqual([
+        12, 15,
+      ]);
+    });
+
+    test("prices popups and the pay filter for the chosen venue", () => {
+      expect(
+        getParkingMapCostDisplay(
+          pricing,
+          "public-garage",
+          show("van-andel-arena"),
+        ).text,
+      ).toBe("$20 ($4 per hour)");
+      expect(
+        getParkingMapCostDisplay(
+          pricing,
+          "public-garage",
+          show("devos-performance-hall"),
+        ).text,
+      ).toBe("$10 ($4 per hour)");
+      expect(charge(pricing, show("van-andel-arena", "sports"))).toEqual({
+        dollars: 15,
+        rule: "events",
+      });
+      expect(
+        formatPricingTierForDisplay(
+          "events",
+          events,
+          pricing,
+          show("van-andel-arena", "sports"),
+        ),
+      ).toBe("$15");
+      expect(formatPricingTierForDisplay("events", events, pricing)).toBe(
+        "$12–$25",
+      );
+    });
+
+    test("lists every rate in the data view", () => {
+      expect(
+        getDataViewParkingPricingRows({ events }, "public-garage")
+          .filter((r) => r.label.startsWith("Events"))
+          .map((r) => r.value),
+      ).toEqual(["$12–$25", "$20", "$15", "$10", "$8"]);
+      const names = {
+        destinations: [{ slug: "van-andel-arena", name: "Van Andel Arena" }],
+        eventTypes: { sports: "Sports game" },
+      };
+      expect(
+        getDataViewParkingPricingRows({ events }, "public-garage", null, names)
+          .filter((r) => r.label.startsWith("Events"))
+          .map((r) => r.label),
+      ).toEqual([
+        "Events (other)",
+        "Events (Van Andel Arena)",
+        "Events (Van Andel Arena · Sports game)",
+        "Events (devos-performance-hall)",
+        "Events (festival)",
+      ]);
+    });
+  });
+});
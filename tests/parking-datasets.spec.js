@@ -0,0 +1,145 @@
+import { test, expect } from "@playwright/test";
+import { readDataManifest } from "./helpers/data-manifest.js";
+import {
+  dataViewCanonicalParkingDatasetKey,
+  dataViewParkingSourceKeysForPrimary,
+  dataViewPrimaryParkingDatasets,
+  isPrivateDriveParkingCategory,
+  parkAndRideDatasets,
+  parkingDatasetKeysInPaintOrder,
+  parkingDataKeysForVisitCategory,
+  parkingOverrideCategoryToKey,
+  setParkingDatasetManifest,
+  visitFilterCategoryIdFor,
+  visitFilterCategoryIds,
+  visitMarkerCategoriesForFilter,
+  visitMarkerCategoryIds,
+  visitMarkerCategoryPaintOrder,
+} from "../src/shared/parking-datasets.mjs";
+
+const MANIFEST = readDataManifest();
+
+test.describe("Parking dataset manifest", () => {
+  test.beforeEach(() => {
+    setParkingDatasetManifest(MANIFEST);
+  });
+
+  test("builds #/visit toggles and marker categories from kind, shape, and visitCategory", () => {
+    expect(visitFilterCategoryIds()).toEqual([
+      "public-garage",
+      "public-lot",
+      "private-garage",
+      "private-lot",
+    ]);
+    expect(visitMarkerCategoryIds()).toEqual([
+      "public-garage",
+      "public-lot",
+      "private-garage",
+      "private-lot",
+      "ellis-garage",
+      "ellis-lot",
+    ]);
+    expect(visitMarkerCategoriesForFilter("private-lot")).toEqual([
+      "private-lot",
+      "ellis-lot",
+    ]);
+    expect(visitFilterCategoryIdFor("ellis-garage")).toBe("private-garage");
+    expect(visitFilterCategoryIdFor("osmLots")).toBe("private-lot");
+    expect(parkingDataKeysForVisitCategory("private-garage")).toEqual([
+      "osmGarages",
+      "airGarageGarages",
+    ]);
+  });
+
+  test("keeps public garages painted above private and Ellis pins", () => {
+    expect(visitMarkerCategoryPaintOrder()).toEqual([
+      "private-lot",
+      "ellis-lot",
+      "public-lot",
+      "private-garage",
+      "ellis-garage",
+      "public-garage",
+    ]);
+    expect(parkingDatasetKeysInPaintOrder().slice(-3)).toEqual([
+      "meters",
+      "racks",
+      "micromobility",
+    ]);
+  });
+
+  test("folds operator datasets into the #/data/parking dropdown rows", () => {
+    expect(dataViewPrimaryParkingDatasets().map((d) => d.key)).toEqual([
+      "garages",
+      "lots",
+      "osmGarages",
+      "osmLots",
+      "parkAndRide",
+      "meters",
+      "racks",
+      "micromobility",
+    ]);
+    expect(dataViewParkingSourceKeysForPrimary("osmLots")).toEqual([
+      "osmLots",
+      "airGarageLots",
+      "ellisLots",
+    ]);
+    expect(dataViewCanonicalParkingDatasetKey("ellisGarages")).toBe(
+      "osmGarages",
+    );
+    expect(dataViewCanonicalParkingDatasetKey("racks")).toBe("racks");
+  });
+
+  test("resolves override categories and private pricing from the manifest", () => {
+    expect(parkingOverrideCategoryToKey("private-lot")).toBe("osmLots");
+    expect(parkingOverrideCategoryToKey("ellis-garage")).toBe("ellisGarages");
+    expect(parkingOverrideCategoryToKey("meters")).toBe("meters");
+    expect(parkingOverrideCategoryToKey("private-ramp")).toBeNull();
+    expect(isPrivateDriveParkingCategory("airGarageLots")).toBe(true);
+    expect(isPrivateDriveParkingCategory("ellis-lot")).toBe(true);
+    expect(isPrivateDriveParkingCategory("public-garage")).toBe(false);
+    expect(isPrivateDriveParkingCategory("micromobility")).toBe(false);
+  });
+
+  test("keeps park-and-ride lots in their own category, out of the #/visit toggles", () => {
+    expect(parkAndRideDatasets().map((d) => d.key)).toEqual(["parkAndRide"]);
+    expect(visitFilterCategoryIdFor("parkAndRide")).toBeNull();
+    expect(visitMarkerCategoryIds()).not.toContain("parkAndRide");
+    expect(parkingDatasetKeysInPaintOrder({ driveOnly: true })).not.toContain(
+      "parkAndRide",
+    );
+  });
+
+  test("a new private operator joins the private toggle without code changes", () => {
+    setParkingDatasetManifest({
+      parking: [
+        ...MANIFEST.parking,
+        {
+          key: "acmeLots",
+          file: "private/lots-acme.json",
+          kind: "private",
+          shape: "lot",
+          modes: ["drive"],
+          visitCategory: "acme-lot",
+          mergeInto: "osmLots",
+          markerStyle: {
+            color: "#ca8a04",
+            fillColor: "#fde047",
+            fillOpacity: 0.78,
+          },
+          paintOrder: 25,
+        },
+      ],
+    });
+    expect(visitFilterCategoryIds()).toHaveLength(4);
+    expect(visitMarkerCategoriesForFilter("private-lot")).toEqual([
+      "private-lot",
+      "ellis-lot",
+      "acme-lot",
+    ]);
+    expect(visitMarkerCategoryPaintOrder().indexOf("acme-lot")).toBe(2);
+    expect(dataViewParkingSourceKeysForPrimary("osmLots")).toContain(
+      "acmeLots",
+    );
+    expect(parkingOverrideCategoryToKey("acme-lot")).toBe("acmeLots");
+  });
+});
@@ -0,0 +1,306 @@
+import { test, expect } from "@playwright/test";
+import { join } from "node:path";
+import { createFileDataReader } from "../scripts/lib/file-data-reader.mjs";
+import {
+  appData,
+  assembleAppData,
+  gridWalkMiles,
+} from "../src/shared/data-loader.mjs";
+import { zonedDateTime } from "../src/shared/opening-hours.mjs";
+import { tryParkingDashMultimodalPath } from "../src/visit/dash-shuttle.mjs";
+import {
+  chooseBestParkingSpotId,
+  chooseTopParkingSpotIds,
+  createParkingPlan,
+  normalizeParkingSpotId,
+  PARKING_BEST_RECOMMENDATION_MIN_SPACES,
+  parkingMarkerHoursConflict,
+  parkingSpotCandidates,
+  parseParkingSpotId,
+} from "../src/visit/parking-recommendation.mjs";
+import { installDataRegistries } from "./helpers/data-manifest.js";
+
+const readDataFile = createFileDataReader(join(__dirname, ".."));
+
+const corner = (name, latitude, longitude) => ({ name, latitude, longitude });
+const NW = corner("Northwest", 42.97, -85.675);
+const NE = corner("Northeast", 42.97, -85.66);
+const SE = corner("Southeast", 42.957, -85.66);
+const SW = corner("Southwest", 42.957, -85.675);
+
+/** Clockwise square around downtown (`data/bus/routes.json` is fetched, not committed). */
+const DASH_SQUARE_LOOP = {
+  route_short_name: "DASH",
+  shapes: [{ coordinates: [NW, NE, SE, SW, NW] }],
+  stops: [NW, NE, SE, SW],
+};
+
+test.describe("Headless parking plan", () => {
+  test("assembles appData from the filesystem without publishing it", async () => {
+    const data = await assembleAppData(readDataFile, installDataRegistries());
+    expect(appData).toBeNull();
+    expect(data.city.slug).toBe("grand-rapids");
+    expect(data.parking.garages.length).toBeGreaterThan(0);
+    expect(data.dataHealth.errors).toEqual([]);
+  });
+
+  test("recommends distinct best, farthest, and expensive pins within the filters", async () => {
+    const data = await assembleAppData(readDataFile, installDataRegistries());
+    const plan = createParkingPlan(data, {
+      destinationSlug: "van-andel-arena",
+      walkCapMiles: 0.8,
+      budgetCap: 20,
+    });
+    const candidates = parkingSpotCandidates(plan);
+    expect(candidates.length).toBeGreaterThan(0);
+    for (const m of candidates) {
+      expect(
+        m.eveningSortDollars === Infinity || m.eveningSortDollars <= 20,
+      ).toBe(true);
+    }
+
+    const best = chooseBestParkingSpotId(plan, candidates);
+    const picks = chooseTopParkingSpotIds(plan, candidates);
+    expect(picks.map((p) => p.role)).toEqual(["best", "farthest", "expensive"]);
+    expect(picks[0].spotId).toBe(best);
+    expect(new Set(picks.map((p) => p.spotId)).size).toBe(3);
+    const bestRow = candidates.find((m) => m.spotId === best);
+    expect(bestRow.totalSpaces).toBeGreaterThanOrEqual(
+      PARKING_BEST_RECOMMENDATION_MIN_SPACES,
+    );
+  });
+
+  test("estimates unlisted private prices from priced neighbours", async () => {
+    const data = await assembleAppData(readDataFile, installDataRegistries());
+    const plan = createParkingPlan(data, {
+      destinationSlug: "van-andel-arena",
+      budgetCap: null,
+    });
+    const candidates = parkingSpotCandidates(plan, ["private-lot"]);
+    const unlisted = candidates.filter((m) => m.price === "Not listed");
+    expect(unlisted.length).toBeGreaterThan(0);
+    for (const m of unlisted) {
+      expect(m.priceEstimate).not.toBeNull();
+      expect(m.priceEstimateText).toMatch(
+        /^~\$\d+.* estimate \((high|medium|low) confidence\)$/,
+      );
+    }
+    for (const m of candidates.filter((c) => c.price !== "Not listed"))
+      expect(m.priceEstimate).toBeNull();
+  });
+
+  test("never suggests customers-only or private lots", async () => {
+    const data = await assembleAppData(readDataFile, installDataRegistries());
+    // AirGarage runs it as a paid public lot; data/overrides.json corrects the OSM tag.
+    const airGarage = data.parking.airGarageLots.find(
+      (l) => l.id === "osm:way/317417952",
+    );
+    expect(airGarage).toMatchObject({ access: "yes", fee: false });
+    const plan = createParkingPlan(data, {
+      destinationSlug: "devos-performance-hall",
+      budgetCap: null,
+    });
+    const candidates = parkingSpotCandidates(plan);
+    // Still drawn (flagged in the popup), just never suggested.
+    const restricted = candidates.filter((m) => m.accessRestriction);
+    expect(restricted.map((m) => m.accessRestriction)).toContain(
+      "Customers only",
+    );
+    const picks = chooseTopParkingSpotIds(plan, candidates);
+    expect(picks.map((p) => p.role)).toEqual(["best", "farthest", "expensive"]);
+    for (const { spotId } of picks) {
+      expect(restricted.some((m) => m.spotId === spotId)).toBe(false);
+    }
+  });
+
+  test("skips lots closed at arrival or closing before the visit ends", async () => {
+    const data = await assembleAppData(readDataFile, installDataRegistries());
+    // Saturday evening in Grand Rapids.
+    const arriveAt = zonedDateTime("2026-10-24T18:30", "America/Detroit");
+    const leaveAt = zonedDateTime("2026-10-24T22:30", "America/Detroit");
+    const plan = createParkingPlan(data, {
+      destinationSlug: "van-andel-arena",
+      budgetCap: null,
+      arriveAt,
+      leaveAt,
+    });
+    const candidates = parkingSpotCandidates(plan);
+    const [best] = chooseTopParkingSpotIds(plan, candidates);
+    const bestRow = candidates.find((m) => m.spotId === best.spotId);
+    const bestIds = () =>
+      chooseTopParkingSpotIds(plan, candidates).map((p) => p.spotId);
+
+    bestRow.openingHours = "Mo-Fr 06:00-18:00";
+    expect(parkingMarkerHoursConflict(plan, bestRow)).toBe("closed");
+    expect(bestIds()).not.toContain(best.spotId);
+
+    bestRow.openingHours = "Monday - Sunday 6am - 9pm";
+    expect(parkingMarkerHoursConflict(plan, bestRow)).toBe("closes-early");
+    expect(bestIds()).not.toContain(best.spotId);
+
+    bestRow.openingHours = "Mo-Su 06:00-02:00";
+    expect(parkingMarkerHoursConflict(plan, bestRow)).toBeNull();
+    expect(bestIds()[0]).toBe(best.spotId);
+
+    // No arrival time: hours never rule a pin out.
+    bestRow.openingHours = "Mo-Fr 06:00-18:00";
+    const anyTime = createParkingPlan(data, {
+      destinationSlug: "van-andel-arena",
+      budgetCap: null,
+    });
+    expect(chooseTopParkingSpotIds(anyTime, candidates)[0].spotId).toBe(
+      best.spotId,
+    );
+  });
+
+  test("rides the DASH loop forward when the direct walk is over the cap", async () => {
+    const data = {
+      ...(await assembleAppData(readDataFile, installDataRegistries())),
+      busRoutes: { dash_routes: [DASH_SQUARE_LOOP] },
+    };
+    const plan = createParkingPlan(data, { walkCapMiles: 0.3 });
+    expect(plan.dashKey).toBe("all");
+    expect(plan.dashStops.size).toBe(4);
+
+    const trip = tryParkingDashMultimodalPath(
+      data,
+      plan.dashKey,
+      42.9705,
+      -85.6595,
+      42.9565,
+      -85.6755,
+      plan.walkCapMiles,
+    );
+    expect(trip.boardStop.label).toBe("Northeast");
+    expect(trip.alightStop.label).toBe("Southwest");
+    expect(trip.walk1Mi).toBeLessThanOrEqual(0.3);
+    expect(trip.walk2Mi).toBeLessThanOrEqual(0.3);
+    // Northeast → Southeast → Southwest in shape order, not back through Northwest.
+    expect(trip.shuttle).toHaveLength(3);
+    expect(trip.tooltip).toBe("Approximate walking + DASH route");
+
+    expect(
+      tryParkingDashMultimodalPath(
+        data,
+        plan.dashKey,
+        42.9705,
+        -85.6595,
+        42.9565,
+        -85.6755,
+        5,
+      ),
+    ).toBeNull();
+  });
+
+  test("waits for the scheduled DASH and flags a ride back after the last one", async () => {
+    const timeZone = "America/Detroit";
+    const at = (local) => zonedDateTime(local, timeZone);
+    const data = {
+      ...(await assembleAppData(readDataFile, installDataRegistries())),
+      busRoutes: {
+        dash_routes: [
+          {
+            ...DASH_SQUARE_LOOP,
+            stops: [
+              NW,
+              // 7:00, 7:10, and 10:00 PM on weekdays.
+              { ...NE, departures: { weekday: [1140, 1150, 1320] } },
+              SE,
+              { ...SW, departures: { weekday: [1145, 1265, 1325] } },
+            ],
+          },
+        ],
+      },
+    };
+    const trip = (arriveAt, leaveAt) =>
+      tryParkingDashMultimodalPath(
+        data,
+        "all",
+        42.9705,
+        -85.6595,
+        42.9565,
+        -85.6755,
+        0.3,
+        { arriveAt, leaveAt, timeZone },
+      );
+
+    // Monday: a minute or two's walk to Northeast misses the 7:00 and catches the 7:10.
+    const monday = trip(at("2026-10-19T19:00"), at("2026-10-19T21:00"));
+    expect(monday.dashDepartsAt).toEqual(at("2026-10-19T19:10"));
+    expect(monday.dashBoardingWaitMinutes).toBeGreaterThanOrEqual(8);
+    expect(monday.dashBoardingWaitMinutes).toBeLessThanOrEqual(9);
+    expect(monday.dashReturnAfterLast).toBeNull();
+
+    // Out at 11: the last shuttle from Southwest left at 10:05.
+    const late = trip(at("2026-10-19T19:00"), at("2026-10-19T23:00"));
+    expect(late.dashReturnAfterLast.lastAt).toEqual(at("2026-10-19T22:05"));
+
+    // Out until Tuesday morning: no shuttle yet that day, so no "last" one to name.
+    const overnight = trip(at("2026-10-19T19:00"), at("2026-10-20T06:30"));
+    expect(overnight.dashReturnAfterLast).toEqual({ lastAt: null });
+
+    // After the last departure, or a Saturday with no service: no DASH trip.
+    expect(trip(at("2026-10-19T22:30"), null)).toBeNull();
+    expect(trip(at("2026-10-24T19:00"), null)).toBeNull();
+
+    // No visit time: the configured typical wait.
+    const anyTime = trip(null, null);
+    expect(anyTime.dashDepartsAt).toBeNull();
+    expect(anyTime.dashBoardingWaitMinutes).toBe(
+      data.parkingRoutePace.dashBoardingWaitMinutes,
+    );
+  });
+});
+
+test.describe("Parking spot ids", () => {
+  /** Unnamed OSM lot (`OSM way/1198727306`) in `data/parking/private/lots-osm.json`. */
+  const OSM_LOT = { latitude: 42.972319, longitude: -85.682491 };
+
+  test("gives OSM pins durable ids that old coordinate links resolve to", async () => {
+    const data = await assembleAppData(readDataFile, installDataRegistries());
+    const lot = data.parking.osmLots.find(
+      (l) => l.location.latitude === OSM_LOT.latitude,
+    );
+    expect(lot.id).toBe("osm:way/1198727306");
+    const row = parkingSpotCandidates(
+      createParkingPlan(data, { budgetCap: null }),
+    ).find((m) => m.lat === OSM_LOT.latitude);
+    expect(row.spotId).toBe(lot.id);
+
+    expect(parseParkingSpotId(data, lot.id)).toEqual({
+      categoryKey: "private-lot",
+      lat: OSM_LOT.latitude,
+      lng: OSM_LOT.longitude,
+    });
+    for (const old of [
+      "private-lot:42.972319,-85.682491",
+      "private-lot~42.972319~-85.682491",
+      lot.id,
+    ]) {
+      expect(normalizeParkingSpotId(data, old)).toBe(lot.id);
+    }
+    expect(normalizeParkingSpotId(data, "osm:way/1")).toBeNull();
+  });
+
+  test("follows data/parking-aliases.json for moved pins", async () => {
+    const data = await assembleAppData(readDataFile, installDataRegistries());
+    // 90 Market, once filed by Ellis as a garage.
+    expect(
+      normalizeParkingSpotId(data, "ellis-garage:42.961369,-85.674391"),
+    ).toBe("ellis-lot:42.961369,-85.674391");
+
+    const moved = {
+      ...data,
+      parkingSpotAliases: [
+        { from: "private-lot:42.9,-85.6", to: "private-lot:42.97,-85.68" },
+        {
+          from: "private-lot:42.97,-85.68",
+          to: "private-lot:42.972319,-85.682491",
+        },
+      ],
+    };
+    expect(normalizeParkingSpotId(moved, "private-lot~42.9~-85.6")).toBe(
+      "osm:way/1198727306",
+    );
+  });
+});
@@ -0,0 +1,84 @@
+import { test, expect } from "@playwright/test";
+import {
+  defaultPartySize,
+  formatPartyCost,
+  micromobilityRide,
+  parsePartySize,
+  partyTripCosts,
+  resolveTravelFares,
+  splitPartyCost,
+} from "../src/shared/party-cost.mjs";
+
+const fares = {
+  transitDollars: 1.75,
+  micromobilityUnlockDollars: 1,
+  micromobilityPerMinuteDollars: 0.5,
+  micromobilityMilesPerHour: 6,
+};
+
+test.describe("Party cost", () => {
+  test("reads people= and the config default", () => {
+    expect(parsePartySize("3")).toBe(3);
+    for (const bad of ["0", "9", "2.5", "two", "", null])
+      expect(parsePartySize(bad)).toBeNull();
+    expect(defaultPartySize({ defaults: { people: 2 } })).toBe(2);
+    expect(defaultPartySize({ defaults: { people: 0 } })).toBe(1);
+    expect(defaultPartySize(null)).toBe(1);
+  });
+
+  test("splits a shared fee and multiplies a per-person fare", () => {
+    expect(splitPartyCost(12, 3, "shared")).toEqual({
+      perPerson: 4,
+      total: 12,
+    });
+    expect(splitPartyCost([12, 15], 3, "shared")).toEqual({
+      perPerson: [4, 5],
+      total: [12, 15],
+    });
+    expect(splitPartyCost(3.5, 4, "each")).toEqual({
+      perPerson: 3.5,
+      total: 14,
+    });
+    expect(formatPartyCost(splitPartyCost(10, 3, "shared"), 3)).toBe(
+      "$3.33 each · $10 total",
+    );
+    expect(formatPartyCost(splitPartyCost(10, 1, "shared"), 1)).toBe("$10");
+  });
+
+  test("prices Lime rides by unlock and minutes", () => {
+    // 1 mi at 6 mph = 10 minutes.
+    expect(micromobilityRide(1, resolveTravelFares(fares))).toEqual({
+      minutes: 10,
+      dollars: 6,
+    });
+    expect(micromobilityRide(0, resolveTravelFares(fares))).toEqual({
+      minutes: 1,
+      dollars: 1.5,
+    });
+    expect(resolveTravelFares({ micromobilityMilesPerHour: 0 })).toEqual(
+      resolveTravelFares(null),
+    );
+  });
+
+  test("compares driving together with fares for everyone, both ways", () => {
+    const rows = partyTripCosts({
+      people: 4,
+      parkingDollars: 20,
+      rideMiles: 1,
+      fares,
+    });
+    expect(rows).toEqual([
+      { mode: "drive", perPerson: 5, total: 20 },
+      { mode: "transit", perPerson: 3.5, total: 14 },
+      { mode: "micromobility", perPerson: 12, total: 48 },
+    ]);
+    expect(
+      partyTripCosts({
+        people: 2,
+        parkingDollars: null,
+        rideMiles: null,
+        fares,
+      }).map((r) => r.mode),
+    ).toEqual(["transit"]);
+  });
+});
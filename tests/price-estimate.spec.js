@@ -0,0 +1,123 @@
+import { test, expect } from "@playwright/test";
+import {
+  estimateUnknownParkingPrice,
+  formatPriceEstimate,
+  resolvePriceEstimateConfig,
+} from "../src/shared/price-estimate.mjs";
+import { createSpatialIndex } from "../src/shared/spatial-index.mjs";
+
+/** About 0.07 mi per 0.001° of latitude near Grand Rapids. */
+const at = (dLat, dollars) => ({ lat: 42.96 + dLat, lng: -85.67, dollars });
+const target = { lat: 42.96, lng: -85.67, shape: "lot" };
+const config = { lotAssumedDollars: 20, garageAssumedDollars: 30 };
+
+test.describe("Unknown price estimate", () => {
+  test("reads parkingPrivateUnknown with fallbacks", () => {
+    expect(resolvePriceEstimateConfig(null)).toEqual({
+      radiusMiles: 1,
+      minNeighbours: 2,
+      lotAssumedDollars: null,
+      garageAssumedDollars: null,
+      cardCopy: "",
+    });
+    expect(
+      resolvePriceEstimateConfig({
+        estimateRadiusMiles: 0.5,
+        estimateMinNeighbours: 1.5,
+        lotAssumedDollars: -1,
+      }),
+    ).toMatchObject({
+      radiusMiles: 0.5,
+      minNeighbours: 2,
+      lotAssumedDollars: null,
+    });
+  });
+
+  test("bands the prices of close neighbours", () => {
+    const known = [
+      at(0.001, 10),
+      at(-0.001, 12),
+      at(0.002, 12),
+      at(-0.002, 14),
+    ];
+    expect(estimateUnknownParkingPrice(target, known, { config })).toEqual({
+      dollars: [10, 12],
+      confidence: "high",
+      basis: "neighbours",
+      neighbours: 4,
+    });
+  });
+
+  test("lets nearer neighbours outweigh farther ones", () => {
+    const known = [at(0.001, 8), at(-0.001, 8), at(0.012, 30), at(-0.012, 30)];
+    const e = estimateUnknownParkingPrice(target, known, { config });
+    expect(e.dollars).toBe(8);
+    expect(e.confidence).toBe("medium");
+  });
+
+  test("reads the same neighbours through a spatial index", () => {
+    // 0.02° ≈ 1.4 mi: outside the default one-mile radius.
+    const known = [at(0.001, 8), at(-0.001, 9), at(0.004, 14), at(0.02, 40)];
+    const knownIndex = createSpatialIndex(known);
+    const indexed = estimateUnknownParkingPrice(target, known, {
+      config,
+      knownIndex,
+    });
+    expect(indexed).toEqual(
+      estimateUnknownParkingPrice(target, known, { config }),
+    );
+    expect(indexed.neighbours).toBe(3);
+  });
+
+  test("weights neighbours by how far they are from the venue", () => {
+    // Two lots equally far from the pin: one beside the arena, one across from it.
+    const venue = [42.965, -85.67];
+    const known = [at(0.005, 25), at(-0.005, 6), at(0.005, 25), at(-0.005, 6)];
+    const near = { ...target, lat: 42.964 };
+    const far = { ...target, lat: 42.956 };
+    const nearVenue = estimateUnknownParkingPrice(near, known, {
+      venues: [venue],
+      config,
+    });
+    const farVenue = estimateUnknownParkingPrice(far, known, {
+      venues: [venue],
+      config,
+    });
+    expect(nearVenue.dollars).toBe(25);
+    expect(farVenue.dollars).toBe(6);
+  });
+
+  test("lowers confidence when neighbours disagree", () => {
+    const known = [at(0.001, 5), at(-0.001, 30), at(0.002, 5), at(-0.002, 30)];
+    expect(
+      estimateUnknownParkingPrice(target, known, { config }).confidence,
+    ).toBe("medium");
+  });
+
+  test("falls back to the assumed dollars with too few neighbours", () => {
+    const far = [at(0.02, 12)];
+    expect(estimateUnknownParkingPrice(target, far, { config })).toEqual({
+      dollars: 20,
+      confidence: "low",
+      basis: "assumed",
+      neighbours: 0,
+    });
+    expect(
+      estimateUnknownParkingPrice({ ...target, shape: "garage" }, [], {
+        config,
+      }).dollars,
+    ).toBe(30);
+    expect(estimateUnknownParkingPrice(target, [])).toBeNull();
+  });
+
+  test("labels the result as an estimate", () => {
+    expect(
+      formatPriceEstimate({
+        dollars: [12, 18],
+        confidence: "medium",
+        basis: "neighbours",
+        neighbours: 5,
+      }),
+    ).toBe("~$12–$18 estimate (medium confidence)");
+  });
+});
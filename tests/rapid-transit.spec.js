@@ -0,0 +1,118 @@
+import { test, expect } from "@playwright/test";
+import {
+  getRapidTransitNetwork,
+  planRapidTransitTrip,
+} from "../src/visit/rapid-transit.mjs";
+import { LAT, route9 } from "./helpers/rapid-routes.js";
+
+/** Route 9 both ways (see `helpers/rapid-routes.js`). */
+function appDataWith({ westbound = true, stopIds = true, ...rest } = {}) {
+  return {
+    busRoutes: { rapid_routes: [route9({ westbound, stopIds })] },
+    ...rest,
+  };
+}
+
+test.describe("Rapid trip planning", () => {
+  test("walks to the nearest stop, rides the route, and walks to the venue", () => {
+    const trip = planRapidTransitTrip(
+      appDataWith(),
+      LAT + 0.002,
+      -85.699,
+      LAT - 0.002,
+      -85.641,
+    );
+    expect(trip).not.toBeNull();
+    expect(trip.route).toEqual({
+      id: "9",
+      name: "Route 9 · Main Street",
+      color: "#0F766E",
+    });
+    expect(trip.boardStop.label).toBe("West End");
+    expect(trip.alightStop.label).toBe("East End");
+    expect(trip.stopsRidden).toBe(3);
+    expect(trip.ride[0]).toEqual([LAT, -85.7]);
+    expect(trip.ride[trip.ride.length - 1]).toEqual([LAT, -85.64]);
+    expect(trip.rideMi).toBeGreaterThan(3);
+    expect(trip.walk1Routed).toBe(false);
+    expect(trip.walk1Mi).toBeLessThan(0.25);
+    expect(trip.directWalkMinutes).toBeGreaterThan(trip.totalMinutes);
+  });
+
+  test("rides the shape running the right way and skips a route that only runs the other way", () => {
+    const west = planRapidTransitTrip(
+      appDataWith(),
+      LAT,
+      -85.641,
+      LAT,
+      -85.679,
+    );
+    expect(west.boardStop.label).toBe("East End");
+    expect(west.alightStop.label).toBe("Mid West");
+    expect(west.ride[0]).toEqual([LAT, -85.64]);
+    expect(west.stopsRidden).toBe(2);
+
+    expect(
+      planRapidTransitTrip(
+        appDataWith({ westbound: false }),
+        LAT,
+        -85.641,
+        LAT,
+        -85.679,
+      ),
+    ).toBeNull();
+  });
+
+  test("no trip when either end is too far from a stop", () => {
+    const appData = appDataWith();
+    expect(
+      planRapidTransitTrip(appData, LAT + 0.02, -85.7, LAT, -85.64),
+    ).toBeNull();
+    expect(
+      planRapidTransitTrip(appData, LAT, -85.7, LAT, -85.64, {
+        maxStopWalkMiles: 0.01,
+      }),
+    ).not.toBeNull();
+    expect(planRapidTransitTrip({}, LAT, -85.7, LAT, -85.64)).toBeNull();
+  });
+
+  test("orders stops along the shape when the file has no stop_ids", () => {
+    const network = getRapidTransitNetwork(appDataWith({ stopIds: false }));
+    expect(network.patterns).toHaveLength(2);
+    expect(network.patterns[0].stops.map((s) => s.label)).toEqual([
+      "West End",
+      "Mid West",
+      "Mid East",
+      "East End",
+    ]);
+    expect(network.patterns[1].stops.map((s) => s.label)).toEqual([
+      "East End",
+      "Mid East",
+      "Mid West",
+      "West End",
+    ]);
+  });
+
+  test("uses the configured bus pace, wait, and fare", () => {
+    const trip = planRapidTransitTrip(
+      appDataWith({
+        parkingRoutePace: {
+          walkMinutesPerMile: 20,
+          transitMilesPerHour: 15,
+          transitBoardingWaitMinutes: 7,
+        },
+        fares: { transitDollars: 1.75 },
+      }),
+      LAT,
+      -85.7,
+      LAT,
+      -85.64,
+    );
+    expect(trip.waitMinutes).toBe(7);
+    expect(trip.rideMinutes).toBe(Math.round((trip.rideMi * 60) / 15));
+    expect(trip.totalMinutes).toBe(
+      Math.round((trip.walk1Mi + trip.walk2Mi) * 20 + 7 + trip.rideMinutes),
+    );
+    expect(trip.fareDollars).toBe(1.75);
+  });
+});
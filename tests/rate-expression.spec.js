@@ -0,0 +1,81 @@
+import { test, expect } from "@playwright/test";
+import { parseRateExpression } from "../src/shared/rate-expression.mjs";
+import { parkingPriceTextImpliesEveningFree } from "../src/shared/parking-pricing.mjs";
+
+test.describe("Rate expressions", () => {
+  // Posted rates as Grand Rapids operators and older data files write them.
+  for (const [text, expected] of [
+    [
+      "$1.25 per 30 min, first hour free, $12 max",
+      { hourly: 2.5, daily: 12, freeFirstHours: 1 },
+    ],
+    [
+      "1st 1/2 hour free $3.00 per half upto a $24.00 Max",
+      { hourly: 6, daily: 24, freeFirstHours: 0.5 },
+    ],
+    ["Raider Card Rate &nbsp;$3.50 per use", { flat: 3.5 }],
+    [
+      "1st 4 hours of Movie Parking is free with a ticket purchase",
+      { freeFirstHours: 4 },
+    ],
+    ["$2.50/hr", { hourly: 2.5 }],
+    ["$2.50 - $4.00 per hour", { hourly: [2.5, 4] }],
+    ["$4 an hour", { hourly: 4 }],
+    ["$1 per 15 minutes", { hourly: 4 }],
+    ["$10 per day", { daily: 10 }],
+    ["Daily max $20", { daily: 20 }],
+    [
+      "free for the first 2 hours, then $2/hour",
+      { hourly: 2, freeFirstHours: 2 },
+    ],
+    ["$10 flat rate", { flat: 10 }],
+    ["Flat rate $15", { flat: 15 }],
+    ["$5 after 6pm", { flat: 5, after: 18 * 60 }],
+    ["Evening rate $8", { flat: 8, evening: true }],
+    ["$12-$15", { flat: [12, 15] }],
+    ["Free", { free: true }],
+    ["$0", { free: true }],
+    ["No charge after 6pm", { free: true, after: 18 * 60 }],
+    ["Free after 12:30 p.m.", { free: true, after: 12 * 60 + 30 }],
+  ]) {
+    test(`reads "${text}"`, () => {
+      expect(parseRateExpression(text)).toEqual(expected);
+    });
+  }
+
+  test("ignores text with no visit rate", () => {
+    for (const text of [
+      "",
+      "After 5pm or 6pm and on weekends (event rates may apply)",
+      "Event Parking Only",
+      "Monthly from $210",
+      "$150 per month",
+    ]) {
+      expect(parseRateExpression(text)).toBeNull();
+    }
+    expect(parseRateExpression(12)).toBeNull();
+  });
+
+  test("ignores rates limited to a time no pricing tier holds", () => {
+    for (const text of [
+      "Overnight Parking: &nbsp;$38.00 per 24 hour period (Vehicles must leave the garage by 9am)",
+      "Early bird $8 in by 9am",
+      "$6 until 2am",
+      "$10 per night",
+      "$2/hr, $5 after 6pm",
+      "first hour free after 6pm",
+    ]) {
+      expect(parseRateExpression(text)).toBeNull();
+    }
+  });
+
+  test("a paid rate is not free text, even when it names a free period", () => {
+    expect(
+      parkingPriceTextImpliesEveningFree("first hour free, $2/hr after"),
+    ).toBe(false);
+    expect(parkingPriceTextImpliesEveningFree("Free")).toBe(true);
+    expect(
+      parkingPriceTextImpliesEveningFree("Weekends and Weekdays after 7pm"),
+    ).toBe(true);
+  });
+});
@@ -1,15 +1,20 @@
 import { test, expect } from "@playwright/test";
+import { gridWalkMiles, haversineMiles } from "../src/shared/data-loader.mjs";
 import {
   compareParkingWalkVersusDashMinutes,
+  parkingDriveLeg,
+  parkingWalkLeg,
   resolveParkingRoutePace,
   FALLBACK_PARKING_WALK_MINUTES_PER_MILE,
   FALLBACK_PARKING_DASH_MILES_PER_HOUR,
   FALLBACK_PARKING_DASH_BOARDING_WAIT_MINUTES,
   FALLBACK_PARKING_DRIVE_MILES_PER_HOUR,
+  FALLBACK_PARKING_TRANSIT_MILES_PER_HOUR,
+  FALLBACK_PARKING_TRANSIT_BOARDING_WAIT_MINUTES,
 } from "../src/visit/route-planning.mjs";
 
 test.describe("Parking route planning", () => {
-  test("defaults match ~2.5 mph walk, 12 mph DASH, boarding wait, and 25 mph drive", () => {
+  test("defaults match ~2.5 mph walk, 12 mph DASH, boarding wait, 25 mph drive, and Rapid pace", () => {
     const pace = resolveParkingRoutePace({});
     expect(pace.walkMinutesPerMile).toBe(
       FALLBACK_PARKING_WALK_MINUTES_PER_MILE,
@@ -19,6 +24,12 @@ test.describe("Parking route planning", () => {
       FALLBACK_PARKING_DASH_BOARDING_WAIT_MINUTES,
     );
     expect(pace.driveMilesPerHour).toBe(FALLBACK_PARKING_DRIVE_MILES_PER_HOUR);
+    expect(pace.transitMilesPerHour).toBe(
+      FALLBACK_PARKING_TRANSIT_MILES_PER_HOUR,
+    );
+    expect(pace.transitBoardingWaitMinutes).toBe(
+      FALLBACK_PARKING_TRANSIT_BOARDING_WAIT_MINUTES,
+    );
   });
 
   test("prefers walking direct when it takes less time than park + DASH + walk", () => {
@@ -104,4 +115,59 @@ test.describe("Parking route planning", () => {
     expect(r.tDirectMin).toBe(18);
     expect(r.tDashMin).toBeCloseTo(0.2 * 18 + 0.5 * 6 + 0.2 * 18, 5);
   });
+
+  test("walk legs follow the street graph when loaded, else grid walk", () => {
+    const a = [42.96, -85.68];
+    const b = [42.962, -85.678];
+    const plain = parkingWalkLeg({}, ...a, ...b);
+    expect(plain.routed).toBe(false);
+    expect(plain.miles).toBe(gridWalkMiles(...a, ...b));
+    expect(plain.latLngs).toEqual([a, b]);
+
+    // Only street: north, then east along a dogleg.
+    const appData = {
+      walkGraph: {
+        nodes: [a, [42.962, -85.68], b],
+        edges: [
+          [0, 1, 0.14],
+          [1, 2, 0.2, [[42.9625, -85.679]]],
+        ],
+      },
+    };
+    const leg = parkingWalkLeg(appData, ...a, ...b);
+    expect(leg.routed).toBe(true);
+    expect(leg.miles).toBeCloseTo(0.34, 6);
+    expect(leg.latLngs).toContainEqual([42.9625, -85.679]);
+    expect(parkingWalkLeg(appData, ...a, 43.2, -85.68).routed).toBe(false);
+  });
+
+  test("the drive leg respects one-way streets and feeds drive minutes", () => {
+    const a = [42.96, -85.68];
+    const b = [42.96, -85.676];
+    const straight = parkingDriveLeg({}, ...a, ...b);
+    expect(straight.routed).toBe(false);
+    expect(straight.miles).toBe(haversineMiles(...a, ...b));
+
+    // One-way a → b; back from b to a only around the block.
+    const appData = {
+      parkingRoutePace: { driveMilesPerHour: 30 },
+      driveGraph: {
+        directed: true,
+        nodes: [a, b, [42.962, -85.676], [42.962, -85.68]],
+        edges: [
+          [0, 1, 0.2],
+          [1, 2, 0.14],
+          [2, 3, 0.2],
+          [3, 0, 0.14],
+        ],
+      },
+    };
+    const there = parkingDriveLeg(appData, ...a, ...b);
+    const back = parkingDriveLeg(appData, ...b, ...a);
+    expect(there.routed).toBe(true);
+    expect(there.miles).toBeCloseTo(0.2, 6);
+    expect(there.minutes).toBeCloseTo(0.4, 6);
+    expect(back.miles).toBeCloseTo(0.48, 6);
+    expect(back.latLngs).toContainEqual([42.962, -85.68]);
+  });
 });
@@ -0,0 +1,111 @@
+import { test, expect } from "@playwright/test";
+import { gridWalkMiles, haversineMiles } from "../src/shared/data-loader.mjs";
+import { createSpatialIndex } from "../src/shared/spatial-index.mjs";
+
+/** Deterministic pseudo-random pins around downtown Grand Rapids (LCG, no Math.random). */
+function downtownPins(count, seed) {
+  let x = seed;
+  const next = () => {
+    x = (x * 1664525 + 1013904223) % 4294967296;
+    return x / 4294967296;
+  };
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    out.push({
+      location: {
+        latitude: 42.93 + next() * 0.07,
+        longitude: -85.71 + next() * 0.09,
+      },
+    });
+  }
+  return out;
+}
+
+function bruteWithin(pins, lat, lng, miles) {
+  const out = [];
+  pins.forEach((p, i) => {
+    const { latitude, longitude } = p.location;
+    if (haversineMiles(lat, lng, latitude, longitude) <= miles) out.push(i);
+  });
+  return out;
+}
+
+function bruteNearest(pins, lat, lng, distanceMiles) {
+  let best = null;
+  pins.forEach((p, i) => {
+    const { latitude, longitude } = p.location;
+    const miles = distanceMiles(lat, lng, latitude, longitude);
+    if (best == null || miles < best.miles) best = { index: i, miles };
+  });
+  return best;
+}
+
+test.describe("Spatial index", () => {
+  const pins = downtownPins(400, 7);
+  const queries = downtownPins(60, 11).map((p) => [
+    p.location.latitude,
+    p.location.longitude,
+  ]);
+  const index = createSpatialIndex(pins);
+
+  test("radius queries match a linear scan", () => {
+    for (const miles of [0, 0.06, 0.25, 0.75, 5]) {
+      for (const [lat, lng] of queries) {
+        expect(index.withinMiles(lat, lng, miles)).toEqual(
+          bruteWithin(pins, lat, lng, miles),
+        );
+        expect(index.anyWithinMiles(lat, lng, miles)).toBe(
+          bruteWithin(pins, lat, lng, miles).length > 0,
+        );
+      }
+    }
+  });
+
+  test("nearest matches a linear scan for Haversine and grid-walk miles", () => {
+    for (const [lat, lng] of [...queries, [43.2, -85.4], [42.5, -86.2]]) {
+      expect(index.nearest(lat, lng)).toEqual(
+        bruteNearest(pins, lat, lng, haversineMiles),
+      );
+      expect(index.nearest(lat, lng, gridWalkMiles)).toEqual(
+        bruteNearest(pins, lat, lng, gridWalkMiles),
+      );
+    }
+  });
+
+  test("finds pins for queries farther from the equator than any of them", () => {
+    /** Columns are narrower north of every pin, so rings there cover fewer miles east–west. */
+    const far = [
+      [54.1, 8.6],
+      [48.11, 47.92],
+      [56.03, 10.69],
+      [46.58, 36.37],
+      [57.66, 5.83],
+      [51.4, 3.36],
+    ].map(([latitude, longitude]) => ({ location: { latitude, longitude } }));
+    const coarse = createSpatialIndex(far, { cellMiles: 50 });
+    const [lat, lng] = [73.04, 53.43];
+    expect(coarse.nearest(lat, lng)).toEqual(
+      bruteNearest(far, lat, lng, haversineMiles),
+    );
+    const miles = bruteNearest(far, lat, lng, haversineMiles).miles + 100;
+    expect(coarse.withinMiles(lat, lng, miles)).toEqual(
+      bruteWithin(far, lat, lng, miles),
+    );
+  });
+
+  test("skips entries without coordinates and keeps input positions", () => {
+    const small = createSpatialIndex([
+      { lat: 42.96, lng: -85.67 },
+      null,
+      { location: { latitude: "42.96", longitude: -85.67 } },
+      { location: { latitude: 42.9601, longitude: -85.6701 } },
+    ]);
+    expect(small.size).toBe(2);
+    expect(small.withinMiles(42.96, -85.67, 0.05)).toEqual([0, 3]);
+    expect(small.nearest(42.9601, -85.6701)?.index).toBe(3);
+    expect(createSpatialIndex([]).nearest(42.96, -85.67)).toBeNull();
+    expect(createSpatialIndex(null).anyWithinMiles(42.96, -85.67, 1)).toBe(
+      false,
+    );
+  });
+});
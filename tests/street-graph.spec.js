@@ -0,0 +1,125 @@
+import { test, expect } from "@playwright/test";
+import { gridWalkMiles, haversineMiles } from "../src/shared/data-loader.mjs";
+import {
+  createStreetGraph,
+  streetGraphRoute,
+} from "../src/shared/street-graph.mjs";
+
+const LAT0 = 42.96;
+const LNG0 = -85.68;
+const STEP = 0.002;
+
+/** `[lat, lng]` of grid node (row, col). */
+function at(row, col) {
+  return [LAT0 + row * STEP, LNG0 + col * STEP];
+}
+
+/**
+ * 5 × 5 street grid with a "river" between columns 1 and 2, crossed only by the bridge on
+ * row 4 (the Grand River downtown, in miniature).
+ */
+function riverGrid() {
+  const nodes = [];
+  const id = (row, col) => row * 5 + col;
+  for (let row = 0; row < 5; row++)
+    for (let col = 0; col < 5; col++) nodes.push(at(row, col));
+  const edges = [];
+  const link = (a, b) =>
+    edges.push([a, b, haversineMiles(...nodes[a], ...nodes[b])]);
+  for (let row = 0; row < 5; row++)
+    for (let col = 0; col < 5; col++) {
+      if (row < 4) link(id(row, col), id(row + 1, col));
+      if (col < 4 && (col !== 1 || row === 4))
+        link(id(row, col), id(row, col + 1));
+    }
+  return { nodes, edges };
+}
+
+test.describe("Street graph routing", () => {
+  test("routes around the river by the only bridge", () => {
+    const graph = createStreetGraph(riverGrid());
+    const [aLat, aLng] = at(0, 1);
+    const [bLat, bLng] = at(0, 2);
+    const route = streetGraphRoute(graph, aLat, aLng, bLat, bLng);
+    expect(route).not.toBeNull();
+    // Down four blocks, across, and back up: far longer than the grid-walk guess.
+    expect(route.miles).toBeGreaterThan(
+      8 * haversineMiles(...at(0, 0), ...at(1, 0)),
+    );
+    expect(route.miles).toBeGreaterThan(
+      5 * gridWalkMiles(aLat, aLng, bLat, bLng),
+    );
+    expect(route.latLngs).toContainEqual(at(4, 1));
+    expect(route.latLngs).toContainEqual(at(4, 2));
+    expect(route.latLngs[0]).toEqual([aLat, aLng]);
+    expect(route.latLngs.at(-1)).toEqual([bLat, bLng]);
+  });
+
+  test("snaps off-node ends to the nearest node and counts the snap legs", () => {
+    const graph = createStreetGraph(riverGrid());
+    const [aLat, aLng] = at(2, 3);
+    const [bLat, bLng] = at(2, 4);
+    const route = streetGraphRoute(graph, aLat + 0.0003, aLng, bLat, bLng);
+    const block = haversineMiles(aLat, aLng, bLat, bLng);
+    const snap = haversineMiles(aLat + 0.0003, aLng, aLat, aLng);
+    expect(route.miles).toBeCloseTo(block + snap, 6);
+    expect(route.latLngs[0]).toEqual([aLat + 0.0003, aLng]);
+    expect(route.latLngs[1]).toEqual(at(2, 3));
+  });
+
+  test("follows edge shapes, reversed when walked against the edge", () => {
+    const bend = [42.961, -85.679];
+    const graph = createStreetGraph({
+      nodes: [
+        [42.96, -85.68],
+        [42.96, -85.678],
+      ],
+      edges: [[0, 1, 0.2, [bend]]],
+    });
+    expect(
+      streetGraphRoute(graph, 42.96, -85.678, 42.96, -85.68).latLngs,
+    ).toEqual([
+      [42.96, -85.678],
+      [42.96, -85.678],
+      bend,
+      [42.96, -85.68],
+      [42.96, -85.68],
+    ]);
+  });
+
+  test("directed graphs only run edges from → to", () => {
+    const graph = createStreetGraph({
+      nodes: [at(0, 0), at(0, 1), at(1, 1), at(1, 0)],
+      // One-way loop 0 → 1 → 2 → 3 → 0.
+      edges: [
+        [0, 1, 0.1],
+        [1, 2, 0.1],
+        [2, 3, 0.1],
+        [3, 0, 0.1],
+      ],
+      directed: true,
+    });
+    const forward = streetGraphRoute(graph, ...at(0, 0), ...at(0, 1));
+    const backward = streetGraphRoute(graph, ...at(0, 1), ...at(0, 0));
+    expect(forward.miles).toBeCloseTo(0.1, 6);
+    expect(backward.miles).toBeCloseTo(0.3, 6);
+  });
+
+  test("no route off the graph, across a gap, or without a graph", () => {
+    const graph = createStreetGraph({
+      nodes: [at(0, 0), at(0, 1), at(3, 3), at(3, 4)],
+      edges: [
+        [0, 1, 0.1],
+        [2, 3, 0.1],
+      ],
+    });
+    expect(streetGraphRoute(graph, ...at(0, 0), ...at(3, 4))).toBeNull();
+    expect(streetGraphRoute(graph, ...at(0, 0), 43.1, -85.68)).toBeNull();
+    expect(streetGraphRoute(null, ...at(0, 0), ...at(0, 1))).toBeNull();
+    expect(createStreetGraph(null)).toBeNull();
+    expect(createStreetGraph({ nodes: [at(0, 0)], edges: [] })).toBeNull();
+    expect(
+      createStreetGraph({ nodes: [at(0, 0)], edges: [[0, 5, 0.1]] }),
+    ).toBeNull();
+  });
+});
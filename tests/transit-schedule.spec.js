@@ -0,0 +1,80 @@
+import { test, expect } from "@playwright/test";
+import { zonedDateTime } from "../src/shared/opening-hours.mjs";
+import {
+  formatTransitTime,
+  lastDepartureBefore,
+  parseStopDepartures,
+  upcomingDepartures,
+} from "../src/shared/transit-schedule.mjs";
+
+const TZ = "America/Detroit";
+const at = (local) => zonedDateTime(local, TZ);
+
+/** 7:00 AM, 7:05 PM, and 12:10 AM (the next morning) on weekdays; 9:00 AM on Saturdays. */
+const DEPARTURES = parseStopDepartures({
+  weekday: [1145, 420, 1450],
+  saturday: [540],
+});
+
+test.describe("Transit schedule", () => {
+  test("parses departures sorted per service day, dropping bad entries", () => {
+    expect(DEPARTURES).toEqual({ weekday: [420, 1145, 1450], saturday: [540] });
+    expect(
+      parseStopDepartures({ weekday: [30, -5, 1.5, "60"], sunday: "600" }),
+    ).toEqual({ weekday: [30] });
+    expect(parseStopDepartures({ weekday: [] })).toBeNull();
+    expect(parseStopDepartures(null)).toBeNull();
+  });
+
+  test("lists upcoming departures, including the previous day's after-midnight trips", () => {
+    // Monday 2026-10-19.
+    expect(upcomingDepartures(DEPARTURES, at("2026-10-19T12:00"), TZ)).toEqual([
+      at("2026-10-19T19:05"),
+      at("2026-10-20T00:10"),
+    ]);
+    expect(
+      upcomingDepartures(DEPARTURES, at("2026-10-19T06:00"), TZ, 1),
+    ).toEqual([at("2026-10-19T07:00")]);
+    // Friday's 12:10 AM trip runs early Saturday, then Saturday's own 9:00.
+    expect(upcomingDepartures(DEPARTURES, at("2026-10-24T00:05"), TZ)).toEqual([
+      at("2026-10-24T00:10"),
+      at("2026-10-24T09:00"),
+    ]);
+    // Nothing on Sundays, nor after Saturday's last.
+    expect(upcomingDepartures(DEPARTURES, at("2026-10-25T08:00"), TZ)).toEqual(
+      [],
+    );
+    expect(upcomingDepartures(DEPARTURES, at("2026-10-24T10:00"), TZ)).toEqual(
+      [],
+    );
+    expect(upcomingDepartures(null, at("2026-10-19T12:00"), TZ)).toEqual([]);
+  });
+
+  test("finds the last departure before a time on the same service day", () => {
+    expect(lastDepartureBefore(DEPARTURES, at("2026-10-19T23:00"), TZ)).toEqual(
+      at("2026-10-19T19:05"),
+    );
+    // Monday's 12:10 AM trip still to come at midnight: Monday's service.
+    expect(lastDepartureBefore(DEPARTURES, at("2026-10-20T00:05"), TZ)).toEqual(
+      at("2026-10-19T19:05"),
+    );
+    // Tuesday morning before its first trip: last night's bus does not count.
+    expect(
+      lastDepartureBefore(DEPARTURES, at("2026-10-20T06:00"), TZ),
+    ).toBeNull();
+    expect(lastDepartureBefore(DEPARTURES, at("2026-10-20T08:00"), TZ)).toEqual(
+      at("2026-10-20T07:00"),
+    );
+    // Saturday's 9:00 was the day before; nothing runs on Sundays.
+    expect(
+      lastDepartureBefore(DEPARTURES, at("2026-10-25T12:00"), TZ),
+    ).toBeNull();
+    expect(lastDepartureBefore(null, at("2026-10-19T23:00"), TZ)).toBeNull();
+  });
+
+  test("formats times on a 12-hour clock in the city's zone", () => {
+    expect(formatTransitTime(at("2026-10-19T19:05"), TZ)).toBe("7:05 PM");
+    expect(formatTransitTime(at("2026-10-20T00:10"), TZ)).toBe("12:10 AM");
+    expect(formatTransitTime(at("2026-10-19T12:00"), TZ)).toBe("12:00 PM");
+  });
+});
@@ -0,0 +1,158 @@
+import { test, expect } from "@playwright/test";
+import {
+  getParkingMapCostDisplay,
+  parkingPricingFreeForVisit,
+  parkingSpotEveningPriceCeilingOrAbsent,
+  pickEveningTierForCap,
+} from "../src/shared/parking-pricing.mjs";
+import {
+  legacyVisitArrival,
+  parseVisitArrival,
+  parseVisitStayHours,
+  timeFromUrl,
+  visitWindow,
+} from "../src/shared/visit-time.mjs";
+
+const TZ = "America/Detroit";
+/** A visit arriving at local `arrive` for `stay` hours; `event` = going to a venue. */
+const visit = (arrive, stay = 3, event = false) => ({
+  ...visitWindow(arrive, stay, TZ),
+  timeZone: TZ,
+  event,
+});
+
+// 2026-10-21 is a Wednesday; 2026-10-24 a Saturday; 2026-10-25 a Sunday.
+const cherryPricing = { daily: 24, evening: 51, events: [12, 15], hourly: 4 };
+const meterPricing = {
+  hourly: [2.5, 4],
+  enforcement: "Monday-Friday 8am-7pm",
+  free: "After 5pm or 6pm and on weekends (event rates may apply)",
+};
+const freeWhenPricing = { hourlyFreeWhen: "Weekends and Weekdays after 7pm" };
+
+test.describe("Visit time", () => {
+  test("reads arrive and stay params", () => {
+    expect(parseVisitArrival("2026-10-24T18:30")).toBe("2026-10-24T18:30");
+    expect(parseVisitArrival("2026-10-24T18:30:00")).toBe("2026-10-24T18:30");
+    for (const bad of ["2026-02-30T18:30", "2026-10-24T24:00", "tonight", ""])
+      expect(parseVisitArrival(bad)).toBeNull();
+    expect(parseVisitStayHours("4")).toBe(4);
+    expect(parseVisitStayHours("2.4")).toBe(2.5);
+    for (const bad of ["0", "-1", "25", "all night", null])
+      expect(parseVisitStayHours(bad)).toBeNull();
+  });
+
+  test("maps legacy time= links to tonight in the city's zone", () => {
+    expect(timeFromUrl("830")).toBe("20:30");
+    expect(timeFromUrl("1000")).toBe("22:00");
+    // 03:00 UTC on the 25th is still the evening of the 24th in Detroit.
+    const now = new Date("2026-10-25T03:00:00Z");
+    expect(legacyVisitArrival("830", now, TZ)).toBe("2026-10-24T20:30");
+    expect(legacyVisitArrival("soon", now, TZ)).toBeNull();
+  });
+
+  test("turns arrive and stay into the parked window", () => {
+    const w = visitWindow("2026-10-24T18:30", 4, TZ);
+    expect(w.arriveAt.toISOString()).toBe("2026-10-24T22:30:00.000Z");
+    expect(w.leaveAt.toISOString()).toBe("2026-10-25T02:30:00.000Z");
+    expect(
+      visitWindow("2026-10-24T18:30", null, TZ).leaveAt.toISOString(),
+    ).toBe("2026-10-25T01:30:00.000Z");
+    expect(visitWindow(null, 3, TZ)).toBeNull();
+  });
+
+  test("keeps the evening-event tiers without a visit", () => {
+    expect(pickEveningTierForCap(cherryPricing, "public-garage")).toEqual({
+      key: "events",
+      value: [12, 15],
+    });
+    expect(pickEveningTierForCap(cherryPricing, "public-garage", null)).toEqual(
+      pickEveningTierForCap(cherryPricing, "public-garage"),
+    );
+  });
+
+  test("picks events, evening, or daytime tiers by arrival", () => {
+    const show = visit("2026-10-24T19:00", 3, true);
+    const evening = visit("2026-10-24T19:00");
+    const matinee = visit("2026-10-25T13:30", 3, true);
+    const daytime = visit("2026-10-21T12:00");
+    expect(
+      pickEveningTierForCap(cherryPricing, "public-garage", show).key,
+    ).toBe("events");
+    expect(
+      pickEveningTierForCap(cherryPricing, "public-garage", evening).key,
+    ).toBe("evening");
+    expect(
+      pickEveningTierForCap(cherryPricing, "public-garage", matinee).key,
+    ).toBe("events");
+    expect(
+      pickEveningTierForCap(cherryPricing, "public-garage", daytime).key,
+    ).toBe("hourly");
+    // A matinee never pays the evening flat rate, even when it is the cheaper tier.
+    const ellis = { hourly: 6, evening: 10, daily: 30 };
+    expect(
+      parkingSpotEveningPriceCeilingOrAbsent(ellis, "ellis-garage", matinee),
+    ).toBe(18);
+    expect(
+      parkingSpotEveningPriceCeilingOrAbsent(ellis, "ellis-garage", evening),
+    ).toBe(10);
+    // A lone tier still prices the visit.
+    expect(
+      pickEveningTierForCap({ events: 20 }, "public-lot", daytime),
+    ).toEqual({ key: "events", value: 20 });
+  });
+
+  test("meters are free on weekends and outside enforcement", () => {
+    const saturday = visit("2026-10-24T13:00");
+    const weekdayNoon = visit("2026-10-21T12:00");
+    const weekdayLate = visit("2026-10-21T19:30");
+    expect(parkingPricingFreeForVisit(meterPricing, saturday)).toBe(true);
+    expect(parkingPricingFreeForVisit(meterPricing, weekdayLate)).toBe(true);
+    expect(parkingPricingFreeForVisit(meterPricing, weekdayNoon)).toBe(false);
+    expect(parkingPricingFreeForVisit(cherryPricing, weekdayNoon)).toBeNull();
+    expect(pickEveningTierForCap(meterPricing, "meter", saturday)).toEqual({
+      key: "free",
+      value: "Free",
+    });
+    expect(
+      parkingSpotEveningPriceCeilingOrAbsent(meterPricing, "meter", saturday),
+    ).toBe(0);
+    expect(
+      parkingSpotEveningPriceCeilingOrAbsent(
+        meterPricing,
+        "meter",
+        weekdayNoon,
+      ),
+    ).toBe(12);
+  });
+
+  test("hourlyFreeWhen only frees the visits it covers", () => {
+    const sunday = visit("2026-10-25T13:30");
+    const weekdayNoon = visit("2026-10-21T12:00");
+    // Arrives before 7pm: not covered by "after 7pm".
+    const weekdayEvening = visit("2026-10-21T17:30", 3);
+    expect(getParkingMapCostDisplay(freeWhenPricing, "public-lot").text).toBe(
+      "Free",
+    );
+    expect(
+      getParkingMapCostDisplay(freeWhenPricing, "public-lot", sunday).text,
+    ).toBe("Free");
+    expect(
+      getParkingMapCostDisplay(freeWhenPricing, "public-lot", weekdayNoon).text,
+    ).toBe("Free weekends and Weekdays after 7pm");
+    expect(
+      parkingSpotEveningPriceCeilingOrAbsent(
+        freeWhenPricing,
+        "public-lot",
+        weekdayEvening,
+      ),
+    ).toBe(-1);
+    expect(
+      parkingSpotEveningPriceCeilingOrAbsent(
+        freeWhenPricing,
+        "public-lot",
+        visit("2026-10-21T19:30", 2),
+      ),
+    ).toBe(0);
+  });
+});
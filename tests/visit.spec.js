@@ -197,6 +197,28 @@ test.describe("Parking map (#/visit)", () => {
     expect(pace.drive).toBe(25);
   });
 
+  test("people= splits the parking fee and compares fares in the route panel", async ({
+    page,
+  }) => {
+    await page.goto(
+      "/#/visit/devos-performance-hall?walk=0.4&people=3&park=public-lot:42.969938,-85.681874",
+    );
+    await waitForParkingData(page);
+    await waitForParkingLeafletMap(page);
+    await expect(page.locator("#parkingPeopleSelect")).toHaveValue("3");
+    const party = page.locator("[data-parking-party-costs]");
+    await expect(party).toContainText("For 3 people", { timeout: 15_000 });
+    await expect(
+      party.locator('[data-parking-party-mode="transit"]'),
+    ).toContainText("$3.5 each · $10.5 total");
+
+    await page.locator("#parkingPeopleSelect").selectOption("1");
+    await expect
+      .poll(() => page.evaluate(() => window.location.hash))
+      .not.toContain("people=");
+    await expect(party).toHaveCount(0);
+  });
+
   test("route panel drive badge estimates from user location when known", async ({
     page,
   }) => {
@@ -479,34 +501,15 @@ test.describe("Parking map (#/visit)", () => {
       });
     }
 
-    /** Opens the parking circle for `spotId` (`category:lat,lng` or legacy `category~lat~lng`). */
+    /** Opens the parking circle for `spotId` (durable id, `category:lat,lng`, or legacy `category~lat~lng`). */
     async function openParkingCirclePopupForSpot(page, spotId) {
       await closeParkingMapPopups(page);
-      let categoryKey;
-      let lat;
-      let lng;
-      const colon = spotId.indexOf(":");
-      if (colon > 0) {
-        categoryKey = spotId.slice(0, colon);
-        const rest = spotId.slice(colon + 1);
-        const comma = rest.indexOf(",");
-        if (comma <= 0) {
-          throw new Error(`invalid spotId for popup: ${spotId}`);
-        }
-        lat = Number(rest.slice(0, comma));
-        lng = Number(rest.slice(comma + 1));
-      } else {
-        const parts = spotId.split("~");
-        categoryKey = parts[0];
-        lat = Number(parts[1]);
-        lng = Number(parts[2]);
-        if (parts.length !== 3) {
-          throw new Error(`invalid spotId for popup: ${spotId}`);
-        }
-      }
-      if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-        throw new Error(`invalid spotId for popup: ${spotId}`);
-      }
+      const spot = await page.evaluate(
+        (id) => globalThis.__parseParkingSpotIdForTest?.(id) ?? null,
+        spotId,
+      );
+      if (!spot) throw new Error(`invalid spotId for popup: ${spotId}`);
+      const { categoryKey, lat, lng } = spot;
       const wantLat = lat.toFixed(6);
       const wantLng = lng.toFixed(6);
       await page.evaluate(
@@ -640,6 +643,63 @@ test.describe("Parking map (#/visit)", () => {
       );
     });
 
+    test("customers-only lots are flagged in the popup and never suggested", async ({
+      page,
+    }) => {
+      await page.goto("/#/visit/devos-performance-hall?pay=50&walk=0.8");
+      await waitForParkingData(page);
+      await waitForParkingLeafletMap(page);
+      const r = await page.evaluate(() => {
+        const markers = globalThis.__getAllParkingSpotMarkersForTest();
+        const restricted = markers.filter(
+          (m) => m.accessRestriction === "Customers only",
+        );
+        const picks = globalThis.__chooseTopParkingStartSpotIdsForTest() || [];
+        return {
+          spotId: restricted[0]?.spotId,
+          pickedRestricted: picks.some(({ spotId }) =>
+            restricted.some((m) => m.spotId === spotId),
+          ),
+        };
+      });
+      expect(r.spotId).toBeTruthy();
+      expect(r.pickedRestricted).toBe(false);
+
+      await openParkingCirclePopupForSpot(page, r.spotId);
+      await expect(
+        page
+          .locator(".leaflet-popup")
+          .last()
+          .locator("[data-parking-access-flag]"),
+      ).toHaveText("Customers only");
+    });
+
+    test("Ellis popups list monthly rates and phone as rows", async ({
+      page,
+    }) => {
+      const spotId = "ellis-garage:42.967794,-85.668944";
+      await page.goto(`/#/visit/van-andel-arena?pay=50&walk=0.8`);
+      await waitForParkingData(page);
+      await waitForParkingLeafletMap(page);
+      await openParkingCirclePopupForSpot(page, spotId);
+      const rows = page
+        .locator(".leaflet-popup")
+        .last()
+        .locator("[data-parking-availability-row]");
+      await expect(rows).toHaveText([
+        "Monthly:",
+        "Residential:",
+        "Early bird:",
+        "Phone:",
+      ]);
+      await expect(page.locator(".leaflet-popup").last()).toContainText(
+        "Residential: $245/mo (24/7 access)",
+      );
+      await expect(page.locator(".leaflet-popup").last()).not.toContainText(
+        "&nbsp;",
+      );
+    });
+
     test("legacy destination and spot params still hydrate", async ({
       page,
     }) => {
@@ -1562,6 +1622,99 @@ test.describe("Parking map (#/visit)", () => {
       );
     });
 
+    test("hydrates arrival and stay from arrive and stay in the URL", async ({
+      page,
+    }) => {
+      await page.goto("/#/visit?arrive=2026-10-25T13:30&stay=2");
+      await waitForParkingData(page);
+      await expect(page.locator("#parkingArriveInput")).toHaveValue(
+        "2026-10-25T13:30",
+      );
+      await expect(page.locator("#parkingStaySelect")).toHaveValue("2");
+      await expect(page.locator("#parkingStaySelect")).toBeEnabled();
+
+      await page.goto("/#/visit?pay=25");
+      await waitForParkingData(page);
+      await expect(page.locator("#parkingArriveInput")).toHaveValue("");
+      await expect(page.locator("#parkingStaySelect")).toHaveValue("3");
+    });
+
+    test("stay without an arrival still writes stay= to the URL", async ({
+      page,
+    }) => {
+      await page.goto("/#/visit?pay=25");
+      await waitForParkingData(page);
+      await page.locator("#parkingStaySelect").selectOption("5");
+      await expect
+        .poll(() => page.evaluate(() => window.location.hash))
+        .toMatch(/[?&]stay=5(&|$)/);
+      expect(await page.evaluate(() => window.location.hash)).not.toContain(
+        "arrive=",
+      );
+    });
+
+    test("event= hydrates the event type and clears from the URL for any event", async ({
+      page,
+    }) => {
+      await page.goto("/#/visit/van-andel-arena?event=sports");
+      await waitForParkingData(page);
+      await expect(page.locator("#parkingEventTypeSelect")).toHaveValue(
+        "sports",
+      );
+      await page.locator("#parkingEventTypeSelect").selectOption("");
+      await expect
+        .poll(() => page.evaluate(() => window.location.hash))
+        .not.toContain("event=");
+
+      await page.goto("/#/visit/van-andel-arena?event=rodeo");
+      await waitForParkingData(page);
+      await expect(page.locator("#parkingEventTypeSelect")).toHaveValue("");
+    });
+
+    test("legacy time= links arrive tonight and are rewritten to arrive=", async ({
+      page,
+    }) => {
+      await page.goto("/#/visit?time=830");
+      await waitForParkingData(page);
+      await expect(page.locator("#parkingArriveInput")).toHaveValue(/T20:30$/);
+      await page.locator("#parkingMaxEveningSlider").fill("25");
+      await page.locator("#parkingMaxEveningSlider").dispatchEvent("change");
+      await expect
+        .poll(() => page.evaluate(() => window.location.hash))
+        .toMatch(/[?&]arrive=\d{4}-\d{2}-\d{2}T20:30(&|$)/);
+      expect(await page.evaluate(() => window.location.hash)).not.toContain(
+        "time=",
+      );
+    });
+
+    test("a weekday-noon arrival drops the events tier from popups", async ({
+      page,
+    }) => {
+      await page.goto("/#/visit?pay=50&arrive=2026-10-21T12:00");
+      await waitForParkingData(page);
+      await waitForParkingLeafletMap(page);
+      const price = await page.evaluate(
+        () =>
+          globalThis
+            .__getAllParkingSpotMarkersForTest()
+            .find((m) => m.name === "Cherry Commerce Ramp")?.price,
+      );
+      expect(price).toBe("$24 ($4 per hour)");
+    });
+
+    test("popups show the expected charge for the stay", async ({ page }) => {
+      await page.goto("/#/visit?pay=50&arrive=2026-10-21T12:00&stay=2");
+      await waitForParkingData(page);
+      await waitForParkingLeafletMap(page);
+      const estimate = await page.evaluate(
+        () =>
+          globalThis
+            .__getAllParkingSpotMarkersForTest()
+            .find((m) => m.name === "Cherry Commerce Ramp")?.costEstimate,
+      );
+      expect(estimate).toBe("$8 for 2 hours");
+    });
+
     test("Cherry Commerce Ramp stays on map when events tier is within pay cap", async ({
       page,
     }) => {
@@ -2652,9 +2805,7 @@ test.describe("Parking map (#/visit)", () => {
           .filter(Boolean);
         const cat =
           typeof eff === "string"
-            ? eff.includes(":")
-              ? eff.slice(0, eff.indexOf(":"))
-              : eff.split("~")[0]
+            ? (globalThis.__parseParkingSpotIdForTest?.(eff)?.categoryKey ?? "")
             : "";
         return { pickCategory: cat, locationCats };
       });
@@ -2765,16 +2916,12 @@ async function closeParkingMapPopups(page) {
 /** Opens popup on a green suggestion or committed pick marker at `spotId`. */
 async function openParkingMarkerPopupForSpot(page, spotId) {
   await closeParkingMapPopups(page);
-  const colon = spotId.indexOf(":");
-  if (colon <= 0) throw new Error(`invalid spotId for popup: ${spotId}`);
-  const rest = spotId.slice(colon + 1);
-  const comma = rest.indexOf(",");
-  if (comma <= 0) throw new Error(`invalid spotId for popup: ${spotId}`);
-  const lat = Number(rest.slice(0, comma));
-  const lng = Number(rest.slice(comma + 1));
-  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
-    throw new Error(`invalid spotId for popup: ${spotId}`);
-  }
+  const spot = await page.evaluate(
+    (id) => globalThis.__parseParkingSpotIdForTest?.(id) ?? null,
+    spotId,
+  );
+  if (!spot) throw new Error(`invalid spotId for popup: ${spotId}`);
+  const { lat, lng } = spot;
   const wantLat = lat.toFixed(6);
   const wantLng = lng.toFixed(6);
   const opened = await page.evaluate(